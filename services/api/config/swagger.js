@@ -82,6 +82,16 @@ const swaggerDefinition = {
         description: "JWT token obtained from /auth/login endpoint",
       },
     },
+    parameters: {
+      IdempotencyKey: {
+        in: "header",
+        name: "Idempotency-Key",
+        required: false,
+        schema: { type: "string", maxLength: 255 },
+        description:
+          "Unique key per operation (e.g. a UUID). Retries with the same key get the first response back instead of running again; reusing a key with a different body returns 409.",
+      },
+    },
   },
   security: [
     {
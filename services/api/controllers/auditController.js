@@ -0,0 +1,173 @@
+import csv from "fast-csv";
+import AuditLog from "../models/AuditLog.js";
+
+/**
+ * Build the AuditLog query filter from request query parameters (internal helper)
+ *
+ * @function buildAuditFilter
+ * @param {Object} query - Request query parameters (already validated)
+ * @returns {Object} MongoDB filter
+ */
+const buildAuditFilter = (query) => {
+  const {
+    actorId,
+    action,
+    resourceType,
+    resourceId,
+    requestId,
+    method,
+    startDate,
+    endDate,
+  } = query;
+
+  const filter = {};
+  if (actorId) {
+    filter.actor = actorId;
+  }
+  if (action) {
+    filter.action = action;
+  }
+  if (resourceType) {
+    filter.resourceType = resourceType;
+  }
+  if (resourceId) {
+    filter.resourceId = resourceId;
+  }
+  if (requestId) {
+    filter.requestId = requestId;
+  }
+  if (method) {
+    filter.method = method.toUpperCase();
+  }
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      start.setUTCHours(0, 0, 0, 0);
+      filter.createdAt.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setUTCHours(23, 59, 59, 999);
+      filter.createdAt.$lte = end;
+    }
+  }
+  return filter;
+};
+
+/**
+ * Stream audit entries as CSV (internal helper)
+ *
+ * @async
+ * @function exportAuditCSV
+ * @param {Object} filter - MongoDB filter for audit entries
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Streams CSV data to response
+ */
+const exportAuditCSV = async (filter, res) => {
+  const csvStream = csv.format({ headers: true });
+  csvStream.pipe(res);
+
+  try {
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).cursor();
+
+    for await (const entry of cursor) {
+      csvStream.write({
+        Timestamp: entry.createdAt.toISOString(),
+        "Actor ID": entry.actor ? entry.actor.toString() : "",
+        "Actor Email": entry.actorEmail || "",
+        "Actor Role": entry.actorRole || "",
+        Action: entry.action,
+        "Resource Type": entry.resourceType || "",
+        "Resource ID": entry.resourceId || "",
+        Method: entry.method,
+        Path: entry.path,
+        Status: entry.statusCode,
+        IP: entry.ip || "",
+        "Request ID": entry.requestId || "",
+        Changes: entry.changes ? JSON.stringify(entry.changes) : "",
+        Metadata: entry.metadata ? JSON.stringify(entry.metadata) : "",
+      });
+    }
+
+    csvStream.end();
+  } catch (error) {
+    csvStream.destroy(error);
+    throw error;
+  }
+};
+
+/**
+ * List audit log entries, newest first (SuperAdmin only)
+ * Answers "who changed what, and when" across all resources
+ *
+ * @async
+ * @function listAuditLogs
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.actorId] - Filter by the seller who made the request
+ * @param {string} [req.query.action] - Filter by action (e.g. "product.update")
+ * @param {string} [req.query.resourceType] - Filter by resource type (e.g. "product")
+ * @param {string} [req.query.resourceId] - Filter by resource ID
+ * @param {string} [req.query.requestId] - Filter by request ID (X-Request-Id)
+ * @param {string} [req.query.method] - Filter by HTTP method
+ * @param {string} [req.query.startDate] - Start date filter (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - End date filter (YYYY-MM-DD)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=50] - Results per page (1-100)
+ * @param {string} [req.query.format="json"] - "json" or "csv" (CSV ignores pagination)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with entries and pagination, or a CSV download
+ *
+ * @example
+ * GET /audit?resourceType=product&resourceId=507f1f77bcf86cd799439011
+ * GET /audit?actorId=507f1f77bcf86cd799439012&startDate=2025-01-01&format=csv
+ */
+const listAuditLogs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, format = "json" } = req.query;
+    const filter = buildAuditFilter(req.query);
+
+    if (format === "csv") {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="bitetrack-audit-${timestamp}.csv"`,
+      );
+      return await exportAuditCSV(filter, res);
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const total = await AuditLog.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .populate("actor", "firstName lastName email role");
+
+    res.json({
+      entries: entries.map((entry) => entry.toJSON()),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        total,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error("Audit CSV export error:", error);
+      return res.end();
+    }
+    return next(error);
+  }
+};
+
+export { listAuditLogs };
@@ -1,9 +1,25 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 import Seller from "../models/Seller.js";
 import PendingSeller from "../models/PendingSeller.js";
 import PasswordResetToken from "../models/PasswordResetToken.js";
-import { generateToken, generateResetToken } from "../utils/jwt.js";
+import RefreshToken from "../models/RefreshToken.js";
+import Location from "../models/Location.js";
+import {
+  generateToken,
+  generateResetToken,
+  generateRefreshToken,
+  hashToken,
+  getAccessTokenTtl,
+  getRefreshTokenTtlMs,
+  generateChallengeToken,
+  verifyToken,
+  TWO_FACTOR_CHALLENGE_TTL,
+} from "../utils/jwt.js";
+import { isTwoFactorRequired } from "../utils/totp.js";
 import { sendPasswordResetEmail } from "../utils/emailService.js";
+import { recordAudit } from "../utils/audit.js";
+import { getRequestPermissions } from "../middleware/auth.js";
 
 /**
  * Custom HTTP Error class for throwing errors with status codes
@@ -23,6 +39,126 @@ class HttpError extends Error {
   }
 }
 
+/**
+ * Issue an access token and a new refresh token for a seller (internal helper)
+ * Starts a new device session unless an existing sessionId is passed
+ *
+ * @async
+ * @function issueTokens
+ * @param {Object} seller - Seller document
+ * @param {Object} req - Express request object (user agent and IP are recorded)
+ * @param {Object} [session] - Existing session being refreshed
+ * @param {string} [session.sessionId] - Session id to keep
+ * @param {Date} [session.sessionStartedAt] - When the session began
+ * @returns {Promise<Object>} { token, refreshToken, tokenType, expiresIn, sessionId }
+ */
+const issueTokens = async (
+  seller,
+  req,
+  { sessionId = crypto.randomUUID(), sessionStartedAt = new Date() } = {},
+) => {
+  const refreshToken = generateRefreshToken();
+
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    sellerId: seller._id,
+    sessionId,
+    tokenVersion: seller.tokenVersion || 0,
+    sessionStartedAt,
+    userAgent: req.header("User-Agent") || null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return {
+    token: generateToken({
+      id: seller._id,
+      role: seller.role,
+      tv: seller.tokenVersion || 0,
+      sid: sessionId,
+      // Tenant the seller belongs to (multi-tenant mode)
+      tid: seller.tenantId ?? undefined,
+    }),
+    refreshToken,
+    tokenType: "Bearer",
+    expiresIn: getAccessTokenTtl(),
+    sessionId,
+  };
+};
+
+/**
+ * Whole seconds from now until the given date, for Retry-After (internal helper)
+ *
+ * @function secondsUntil
+ * @param {Date} date - Future date
+ * @returns {number} Seconds, at least 1
+ */
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Answer a login attempt for a locked or throttled account (internal helper)
+ * Sends 423 while the account is locked, or 429 while the progressive delay
+ * after the last failure runs
+ *
+ * @function rejectThrottledLogin
+ * @param {Object} seller - Seller document
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if a response was sent
+ */
+const rejectThrottledLogin = (seller, res) => {
+  if (seller.isLocked()) {
+    res.set("Retry-After", secondsUntil(seller.lockedUntil));
+    res.status(423).json({
+      error: "Locked",
+      message:
+        "Account is temporarily locked after too many failed login attempts",
+      statusCode: 423,
+      details: { lockedUntil: seller.lockedUntil },
+    });
+    return true;
+  }
+
+  const nextAttemptAt = seller.getNextLoginAllowedAt();
+  if (nextAttemptAt && nextAttemptAt > new Date()) {
+    res.set("Retry-After", secondsUntil(nextAttemptAt));
+    res.status(429).json({
+      error: "Too Many Requests",
+      message: "Too many failed login attempts, please wait and try again",
+      statusCode: 429,
+      details: { retryAt: nextAttemptAt },
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Count a failed password or two-factor code, auditing a resulting lockout
+ * (internal helper)
+ *
+ * @async
+ * @function registerFailedLoginAttempt
+ * @param {Object} seller - Seller document
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const registerFailedLoginAttempt = async (seller, req) => {
+  const attempt = await seller.registerFailedLogin();
+  if (attempt.locked) {
+    recordAudit(req, {
+      action: "seller.lockout",
+      resourceType: "seller",
+      resourceId: seller._id,
+      metadata: {
+        failedAttempts: attempt.failedAttempts,
+        lockedUntil: attempt.lockedUntil,
+      },
+    });
+  }
+};
+
 /**
  * Check seller account status by email (public endpoint)
  * Returns whether an account exists and its status (active or pending)
@@ -81,7 +217,11 @@ const getSellerByEmail = async (req, res) => {
 
 /**
  * Authenticate seller and generate JWT token
- * Validates email and password, returns JWT token and seller info
+ * Validates email and password, returns a short-lived access token, a refresh
+ * token for the new device session, and seller info. Repeated failures for an
+ * account slow further attempts down and then lock the account for a while.
+ * Sellers with two-factor authentication get a challenge token instead, to be
+ * exchanged for tokens at POST /auth/login/2fa
  *
  * @async
  * @function login
@@ -90,14 +230,21 @@ const getSellerByEmail = async (req, res) => {
  * @param {string} req.body.email - Seller email address
  * @param {string} req.body.password - Seller password
  * @param {Object} res - Express response object
- * @returns {Promise<void>} JSON response with JWT token and seller object
+ * @returns {Promise<void>} JSON response with tokens and seller object
  * @throws {401} If email or password is invalid
+ * @throws {423} If the account is locked after too many failed attempts
+ * @throws {429} If the previous failed attempt was too recent
  * @throws {500} If server error occurs during login
  *
  * @example
  * POST /auth/login
  * Body: { email: "user@example.com", password: "SecurePass123!" }
- * Response: { token: "jwt.token.here", seller: {...} }
+ * Response: {
+ *   token: "jwt.token.here", refreshToken: "...", tokenType: "Bearer",
+ *   expiresIn: "15m", sessionId: "...", seller: {...}
+ * }
+ * // With two-factor authentication enabled:
+ * Response: { twoFactorRequired: true, challengeToken: "...", expiresIn: "5m" }
  */
 const login = async (req, res) => {
   try {
@@ -106,7 +253,15 @@ const login = async (req, res) => {
     // Find seller with password field included
     const seller = await Seller.findOne({ email }).select("+password");
 
+    // Locked or throttled accounts are refused before the password is checked
+    if (seller && rejectThrottledLogin(seller, res)) {
+      return;
+    }
+
     if (!seller || !(await seller.comparePassword(password))) {
+      if (seller) {
+        await registerFailedLoginAttempt(seller, req);
+      }
       return res.status(401).json({
         error: "Unauthorized",
         message: "Invalid email or password",
@@ -114,13 +269,29 @@ const login = async (req, res) => {
       });
     }
 
-    const token = generateToken({ id: seller._id, role: seller.role });
+    // The password alone is not enough: hand out a challenge for the code.
+    // Failed attempts are only cleared once the second step succeeds
+    if (seller.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(seller._id),
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+      });
+    }
+
+    if (seller.failedLoginAttempts > 0 || seller.lockedUntil) {
+      await seller.clearFailedLogins();
+    }
+
+    const tokens = await issueTokens(seller, req);
 
     // Remove password from response
     const sellerResponse = seller.toJSON();
 
     res.json({
-      token,
+      ...tokens,
+      // Accounts whose role requires 2FA can only enrol until they turn it on
+      ...(isTwoFactorRequired(seller.role) && { twoFactorSetupRequired: true }),
       seller: sellerResponse,
     });
   } catch (error) {
@@ -133,6 +304,97 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Complete a login with a two-factor code
+ * Exchanges the challenge token from POST /auth/login and a TOTP code (or an
+ * unused backup code) for the usual access and refresh tokens
+ *
+ * @async
+ * @function loginTwoFactor
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.challengeToken - Challenge token from POST /auth/login
+ * @param {string} req.body.code - 6-digit authenticator code or backup code
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with tokens and seller object
+ * @throws {401} If the challenge is invalid or expired, or the code is wrong
+ * @throws {423} If the account is locked after too many failed attempts
+ * @throws {429} If the previous failed attempt was too recent
+ *
+ * @description
+ * Wrong codes count as failed logins, so guessing codes leads to the same
+ * delays and lockout as guessing passwords. A backup code works once; the
+ * response then reports how many are left.
+ *
+ * @example
+ * POST /auth/login/2fa
+ * Body: { challengeToken: "...", code: "492039" }
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded = null;
+    try {
+      decoded = verifyToken(challengeToken);
+    } catch {
+      decoded = null;
+    }
+
+    const seller =
+      decoded?.purpose === "2fa"
+        ? await Seller.findById(decoded.id).select(
+            "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep",
+          )
+        : null;
+
+    if (!seller || !seller.twoFactorEnabled) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Two-factor challenge is invalid or expired",
+        statusCode: 401,
+      });
+    }
+
+    if (rejectThrottledLogin(seller, res)) {
+      return;
+    }
+
+    const result = seller.verifyTwoFactorCode(code);
+    if (!result.valid) {
+      await registerFailedLoginAttempt(seller, req);
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Invalid two-factor code",
+        statusCode: 401,
+      });
+    }
+
+    // Persist the used time step or the consumed backup code
+    await seller.save();
+    if (seller.failedLoginAttempts > 0 || seller.lockedUntil) {
+      await seller.clearFailedLogins();
+    }
+
+    const tokens = await issueTokens(seller, req);
+
+    res.json({
+      ...tokens,
+      ...(result.method === "backup_code" && {
+        backupCodesRemaining: seller.twoFactorBackupCodes.length,
+      }),
+      seller: seller.toJSON(),
+    });
+  } catch (error) {
+    console.error("Error in loginTwoFactor:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred during login",
+      statusCode: 500,
+    });
+  }
+};
+
 /**
  * Activate a pending seller account (two-phase account creation)
  * Verifies pending seller details and creates active seller account with password
@@ -250,13 +512,17 @@ const activate = async (req, res) => {
 
 /**
  * Initiate password recovery for seller (SuperAdmin only)
- * Generates password reset token and sends reset email
+ * Generates password reset token and sends reset email. With resetTwoFactor,
+ * completing the reset also turns off the seller's two-factor authentication
+ * (lost authenticator device and backup codes)
  *
  * @async
  * @function recover
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.sellerId - ID of seller requiring password reset
+ * @param {boolean} [req.body.resetTwoFactor=false] - Also reset two-factor
+ *   authentication when the seller completes the reset
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with reset details
  * @throws {404} If seller not found
@@ -268,11 +534,11 @@ const activate = async (req, res) => {
  *
  * @example
  * POST /auth/recover
- * Body: { sellerId: "507f1f77bcf86cd799439011" }
+ * Body: { sellerId: "507f1f77bcf86cd799439011", resetTwoFactor: true }
  */
 const recover = async (req, res) => {
   try {
-    const { sellerId } = req.body;
+    const { sellerId, resetTwoFactor = false } = req.body;
 
     // Verify seller exists
     const seller = await Seller.findById(sellerId);
@@ -289,6 +555,7 @@ const recover = async (req, res) => {
     const resetToken = new PasswordResetToken({
       token,
       sellerId,
+      resetTwoFactor,
     });
 
     await resetToken.save();
@@ -304,11 +571,19 @@ const recover = async (req, res) => {
       });
     }
 
+    recordAudit(req, {
+      action: "seller.recover",
+      resourceType: "seller",
+      resourceId: seller._id,
+      metadata: { resetTwoFactor },
+    });
+
     // Only return token in development for testing
     const responseData = {
       message: "Password reset email sent successfully",
       sellerId,
       expiresAt: resetToken.expiresAt,
+      resetTwoFactor,
     };
 
     // In development, include the token and preview URL for testing
@@ -474,15 +749,36 @@ const reset = async (req, res) => {
       });
     }
 
-    // Update password
+    // Update password, sign out every device and lift any login lockout
     seller.password = newPassword;
+    seller.revokeTokens();
+    seller.failedLoginAttempts = 0;
+    seller.lastFailedLoginAt = null;
+    seller.lockedUntil = null;
+    // Recovery started by a superadmin for a lost authenticator
+    const twoFactorReset = resetToken.resetTwoFactor && seller.twoFactorEnabled;
+    if (resetToken.resetTwoFactor) {
+      seller.clearTwoFactor();
+    }
     await seller.save();
+    await RefreshToken.revokeSessions(seller._id, { reason: "logout_all" });
 
     // Delete used token
     await PasswordResetToken.deleteOne({ _id: resetToken._id });
 
+    if (twoFactorReset) {
+      recordAudit(req, {
+        action: "seller.two_factor_reset",
+        resourceType: "seller",
+        resourceId: seller._id,
+        before: { twoFactorEnabled: true },
+        after: { twoFactorEnabled: false },
+      });
+    }
+
     res.json({
       message: "Password reset successful",
+      ...(twoFactorReset && { twoFactorReset: true }),
     });
   } catch (error) {
     console.error("Error in reset:", error);
@@ -494,4 +790,371 @@ const reset = async (req, res) => {
   }
 };
 
-export { login, activate, recover, requestRecovery, reset, getSellerByEmail };
+/**
+ * Exchange a refresh token for a new access token (public endpoint)
+ * Refresh tokens rotate: each one can be used once and is replaced by a new one
+ *
+ * @async
+ * @function refresh
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - Refresh token from login or the last refresh
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with a new access token and refresh token
+ * @throws {401} If the refresh token is unknown, expired, revoked or reused
+ *
+ * @description
+ * - Presenting a token that was already rotated means it was copied: the
+ *   whole session is revoked and the seller has to log in again on that device
+ * - Tokens issued before the seller's tokenVersion changed are refused
+ *
+ * @example
+ * POST /auth/refresh
+ * Body: { refreshToken: "..." }
+ * Response: { token: "...", refreshToken: "...", tokenType: "Bearer", expiresIn: "15m", sessionId: "..." }
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const unauthorized = (message) =>
+      res.status(401).json({
+        error: "Unauthorized",
+        message,
+        statusCode: 401,
+      });
+
+    const stored = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+    if (!stored || stored.expiresAt <= new Date()) {
+      return unauthorized("Refresh token is invalid or expired");
+    }
+
+    if (stored.revokedAt) {
+      if (stored.revokedReason === "rotated") {
+        await RefreshToken.revokeSessions(stored.sellerId, {
+          sessionId: stored.sessionId,
+          reason: "reuse_detected",
+        });
+        return unauthorized(
+          "Refresh token was already used; the session has been revoked",
+        );
+      }
+      return unauthorized("Session has been logged out");
+    }
+
+    const seller = await Seller.findById(stored.sellerId);
+    if (!seller || stored.tokenVersion !== (seller.tokenVersion || 0)) {
+      await RefreshToken.revokeSessions(stored.sellerId, {
+        sessionId: stored.sessionId,
+        reason: "logout_all",
+      });
+      return unauthorized("Session has been revoked");
+    }
+
+    // Only one concurrent refresh can rotate the token
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "rotated" },
+    );
+    if (!rotated) {
+      return unauthorized("Refresh token was already used");
+    }
+
+    const tokens = await issueTokens(seller, req, {
+      sessionId: stored.sessionId,
+      sessionStartedAt: stored.sessionStartedAt,
+    });
+
+    res.json(tokens);
+  } catch (error) {
+    console.error("Error in refresh:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while refreshing the session",
+      statusCode: 500,
+    });
+  }
+};
+
+/**
+ * Log out the current device, or every device
+ *
+ * @async
+ * @function logout
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {boolean} [req.body.allDevices=false] - Log out every session and invalidate all access tokens
+ * @param {Object} req.user - Authenticated user
+ * @param {string} [req.sessionId] - Session of the access token (set by authenticate)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the number of sessions revoked
+ * @throws {400} If the access token has no session (issued before sessions existed)
+ *
+ * @description
+ * - Current device: the session's refresh token stops working; the access
+ *   token itself expires on its own shortly after
+ * - All devices: also bumps the seller's tokenVersion, so every access token
+ *   they hold (including this one) is refused immediately
+ *
+ * @example
+ * POST /auth/logout
+ * Body: { allDevices: true }
+ */
+const logout = async (req, res) => {
+  try {
+    const { allDevices = false } = req.body;
+
+    if (allDevices) {
+      req.user.revokeTokens();
+      await req.user.save();
+      const result = await RefreshToken.revokeSessions(req.user._id, {
+        reason: "logout_all",
+      });
+      return res.json({
+        message: "Logged out of all devices",
+        sessionsRevoked: result.modifiedCount,
+      });
+    }
+
+    if (!req.sessionId) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "This token has no session; log out of all devices instead",
+        statusCode: 400,
+      });
+    }
+
+    const result = await RefreshToken.revokeSessions(req.user._id, {
+      sessionId: req.sessionId,
+    });
+    res.json({
+      message: "Logged out",
+      sessionsRevoked: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error in logout:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred during logout",
+      statusCode: 500,
+    });
+  }
+};
+
+/**
+ * List the authenticated seller's active device sessions, newest first
+ *
+ * @async
+ * @function listSessions
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the active sessions
+ *
+ * @example
+ * GET /auth/sessions
+ * Response: {
+ *   count: 2,
+ *   sessions: [{ id: "...", startedAt: "...", lastRefreshedAt: "...", expiresAt: "...",
+ *                userAgent: "...", ip: "...", current: true }]
+ * }
+ */
+const listSessions = async (req, res) => {
+  try {
+    const tokens = await RefreshToken.find({
+      sellerId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ sessionStartedAt: -1 });
+
+    res.json({
+      count: tokens.length,
+      sessions: tokens.map((token) => ({
+        id: token.sessionId,
+        startedAt: token.sessionStartedAt,
+        lastRefreshedAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        userAgent: token.userAgent,
+        ip: token.ip,
+        current: token.sessionId === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error in listSessions:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while listing sessions",
+      statusCode: 500,
+    });
+  }
+};
+
+/**
+ * Log out one of the authenticated seller's sessions (e.g. a lost phone)
+ *
+ * @async
+ * @function revokeSession
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.sessionId - Session to revoke
+ * @param {Object} req.user - Authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Empty response with 204 status
+ * @throws {404} If the seller has no active session with this id
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const result = await RefreshToken.revokeSessions(req.user._id, {
+      sessionId: req.params.sessionId,
+    });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Session not found",
+        statusCode: 404,
+      });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error in revokeSession:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "An error occurred while revoking the session",
+      statusCode: 500,
+    });
+  }
+};
+
+/**
+ * Get the authenticated seller's permissions
+ * Lets the frontend hide actions the seller's role does not allow
+ *
+ * @async
+ * @function getMyPermissions
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated seller
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with role and permissions
+ *
+ * @example
+ * GET /auth/me/permissions
+ * Response: { role: "user", permissions: ["sales:read", "sales:create", ...] }
+ */
+const getMyPermissions = async (req, res, next) => {
+  try {
+    res.json({
+      role: req.user.role,
+      permissions: await getRequestPermissions(req),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get the locations the authenticated seller works at
+ *
+ * @async
+ * @function getMyLocations
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated seller
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the assigned locations and the current one
+ *
+ * @example
+ * GET /auth/me/locations
+ * Response: { currentLocation: "507f...", locations: [{ id: "507f...", name: "Plaza Stall", ... }] }
+ */
+const getMyLocations = async (req, res, next) => {
+  try {
+    const locations = await Location.find({
+      _id: { $in: req.user.locations },
+    }).sort({ name: 1 });
+
+    res.json({
+      currentLocation: req.user.currentLocation,
+      locations: locations.map((location) => location.toJSON()),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Choose the location the authenticated seller is selling from
+ * Required before selling or dropping stock once the seller has locations
+ *
+ * @async
+ * @function setMyLocation
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated seller
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.locationId - One of the seller's locations
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the current location
+ * @throws {400} If the location is inactive
+ * @throws {403} If the seller is not assigned to the location
+ *
+ * @example
+ * PUT /auth/me/location
+ * Body: { locationId: "507f1f77bcf86cd799439011" }
+ */
+const setMyLocation = async (req, res, next) => {
+  try {
+    const { locationId } = req.body;
+
+    if (!req.user.worksAt(locationId)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "You are not assigned to this location",
+        statusCode: 403,
+      });
+    }
+
+    const location = await Location.findById(locationId);
+    if (!location || !location.isActive) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Location is inactive",
+        statusCode: 400,
+      });
+    }
+
+    const previousLocation = req.user.currentLocation;
+    req.user.currentLocation = location._id;
+    await req.user.save();
+
+    recordAudit(req, {
+      action: "seller.location_select",
+      resourceType: "seller",
+      resourceId: req.user._id,
+      before: { currentLocation: previousLocation },
+      after: { currentLocation: location._id },
+    });
+
+    res.json({ currentLocation: location.toJSON() });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export {
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
+  getMyPermissions,
+  getMyLocations,
+  setMyLocation,
+  activate,
+  recover,
+  requestRecovery,
+  reset,
+  getSellerByEmail,
+};
@@ -1,23 +1,74 @@
+import mongoose from "mongoose";
 import Customer, { normalizePhoneNumber } from "../models/Customer.js";
 import Sale from "../models/Sale.js";
+import { recordAudit } from "../utils/audit.js";
+import { hasPermission } from "../middleware/auth.js";
 import csv from "csv-parser";
 import multer from "multer";
 import { Readable } from "stream";
 
 /**
  * List all customers
+ * Each customer includes their current unpaid balance against their credit limit
  *
  * @async
  * @function listCustomers
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.includeDeleted="false"] - Include soft-deleted customers (customers:read:deleted)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON array of all customers
+ * @throws {403} If deleted customers are asked for without customers:read:deleted
  */
 const listCustomers = async (req, res) => {
-  const customers = await Customer.find({});
-  res.json(customers);
+  const includeDeleted = req.query.includeDeleted === "true";
+  if (includeDeleted && !(await hasPermission(req, "customers:read:deleted"))) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "Listing deleted customers requires customers:read:deleted",
+      statusCode: 403,
+    });
+  }
+
+  const [customers, receivables] = await Promise.all([
+    Customer.find(includeDeleted ? {} : { deletedAt: null }),
+    Sale.getReceivables(),
+  ]);
+
+  const balances = new Map(
+    receivables.map((r) => [r.customerId.toString(), r.totalOutstanding]),
+  );
+
+  res.json(
+    customers.map((customer) => {
+      const currentBalance = balances.get(customer._id.toString()) || 0;
+      const hasLimit =
+        customer.creditLimit !== null && customer.creditLimit !== undefined;
+      return {
+        ...customer.toJSON(),
+        currentBalance,
+        availableCredit: hasLimit
+          ? Math.round((customer.creditLimit - currentBalance) * 100) / 100
+          : null,
+        overCreditLimit: hasLimit && currentBalance > customer.creditLimit,
+      };
+    }),
+  );
 };
 
+/**
+ * Check whether the request is trying to set a credit limit without the
+ * customers:credit:write permission
+ *
+ * @async
+ * @function rejectsCreditLimitChange
+ * @param {Object} req - Express request object
+ * @returns {Promise<boolean>} True if a creditLimit is sent without permission
+ */
+const rejectsCreditLimitChange = async (req) =>
+  req.body.creditLimit !== undefined &&
+  !(await hasPermission(req, "customers:credit:write"));
+
 /**
  * Create a new customer
  * Validates uniqueness of phone number and email before creation
@@ -30,14 +81,24 @@ const listCustomers = async (req, res) => {
  * @param {string} req.body.lastName - Customer's last name
  * @param {string} req.body.phoneNumber - Customer's 10-digit phone number
  * @param {string} [req.body.email] - Customer's email (optional)
+ * @param {number} [req.body.creditLimit] - Maximum unpaid balance (customers:credit:write, omit for no limit)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with created customer (201)
+ * @throws {403} If a credit limit is set without customers:credit:write
  * @throws {409} If phone number or email already exists
  * @throws {400} If validation fails
  */
 const createCustomer = async (req, res) => {
   try {
-    const { firstName, lastName, phoneNumber, email } = req.body;
+    const { firstName, lastName, phoneNumber, email, creditLimit } = req.body;
+
+    if (await rejectsCreditLimitChange(req)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Setting credit limits requires customers:credit:write",
+        statusCode: 403,
+      });
+    }
 
     // Normalize phone number before checking for duplicates
     const normalizedPhoneNumber = normalizePhoneNumber(phoneNumber);
@@ -49,7 +110,9 @@ const createCustomer = async (req, res) => {
     if (existingCustomerByPhone) {
       return res.status(409).json({
         error: "Conflict",
-        message: "A customer with this phone number already exists",
+        message: existingCustomerByPhone.deletedAt
+          ? "A deleted customer has this phone number; restore them instead"
+          : "A customer with this phone number already exists",
         statusCode: 409,
         details: [
           {
@@ -59,6 +122,7 @@ const createCustomer = async (req, res) => {
               id: existingCustomerByPhone._id,
               name: `${existingCustomerByPhone.firstName} ${existingCustomerByPhone.lastName}`,
               phoneNumber: existingCustomerByPhone.phoneNumber,
+              deleted: Boolean(existingCustomerByPhone.deletedAt),
             },
           },
         ],
@@ -97,9 +161,17 @@ const createCustomer = async (req, res) => {
       phoneNumber: normalizedPhoneNumber,
       email:
         email && email.trim() !== "" ? email.toLowerCase().trim() : undefined,
+      creditLimit: creditLimit ?? null,
     });
 
     await customer.save();
+    recordAudit(req, {
+      action: "customer.create",
+      resourceType: "customer",
+      resourceId: customer._id,
+      before: null,
+      after: customer,
+    });
     res.status(201).json(customer.toJSON());
   } catch (error) {
     // Handle MongoDB duplicate key errors as backup
@@ -154,8 +226,10 @@ const createCustomer = async (req, res) => {
  * @param {string} [req.body.lastName] - Updated last name
  * @param {string} [req.body.phoneNumber] - Updated phone number
  * @param {string} [req.body.email] - Updated email
+ * @param {number|null} [req.body.creditLimit] - Updated credit limit, null removes it (customers:credit:write)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with updated customer
+ * @throws {403} If the credit limit is changed without customers:credit:write
  * @throws {404} If customer not found
  * @throws {409} If phone number or email conflict with existing customer
  * @throws {400} If validation fails
@@ -165,6 +239,14 @@ const updateCustomer = async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
+    if (await rejectsCreditLimitChange(req)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Setting credit limits requires customers:credit:write",
+        statusCode: 403,
+      });
+    }
+
     // Verify customer exists
     const existingCustomer = await Customer.findById(id);
     if (!existingCustomer) {
@@ -262,6 +344,13 @@ const updateCustomer = async (req, res) => {
       runValidators: true,
     });
 
+    recordAudit(req, {
+      action: "customer.update",
+      resourceType: "customer",
+      resourceId: customer._id,
+      before: existingCustomer,
+      after: customer,
+    });
     res.json(customer.toJSON());
   } catch (error) {
     // Handle MongoDB duplicate key errors
@@ -304,18 +393,34 @@ const updateCustomer = async (req, res) => {
 
 /**
  * Delete a customer
+ * Soft-deletes by default; past sales keep pointing at the customer
  *
  * @async
  * @function deleteCustomer
  * @param {Object} req - Express request object
  * @param {Object} req.params - URL parameters
  * @param {string} req.params.id - Customer ID to delete
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.permanent="false"] - Remove the document for good (records:purge)
+ * @param {string} [req.query.force="false"] - Permanently delete even if sales reference it (records:purge:force)
+ * @param {Object} req.user - Authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Empty response with 204 status
+ * @throws {403} If deleting permanently without records:purge, or forcing without records:purge:force
  * @throws {404} If customer not found
+ * @throws {409} If already soft-deleted, or referenced by sales without force
+ *
+ * @description
+ * - Soft deletion sets deletedAt/deletedBy: the customer disappears from the
+ *   list and cannot buy, and can be brought back with POST /:id/restore
+ * - Statements, balances and transactions stay available for deleted customers
+ * - Permanent deletion is refused while any sale references the customer,
+ *   unless force=true is passed (records:purge:force)
  */
 const deleteCustomer = async (req, res) => {
   const { id } = req.params;
+  const permanent = req.query.permanent === "true";
+  const force = req.query.force === "true";
 
   const customer = await Customer.findById(id);
   if (!customer) {
@@ -326,10 +431,115 @@ const deleteCustomer = async (req, res) => {
     });
   }
 
+  if (!permanent) {
+    if (customer.deletedAt) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Customer is already deleted",
+        statusCode: 409,
+      });
+    }
+
+    const before = customer.toObject();
+    customer.softDelete(req.user._id);
+    await customer.save();
+
+    recordAudit(req, {
+      action: "customer.delete",
+      resourceType: "customer",
+      resourceId: customer._id,
+      before,
+      after: customer,
+    });
+    return res.status(204).send();
+  }
+
+  if (!(await hasPermission(req, "records:purge"))) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "Permanently deleting customers requires records:purge",
+      statusCode: 403,
+    });
+  }
+  if (force && !(await hasPermission(req, "records:purge:force"))) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message:
+        "Forcing deletion of customers with sales requires records:purge:force",
+      statusCode: 403,
+    });
+  }
+
+  const saleCount = await Sale.countDocuments({ customerId: customer._id });
+  if (saleCount > 0 && !force) {
+    return res.status(409).json({
+      error: "Conflict",
+      message:
+        "Customer is referenced by past sales; soft-delete them instead, or force the deletion",
+      statusCode: 409,
+      details: { saleCount },
+    });
+  }
+
   await Customer.deleteOne({ _id: id });
+  recordAudit(req, {
+    action: "customer.purge",
+    resourceType: "customer",
+    resourceId: customer._id,
+    before: customer,
+    after: null,
+    metadata: { saleCount, forced: force },
+  });
   res.status(204).send();
 };
 
+/**
+ * Restore a soft-deleted customer
+ *
+ * @async
+ * @function restoreCustomer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Customer ID to restore
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the restored customer
+ * @throws {404} If customer not found
+ * @throws {409} If the customer is not deleted
+ */
+const restoreCustomer = async (req, res) => {
+  const { id } = req.params;
+
+  const customer = await Customer.findById(id);
+  if (!customer) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: "Customer not found",
+      statusCode: 404,
+    });
+  }
+
+  if (!customer.deletedAt) {
+    return res.status(409).json({
+      error: "Conflict",
+      message: "Customer is not deleted",
+      statusCode: 409,
+    });
+  }
+
+  const before = customer.toObject();
+  customer.restore();
+  await customer.save();
+
+  recordAudit(req, {
+    action: "customer.restore",
+    resourceType: "customer",
+    resourceId: customer._id,
+    before,
+    after: customer,
+  });
+  res.json(customer.toJSON());
+};
+
 /**
  * Get customer transaction history with pagination
  * Returns customer details and their sales with optional filtering
@@ -416,6 +626,381 @@ const getCustomerTransactions = async (req, res) => {
   });
 };
 
+/**
+ * Get a customer's outstanding balance with aging buckets
+ * Lists every unsettled, non-voided sale that still has money owed
+ *
+ * @async
+ * @function getCustomerBalance
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Customer ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with balance, aging buckets and open sales
+ * @throws {400} If the customer ID is malformed
+ * @throws {404} If customer not found
+ */
+const getCustomerBalance = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid customer ID format",
+      statusCode: 400,
+    });
+  }
+
+  try {
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Customer not found",
+        statusCode: 404,
+      });
+    }
+
+    const now = new Date();
+    const [receivable] = await Sale.getReceivables(now, { customerId: id });
+
+    const openSales = await Sale.find({
+      customerId: id,
+      settled: false,
+      status: { $ne: "voided" },
+    }).sort({ createdAt: 1 });
+
+    res.json({
+      customer: customer.toJSON(),
+      totalOutstanding: receivable ? receivable.totalOutstanding : 0,
+      aging: receivable
+        ? receivable.aging
+        : { days0to7: 0, days8to30: 0, days31to60: 0, over60: 0 },
+      openSales: openSales
+        .filter((sale) => sale.getBalanceDue() > 0)
+        .map((sale) => {
+          const saleDate = sale.originalCreatedAt || sale.createdAt;
+          return {
+            id: sale._id,
+            saleDate,
+            totalAmount: sale.totalAmount,
+            refundedAmount: sale.refundedAmount || 0,
+            amountPaid: sale.amountPaid,
+            balanceDue: sale.getBalanceDue(),
+            ageDays: Math.max(
+              0,
+              Math.floor((now - saleDate) / (24 * 60 * 60 * 1000)),
+            ),
+          };
+        }),
+    });
+  } catch (error) {
+    console.error("Customer balance error:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Failed to retrieve customer balance",
+      statusCode: 500,
+    });
+  }
+};
+
+/**
+ * Turn a customer's sales into chronological statement entries
+ * Charges increase the balance owed, credits reduce it
+ *
+ * @function buildStatementEntries
+ * @param {Array<Object>} sales - Sale documents for a single customer
+ * @returns {Array<Object>} Entries sorted by date
+ */
+const buildStatementEntries = (sales) => {
+  const entries = [];
+
+  for (const sale of sales) {
+    const saleDate = sale.originalCreatedAt || sale.createdAt;
+    const reference = sale._id.toString();
+    const itemCount = sale.products.reduce((sum, p) => sum + p.quantity, 0);
+
+    entries.push({
+      date: saleDate,
+      type: "sale",
+      reference,
+      description: `Sale (${itemCount} item${itemCount === 1 ? "" : "s"})`,
+      charge: sale.totalAmount,
+      credit: 0,
+    });
+
+    if (sale.payments && sale.payments.length > 0) {
+      for (const payment of sale.payments) {
+        entries.push({
+          date: payment.receivedAt,
+          type: "payment",
+          reference,
+          description: payment.method
+            ? `Payment (${payment.method})`
+            : "Payment",
+          charge: 0,
+          credit: payment.amount,
+        });
+      }
+    } else {
+      // Sales recorded before the payment ledger existed only keep a total
+      const returned =
+        (sale.refunds || []).reduce((sum, r) => sum + r.amountReturned, 0) +
+        (sale.voidAmountReturned || 0);
+      const legacyPaid = sale.amountPaid + returned;
+      if (legacyPaid > 0) {
+        entries.push({
+          date: sale.settledAt || saleDate,
+          type: "payment",
+          reference,
+          description: "Payment",
+          charge: 0,
+          credit: legacyPaid,
+        });
+      }
+    }
+
+    for (const refund of sale.refunds || []) {
+      entries.push({
+        date: refund.refundedAt,
+        type: "refund",
+        reference,
+        description: `Refund: ${refund.reason}`,
+        charge: 0,
+        credit: refund.amount,
+      });
+      if (refund.amountReturned > 0) {
+        entries.push({
+          date: refund.refundedAt,
+          type: "refund_payout",
+          reference,
+          description: "Refund paid out",
+          charge: refund.amountReturned,
+          credit: 0,
+        });
+      }
+    }
+
+    if (sale.status === "voided") {
+      entries.push({
+        date: sale.voidedAt,
+        type: "void",
+        reference,
+        description: `Sale voided: ${sale.voidReason}`,
+        charge: 0,
+        credit: sale.getNetTotal(),
+      });
+      if (sale.voidAmountReturned > 0) {
+        entries.push({
+          date: sale.voidedAt,
+          type: "void_payout",
+          reference,
+          description: "Payment returned",
+          charge: sale.voidAmountReturned,
+          credit: 0,
+        });
+      }
+    }
+  }
+
+  return entries.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Render a statement as fixed-width plain text for printing
+ *
+ * @function renderStatementText
+ * @param {Object} statement - Statement built by getCustomerStatement
+ * @returns {string} Printable statement
+ */
+const renderStatementText = (statement) => {
+  const money = (value) => value.toFixed(2);
+  const day = (date) => (date ? date.toISOString().split("T")[0] : "");
+  const width = 78;
+  const rule = "-".repeat(width);
+  const { customer, period } = statement;
+
+  const lines = [
+    "CUSTOMER STATEMENT",
+    rule,
+    `Customer: ${customer.firstName} ${customer.lastName}`,
+    `Phone:    ${customer.phoneNumber}`,
+  ];
+  if (customer.email) {
+    lines.push(`Email:    ${customer.email}`);
+  }
+  lines.push(
+    `Period:   ${day(period.startDate) || "beginning"} to ${day(period.endDate)}`,
+    `Issued:   ${day(statement.generatedAt)}`,
+    rule,
+    [
+      "Date".padEnd(12),
+      "Description".padEnd(32),
+      "Charge".padStart(10),
+      "Credit".padStart(10),
+      "Balance".padStart(12),
+    ].join(""),
+    rule,
+    `${"".padEnd(12)}${"Opening balance".padEnd(52)}${money(statement.openingBalance).padStart(12)}`,
+  );
+
+  for (const entry of statement.entries) {
+    lines.push(
+      [
+        day(entry.date).padEnd(12),
+        entry.description.slice(0, 31).padEnd(32),
+        (entry.charge ? money(entry.charge) : "").padStart(10),
+        (entry.credit ? money(entry.credit) : "").padStart(10),
+        money(entry.balance).padStart(12),
+      ].join(""),
+    );
+  }
+
+  lines.push(
+    rule,
+    `${"Closing balance".padEnd(64)}${money(statement.closingBalance).padStart(12)}`,
+    "",
+    "Aging of current balance",
+    `  0-7 days:   ${money(statement.aging.days0to7)}`,
+    `  8-30 days:  ${money(statement.aging.days8to30)}`,
+    `  31-60 days: ${money(statement.aging.days31to60)}`,
+    `  60+ days:   ${money(statement.aging.over60)}`,
+  );
+
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Get a printable account statement for a customer
+ * Shows charges, payments, refunds and voids with a running balance
+ *
+ * @async
+ * @function getCustomerStatement
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Customer ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.startDate] - Statement start date (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - Statement end date (YYYY-MM-DD, defaults to today)
+ * @param {string} [req.query.format="json"] - Output format (json/text)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON statement or plain text for printing
+ * @throws {404} If customer not found
+ * @throws {400} If the customer ID is malformed, or dates or format are invalid
+ *
+ * @description
+ * Activity before startDate is rolled up into the opening balance. The aging
+ * buckets always reflect the balance outstanding right now.
+ */
+const getCustomerStatement = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid customer ID format",
+      statusCode: 400,
+    });
+  }
+
+  try {
+    const { startDate, endDate, format = "json" } = req.query;
+
+    if (!["json", "text"].includes(format)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Format must be one of: json, text",
+        statusCode: 400,
+      });
+    }
+
+    let start = null;
+    if (startDate) {
+      start = new Date(startDate);
+      if (isNaN(start.getTime())) {
+        return res.status(400).json({
+          error: "Bad Request",
+          message:
+            "Invalid startDate format. Use YYYY-MM-DD or ISO 8601 format",
+          statusCode: 400,
+        });
+      }
+      start.setUTCHours(0, 0, 0, 0);
+    }
+
+    const end = endDate ? new Date(endDate) : new Date();
+    if (isNaN(end.getTime())) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Invalid endDate format. Use YYYY-MM-DD or ISO 8601 format",
+        statusCode: 400,
+      });
+    }
+    end.setUTCHours(23, 59, 59, 999);
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Customer not found",
+        statusCode: 404,
+      });
+    }
+
+    const sales = await Sale.find({ customerId: id }).sort({ createdAt: 1 });
+    const round = (value) => Math.round(value * 100) / 100;
+
+    let openingBalance = 0;
+    let balance = 0;
+    const entries = [];
+    for (const entry of buildStatementEntries(sales)) {
+      if (entry.date > end) {
+        continue;
+      }
+      balance = round(balance + entry.charge - entry.credit);
+      if (start && entry.date < start) {
+        openingBalance = balance;
+      } else {
+        entries.push({ ...entry, balance });
+      }
+    }
+
+    const [receivable] = await Sale.getReceivables(new Date(), {
+      customerId: id,
+    });
+
+    const statement = {
+      customer: customer.toJSON(),
+      period: { startDate: start, endDate: end },
+      generatedAt: new Date(),
+      openingBalance,
+      entries,
+      totals: {
+        charges: round(entries.reduce((sum, e) => sum + e.charge, 0)),
+        credits: round(entries.reduce((sum, e) => sum + e.credit, 0)),
+      },
+      closingBalance: balance,
+      aging: receivable
+        ? receivable.aging
+        : { days0to7: 0, days8to30: 0, days31to60: 0, over60: 0 },
+    };
+
+    if (format === "text") {
+      res.type("text/plain");
+      return res.send(renderStatementText(statement));
+    }
+
+    res.json(statement);
+  } catch (error) {
+    console.error("Customer statement error:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Failed to retrieve customer statement",
+      statusCode: 500,
+    });
+  }
+};
+
 /**
  * Validate customer data from CSV import
  * Checks required fields and phone number format
@@ -681,7 +1266,10 @@ export {
   createCustomer,
   updateCustomer,
   deleteCustomer,
+  restoreCustomer,
   getCustomerTransactions,
+  getCustomerBalance,
+  getCustomerStatement,
   importCustomersFromCSV,
   upload,
 };
@@ -1,10 +1,17 @@
 import InventoryDrop from "../models/InventoryDrop.js";
 import Product from "../models/Product.js";
+import StockMovement from "../models/StockMovement.js";
+import StockLot from "../models/StockLot.js";
+import {
+  crossedReorderPoint,
+  raiseLowStockAlerts,
+} from "../utils/stockAlerts.js";
 import mongoose from "mongoose";
 import { validationResult } from "express-validator";
+import { hasPermission } from "../middleware/auth.js";
 
 /**
- * Drop inventory for a product (admin/superadmin only)
+ * Drop inventory for a product (drops:create)
  * Creates a persistent record for analytics and updates product inventory
  *
  * @async
@@ -18,16 +25,27 @@ import { validationResult } from "express-validator";
  * @param {string} [req.body.productionDate] - Production date
  * @param {string} [req.body.expirationDate] - Expiration date
  * @param {string} [req.body.batchId] - Batch identifier
+ * @param {string} [req.body.lotId] - Stock lot the units come from (defaults dates and batch)
  * @param {Object} req.user - Authenticated user
  * @param {string} req.user.id - User ID performing the drop
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with drop details and undo information (201)
- * @throws {404} If product not found
- * @throws {400} If quantity is invalid or insufficient inventory
+ * @throws {404} If product or lot not found
+ * @throws {400} If quantity is invalid, insufficient inventory, the lot does
+ *   not match or is at another location, or the seller has locations but has
+ *   not chosen one
  *
  * @description
  * Uses MongoDB transaction to ensure atomic operation
+ * Units are taken from the seller's current location (recorded on the drop);
+ * sellers without locations drop unassigned stock
  * Creates audit trail and allows undo within 8-hour window
+ * When a lotId is given, productionDate, expirationDate and batchId default
+ * to the lot's values and the lot's remaining quantity is reduced; otherwise
+ * the units are taken from the product's oldest lots at the location first
+ * (expired ones included)
+ * Raises a low-stock alert when the drop takes the product to or below its
+ * reorder point
  */
 const dropInventory = async (req, res) => {
   const errors = validationResult(req);
@@ -52,9 +70,21 @@ const dropInventory = async (req, res) => {
       productionDate,
       expirationDate,
       batchId,
+      lotId,
     } = req.body;
     const droppedBy = req.user.id;
 
+    if (req.user.needsLocation()) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        error: "Location Required",
+        message:
+          "Choose your current location (PUT /auth/me/location) before dropping stock",
+        statusCode: 400,
+      });
+    }
+    const locationId = req.user.currentLocation || null;
+
     // Find the product
     const product = await Product.findById(productId).session(session);
     if (!product) {
@@ -76,15 +106,84 @@ const dropInventory = async (req, res) => {
       });
     }
 
-    if (quantityToDrop > product.count) {
+    const available = product.getLocationCount(locationId);
+    if (quantityToDrop > available) {
       await session.abortTransaction();
       return res.status(400).json({
         error: "Insufficient Inventory",
-        message: `Cannot drop ${quantityToDrop} units. Only ${product.count} units available`,
+        message: `Cannot drop ${quantityToDrop} units. Only ${available} units available`,
         statusCode: 400,
       });
     }
 
+    // Resolve the lots the dropped units come from
+    let lot = null;
+    let lots;
+    if (lotId) {
+      lot = await StockLot.findById(lotId).session(session);
+      if (!lot) {
+        await session.abortTransaction();
+        return res.status(404).json({
+          error: "Lot Not Found",
+          message: "Stock lot with the specified ID does not exist",
+          statusCode: 404,
+        });
+      }
+
+      if (!lot.productId.equals(product._id)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          error: "Lot Mismatch",
+          message: "The specified lot belongs to a different product",
+          statusCode: 400,
+        });
+      }
+
+      const lotLocationId = lot.locationId || null;
+      const atLocation = lotLocationId
+        ? lotLocationId.equals(locationId)
+        : !locationId;
+      if (!atLocation) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          error: "Lot Mismatch",
+          message: "The specified lot is at a different location",
+          statusCode: 400,
+        });
+      }
+
+      if (quantityToDrop > lot.quantityRemaining) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          error: "Insufficient Lot Quantity",
+          message: `Cannot drop ${quantityToDrop} units. Only ${lot.quantityRemaining} units left in lot ${lot.batchId}`,
+          statusCode: 400,
+        });
+      }
+
+      lot.quantityRemaining -= quantityToDrop;
+      lot.quantityDropped += quantityToDrop;
+      await lot.save({ session });
+      lots = [
+        {
+          lotId: lot._id,
+          batchId: lot.batchId,
+          quantity: quantityToDrop,
+          unitCost: lot.unitCost,
+        },
+      ];
+    } else {
+      // Without a lot the units leave the location's oldest lots first, so
+      // the lots never hold more than is on the shelf
+      lots = await StockLot.consumeFifo(
+        product._id,
+        quantityToDrop,
+        session,
+        new Date(),
+        { outcome: "dropped", locationId },
+      );
+    }
+
     // Calculate values for the drop record
     const originalQuantity = product.count;
     const remainingQuantity = originalQuantity - quantityToDrop;
@@ -99,26 +198,57 @@ const dropInventory = async (req, res) => {
       originalQuantity,
       remainingQuantity,
       pricePerUnit,
+      costPerUnit: StockLot.getUnitCost(
+        lots,
+        quantityToDrop,
+        product.unitCost ?? null,
+      ),
       reason: reason || "end_of_day",
       notes,
       droppedBy,
-      productionDate,
-      expirationDate,
-      batchId,
+      productionDate: productionDate || lot?.productionDate || undefined,
+      expirationDate: expirationDate || lot?.expirationDate || undefined,
+      batchId: batchId || lot?.batchId,
+      lotId: lot ? lot._id : null,
+      lots,
+      locationId,
     });
 
     // Save the drop record
     await inventoryDrop.save({ session });
 
     // Update product inventory
-    product.count = remainingQuantity;
+    product.adjustLocationStock(locationId, -quantityToDrop);
     product.lastModified = new Date();
 
     await product.save({ session });
 
+    await StockMovement.record(
+      {
+        productId: product._id,
+        type: "drop",
+        delta: -quantityToDrop,
+        resultingCount: product.count,
+        locationId,
+        actor: droppedBy,
+        referenceType: "InventoryDrop",
+        referenceId: inventoryDrop._id,
+        note: reason || "end_of_day",
+      },
+      session,
+    );
+
     // Commit the transaction
     await session.commitTransaction();
 
+    if (crossedReorderPoint(product, originalQuantity)) {
+      await raiseLowStockAlerts([product], {
+        source: "drop",
+        referenceId: inventoryDrop._id,
+        triggeredBy: droppedBy,
+      });
+    }
+
     // Populate the response data
     await inventoryDrop.populate([
       { path: "productId", select: "productName category price" },
@@ -155,7 +285,7 @@ const dropInventory = async (req, res) => {
 };
 
 /**
- * Undo an inventory drop (admin/superadmin only)
+ * Undo an inventory drop (drops:undo:any, or drops:undo:own for one's own drops)
  * Restores the inventory and marks the drop as undone
  *
  * @async
@@ -169,6 +299,7 @@ const dropInventory = async (req, res) => {
  * @param {string} req.user.id - User ID performing the undo
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with restored inventory details
+ * @throws {403} If the drop was made by someone else and drops:undo:any is missing
  * @throws {404} If drop or product not found
  * @throws {400} If drop cannot be undone (already undone or expired)
  *
@@ -197,6 +328,19 @@ const undoInventoryDrop = async (req, res) => {
       });
     }
 
+    // Without drops:undo:any, only one's own drops can be undone
+    if (
+      inventoryDrop.droppedBy.toString() !== req.user._id.toString() &&
+      !(await hasPermission(req, "drops:undo:any"))
+    ) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Undoing other sellers' drops requires drops:undo:any",
+        statusCode: 403,
+      });
+    }
+
     // Check if drop can be undone
     if (!inventoryDrop.canUndo()) {
       await session.abortTransaction();
@@ -222,13 +366,53 @@ const undoInventoryDrop = async (req, res) => {
       });
     }
 
-    // Restore inventory
+    // Restore inventory at the location it was dropped from
     const previousQuantity = product.count;
-    product.count += inventoryDrop.quantityDropped;
+    product.adjustLocationStock(
+      inventoryDrop.locationId,
+      inventoryDrop.quantityDropped,
+    );
     product.lastModified = new Date();
 
     await product.save({ session });
 
+    // Put the units back into the lots they were dropped from (drops made
+    // before lots were recorded only name the chosen lot)
+    if (inventoryDrop.lots.length > 0) {
+      await StockLot.returnUnits(
+        inventoryDrop.lots,
+        inventoryDrop.quantityDropped,
+        session,
+        { outcome: "dropped" },
+      );
+    } else if (inventoryDrop.lotId) {
+      await StockLot.updateOne(
+        { _id: inventoryDrop.lotId },
+        {
+          $inc: {
+            quantityRemaining: inventoryDrop.quantityDropped,
+            quantityDropped: -inventoryDrop.quantityDropped,
+          },
+        },
+        { session },
+      );
+    }
+
+    await StockMovement.record(
+      {
+        productId: product._id,
+        type: "drop_undo",
+        delta: inventoryDrop.quantityDropped,
+        resultingCount: product.count,
+        locationId: inventoryDrop.locationId,
+        actor: undoneBy,
+        referenceType: "InventoryDrop",
+        referenceId: inventoryDrop._id,
+        note: undoReason,
+      },
+      session,
+    );
+
     // Mark drop as undone
     await inventoryDrop.undoDrop(undoneBy, undoReason);
 
@@ -278,6 +462,7 @@ const undoInventoryDrop = async (req, res) => {
  * @param {string} [req.query.productId] - Filter by product ID
  * @param {string} [req.query.reason] - Filter by drop reason
  * @param {string} [req.query.droppedBy] - Filter by user who dropped
+ * @param {string} [req.query.locationId] - Filter by location
  * @param {string} [req.query.startDate] - Start date filter
  * @param {string} [req.query.endDate] - End date filter
  * @param {string} [req.query.includeUndone="false"] - Include undone drops
@@ -292,6 +477,7 @@ const listInventoryDrops = async (req, res) => {
       productId,
       reason,
       droppedBy,
+      locationId,
       startDate,
       endDate,
       includeUndone = "false",
@@ -313,6 +499,9 @@ const listInventoryDrops = async (req, res) => {
     if (droppedBy) {
       filter.droppedBy = droppedBy;
     }
+    if (locationId) {
+      filter.locationId = locationId;
+    }
     if (includeUndone === "false") {
       filter.isUndone = false;
     }
@@ -407,15 +596,20 @@ const getUndoableDrops = async (req, res) => {
  * @param {string} [req.query.productId] - Filter by product
  * @param {string} [req.query.reason] - Filter by drop reason
  * @param {string} [req.query.droppedBy] - Filter by user
+ * @param {string} [req.query.locationId] - Filter by location
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with comprehensive analytics
  *
  * @description
  * Returns:
- * - Total quantity dropped and value lost
+ * - Total quantity dropped and value lost, at sale price and at cost
  * - Analytics grouped by reason
  * - Daily summary
  * - Average values and trends
+ * - Expiry outcomes for stock lots that expired in the period: value sold
+ *   before expiry (waste prevented) vs. value dropped (waste incurred)
+ * - locationId narrows the drop figures and expiry outcomes; today's summary
+ *   covers every location
  */
 const getDropAnalytics = async (req, res) => {
   try {
@@ -425,6 +619,7 @@ const getDropAnalytics = async (req, res) => {
       productId,
       reason,
       droppedBy,
+      locationId,
     } = req.query;
 
     const start = new Date(startDate);
@@ -435,19 +630,28 @@ const getDropAnalytics = async (req, res) => {
       productId,
       reason,
       droppedBy,
+      locationId,
     });
 
     // Get daily summary for the period
     const dailySummary = await InventoryDrop.getDailyDropSummary(end);
 
+    // What happened to the lots that reached their expiration date
+    const outcomes = await StockLot.getExpiryOutcomes(start, end, {
+      productId,
+      locationId,
+    });
+
     // Calculate totals
     let totalQuantityDropped = 0;
     let totalValueLost = 0;
+    let totalCostLost = 0;
     let totalDropCount = 0;
 
     analytics.forEach((reasonGroup) => {
       totalQuantityDropped += reasonGroup.totalQuantityDropped;
       totalValueLost += reasonGroup.totalValueLost;
+      totalCostLost += reasonGroup.totalCostLost;
       totalDropCount += reasonGroup.totalDropCount;
     });
 
@@ -460,6 +664,7 @@ const getDropAnalytics = async (req, res) => {
       summary: {
         totalQuantityDropped,
         totalValueLost: Math.round(totalValueLost * 100) / 100,
+        totalCostLost: Math.round(totalCostLost * 100) / 100,
         totalDropCount,
         avgValuePerDrop:
           totalDropCount > 0
@@ -468,6 +673,17 @@ const getDropAnalytics = async (req, res) => {
       },
       analyticsByReason: analytics,
       todaysSummary: dailySummary,
+      expiryOutcomes: {
+        lotCount: outcomes?.lotCount || 0,
+        quantityReceived: outcomes?.quantityReceived || 0,
+        quantitySold: outcomes?.quantitySold || 0,
+        quantityDropped: outcomes?.quantityDropped || 0,
+        quantityUnaccounted: outcomes?.quantityRemaining || 0,
+        wastePrevented: Math.round((outcomes?.valueSold || 0) * 100) / 100,
+        wasteIncurred: Math.round((outcomes?.valueDropped || 0) * 100) / 100,
+        valueUnaccounted:
+          Math.round((outcomes?.valueRemaining || 0) * 100) / 100,
+      },
     });
   } catch (error) {
     console.error("Error getting drop analytics:", error);
@@ -479,6 +695,75 @@ const getDropAnalytics = async (req, res) => {
   }
 };
 
+/**
+ * Get stock lots that expire within the next N hours
+ * Lists lots that still have units on hand, soonest expiry first, so staff can
+ * sell or discount them before they have to be dropped
+ *
+ * @async
+ * @function getExpiringStock
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.hours=48] - Look-ahead window in hours
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with expiring lots and total value at risk
+ * @throws {400} If hours is not a positive number
+ *
+ * @description
+ * Lots already past their expiration date are included and flagged with
+ * `expired: true`. Value at risk uses the product's current price.
+ */
+const getExpiringStock = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation Error",
+      message: "Invalid input data",
+      details: errors.array(),
+      statusCode: 400,
+    });
+  }
+
+  try {
+    const hours = req.query.hours ? Number(req.query.hours) : 48;
+    const asOf = new Date();
+
+    const lots = await StockLot.getExpiringLots(hours, asOf);
+
+    const totalQuantity = lots.reduce(
+      (sum, lot) => sum + lot.quantityRemaining,
+      0,
+    );
+    const totalValueAtRisk = lots.reduce(
+      (sum, lot) => sum + lot.valueAtRisk,
+      0,
+    );
+
+    res.json({
+      message: `Found ${lots.length} lots expiring within ${hours} hours`,
+      window: {
+        hours,
+        from: asOf.toISOString(),
+        until: new Date(asOf.getTime() + hours * 60 * 60 * 1000).toISOString(),
+      },
+      summary: {
+        lotCount: lots.length,
+        expiredLotCount: lots.filter((lot) => lot.expired).length,
+        totalQuantity,
+        totalValueAtRisk: Math.round(totalValueAtRisk * 100) / 100,
+      },
+      lots,
+    });
+  } catch (error) {
+    console.error("Error getting expiring stock:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "Failed to retrieve expiring stock",
+      statusCode: 500,
+    });
+  }
+};
+
 /**
  * Get inventory drop details by ID
  *
@@ -529,5 +814,6 @@ export {
   listInventoryDrops,
   getUndoableDrops,
   getDropAnalytics,
+  getExpiringStock,
   getInventoryDropById,
 };
@@ -0,0 +1,326 @@
+import Location from "../models/Location.js";
+import Product from "../models/Product.js";
+import Seller from "../models/Seller.js";
+import StockTransfer from "../models/StockTransfer.js";
+import { recordAudit } from "../utils/audit.js";
+import mongoose from "mongoose";
+
+// Fields an admin may set on a location
+const LOCATION_FIELDS = ["name", "code", "type", "address", "isActive"];
+
+/**
+ * Build a 409 response body for duplicate location names or codes
+ *
+ * @function duplicateLocationResponse
+ * @param {Object} error - MongoDB duplicate key error (code 11000)
+ * @returns {Object} Error response body
+ */
+const duplicateLocationResponse = (error) => {
+  const field = Object.keys(error.keyPattern)[0];
+
+  return {
+    error: "Conflict",
+    message: `A location with this ${field} already exists`,
+    statusCode: 409,
+    details: [{ field, message: `Location ${field} must be unique` }],
+  };
+};
+
+/**
+ * Load a location from the :id parameter, or send a 400/404 (internal helper)
+ *
+ * @async
+ * @function findLocation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Location document, or null if a response was sent
+ */
+const findLocation = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid location ID format",
+      statusCode: 400,
+    });
+    return null;
+  }
+
+  const location = await Location.findById(id);
+  if (!location) {
+    res.status(404).json({
+      error: "Not Found",
+      message: "Location not found",
+      statusCode: 404,
+    });
+    return null;
+  }
+
+  return location;
+};
+
+/**
+ * List locations
+ *
+ * @async
+ * @function listLocations
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.includeInactive="false"] - Include deactivated locations
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON array of locations, by name
+ *
+ * @example
+ * GET /locations
+ * Response: [{ id: "...", name: "Central Kitchen", code: "KIT", type: "kitchen", isActive: true }]
+ */
+const listLocations = async (req, res) => {
+  const filter = req.query.includeInactive === "true" ? {} : { isActive: true };
+  const locations = await Location.find(filter).sort({ name: 1 });
+
+  res.json(locations.map((location) => location.toJSON()));
+};
+
+/**
+ * Get a location with the sellers assigned to it
+ *
+ * @async
+ * @function getLocation
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Location ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the location and its sellers
+ * @throws {400} If the ID is invalid
+ * @throws {404} If location not found
+ */
+const getLocation = async (req, res) => {
+  const location = await findLocation(req, res);
+  if (!location) {
+    return;
+  }
+
+  const sellers = await Seller.find({ locations: location._id }).select(
+    "firstName lastName email role currentLocation",
+  );
+
+  res.json({
+    ...location.toJSON(),
+    sellers: sellers.map((seller) => ({
+      id: seller._id,
+      firstName: seller.firstName,
+      lastName: seller.lastName,
+      email: seller.email,
+      role: seller.role,
+      isHere: Boolean(seller.currentLocation?.equals(location._id)),
+    })),
+  });
+};
+
+/**
+ * Create a location (locations:write)
+ *
+ * @async
+ * @function createLocation
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Location name (unique)
+ * @param {string} [req.body.code] - Short code (unique)
+ * @param {string} [req.body.type="store"] - kitchen, stall, store or warehouse
+ * @param {string} [req.body.address] - Street address
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the created location (201)
+ * @throws {409} If the name or code is already used
+ *
+ * @example
+ * POST /locations
+ * Body: { name: "Plaza Stall", code: "PLZ", type: "stall" }
+ */
+const createLocation = async (req, res) => {
+  const { name, code, type, address } = req.body;
+
+  let location;
+  try {
+    location = await Location.create({
+      name,
+      code: code || undefined, // Left out so the unique index ignores it
+      type,
+      address,
+      createdBy: req.user._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json(duplicateLocationResponse(error));
+    }
+    throw error;
+  }
+
+  recordAudit(req, {
+    action: "location.create",
+    resourceType: "location",
+    resourceId: location._id,
+    before: null,
+    after: location,
+  });
+  res.status(201).json(location.toJSON());
+};
+
+/**
+ * Update a location (locations:write)
+ * Set isActive to false to retire a location. Its history is kept, sellers
+ * working there have to choose another current location, and no stock can be
+ * sold from or sent to it
+ *
+ * @async
+ * @function updateLocation
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Location ID
+ * @param {Object} req.body - Fields to update (name, code, type, address, isActive)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated location
+ * @throws {400} If the ID is invalid
+ * @throws {404} If location not found
+ * @throws {409} If the name or code is already used, or a location being
+ *   deactivated still holds stock or has transfers in transit
+ */
+const updateLocation = async (req, res) => {
+  const location = await findLocation(req, res);
+  if (!location) {
+    return;
+  }
+
+  const before = location.toObject();
+  const deactivating = req.body.isActive === false && location.isActive;
+
+  if (deactivating) {
+    const [holdsStock, inTransit] = await Promise.all([
+      Product.exists({
+        stockByLocation: {
+          $elemMatch: { locationId: location._id, count: { $gt: 0 } },
+        },
+      }),
+      StockTransfer.exists({
+        status: "in_transit",
+        $or: [{ fromLocationId: location._id }, { toLocationId: location._id }],
+      }),
+    ]);
+    if (holdsStock || inTransit) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: holdsStock
+          ? "Location still holds stock; transfer it elsewhere before deactivating"
+          : "Location has transfers in transit; receive or cancel them first",
+        statusCode: 409,
+      });
+    }
+  }
+
+  for (const field of LOCATION_FIELDS) {
+    if (req.body[field] !== undefined) {
+      location.set(field, req.body[field]);
+    }
+  }
+  // An empty code removes it so the unique index ignores it
+  if (req.body.code === "" || req.body.code === null) {
+    location.code = undefined;
+  }
+
+  try {
+    await location.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json(duplicateLocationResponse(error));
+    }
+    throw error;
+  }
+
+  if (deactivating) {
+    await Seller.updateMany(
+      { currentLocation: location._id },
+      { currentLocation: null },
+    );
+  }
+
+  recordAudit(req, {
+    action: "location.update",
+    resourceType: "location",
+    resourceId: location._id,
+    before,
+    after: location,
+  });
+  res.json(location.toJSON());
+};
+
+/**
+ * Stock on hand at a location, with units on their way to it
+ *
+ * @async
+ * @function getLocationStock
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Location ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with per-product counts and totals
+ * @throws {400} If the ID is invalid
+ * @throws {404} If location not found
+ *
+ * @example
+ * GET /locations/507f1f77bcf86cd799439011/stock
+ * Response: {
+ *   location: { id: "...", name: "Plaza Stall", ... },
+ *   products: [{ productId: "...", productName: "Empanada", count: 12, inTransit: 24, isLowStock: false }],
+ *   totals: { count: 12, inTransit: 24, value: 30000 }
+ * }
+ */
+const getLocationStock = async (req, res) => {
+  const location = await findLocation(req, res);
+  if (!location) {
+    return;
+  }
+
+  const inTransit = await StockTransfer.getInTransitTo(location._id);
+  const products = await Product.find({
+    deletedAt: null,
+    $or: [
+      { "stockByLocation.locationId": location._id },
+      { _id: { $in: [...inTransit.keys()] } },
+    ],
+  }).sort({ productName: 1 });
+
+  const rows = products
+    .map((product) => ({
+      productId: product._id,
+      productName: product.productName,
+      category: product.category,
+      price: product.price,
+      count: product.getLocationCount(location._id),
+      inTransit: inTransit.get(product._id.toString()) || 0,
+      isLowStock:
+        product.reorderPoint !== null &&
+        product.getLocationCount(location._id) <= product.reorderPoint,
+    }))
+    .filter((row) => row.count > 0 || row.inTransit > 0);
+
+  res.json({
+    location: location.toJSON(),
+    products: rows,
+    totals: {
+      count: rows.reduce((sum, row) => sum + row.count, 0),
+      inTransit: rows.reduce((sum, row) => sum + row.inTransit, 0),
+      value:
+        Math.round(
+          rows.reduce((sum, row) => sum + row.count * row.price, 0) * 100,
+        ) / 100,
+    },
+  });
+};
+
+export {
+  listLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  getLocationStock,
+};
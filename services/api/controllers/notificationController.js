@@ -0,0 +1,119 @@
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import mongoose from "mongoose";
+
+/**
+ * List in-app notifications, newest first
+ *
+ * @async
+ * @function listNotifications
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.type] - Filter by notification type (e.g. "low_stock")
+ * @param {string} [req.query.unreadOnly="false"] - Only return unacknowledged notifications
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=50] - Results per page (1-100)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with notifications, unread count and pagination
+ * @throws {400} If type is unknown
+ *
+ * @example
+ * GET /notifications?unreadOnly=true
+ */
+const listNotifications = async (req, res, next) => {
+  try {
+    const { type, unreadOnly = "false", page = 1, limit = 50 } = req.query;
+
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: `Type must be one of: ${NOTIFICATION_TYPES.join(", ")}`,
+        statusCode: 400,
+      });
+    }
+
+    const filter = {};
+    if (type) {
+      filter.type = type;
+    }
+    if (unreadOnly === "true") {
+      filter.readAt = null;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const total = await Notification.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .populate("readBy", "firstName lastName");
+
+    const unreadCount = await Notification.countDocuments({ readAt: null });
+
+    res.json({
+      notifications: notifications.map((notification) => notification.toJSON()),
+      unreadCount,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        total,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Mark a notification as read
+ * Notifications are shared by all staff, so this acknowledges it for everyone
+ *
+ * @async
+ * @function markNotificationRead
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Notification ID
+ * @param {Object} req.user - Authenticated user acknowledging the notification
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the updated notification
+ * @throws {400} If the ID is invalid
+ * @throws {404} If notification not found
+ */
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Invalid notification ID format",
+        statusCode: 400,
+      });
+    }
+
+    const notification = await Notification.findById(id);
+    if (!notification) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Notification not found",
+        statusCode: 404,
+      });
+    }
+
+    notification.markRead(req.user._id);
+    await notification.save();
+
+    res.json(notification.toJSON());
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export { listNotifications, markNotificationRead };
@@ -1,24 +1,158 @@
-import Product from "../models/Product.js";
+import Product, { PRODUCT_CATEGORIES } from "../models/Product.js";
+import StockMovement, { MOVEMENT_TYPES } from "../models/StockMovement.js";
+import StockLot from "../models/StockLot.js";
+import Sale from "../models/Sale.js";
+import Location from "../models/Location.js";
+import { recordAudit } from "../utils/audit.js";
+import { hasPermission } from "../middleware/auth.js";
 import mongoose from "mongoose";
 
+/**
+ * Build a 409 response body for duplicate SKU or barcode errors
+ *
+ * @function duplicateCodeResponse
+ * @param {Object} error - MongoDB duplicate key error (code 11000)
+ * @returns {Object} Error response body
+ */
+const duplicateCodeResponse = (error) => {
+  const field = Object.keys(error.keyPattern)[0];
+  const label = field === "sku" ? "SKU" : field;
+
+  return {
+    error: "Conflict",
+    message: `A product with this ${label} already exists`,
+    statusCode: 409,
+    details: [{ field, message: `${label} must be unique` }],
+  };
+};
+
 /**
  * List all products in inventory
  *
  * @async
  * @function listProducts
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.category] - Filter by product category
+ * @param {string} [req.query.includeDeleted="false"] - Include soft-deleted products (products:read:deleted)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON array of all products
+ * @throws {400} If category is not a known category
+ * @throws {403} If deleted products are asked for without products:read:deleted
  *
  * @example
- * GET /products
- * Response: [{ _id: "...", productName: "Turkey Sandwich", price: 8.99, count: 25 }]
+ * GET /products?category=beverage
+ * Response: [{ _id: "...", productName: "Lemonade", category: "beverage", price: 3.5, count: 40 }]
  */
 const listProducts = async (req, res) => {
-  const products = await Product.find({});
+  const { category, includeDeleted = "false" } = req.query;
+
+  if (
+    includeDeleted === "true" &&
+    !(await hasPermission(req, "products:read:deleted"))
+  ) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "Listing deleted products requires products:read:deleted",
+      statusCode: 403,
+    });
+  }
+
+  const filter = includeDeleted === "true" ? {} : { deletedAt: null };
+  if (category) {
+    if (!PRODUCT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: `Category must be one of: ${PRODUCT_CATEGORIES.join(", ")}`,
+        statusCode: 400,
+      });
+    }
+    filter.category = category;
+  }
+
+  const products = await Product.find(filter);
   res.json(products);
 };
 
+/**
+ * Look up a product by SKU or barcode
+ * Used by barcode scanners at the point of sale
+ *
+ * @async
+ * @function getProductByCode
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.code - SKU or EAN-13/UPC-A barcode
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the matching product
+ * @throws {404} If no product has this SKU or barcode
+ *
+ * @example
+ * GET /products/by-code/7702004003508
+ */
+const getProductByCode = async (req, res) => {
+  const code = req.params.code.trim();
+
+  const product = await Product.findOne({
+    $or: [{ barcode: code }, { sku: code.toUpperCase() }],
+    deletedAt: null,
+  });
+
+  if (!product) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: "No product found with this SKU or barcode",
+      statusCode: 404,
+    });
+  }
+
+  res.json(product.toJSON());
+};
+
+/**
+ * List products at or below their reorder point
+ *
+ * @async
+ * @function getLowStockProducts
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.category] - Filter by product category
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with low-stock products, emptiest first
+ * @throws {400} If category is not a known category
+ *
+ * @example
+ * GET /products/low-stock
+ * Response: {
+ *   count: 1,
+ *   products: [{ productName: "Croissant", count: 2, reorderPoint: 5, suggestedOrderQuantity: 20 }]
+ * }
+ */
+const getLowStockProducts = async (req, res) => {
+  const { category } = req.query;
+
+  if (category && !PRODUCT_CATEGORIES.includes(category)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: `Category must be one of: ${PRODUCT_CATEGORIES.join(", ")}`,
+      statusCode: 400,
+    });
+  }
+
+  const products = await Product.findLowStock({ category });
+
+  res.json({
+    count: products.length,
+    products: products.map((product) => ({
+      ...product.toJSON(),
+      shortfall: product.reorderPoint - product.count,
+      // Without a reorder quantity, suggest enough to get back to the threshold
+      suggestedOrderQuantity:
+        product.reorderQuantity ?? product.reorderPoint - product.count + 1,
+    })),
+  });
+};
+
 /**
  * Create a new product in inventory
  *
@@ -30,9 +164,18 @@ const listProducts = async (req, res) => {
  * @param {string} req.body.description - Product description
  * @param {number} req.body.count - Initial inventory count
  * @param {number} req.body.price - Product price
+ * @param {string} [req.body.category="other"] - Product category
+ * @param {string} [req.body.sku] - Unique stock keeping unit
+ * @param {string} [req.body.barcode] - EAN-13 or UPC-A barcode
+ * @param {number} [req.body.reorderPoint] - Stock level at which a low-stock alert is raised
+ * @param {number} [req.body.reorderQuantity] - Units to order when restocking
+ * @param {number} [req.body.unitCost] - What one unit costs (starts the cost history)
+ * @param {string} [req.body.taxCode] - Tax applied on sale (iva_19, iva_5, impoconsumo_8, exempt, excluded)
+ * @param {boolean} [req.body.priceIncludesTax=true] - Whether price already includes the tax
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with created product (201)
  * @throws {400} If validation fails
+ * @throws {409} If SKU or barcode already exists
  *
  * @example
  * POST /products
@@ -40,20 +183,78 @@ const listProducts = async (req, res) => {
  *   productName: "Turkey Sandwich",
  *   description: "Fresh turkey with lettuce and tomato",
  *   count: 25,
- *   price: 8.99
+ *   price: 8.99,
+ *   category: "food",
+ *   sku: "SND-TURKEY"
  * }
  */
 const createProduct = async (req, res) => {
-  const { productName, description, count, price } = req.body;
+  const {
+    productName,
+    description,
+    count,
+    price,
+    category,
+    sku,
+    barcode,
+    reorderPoint,
+    reorderQuantity,
+    unitCost,
+    taxCode,
+    priceIncludesTax,
+  } = req.body;
 
   const product = new Product({
     productName,
     description,
     count,
     price,
+    category,
+    sku: sku || undefined, // Left out so the unique index ignores it
+    barcode: barcode || undefined,
+    reorderPoint,
+    reorderQuantity,
+    taxCode,
+    priceIncludesTax,
   });
+  product.setUnitCost(unitCost, { changedBy: req.user._id });
 
-  await product.save();
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await product.save({ session });
+
+      // Opening stock is the first entry in the product's movement ledger
+      if (product.count > 0) {
+        await StockMovement.record(
+          {
+            productId: product._id,
+            type: "restock",
+            delta: product.count,
+            resultingCount: product.count,
+            actor: req.user._id,
+            note: "Initial stock",
+          },
+          session,
+        );
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json(duplicateCodeResponse(error));
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  recordAudit(req, {
+    action: "product.create",
+    resourceType: "product",
+    resourceId: product._id,
+    before: null,
+    after: product,
+  });
   res.status(201).json(product.toJSON());
 };
 
@@ -68,12 +269,25 @@ const createProduct = async (req, res) => {
  * @param {Object} req.body - Fields to update
  * @param {string} [req.body.productName] - Updated product name
  * @param {string} [req.body.description] - Updated description
- * @param {number} [req.body.count] - Updated inventory count
- * @param {number} [req.body.price] - Updated price
+ * @param {number} [req.body.count] - Updated inventory count; the difference
+ *   goes to unassigned stock, so it cannot drop below the units held at locations
+ * @param {number} [req.body.price] - Updated price (products:price:write)
+ * @param {string} [req.body.category] - Updated category
+ * @param {string|null} [req.body.sku] - Updated SKU, empty or null removes it
+ * @param {string|null} [req.body.barcode] - Updated barcode, empty or null removes it
+ * @param {number|null} [req.body.reorderPoint] - Updated reorder point, null disables alerts
+ * @param {number|null} [req.body.reorderQuantity] - Updated reorder quantity
+ * @param {number|null} [req.body.unitCost] - Updated unit cost (recorded in the cost history)
+ * @param {string|null} [req.body.taxCode] - Updated tax code (applies to future sales only)
+ * @param {boolean} [req.body.priceIncludesTax] - Whether price already includes the tax
+ * @param {string} [req.body.adjustmentNote] - Why the count was changed (kept in the stock ledger)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with updated product
- * @throws {400} If product ID is invalid or validation fails
+ * @throws {400} If product ID is invalid, validation fails or the count is
+ *   below the units held at locations
+ * @throws {403} If the price is changed without products:price:write
  * @throws {404} If product not found
+ * @throws {409} If SKU or barcode already exists
  *
  * @example
  * PATCH /products/507f1f77bcf86cd799439011
@@ -81,7 +295,7 @@ const createProduct = async (req, res) => {
  */
 const updateProduct = async (req, res) => {
   const { id } = req.params;
-  const updates = req.body;
+  const { adjustmentNote, ...updates } = req.body;
 
   // Validate ObjectId
   if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -92,10 +306,106 @@ const updateProduct = async (req, res) => {
     });
   }
 
-  const product = await Product.findByIdAndUpdate(id, updates, {
-    new: true,
-    runValidators: true,
-  });
+  if (
+    updates.price !== undefined &&
+    !(await hasPermission(req, "products:price:write"))
+  ) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "Changing prices requires products:price:write",
+      statusCode: 403,
+    });
+  }
+
+  // Clearing a SKU or barcode removes the field so the unique index ignores it
+  const cleanUpdates = { ...updates };
+  // Cost history is only ever appended to through unitCost changes, and
+  // location stock only through restocks, sales, drops and transfers
+  delete cleanUpdates.costHistory;
+  delete cleanUpdates.stockByLocation;
+  const unset = {};
+  for (const field of ["sku", "barcode"]) {
+    if (field in cleanUpdates && !cleanUpdates[field]) {
+      delete cleanUpdates[field];
+      unset[field] = "";
+    }
+  }
+  if (Object.keys(unset).length > 0) {
+    cleanUpdates.$unset = unset;
+  }
+
+  let product;
+  let previous;
+  let locatedCount = null;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      previous = await Product.findById(id).session(session);
+      if (!previous) {
+        product = null;
+        return;
+      }
+
+      // A manual count only changes unassigned stock
+      const located = previous.count - previous.getLocationCount(null);
+      if (cleanUpdates.count !== undefined && cleanUpdates.count < located) {
+        locatedCount = located;
+        return;
+      }
+
+      const update = { ...cleanUpdates };
+      if (
+        typeof update.unitCost === "number" &&
+        update.unitCost !== previous.unitCost
+      ) {
+        update.$push = {
+          costHistory: {
+            unitCost: update.unitCost,
+            effectiveFrom: new Date(),
+            source: "manual",
+            changedBy: req.user._id,
+          },
+        };
+      }
+
+      product = await Product.findByIdAndUpdate(id, update, {
+        new: true,
+        runValidators: true,
+        session,
+      });
+
+      // Manual count edits are recorded as adjustments in the stock ledger
+      const delta = product.count - previous.count;
+      if (delta !== 0) {
+        await StockMovement.record(
+          {
+            productId: product._id,
+            type: "manual_adjustment",
+            delta,
+            resultingCount: product.count,
+            actor: req.user._id,
+            note: adjustmentNote,
+          },
+          session,
+        );
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json(duplicateCodeResponse(error));
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  if (locatedCount !== null) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: `Count cannot be below the ${locatedCount} units held at locations`,
+      statusCode: 400,
+    });
+  }
 
   if (!product) {
     return res.status(404).json({
@@ -105,28 +415,418 @@ const updateProduct = async (req, res) => {
     });
   }
 
+  recordAudit(req, {
+    action: "product.update",
+    resourceType: "product",
+    resourceId: product._id,
+    before: previous,
+    after: product,
+  });
   res.json(product.toJSON());
 };
 
+/**
+ * Receive goods for a product
+ * Creates a stock lot with batch, dates and cost, and adds its quantity to the
+ * product count, at the given location or as unassigned stock
+ *
+ * @async
+ * @function restockProduct
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Product ID
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.quantity - Units received
+ * @param {string} [req.body.batchId] - Supplier batch/lot number (generated when omitted)
+ * @param {string} [req.body.productionDate] - Production date
+ * @param {string} [req.body.expirationDate] - Expiration date
+ * @param {number} [req.body.unitCost] - Cost per unit paid to the supplier
+ * @param {string} [req.body.supplier] - Supplier name
+ * @param {string} [req.body.notes] - Additional notes
+ * @param {string} [req.body.locationId] - Location the goods arrived at
+ * @param {Object} req.user - Authenticated user
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the created lot and updated count (201)
+ * @throws {400} If product ID is invalid or the location is inactive
+ * @throws {404} If product or location not found
+ * @throws {409} If the batch was already received for this product at the location
+ *
+ * @example
+ * POST /products/507f1f77bcf86cd799439011/restock
+ * Body: { quantity: 24, batchId: "B-1024", expirationDate: "2025-06-30", unitCost: 1.8, supplier: "Panaderia Central" }
+ */
+const restockProduct = async (req, res) => {
+  const { id } = req.params;
+  const {
+    quantity,
+    batchId,
+    productionDate,
+    expirationDate,
+    unitCost,
+    supplier,
+    notes,
+    locationId,
+  } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid product ID format",
+      statusCode: 400,
+    });
+  }
+
+  if (locationId) {
+    const location = await Location.findById(locationId);
+    if (!location) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Location not found",
+        statusCode: 404,
+      });
+    }
+    if (!location.isActive) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Cannot receive stock at an inactive location",
+        statusCode: 400,
+      });
+    }
+  }
+
+  const session = await mongoose.startSession();
+  let result = null;
+  try {
+    await session.withTransaction(async () => {
+      const product = await Product.findById(id).session(session);
+      if (!product) {
+        result = null;
+        return;
+      }
+
+      const [lot] = await StockLot.create(
+        [
+          {
+            productId: product._id,
+            batchId: batchId || StockLot.generateBatchId(),
+            locationId: locationId || null,
+            quantityReceived: quantity,
+            quantityRemaining: quantity,
+            productionDate: productionDate || null,
+            expirationDate: expirationDate || null,
+            unitCost: unitCost ?? null,
+            supplier,
+            notes,
+            receivedBy: req.user._id,
+          },
+        ],
+        { session },
+      );
+
+      const previousQuantity = product.count;
+      product.adjustLocationStock(locationId || null, quantity);
+      // The latest delivery price becomes the product's unit cost
+      product.setUnitCost(unitCost, {
+        changedBy: req.user._id,
+        source: "restock",
+      });
+      await product.save({ session });
+
+      await StockMovement.record(
+        {
+          productId: product._id,
+          type: "restock",
+          delta: quantity,
+          resultingCount: product.count,
+          locationId: locationId || null,
+          actor: req.user._id,
+          referenceType: "StockLot",
+          referenceId: lot._id,
+          note: supplier ? `Received from ${supplier}` : undefined,
+        },
+        session,
+      );
+
+      result = { product, lot, previousQuantity };
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: "Conflict",
+        message:
+          "This batch has already been received for this product at this location",
+        statusCode: 409,
+        details: [{ field: "batchId", message: "Batch ID must be unique" }],
+      });
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  if (!result) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: "Product not found",
+      statusCode: 404,
+    });
+  }
+
+  recordAudit(req, {
+    action: "product.restock",
+    resourceType: "product",
+    resourceId: result.product._id,
+    before: { count: result.previousQuantity },
+    after: { count: result.product.count },
+    metadata: {
+      lotId: result.lot._id,
+      batchId: result.lot.batchId,
+      locationId: locationId || null,
+    },
+  });
+  res.status(201).json({
+    message: "Stock received successfully",
+    lot: result.lot.toJSON(),
+    updatedProduct: {
+      id: result.product._id,
+      productName: result.product.productName,
+      previousQuantity: result.previousQuantity,
+      newQuantity: result.product.count,
+      quantityAdded: quantity,
+      locationId: locationId || null,
+      locationQuantity: result.product.getLocationCount(locationId || null),
+    },
+  });
+};
+
+/**
+ * List stock lots received for a product
+ *
+ * @async
+ * @function getProductLots
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Product ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.includeDepleted="false"] - Include lots with nothing remaining
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the product's lots, oldest first
+ * @throws {400} If product ID is invalid
+ * @throws {404} If product not found
+ */
+const getProductLots = async (req, res) => {
+  const { id } = req.params;
+  const { includeDepleted = "false" } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid product ID format",
+      statusCode: 400,
+    });
+  }
+
+  const product = await Product.findById(id);
+  if (!product) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: "Product not found",
+      statusCode: 404,
+    });
+  }
+
+  const filter = { productId: id };
+  if (includeDepleted !== "true") {
+    filter.quantityRemaining = { $gt: 0 };
+  }
+
+  const lots = await StockLot.find(filter)
+    .sort({ receivedAt: 1 })
+    .populate("receivedBy", "firstName lastName");
+
+  res.json({
+    product: {
+      id: product._id,
+      productName: product.productName,
+      count: product.count,
+    },
+    lots: lots.map((lot) => lot.toJSON()),
+  });
+};
+
+/**
+ * List the stock movement ledger for a product
+ * Every change to the product's count, most recent first
+ *
+ * @async
+ * @function getProductMovements
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Product ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.type] - Filter by movement type
+ * @param {number} [req.query.limit=50] - Movements per page (1-100)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with product, movements and pagination
+ * @throws {400} If product ID, type or pagination is invalid
+ * @throws {404} If product not found
+ *
+ * @example
+ * GET /products/507f1f77bcf86cd799439011/movements?type=drop
+ */
+const getProductMovements = async (req, res) => {
+  const { id } = req.params;
+  const { type, limit = 50, page = 1 } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid product ID format",
+      statusCode: 400,
+    });
+  }
+
+  if (type && !MOVEMENT_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: `Type must be one of: ${MOVEMENT_TYPES.join(", ")}`,
+      statusCode: 400,
+    });
+  }
+
+  const limitNum = parseInt(limit);
+  const pageNum = parseInt(page);
+  if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Limit must be between 1 and 100",
+      statusCode: 400,
+    });
+  }
+  if (isNaN(pageNum) || pageNum < 1) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Page must be greater than 0",
+      statusCode: 400,
+    });
+  }
+
+  const product = await Product.findById(id);
+  if (!product) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: "Product not found",
+      statusCode: 404,
+    });
+  }
+
+  const filter = { productId: id };
+  if (type) {
+    filter.type = type;
+  }
+
+  const totalMovements = await StockMovement.countDocuments(filter);
+  const totalPages = Math.ceil(totalMovements / limitNum);
+
+  const movements = await StockMovement.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limitNum)
+    .skip((pageNum - 1) * limitNum)
+    .populate("actor", "firstName lastName");
+
+  res.json({
+    product: {
+      id: product._id,
+      productName: product.productName,
+      count: product.count,
+    },
+    movements: movements.map((m) => m.toJSON()),
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalMovements,
+      limit: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  });
+};
+
+/**
+ * Reconcile the stock movement ledger against current product counts
+ * Replays every product's movements and flags products whose count drifted
+ *
+ * @async
+ * @function reconcileInventory
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.onlyMismatches="false"] - Only return products that do not reconcile
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with summary and per-product results
+ *
+ * @description
+ * The opening count is derived from the first movement (resultingCount - delta),
+ * so products created before the ledger existed reconcile from their first
+ * recorded change. Products with no movements are reported as "no_history".
+ */
+const reconcileInventory = async (req, res) => {
+  const { onlyMismatches = "false" } = req.query;
+
+  const results = await StockMovement.reconcile();
+
+  const summary = {
+    productsChecked: results.length,
+    ok: results.filter((r) => r.status === "ok").length,
+    mismatches: results.filter((r) => r.status === "mismatch").length,
+    noHistory: results.filter((r) => r.status === "no_history").length,
+  };
+
+  res.json({
+    checkedAt: new Date(),
+    summary,
+    products:
+      onlyMismatches === "true"
+        ? results.filter((r) => r.status === "mismatch")
+        : results,
+  });
+};
+
 /**
  * Delete a product from inventory
+ * Soft-deletes by default; past sales keep pointing at the product
  *
  * @async
  * @function deleteProduct
  * @param {Object} req - Express request object
  * @param {Object} req.params - URL parameters
  * @param {string} req.params.id - Product ID to delete
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.permanent="false"] - Remove the document for good (records:purge)
+ * @param {string} [req.query.force="false"] - Permanently delete even if sales reference it (records:purge:force)
+ * @param {Object} req.user - Authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Empty response with 204 status
  * @throws {400} If product ID is invalid
+ * @throws {403} If deleting permanently without records:purge, or forcing without records:purge:force
  * @throws {404} If product not found
+ * @throws {409} If already soft-deleted, or referenced by sales without force
+ *
+ * @description
+ * - Soft deletion sets deletedAt/deletedBy: the product disappears from lists,
+ *   scanner lookups and new sales, and can be brought back with POST /:id/restore
+ * - Permanent deletion is refused while any sale references the product,
+ *   unless force=true is passed (records:purge:force)
  *
  * @example
  * DELETE /products/507f1f77bcf86cd799439011
+ * DELETE /products/507f1f77bcf86cd799439011?permanent=true
  * Response: 204 No Content
  */
 const deleteProduct = async (req, res) => {
   const { id } = req.params;
+  const permanent = req.query.permanent === "true";
+  const force = req.query.force === "true";
 
   // Validate ObjectId
   if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -146,8 +846,139 @@ const deleteProduct = async (req, res) => {
     });
   }
 
+  if (!permanent) {
+    if (product.deletedAt) {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Product is already deleted",
+        statusCode: 409,
+      });
+    }
+
+    const before = product.toObject();
+    product.softDelete(req.user._id);
+    await product.save();
+
+    recordAudit(req, {
+      action: "product.delete",
+      resourceType: "product",
+      resourceId: product._id,
+      before,
+      after: product,
+    });
+    return res.status(204).send();
+  }
+
+  if (!(await hasPermission(req, "records:purge"))) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "Permanently deleting products requires records:purge",
+      statusCode: 403,
+    });
+  }
+  if (force && !(await hasPermission(req, "records:purge:force"))) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message:
+        "Forcing deletion of products used in sales requires records:purge:force",
+      statusCode: 403,
+    });
+  }
+
+  const saleCount = await Sale.countDocuments({
+    "products.productId": product._id,
+  });
+  if (saleCount > 0 && !force) {
+    return res.status(409).json({
+      error: "Conflict",
+      message:
+        "Product is referenced by past sales; soft-delete it instead, or force the deletion",
+      statusCode: 409,
+      details: { saleCount },
+    });
+  }
+
   await Product.deleteOne({ _id: id });
+  recordAudit(req, {
+    action: "product.purge",
+    resourceType: "product",
+    resourceId: product._id,
+    before: product,
+    after: null,
+    metadata: { saleCount, forced: force },
+  });
   res.status(204).send();
 };
 
-export { listProducts, createProduct, updateProduct, deleteProduct };
+/**
+ * Restore a soft-deleted product
+ *
+ * @async
+ * @function restoreProduct
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Product ID to restore
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the restored product
+ * @throws {400} If product ID is invalid
+ * @throws {404} If product not found
+ * @throws {409} If the product is not deleted
+ *
+ * @example
+ * POST /products/507f1f77bcf86cd799439011/restore
+ */
+const restoreProduct = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid product ID format",
+      statusCode: 400,
+    });
+  }
+
+  const product = await Product.findById(id);
+  if (!product) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: "Product not found",
+      statusCode: 404,
+    });
+  }
+
+  if (!product.deletedAt) {
+    return res.status(409).json({
+      error: "Conflict",
+      message: "Product is not deleted",
+      statusCode: 409,
+    });
+  }
+
+  const before = product.toObject();
+  product.restore();
+  await product.save();
+
+  recordAudit(req, {
+    action: "product.restore",
+    resourceType: "product",
+    resourceId: product._id,
+    before,
+    after: product,
+  });
+  res.json(product.toJSON());
+};
+
+export {
+  listProducts,
+  getProductByCode,
+  getLowStockProducts,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  restoreProduct,
+  restockProduct,
+  getProductLots,
+  getProductMovements,
+  reconcileInventory,
+};
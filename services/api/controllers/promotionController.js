@@ -0,0 +1,291 @@
+import Promotion from "../models/Promotion.js";
+import Sale from "../models/Sale.js";
+import mongoose from "mongoose";
+
+// Fields an admin may set on a promotion
+const PROMOTION_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "productIds",
+  "category",
+  "bundleQuantity",
+  "bundlePrice",
+  "percentOff",
+  "amountOff",
+  "minQuantity",
+  "startsAt",
+  "endsAt",
+  "daysOfWeek",
+  "startTime",
+  "endTime",
+  "isActive",
+];
+
+/**
+ * Build a 400 response body from a Mongoose validation error
+ *
+ * @function promotionValidationResponse
+ * @param {Object} error - Mongoose ValidationError
+ * @returns {Object} Error response body
+ */
+const promotionValidationResponse = (error) => ({
+  error: "Validation Error",
+  message: "Invalid promotion rules",
+  statusCode: 400,
+  details: Object.values(error.errors).map((err) => ({
+    field: err.path,
+    message: err.message,
+  })),
+});
+
+/**
+ * List promotions
+ *
+ * @async
+ * @function listPromotions
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.activeNow="false"] - Only promotions running right now
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON array of promotions
+ *
+ * @example
+ * GET /promotions?activeNow=true
+ */
+const listPromotions = async (req, res, next) => {
+  try {
+    const promotions =
+      req.query.activeNow === "true"
+        ? await Promotion.findActiveAt(new Date())
+        : await Promotion.find({}).sort({ isActive: -1, createdAt: -1 });
+
+    res.json(promotions.map((promotion) => promotion.toJSON()));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get a promotion by ID, with how often it has been applied
+ *
+ * @async
+ * @function getPromotion
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Promotion ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the promotion and its usage
+ * @throws {400} If the ID is invalid
+ * @throws {404} If promotion not found
+ */
+const getPromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Invalid promotion ID format",
+        statusCode: 400,
+      });
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Promotion not found",
+        statusCode: 404,
+      });
+    }
+
+    const [usage] = await Sale.aggregate([
+      { $match: { status: { $ne: "voided" } } },
+      { $unwind: "$appliedPromotions" },
+      { $match: { "appliedPromotions.promotionId": promotion._id } },
+      {
+        $group: {
+          _id: null,
+          salesCount: { $sum: 1 },
+          totalDiscount: { $sum: "$appliedPromotions.discountAmount" },
+        },
+      },
+    ]);
+
+    res.json({
+      ...promotion.toJSON(),
+      isRunningNow: promotion.isActiveAt(new Date()),
+      usage: {
+        salesCount: usage?.salesCount || 0,
+        totalDiscount: Math.round((usage?.totalDiscount || 0) * 100) / 100,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Create a promotion (Admin/SuperAdmin only)
+ *
+ * @async
+ * @function createPromotion
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Promotion rule (see Promotion model for fields)
+ * @param {Object} req.user - Authenticated admin creating the promotion
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with created promotion (201)
+ * @throws {400} If the rule is incomplete for its type
+ *
+ * @example
+ * POST /promotions
+ * Body: {
+ *   name: "3 empanadas for 5000",
+ *   type: "bundle_price",
+ *   productIds: ["..."],
+ *   bundleQuantity: 3,
+ *   bundlePrice: 5000
+ * }
+ */
+const createPromotion = async (req, res, next) => {
+  try {
+    const data = {};
+    for (const field of PROMOTION_FIELDS) {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    }
+
+    const promotion = new Promotion({ ...data, createdBy: req.user._id });
+    await promotion.save();
+
+    res.status(201).json(promotion.toJSON());
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json(promotionValidationResponse(error));
+    }
+    return next(error);
+  }
+};
+
+/**
+ * Update a promotion (Admin/SuperAdmin only)
+ * Set isActive to false to switch a promotion off without deleting it
+ *
+ * @async
+ * @function updatePromotion
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Promotion ID
+ * @param {Object} req.body - Fields to update
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with updated promotion
+ * @throws {400} If the ID is invalid or the updated rule is incomplete
+ * @throws {404} If promotion not found
+ */
+const updatePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Invalid promotion ID format",
+        statusCode: 400,
+      });
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Promotion not found",
+        statusCode: 404,
+      });
+    }
+
+    for (const field of PROMOTION_FIELDS) {
+      if (req.body[field] !== undefined) {
+        promotion.set(field, req.body[field]);
+      }
+    }
+    // Rules are checked as a whole, so validate the merged document
+    await promotion.save();
+
+    res.json(promotion.toJSON());
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json(promotionValidationResponse(error));
+    }
+    return next(error);
+  }
+};
+
+/**
+ * Delete a promotion that was never applied (Admin/SuperAdmin only)
+ * Promotions used on sales are kept for reporting and must be deactivated instead
+ *
+ * @async
+ * @function deletePromotion
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Promotion ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Empty response (204)
+ * @throws {400} If the ID is invalid
+ * @throws {404} If promotion not found
+ * @throws {409} If the promotion has been applied to sales
+ */
+const deletePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Invalid promotion ID format",
+        statusCode: 400,
+      });
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Promotion not found",
+        statusCode: 404,
+      });
+    }
+
+    const used = await Sale.exists({
+      "appliedPromotions.promotionId": promotion._id,
+    });
+    if (used) {
+      return res.status(409).json({
+        error: "Conflict",
+        message:
+          "Promotion has been applied to sales; deactivate it instead of deleting it",
+        statusCode: 409,
+      });
+    }
+
+    await promotion.deleteOne();
+    res.status(204).send();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export {
+  listPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+};
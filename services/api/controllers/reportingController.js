@@ -1,5 +1,59 @@
+import mongoose from "mongoose";
 import Sale from "../models/Sale.js";
 import csv from "fast-csv";
+import { TAX_RATES } from "../utils/tax.js";
+import {
+  PAYMENT_METHOD_CODES,
+  ACCOUNT_CREDIT_METHOD,
+  getPaymentMethodLabel,
+} from "../utils/paymentMethods.js";
+
+// Unit price actually charged on a sale line, after its share of discounts
+const lineNetUnitPrice = {
+  $divide: [
+    {
+      $subtract: [
+        { $multiply: ["$products.priceAtSale", "$products.quantity"] },
+        { $ifNull: ["$products.discountAmount", 0] },
+      ],
+    },
+    "$products.quantity",
+  ],
+};
+
+/**
+ * Build $addFields stages for gross profit and margin (internal helper)
+ *
+ * @function marginFields
+ * @param {string} revenueField - Field path holding revenue (e.g. "$totalRevenue")
+ * @param {string} costField - Field path holding cost of goods sold
+ * @returns {Object} Fields for grossProfit and grossMarginPercent
+ */
+const marginFields = (revenueField, costField) => ({
+  grossProfit: { $round: [{ $subtract: [revenueField, costField] }, 2] },
+  grossMarginPercent: {
+    $cond: [
+      { $gt: [revenueField, 0] },
+      {
+        $round: [
+          {
+            $multiply: [
+              {
+                $divide: [
+                  { $subtract: [revenueField, costField] },
+                  revenueField,
+                ],
+              },
+              100,
+            ],
+          },
+          2,
+        ],
+      },
+      0,
+    ],
+  },
+});
 
 /**
  * Generate comprehensive sales analytics for a given time period
@@ -13,17 +67,26 @@ import csv from "fast-csv";
  * @param {string} [req.query.endDate] - End date filter (YYYY-MM-DD)
  * @param {string} [req.query.dateField="createdAt"] - Date field to filter on
  * @param {string} [req.query.groupBy="day"] - Time grouping (hour/day/week/month/year)
+ * @param {string} [req.query.locationId] - Only sales made at this location
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with comprehensive analytics
  * @throws {400} If date format is invalid
  *
  * @description
  * Returns analytics including:
- * - Basic statistics (total sales, revenue, averages)
+ * - Basic statistics (total sales, revenue net of refunds, averages)
+ * - Voided sales are excluded from every figure
  * - Time series data with trend analysis
- * - Top 10 products by revenue
+ * - Top 10 products by revenue, plus revenue grouped by product category
+ * - Cost of goods, gross profit and gross margin (summary, time series and
+ *   top products), based on the cost captured on each sale line
+ * - Gross revenue (before discounts) vs. net revenue, discounts split into
+ *   promotions and manual discounts, price overrides and per-promotion
+ *   effectiveness
+ * - Total sales tax charged (see GET /reporting/taxes for the breakdown)
  * - Customer analytics (unique customers, spend patterns)
- * - Payment/settlement statistics
+ * - Payment/settlement statistics, and the amount paid per payment method
+ * - Cash collected per period from the payment ledger (separate from revenue booked)
  */
 const getSalesAnalytics = async (req, res) => {
   const {
@@ -31,10 +94,12 @@ const getSalesAnalytics = async (req, res) => {
     endDate,
     dateField = "createdAt",
     groupBy = "day", // day, week, month, year
+    locationId,
   } = req.query;
 
   // Build date filter - use originalCreatedAt when available, fallback to createdAt
   const dateFilter = {};
+  const paymentDateFilter = {};
   if (startDate || endDate) {
     const filter = [];
 
@@ -52,6 +117,7 @@ const getSalesAnalytics = async (req, res) => {
       filter.push({
         $gte: [{ $ifNull: ["$originalCreatedAt", `$${dateField}`] }, start],
       });
+      paymentDateFilter.$gte = start;
     }
 
     if (endDate) {
@@ -67,6 +133,7 @@ const getSalesAnalytics = async (req, res) => {
       filter.push({
         $lte: [{ $ifNull: ["$originalCreatedAt", `$${dateField}`] }, end],
       });
+      paymentDateFilter.$lte = end;
     }
 
     if (filter.length > 0) {
@@ -74,6 +141,62 @@ const getSalesAnalytics = async (req, res) => {
     }
   }
 
+  // Voided sales never count towards revenue; refunds are netted out below
+  const salesFilter = { ...dateFilter, status: { $ne: "voided" } };
+  // Aggregations do not cast, so the location ID is converted here
+  const locationMatch = locationId
+    ? { locationId: new mongoose.Types.ObjectId(locationId) }
+    : null;
+  if (locationMatch) {
+    Object.assign(salesFilter, locationMatch);
+  }
+  const netAmount = {
+    $subtract: ["$totalAmount", { $ifNull: ["$refundedAmount", 0] }],
+  };
+  // Cost of the units each sale kept, at the cost captured when it was made.
+  // Lines sold before costs were recorded count as zero (see unitsWithoutCost).
+  const netQuantityOf = (line) => ({
+    $subtract: [
+      `${line}.quantity`,
+      { $ifNull: [`${line}.refundedQuantity`, 0] },
+    ],
+  });
+  const costOfGoods = {
+    $reduce: {
+      input: "$products",
+      initialValue: 0,
+      in: {
+        $add: [
+          "$$value",
+          {
+            $multiply: [
+              netQuantityOf("$$this"),
+              { $ifNull: ["$$this.costAtSale", 0] },
+            ],
+          },
+        ],
+      },
+    },
+  };
+  const unitsWithoutCost = {
+    $reduce: {
+      input: "$products",
+      initialValue: 0,
+      in: {
+        $add: [
+          "$$value",
+          {
+            $cond: [
+              { $eq: [{ $ifNull: ["$$this.costAtSale", null] }, null] },
+              netQuantityOf("$$this"),
+              0,
+            ],
+          },
+        ],
+      },
+    },
+  };
+
   // Parallel execution of analytics queries
   const [
     basicStats,
@@ -81,25 +204,42 @@ const getSalesAnalytics = async (req, res) => {
     topProducts,
     customerStats,
     settlementStats,
+    collectionsData,
+    topCategories,
+    promotionStats,
+    priceOverrideStats,
+    paymentMethodStats,
   ] = await Promise.all([
     // Basic sales statistics
     Sale.aggregate([
-      { $match: dateFilter },
+      { $match: salesFilter },
       {
         $group: {
           _id: null,
           totalSales: { $sum: 1 },
-          totalRevenue: { $sum: "$totalAmount" },
+          grossRevenue: {
+            $sum: { $ifNull: ["$subtotalAmount", "$totalAmount"] },
+          },
+          totalDiscounts: { $sum: { $ifNull: ["$discountAmount", 0] } },
+          discountedSales: {
+            $sum: { $cond: [{ $gt: ["$discountAmount", 0] }, 1, 0] },
+          },
+          totalRevenue: { $sum: netAmount },
+          totalTax: { $sum: { $ifNull: ["$taxAmount", 0] } },
+          totalRefunded: { $sum: { $ifNull: ["$refundedAmount", 0] } },
           totalAmountPaid: { $sum: "$amountPaid" },
-          averageOrderValue: { $avg: "$totalAmount" },
+          averageOrderValue: { $avg: netAmount },
           averageItemsPerOrder: { $avg: { $size: "$products" } },
+          totalCost: { $sum: costOfGoods },
+          unitsWithoutCost: { $sum: unitsWithoutCost },
         },
       },
+      { $addFields: marginFields("$totalRevenue", "$totalCost") },
     ]),
 
     // Time series data for trend analysis
     Sale.aggregate([
-      { $match: dateFilter },
+      { $match: salesFilter },
       {
         $addFields: {
           effectiveDate: { $ifNull: ["$originalCreatedAt", `$${dateField}`] },
@@ -109,24 +249,46 @@ const getSalesAnalytics = async (req, res) => {
         $group: {
           _id: getGroupByDateExpression(groupBy, "$effectiveDate"),
           salesCount: { $sum: 1 },
-          revenue: { $sum: "$totalAmount" },
-          averageOrderValue: { $avg: "$totalAmount" },
+          revenue: { $sum: netAmount },
+          refunded: { $sum: { $ifNull: ["$refundedAmount", 0] } },
+          averageOrderValue: { $avg: netAmount },
+          cost: { $sum: costOfGoods },
         },
       },
+      { $addFields: marginFields("$revenue", "$cost") },
       { $sort: { _id: 1 } },
     ]),
 
     // Top products by quantity and revenue
     Sale.aggregate([
-      { $match: dateFilter },
+      { $match: salesFilter },
       { $unwind: "$products" },
+      {
+        $addFields: {
+          netQuantity: {
+            $subtract: [
+              "$products.quantity",
+              { $ifNull: ["$products.refundedQuantity", 0] },
+            ],
+          },
+        },
+      },
+      { $match: { netQuantity: { $gt: 0 } } },
       {
         $group: {
           _id: "$products.productId",
-          totalQuantitySold: { $sum: "$products.quantity" },
+          totalQuantitySold: { $sum: "$netQuantity" },
           totalRevenue: {
             $sum: {
-              $multiply: ["$products.quantity", "$products.priceAtSale"],
+              $multiply: ["$netQuantity", lineNetUnitPrice],
+            },
+          },
+          totalCost: {
+            $sum: {
+              $multiply: [
+                "$netQuantity",
+                { $ifNull: ["$products.costAtSale", 0] },
+              ],
             },
           },
           salesCount: { $sum: 1 },
@@ -146,24 +308,29 @@ const getSalesAnalytics = async (req, res) => {
       {
         $project: {
           productName: "$product.productName",
+          category: { $ifNull: ["$product.category", "other"] },
+          sku: "$product.sku",
           currentPrice: "$product.price",
+          currentUnitCost: "$product.unitCost",
           totalQuantitySold: 1,
           totalRevenue: 1,
+          totalCost: 1,
           salesCount: 1,
           averagePrice: { $divide: ["$totalRevenue", "$totalQuantitySold"] },
         },
       },
+      { $addFields: marginFields("$totalRevenue", "$totalCost") },
     ]),
 
     // Customer analytics
     Sale.aggregate([
-      { $match: dateFilter },
+      { $match: salesFilter },
       {
         $group: {
           _id: "$customerId",
-          totalSpent: { $sum: "$totalAmount" },
+          totalSpent: { $sum: netAmount },
           orderCount: { $sum: 1 },
-          averageOrderValue: { $avg: "$totalAmount" },
+          averageOrderValue: { $avg: netAmount },
         },
       },
       {
@@ -178,18 +345,260 @@ const getSalesAnalytics = async (req, res) => {
 
     // Settlement statistics
     Sale.aggregate([
-      { $match: dateFilter },
+      { $match: salesFilter },
       {
         $group: {
           _id: "$settled",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$totalAmount" },
+          totalAmount: { $sum: netAmount },
           totalPaid: { $sum: "$amountPaid" },
         },
       },
     ]),
+
+    // Cash collected per period, based on when each payment was received;
+    // money handed back by refunds and voids counts as negative collections
+    Sale.aggregate([
+      ...(locationMatch ? [{ $match: locationMatch }] : []),
+      {
+        $project: {
+          collections: {
+            $concatArrays: [
+              {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ["$payments", []] } }, 0] },
+                  "$payments",
+                  // Sales recorded before the payment ledger existed
+                  {
+                    $cond: [
+                      { $gt: ["$amountPaid", 0] },
+                      [
+                        {
+                          amount: "$amountPaid",
+                          receivedAt: {
+                            $ifNull: [
+                              "$settledAt",
+                              { $ifNull: ["$originalCreatedAt", "$createdAt"] },
+                            ],
+                          },
+                        },
+                      ],
+                      [],
+                    ],
+                  },
+                ],
+              },
+              {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: { $ifNull: ["$refunds", []] },
+                      as: "refund",
+                      cond: { $gt: ["$$refund.amountReturned", 0] },
+                    },
+                  },
+                  as: "refund",
+                  in: {
+                    amount: { $multiply: [-1, "$$refund.amountReturned"] },
+                    receivedAt: "$$refund.refundedAt",
+                  },
+                },
+              },
+              {
+                $cond: [
+                  { $gt: [{ $ifNull: ["$voidAmountReturned", 0] }, 0] },
+                  [
+                    {
+                      amount: { $multiply: [-1, "$voidAmountReturned"] },
+                      receivedAt: "$voidedAt",
+                    },
+                  ],
+                  [],
+                ],
+              },
+            ],
+          },
+        },
+      },
+      { $unwind: "$collections" },
+      ...(Object.keys(paymentDateFilter).length > 0
+        ? [{ $match: { "collections.receivedAt": paymentDateFilter } }]
+        : []),
+      {
+        $group: {
+          _id: getGroupByDateExpression(groupBy, "$collections.receivedAt"),
+          amountCollected: { $sum: "$collections.amount" },
+          amountReturned: {
+            $sum: {
+              $cond: [
+                { $lt: ["$collections.amount", 0] },
+                { $abs: "$collections.amount" },
+                0,
+              ],
+            },
+          },
+          paymentCount: {
+            $sum: { $cond: [{ $gt: ["$collections.amount", 0] }, 1, 0] },
+          },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+
+    // Product sales grouped by category
+    Sale.aggregate([
+      { $match: salesFilter },
+      { $unwind: "$products" },
+      {
+        $addFields: {
+          netQuantity: {
+            $subtract: [
+              "$products.quantity",
+              { $ifNull: ["$products.refundedQuantity", 0] },
+            ],
+          },
+        },
+      },
+      { $match: { netQuantity: { $gt: 0 } } },
+      {
+        $lookup: {
+          from: "products",
+          localField: "products.productId",
+          foreignField: "_id",
+          as: "product",
+        },
+      },
+      { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: { $ifNull: ["$product.category", "other"] },
+          totalQuantitySold: { $sum: "$netQuantity" },
+          totalRevenue: {
+            $sum: {
+              $multiply: ["$netQuantity", lineNetUnitPrice],
+            },
+          },
+          products: { $addToSet: "$products.productId" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          category: "$_id",
+          totalQuantitySold: 1,
+          totalRevenue: 1,
+          productCount: { $size: "$products" },
+        },
+      },
+      { $sort: { totalRevenue: -1 } },
+    ]),
+
+    // Promotion effectiveness: how often each promotion fired, what it gave
+    // away and the net revenue of the sales it was part of
+    Sale.aggregate([
+      { $match: salesFilter },
+      { $unwind: "$appliedPromotions" },
+      {
+        $group: {
+          _id: "$appliedPromotions.promotionId",
+          name: { $last: "$appliedPromotions.name" },
+          salesCount: { $sum: 1 },
+          totalDiscount: { $sum: "$appliedPromotions.discountAmount" },
+          revenue: { $sum: netAmount },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          promotionId: "$_id",
+          name: 1,
+          salesCount: 1,
+          totalDiscount: { $round: ["$totalDiscount", 2] },
+          revenue: { $round: ["$revenue", 2] },
+          averageDiscountPerSale: {
+            $round: [{ $divide: ["$totalDiscount", "$salesCount"] }, 2],
+          },
+        },
+      },
+      { $sort: { totalDiscount: -1 } },
+    ]),
+
+    // Admin price overrides: how much list price was given up
+    Sale.aggregate([
+      { $match: salesFilter },
+      { $unwind: "$products" },
+      { $match: { "products.priceOverride": { $exists: true, $ne: null } } },
+      {
+        $group: {
+          _id: null,
+          lineCount: { $sum: 1 },
+          amountBelowListPrice: {
+            $sum: {
+              $multiply: [
+                {
+                  $subtract: [
+                    "$products.priceOverride.originalPrice",
+                    "$products.priceAtSale",
+                  ],
+                },
+                "$products.quantity",
+              ],
+            },
+          },
+        },
+      },
+    ]),
+
+    // Money taken in per payment method on the period's sales (before
+    // refunds); sales recorded before the payment ledger existed count their
+    // amountPaid under the sale's paymentMethod
+    Sale.aggregate([
+      { $match: salesFilter },
+      {
+        $project: {
+          payments: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ["$payments", []] } }, 0] },
+              "$payments",
+              {
+                $cond: [
+                  { $gt: ["$amountPaid", 0] },
+                  [{ method: "$paymentMethod", amount: "$amountPaid" }],
+                  [],
+                ],
+              },
+            ],
+          },
+        },
+      },
+      { $unwind: "$payments" },
+      {
+        $group: {
+          _id: {
+            $toLower: {
+              $trim: {
+                input: { $ifNull: ["$payments.method", "unspecified"] },
+              },
+            },
+          },
+          paymentCount: { $sum: 1 },
+          amount: { $sum: "$payments.amount" },
+        },
+      },
+      { $sort: { amount: -1 } },
+    ]),
   ]);
 
+  const promotionDiscounts = promotionStats.reduce(
+    (sum, p) => sum + p.totalDiscount,
+    0,
+  );
+  const totalDiscounts = basicStats[0]?.totalDiscounts || 0;
+  const totalPaidByMethod = paymentMethodStats.reduce(
+    (sum, p) => sum + p.amount,
+    0,
+  );
+
   // Format the response
   const analytics = {
     period: {
@@ -197,16 +606,27 @@ const getSalesAnalytics = async (req, res) => {
       endDate: endDate || null,
       dateField,
       groupBy,
+      locationId: locationId || null,
     },
     summary: basicStats[0] || {
       totalSales: 0,
       totalRevenue: 0,
+      totalRefunded: 0,
       totalAmountPaid: 0,
       averageOrderValue: 0,
       averageItemsPerOrder: 0,
+      grossRevenue: 0,
+      totalDiscounts: 0,
+      totalTax: 0,
+      discountedSales: 0,
+      totalCost: 0,
+      unitsWithoutCost: 0,
+      grossProfit: 0,
+      grossMarginPercent: 0,
     },
     timeSeries: timeSeriesData,
     topProducts,
+    topCategories,
     customerAnalytics: customerStats[0] || {
       uniqueCustomers: 0,
       averageCustomerSpent: 0,
@@ -223,6 +643,40 @@ const getSalesAnalytics = async (req, res) => {
         totalAmount: 0,
         totalPaid: 0,
       },
+      byMethod: paymentMethodStats.map((p) => ({
+        method: p._id,
+        label: getPaymentMethodLabel(p._id),
+        paymentCount: p.paymentCount,
+        amount: Math.round(p.amount * 100) / 100,
+        sharePercent:
+          totalPaidByMethod > 0
+            ? Math.round((p.amount / totalPaidByMethod) * 10000) / 100
+            : 0,
+      })),
+    },
+    discounts: {
+      totalDiscounts: Math.round(totalDiscounts * 100) / 100,
+      promotionDiscounts: Math.round(promotionDiscounts * 100) / 100,
+      manualDiscounts:
+        Math.round((totalDiscounts - promotionDiscounts) * 100) / 100,
+      priceOverrides: {
+        lineCount: priceOverrideStats[0]?.lineCount || 0,
+        amountBelowListPrice:
+          Math.round((priceOverrideStats[0]?.amountBelowListPrice || 0) * 100) /
+          100,
+      },
+      promotions: promotionStats,
+    },
+    collections: {
+      totalCollected:
+        Math.round(
+          collectionsData.reduce((sum, c) => sum + c.amountCollected, 0) * 100,
+        ) / 100,
+      totalReturned:
+        Math.round(
+          collectionsData.reduce((sum, c) => sum + c.amountReturned, 0) * 100,
+        ) / 100,
+      timeSeries: collectionsData,
     },
   };
 
@@ -243,14 +697,17 @@ const getSalesAnalytics = async (req, res) => {
  * @param {string} [req.query.format="detailed"] - Export format (detailed/summary/products)
  * @param {string} [req.query.customerId] - Filter by customer ID
  * @param {string} [req.query.sellerId] - Filter by seller ID
+ * @param {string} [req.query.locationId] - Filter by the location sold from
  * @param {string} [req.query.settled] - Filter by settled status
+ * @param {string} [req.query.includeVoided="false"] - Include voided sales
  * @param {Object} res - Express response object
  * @returns {Promise<void>} CSV file download
  * @throws {400} If invalid format or date
  *
  * @description
  * Export formats:
- * - detailed: One row per product in each sale with full transaction details
+ * - detailed: One row per product in each sale with full transaction details,
+ *   refunds are appended as negative lines
  * - summary: One row per sale with aggregate information
  * - products: Product performance metrics and sales statistics
  */
@@ -263,12 +720,19 @@ const exportSalesCSV = async (req, res) => {
       format = "detailed", // detailed, summary, products
       customerId,
       sellerId,
+      locationId,
       settled,
+      includeVoided = "false",
     } = req.query;
 
     // Build filter for sales query
     const filter = {};
 
+    // Voided sales are left out unless explicitly requested
+    if (includeVoided !== "true") {
+      filter.status = { $ne: "voided" };
+    }
+
     // Date filtering
     if (startDate || endDate) {
       const dateFilter = {};
@@ -309,6 +773,10 @@ const exportSalesCSV = async (req, res) => {
     if (sellerId) {
       filter.sellerId = sellerId;
     }
+    if (locationId) {
+      // Cast up front: the products format runs this filter in an aggregation
+      filter.locationId = new mongoose.Types.ObjectId(locationId);
+    }
     if (settled !== undefined) {
       filter.settled = settled === "true";
     }
@@ -369,31 +837,72 @@ const exportDetailedSalesCSV = async (filter, res) => {
       .sort({ createdAt: -1 });
 
     for (const sale of sales) {
+      const saleColumns = {
+        "Sale ID": sale._id.toString(),
+        Date: sale.createdAt.toISOString().split("T")[0],
+        Time: sale.createdAt.toTimeString().split(" ")[0],
+        "Customer Name": sale.customerId
+          ? `${sale.customerId.firstName} ${sale.customerId.lastName}`
+          : "Unknown Customer",
+        "Customer Email": sale.customerId ? sale.customerId.email : "N/A",
+        "Seller Name": sale.sellerId
+          ? `${sale.sellerId.firstName} ${sale.sellerId.lastName}`
+          : "Unknown Seller",
+      };
+      const saleTotals = {
+        "Sale Total": sale.totalAmount.toFixed(2),
+        "Amount Paid": sale.amountPaid.toFixed(2),
+        "Balance Due": sale.getBalanceDue().toFixed(2),
+        Settled: sale.settled ? "Yes" : "No",
+        Status: sale.status || "completed",
+      };
+
       // Create a row for each product in the sale
       for (const product of sale.products) {
         csvStream.write({
-          "Sale ID": sale._id.toString(),
-          Date: sale.createdAt.toISOString().split("T")[0],
-          Time: sale.createdAt.toTimeString().split(" ")[0],
-          "Customer Name": sale.customerId
-            ? `${sale.customerId.firstName} ${sale.customerId.lastName}`
-            : "Unknown Customer",
-          "Customer Email": sale.customerId ? sale.customerId.email : "N/A",
-          "Seller Name": sale.sellerId
-            ? `${sale.sellerId.firstName} ${sale.sellerId.lastName}`
-            : "Unknown Seller",
+          ...saleColumns,
+          "Line Type": "Sale",
           "Product Name": product.productId
             ? product.productId.productName
             : "Unknown Product",
           Quantity: product.quantity,
           "Unit Price": product.priceAtSale.toFixed(2),
-          "Line Total": (product.quantity * product.priceAtSale).toFixed(2),
-          "Sale Total": sale.totalAmount.toFixed(2),
-          "Amount Paid": sale.amountPaid.toFixed(2),
-          "Balance Due": (sale.totalAmount - sale.amountPaid).toFixed(2),
-          Settled: sale.settled ? "Yes" : "No",
+          Discount: (product.discountAmount || 0).toFixed(2),
+          "Tax Code": product.taxCode || "",
+          Tax: (product.taxAmount || 0).toFixed(2),
+          "Line Total": (
+            product.quantity * product.priceAtSale -
+            (product.discountAmount || 0)
+          ).toFixed(2),
+          ...saleTotals,
         });
       }
+
+      // Refunds show up as negative lines
+      for (const refund of sale.refunds || []) {
+        for (const item of refund.items) {
+          const line = sale.products.find(
+            (p) =>
+              (p.productId?._id || p.productId).toString() ===
+              item.productId.toString(),
+          );
+          csvStream.write({
+            ...saleColumns,
+            "Line Type": "Refund",
+            "Product Name":
+              line && line.productId && line.productId.productName
+                ? line.productId.productName
+                : "Unknown Product",
+            Quantity: -item.quantity,
+            "Unit Price": (item.amount / item.quantity).toFixed(2),
+            Discount: "0.00",
+            "Tax Code": "",
+            Tax: "0.00",
+            "Line Total": (-item.amount).toFixed(2),
+            ...saleTotals,
+          });
+        }
+      }
     }
 
     csvStream.end();
@@ -403,9 +912,16 @@ const exportDetailedSalesCSV = async (filter, res) => {
   }
 };
 
+// Methods with their own "Paid (...)" column in the summary export; account
+// credit is owed rather than paid, so it shows up in Balance Due instead
+const PAID_COLUMN_METHODS = PAYMENT_METHOD_CODES.filter(
+  (method) => method !== ACCOUNT_CREDIT_METHOD,
+);
+
 /**
  * Export summary sales data as CSV (internal helper)
- * Creates one row per sale with aggregate totals
+ * Creates one row per sale with aggregate totals and the amount paid per
+ * payment method
  *
  * @async
  * @function exportSummaryCSV
@@ -424,6 +940,22 @@ const exportSummaryCSV = async (filter, res) => {
       .sort({ createdAt: -1 });
 
     for (const sale of sales) {
+      // One column per payment method, so the takings can be split by method
+      const paidByMethod = sale.getPaidByMethod();
+      const paymentColumns = {};
+      let otherPaid = 0;
+      for (const [method, amount] of paidByMethod) {
+        if (!PAID_COLUMN_METHODS.includes(method)) {
+          otherPaid += amount;
+        }
+      }
+      for (const method of PAID_COLUMN_METHODS) {
+        paymentColumns[`Paid (${getPaymentMethodLabel(method)})`] = (
+          paidByMethod.get(method) || 0
+        ).toFixed(2);
+      }
+      paymentColumns["Paid (Other)"] = otherPaid.toFixed(2);
+
       csvStream.write({
         "Sale ID": sale._id.toString(),
         Date: sale.createdAt.toISOString().split("T")[0],
@@ -437,9 +969,15 @@ const exportSummaryCSV = async (filter, res) => {
           : "Unknown Seller",
         "Items Count": sale.products.length,
         "Total Amount": sale.totalAmount.toFixed(2),
+        Refunded: (-(sale.refundedAmount || 0)).toFixed(2),
+        "Net Amount": sale.getNetTotal().toFixed(2),
+        "Payment Method": sale.paymentMethod || "",
         "Amount Paid": sale.amountPaid.toFixed(2),
-        "Balance Due": (sale.totalAmount - sale.amountPaid).toFixed(2),
+        ...paymentColumns,
+        "Change Due": (sale.changeDue || 0).toFixed(2),
+        "Balance Due": sale.getBalanceDue().toFixed(2),
         Settled: sale.settled ? "Yes" : "No",
+        Status: sale.status || "completed",
       });
     }
 
@@ -468,13 +1006,24 @@ const exportProductsCSV = async (filter, res) => {
     const productStats = await Sale.aggregate([
       { $match: filter },
       { $unwind: "$products" },
+      {
+        $addFields: {
+          netQuantity: {
+            $subtract: [
+              "$products.quantity",
+              { $ifNull: ["$products.refundedQuantity", 0] },
+            ],
+          },
+        },
+      },
+      { $match: { netQuantity: { $gt: 0 } } },
       {
         $group: {
           _id: "$products.productId",
-          totalQuantitySold: { $sum: "$products.quantity" },
+          totalQuantitySold: { $sum: "$netQuantity" },
           totalRevenue: {
             $sum: {
-              $multiply: ["$products.quantity", "$products.priceAtSale"],
+              $multiply: ["$netQuantity", lineNetUnitPrice],
             },
           },
           salesCount: { $sum: 1 },
@@ -498,6 +1047,8 @@ const exportProductsCSV = async (filter, res) => {
     for (const stat of productStats) {
       csvStream.write({
         "Product Name": stat.product.productName,
+        Category: stat.product.category || "other",
+        SKU: stat.product.sku || "",
         "Current Price": stat.product.price.toFixed(2),
         "Total Quantity Sold": stat.totalQuantitySold,
         "Number of Sales": stat.salesCount,
@@ -518,6 +1069,318 @@ const exportProductsCSV = async (filter, res) => {
   }
 };
 
+/**
+ * Accounts receivable report across all customers
+ * Lists every customer with an outstanding balance, sorted by debt
+ *
+ * @async
+ * @function getReceivablesReport
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.asOf] - Date the aging is calculated against (defaults to now)
+ * @param {number} [req.query.minBalance=0] - Only include customers owing more than this
+ * @param {string} [req.query.locationId] - Only sales made at this location
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with totals and per-customer aging
+ * @throws {400} If asOf or minBalance is invalid
+ *
+ * @description
+ * Balance per sale is totalAmount minus refunds minus amountPaid, over unsettled,
+ * non-voided sales. Aging buckets are based on the sale date (originalCreatedAt
+ * when present): 0-7, 8-30, 31-60 and 60+ days.
+ */
+const getReceivablesReport = async (req, res) => {
+  const { asOf, minBalance = 0, locationId } = req.query;
+
+  const asOfDate = asOf ? new Date(asOf) : new Date();
+  if (isNaN(asOfDate.getTime())) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid asOf format. Use YYYY-MM-DD or ISO 8601 format",
+      statusCode: 400,
+    });
+  }
+
+  const minBalanceNum = parseFloat(minBalance);
+  if (isNaN(minBalanceNum) || minBalanceNum < 0) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "minBalance must be a non-negative number",
+      statusCode: 400,
+    });
+  }
+
+  const receivables = (
+    await Sale.getReceivables(asOfDate, { locationId })
+  ).filter((r) => r.totalOutstanding > minBalanceNum);
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const summary = receivables.reduce(
+    (totals, r) => {
+      totals.totalOutstanding += r.totalOutstanding;
+      totals.openSales += r.openSales;
+      for (const bucket of Object.keys(totals.aging)) {
+        totals.aging[bucket] += r.aging[bucket];
+      }
+      return totals;
+    },
+    {
+      totalOutstanding: 0,
+      customersWithBalance: receivables.length,
+      openSales: 0,
+      aging: { days0to7: 0, days8to30: 0, days31to60: 0, over60: 0 },
+    },
+  );
+  summary.totalOutstanding = round(summary.totalOutstanding);
+  for (const bucket of Object.keys(summary.aging)) {
+    summary.aging[bucket] = round(summary.aging[bucket]);
+  }
+
+  res.json({
+    asOf: asOfDate,
+    summary,
+    customers: receivables,
+  });
+};
+
+/**
+ * Sales tax report for filing (IVA and impoconsumo)
+ * Taxable base and tax per period and tax code, net of refunds
+ *
+ * @async
+ * @function getTaxReport
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.startDate] - Start date filter (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - End date filter (YYYY-MM-DD)
+ * @param {string} [req.query.groupBy="month"] - Period (day/week/month/year)
+ * @param {string} [req.query.format="json"] - Response format (json/csv)
+ * @param {string} [req.query.locationId] - Only sales made at this location
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON report or CSV file download
+ * @throws {400} If a date, groupBy or format is invalid
+ *
+ * @description
+ * - Voided sales are left out; refunded units are taken off the period the
+ *   sale was made in, in proportion to the quantity returned
+ * - Lines sold before their product had a tax code are reported under
+ *   "unassigned" so they can be reviewed
+ * - Dates use originalCreatedAt when present (imported sales)
+ */
+const getTaxReport = async (req, res) => {
+  const {
+    startDate,
+    endDate,
+    groupBy = "month",
+    format = "json",
+    locationId,
+  } = req.query;
+
+  if (!["day", "week", "month", "year"].includes(groupBy)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid groupBy. Use: day, week, month, or year",
+      statusCode: 400,
+    });
+  }
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid format. Use: json or csv",
+      statusCode: 400,
+    });
+  }
+
+  const saleDate = { $ifNull: ["$originalCreatedAt", "$createdAt"] };
+  const dateConditions = [];
+  if (startDate) {
+    const start = new Date(startDate);
+    if (isNaN(start.getTime())) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Invalid startDate format. Use YYYY-MM-DD or ISO 8601 format",
+        statusCode: 400,
+      });
+    }
+    start.setUTCHours(0, 0, 0, 0);
+    dateConditions.push({ $gte: [saleDate, start] });
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    if (isNaN(end.getTime())) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Invalid endDate format. Use YYYY-MM-DD or ISO 8601 format",
+        statusCode: 400,
+      });
+    }
+    end.setUTCHours(23, 59, 59, 999);
+    dateConditions.push({ $lte: [saleDate, end] });
+  }
+
+  const filter = { status: { $ne: "voided" } };
+  if (dateConditions.length > 0) {
+    filter.$expr = { $and: dateConditions };
+  }
+  if (locationId) {
+    filter.locationId = new mongoose.Types.ObjectId(locationId);
+  }
+
+  // Share of each line the customer kept after refunds
+  const keptShare = {
+    $divide: [
+      {
+        $subtract: [
+          "$products.quantity",
+          { $ifNull: ["$products.refundedQuantity", 0] },
+        ],
+      },
+      "$products.quantity",
+    ],
+  };
+  const lineTaxable = {
+    $ifNull: [
+      "$products.taxableAmount",
+      {
+        $subtract: [
+          { $multiply: ["$products.priceAtSale", "$products.quantity"] },
+          { $ifNull: ["$products.discountAmount", 0] },
+        ],
+      },
+    ],
+  };
+  const lineTax = { $ifNull: ["$products.taxAmount", 0] };
+
+  const rows = await Sale.aggregate([
+    { $match: filter },
+    { $addFields: { effectiveDate: saleDate } },
+    { $unwind: "$products" },
+    {
+      $group: {
+        _id: {
+          period: getGroupByDateExpression(groupBy, "$effectiveDate"),
+          taxCode: { $ifNull: ["$products.taxCode", "unassigned"] },
+          taxRate: { $ifNull: ["$products.taxRate", 0] },
+        },
+        taxableAmount: { $sum: { $multiply: [lineTaxable, keptShare] } },
+        taxAmount: { $sum: { $multiply: [lineTax, keptShare] } },
+        refundedTax: {
+          $sum: { $multiply: [lineTax, { $subtract: [1, keptShare] }] },
+        },
+        sales: { $addToSet: "$_id" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        period: "$_id.period",
+        taxCode: "$_id.taxCode",
+        taxRate: "$_id.taxRate",
+        taxableAmount: { $round: ["$taxableAmount", 2] },
+        taxAmount: { $round: ["$taxAmount", 2] },
+        refundedTax: { $round: ["$refundedTax", 2] },
+        salesCount: { $size: "$sales" },
+      },
+    },
+    { $sort: { period: 1, taxCode: 1 } },
+  ]);
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const periodLabel = (period) =>
+    [
+      period.year,
+      period.month && String(period.month).padStart(2, "0"),
+      period.day && String(period.day).padStart(2, "0"),
+      period.week !== undefined && `W${String(period.week).padStart(2, "0")}`,
+    ]
+      .filter(Boolean)
+      .join("-");
+
+  if (format === "csv") {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="bitetrack-taxes-${groupBy}-${timestamp}.csv"`,
+    );
+
+    const csvStream = csv.format({ headers: true });
+    csvStream.pipe(res);
+    for (const row of rows) {
+      csvStream.write({
+        Period: periodLabel(row.period),
+        "Tax Code": row.taxCode,
+        "Tax Type": TAX_RATES[row.taxCode]?.type || "unassigned",
+        "Rate (%)": row.taxRate,
+        "Taxable Base": row.taxableAmount.toFixed(2),
+        "Tax Amount": row.taxAmount.toFixed(2),
+        "Refunded Tax": row.refundedTax.toFixed(2),
+        Sales: row.salesCount,
+      });
+    }
+    csvStream.end();
+    return;
+  }
+
+  // Totals per tax code across the whole range, and per period
+  const byTaxCode = [];
+  const periods = [];
+  for (const row of rows) {
+    const label = periodLabel(row.period);
+    let period = periods.find((p) => p.period === label);
+    if (!period) {
+      period = { period: label, taxableAmount: 0, taxAmount: 0, taxes: [] };
+      periods.push(period);
+    }
+    period.taxableAmount = round(period.taxableAmount + row.taxableAmount);
+    period.taxAmount = round(period.taxAmount + row.taxAmount);
+    period.taxes.push({
+      taxCode: row.taxCode,
+      taxType: TAX_RATES[row.taxCode]?.type || "unassigned",
+      taxRate: row.taxRate,
+      taxableAmount: row.taxableAmount,
+      taxAmount: row.taxAmount,
+      refundedTax: row.refundedTax,
+      salesCount: row.salesCount,
+    });
+
+    let total = byTaxCode.find(
+      (t) => t.taxCode === row.taxCode && t.taxRate === row.taxRate,
+    );
+    if (!total) {
+      total = {
+        taxCode: row.taxCode,
+        taxType: TAX_RATES[row.taxCode]?.type || "unassigned",
+        taxRate: row.taxRate,
+        taxableAmount: 0,
+        taxAmount: 0,
+        refundedTax: 0,
+      };
+      byTaxCode.push(total);
+    }
+    total.taxableAmount = round(total.taxableAmount + row.taxableAmount);
+    total.taxAmount = round(total.taxAmount + row.taxAmount);
+    total.refundedTax = round(total.refundedTax + row.refundedTax);
+  }
+
+  res.json({
+    period: {
+      startDate: startDate || null,
+      endDate: endDate || null,
+      groupBy,
+      locationId: locationId || null,
+    },
+    summary: {
+      taxableAmount: round(
+        byTaxCode.reduce((sum, t) => sum + t.taxableAmount, 0),
+      ),
+      taxAmount: round(byTaxCode.reduce((sum, t) => sum + t.taxAmount, 0)),
+      byTaxCode,
+    },
+    periods,
+  });
+};
+
 /**
  * Create MongoDB aggregation expression for date grouping
  * Generates appropriate grouping structure based on time period
@@ -563,4 +1426,9 @@ const getGroupByDateExpression = (groupBy, dateField) => {
   }
 };
 
-export { getSalesAnalytics, exportSalesCSV };
+export {
+  getSalesAnalytics,
+  exportSalesCSV,
+  getReceivablesReport,
+  getTaxReport,
+};
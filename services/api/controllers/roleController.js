@@ -0,0 +1,169 @@
+import Role from "../models/Role.js";
+import {
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE,
+  PERMISSIONS,
+  ROLES,
+} from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+
+/**
+ * Describe one role for API responses (internal helper)
+ *
+ * @function formatRole
+ * @param {string} name - Role name
+ * @param {Object|null} stored - Role document, or null while the defaults apply
+ * @returns {Object} { name, permissions, customized, locked, updatedAt, updatedBy }
+ */
+const formatRole = (name, stored) => ({
+  name,
+  permissions:
+    stored && name !== LOCKED_ROLE
+      ? stored.permissions
+      : DEFAULT_ROLE_PERMISSIONS[name],
+  customized: Boolean(stored) && name !== LOCKED_ROLE,
+  locked: name === LOCKED_ROLE,
+  updatedAt: stored ? stored.updatedAt : null,
+  updatedBy: stored ? stored.updatedBy : null,
+});
+
+/**
+ * Reject changes to unknown or locked roles (internal helper)
+ *
+ * @function rejectRoleChange
+ * @param {string} name - Role name from the URL
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if a response was sent
+ */
+const rejectRoleChange = (name, res) => {
+  if (!ROLES.includes(name)) {
+    res.status(404).json({
+      error: "Not Found",
+      message: "Role not found",
+      statusCode: 404,
+    });
+    return true;
+  }
+  if (name === LOCKED_ROLE) {
+    res.status(400).json({
+      error: "Bad Request",
+      message: `The ${LOCKED_ROLE} role always has every permission`,
+      statusCode: 400,
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * List role definitions and the permission catalogue (roles:manage)
+ *
+ * @async
+ * @function listRoles
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with roles and every known permission
+ *
+ * @example
+ * GET /roles
+ * Response: {
+ *   roles: [{ name: "user", permissions: ["sales:read", ...], customized: false, locked: false, ... }],
+ *   permissions: [{ name: "sales:void", description: "Void sales" }, ...]
+ * }
+ */
+const listRoles = async (req, res) => {
+  const stored = await Role.find({});
+  const byName = new Map(stored.map((role) => [role.name, role]));
+
+  res.json({
+    roles: ROLES.map((name) => formatRole(name, byName.get(name) || null)),
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+      name,
+      description,
+    })),
+  });
+};
+
+/**
+ * Replace the permissions of a role (roles:manage)
+ * Takes effect on the next request of every seller with that role
+ *
+ * @async
+ * @function updateRole
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.name - Role name ("user" or "admin")
+ * @param {Object} req.body - Request body
+ * @param {string[]} req.body.permissions - Complete list of granted permissions
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated role
+ * @throws {400} If the role is locked (superadmin) or a permission is unknown
+ * @throws {404} If the role does not exist
+ *
+ * @example
+ * PUT /roles/user/permissions
+ * Body: { permissions: ["sales:read", "sales:create", "customers:read"] }
+ */
+const updateRole = async (req, res) => {
+  const { name } = req.params;
+  if (rejectRoleChange(name, res)) {
+    return;
+  }
+
+  const permissions = [...new Set(req.body.permissions)];
+  const previous = await Role.getPermissions(name);
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    { permissions, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true },
+  );
+
+  recordAudit(req, {
+    action: "role.update",
+    resourceType: "role",
+    resourceId: name,
+    before: { permissions: previous },
+    after: { permissions },
+  });
+
+  res.json(formatRole(name, role));
+};
+
+/**
+ * Restore the built-in permissions of a role (roles:manage)
+ *
+ * @async
+ * @function resetRole
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.name - Role name ("user" or "admin")
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the role's default definition
+ * @throws {400} If the role is locked (superadmin)
+ * @throws {404} If the role does not exist
+ *
+ * @example
+ * DELETE /roles/admin/permissions
+ */
+const resetRole = async (req, res) => {
+  const { name } = req.params;
+  if (rejectRoleChange(name, res)) {
+    return;
+  }
+
+  const previous = await Role.getPermissions(name);
+  await Role.deleteOne({ name });
+
+  recordAudit(req, {
+    action: "role.reset",
+    resourceType: "role",
+    resourceId: name,
+    before: { permissions: previous },
+    after: { permissions: DEFAULT_ROLE_PERMISSIONS[name] },
+  });
+
+  res.json(formatRole(name, null));
+};
+
+export { listRoles, updateRole, resetRole };
@@ -1,6 +1,33 @@
 import Sale from "../models/Sale.js";
 import Product from "../models/Product.js";
 import Customer from "../models/Customer.js";
+import StockMovement from "../models/StockMovement.js";
+import StockLot from "../models/StockLot.js";
+import Promotion from "../models/Promotion.js";
+import Role from "../models/Role.js";
+import Shift from "../models/Shift.js";
+import { priceSale } from "../utils/pricing.js";
+import { calculateLineTax, summarizeTaxes } from "../utils/tax.js";
+import {
+  CASH_METHOD,
+  PAYMENT_METHODS,
+  SPLIT_TENDER,
+  applyTenders,
+  getEnabledPaymentMethods,
+  resolvePaymentMethod,
+} from "../utils/paymentMethods.js";
+import {
+  RECEIPT_FORMATS,
+  buildReceiptData,
+  renderReceiptText,
+  renderReceiptEscPos,
+  renderReceiptPdf,
+} from "../utils/receipt.js";
+import { sendReceiptEmail } from "../utils/emailService.js";
+import {
+  crossedReorderPoint,
+  raiseLowStockAlerts,
+} from "../utils/stockAlerts.js";
 import mongoose from "mongoose";
 import csv from "csv-parser";
 import multer from "multer";
@@ -16,7 +43,10 @@ import { Readable } from "stream";
  * @param {Object} req.query - Query parameters
  * @param {string} [req.query.customerId] - Filter by customer ID
  * @param {string} [req.query.sellerId] - Filter by seller ID
+ * @param {string} [req.query.locationId] - Filter by the location sold from
+ * @param {string} [req.query.shiftId] - Filter by the till shift the sale was made in
  * @param {string} [req.query.settled] - Filter by settled status ("true" or "false")
+ * @param {string} [req.query.status] - Filter by lifecycle status (completed/partially_refunded/refunded/voided)
  * @param {string} [req.query.startDate] - Start date filter (YYYY-MM-DD)
  * @param {string} [req.query.endDate] - End date filter (YYYY-MM-DD)
  * @param {string} [req.query.dateField="createdAt"] - Date field to filter on
@@ -33,7 +63,10 @@ const listSales = async (req, res, next) => {
     const {
       customerId,
       sellerId,
+      locationId,
+      shiftId,
       settled,
+      status,
       startDate,
       endDate,
       dateField = "createdAt",
@@ -51,9 +84,18 @@ const listSales = async (req, res, next) => {
     if (sellerId) {
       filter.sellerId = sellerId;
     }
+    if (locationId) {
+      filter.locationId = locationId;
+    }
+    if (shiftId) {
+      filter.shiftId = shiftId;
+    }
     if (settled !== undefined) {
       filter.settled = settled === "true";
     }
+    if (status) {
+      filter.status = status;
+    }
 
     // Date range filtering
     if (startDate || endDate) {
@@ -168,7 +210,10 @@ const listSales = async (req, res, next) => {
       filters: {
         customerId: customerId || null,
         sellerId: sellerId || null,
+        locationId: locationId || null,
+        shiftId: shiftId || null,
         settled: settled !== undefined ? settled === "true" : null,
+        status: status || null,
         dateRange: {
           startDate: startDate || null,
           endDate: endDate || null,
@@ -182,6 +227,313 @@ const listSales = async (req, res, next) => {
   }
 };
 
+/**
+ * Price, record and take stock for one sale inside a transaction (internal helper)
+ * Shared by createSale and syncOfflineSales
+ *
+ * @async
+ * @function placeSale
+ * @param {Object} input - Sale as sent by the client (see createSale body)
+ * @param {Object} user - Seller making the sale
+ * @param {Object} session - MongoDB session with an open transaction
+ * @param {Object} [options] - Offline capture details
+ * @param {Date} [options.capturedAt] - When the sale happened offline; used for
+ *   promotions, stock lot expiry, the payment date and originalCreatedAt
+ * @param {string} [options.clientId] - Client-generated sale id
+ * @returns {Promise<Object>} { sale, lowStockProducts }
+ * @throws {Error} With statusCode and code (forbidden, location_required,
+ *   customer_not_found, product_not_found, insufficient_inventory,
+ *   invalid_payment, credit_limit_exceeded)
+ */
+const placeSale = async (
+  input,
+  user,
+  session,
+  { capturedAt, clientId } = {},
+) => {
+  const {
+    customerId,
+    products,
+    amountPaid = 0,
+    paymentMethod,
+    payments: tenders,
+    overrideCreditLimit = false,
+    overrideReason,
+    discount,
+    applyPromotions = true,
+  } = input;
+
+  const permissions = await Role.getPermissions(user.role);
+
+  if (overrideCreditLimit && !permissions.includes("sales:credit:override")) {
+    const error = new Error(
+      "Overriding credit limits requires sales:credit:override",
+    );
+    error.statusCode = 403;
+    error.code = "forbidden";
+    throw error;
+  }
+
+  if (
+    !permissions.includes("sales:price:override") &&
+    products.some(
+      (item) => item.priceOverride !== undefined && item.priceOverride !== null,
+    )
+  ) {
+    const error = new Error("Overriding prices requires sales:price:override");
+    error.statusCode = 403;
+    error.code = "forbidden";
+    throw error;
+  }
+
+  // Stock comes out of the seller's current location
+  if (user.needsLocation()) {
+    const error = new Error(
+      "Choose your current location (PUT /auth/me/location) before selling",
+    );
+    error.statusCode = 400;
+    error.code = "location_required";
+    throw error;
+  }
+  const locationId = user.currentLocation || null;
+
+  // Verify customer exists
+  const customer = await Customer.findById(customerId).session(session);
+  if (!customer || customer.deletedAt) {
+    const error = new Error("Customer not found");
+    error.statusCode = 404;
+    error.code = "customer_not_found";
+    throw error;
+  }
+
+  // Verify products and take them out of stock
+  const saleLines = [];
+  const stockChanges = [];
+  const lowStockProducts = [];
+
+  for (const item of products) {
+    const product = await Product.findById(item.productId).session(session);
+    if (!product || product.deletedAt) {
+      const error = new Error(`Product ${item.productId} not found`);
+      error.statusCode = 404;
+      error.code = "product_not_found";
+      throw error;
+    }
+
+    const available = product.getLocationCount(locationId);
+    if (available < item.quantity) {
+      const error = new Error(
+        `Insufficient inventory for ${product.productName}. Available: ${available}, Requested: ${item.quantity}`,
+      );
+      error.statusCode = 400;
+      error.code = "insufficient_inventory";
+      throw error;
+    }
+
+    // Take the units from the location's oldest unexpired lots first
+    const lots = await StockLot.consumeFifo(
+      product._id,
+      item.quantity,
+      session,
+      capturedAt,
+      { locationId },
+    );
+
+    const overridden =
+      item.priceOverride !== undefined && item.priceOverride !== null;
+    saleLines.push({
+      product,
+      quantity: item.quantity,
+      unitPrice: overridden ? item.priceOverride : product.price,
+      overridden,
+      overrideReason: item.priceOverrideReason,
+      discount: item.discount,
+      costAtSale: StockLot.getUnitCost(lots, item.quantity, product.unitCost),
+      lots,
+    });
+
+    // Decrement inventory
+    const previousCount = product.count;
+    product.adjustLocationStock(locationId, -item.quantity);
+    await product.save({ session });
+    if (crossedReorderPoint(product, previousCount)) {
+      lowStockProducts.push(product);
+    }
+    stockChanges.push({
+      productId: product._id,
+      delta: -item.quantity,
+      resultingCount: product.count,
+    });
+  }
+
+  // Apply promotions and discounts to get the amount actually charged
+  const promotions = applyPromotions
+    ? await Promotion.findActiveAt(capturedAt || new Date(), session)
+    : [];
+  const pricing = priceSale(saleLines, {
+    promotions,
+    saleDiscount: discount,
+  });
+  const totalAmount = pricing.totalAmount;
+
+  // Split tender: work out the change and what is actually paid. Otherwise
+  // the upfront payment is recorded as sent
+  const tender = tenders
+    ? applyTenders(tenders, totalAmount)
+    : {
+        payments:
+          amountPaid > 0
+            ? [{ method: paymentMethod || null, amount: amountPaid }]
+            : [],
+        amountPaid,
+        cashTendered: null,
+        changeDue: 0,
+        method: paymentMethod || null,
+      };
+
+  const saleProducts = pricing.lines.map((line) => ({
+    productId: line.product._id,
+    quantity: line.quantity,
+    priceAtSale: line.unitPrice,
+    priceOverride: line.overridden
+      ? {
+          originalPrice: line.product.price,
+          overriddenBy: user._id,
+          reason: line.overrideReason,
+        }
+      : undefined,
+    discount: line.discount || undefined,
+    discountAmount: line.discountAmount,
+    taxCode: line.taxCode,
+    taxRate: line.taxRate,
+    priceIncludesTax: line.priceIncludesTax,
+    taxableAmount: line.taxableAmount,
+    taxAmount: line.taxAmount,
+    costAtSale: line.costAtSale,
+    lots: line.lots,
+  }));
+
+  // Enforce the customer's credit limit on whatever is left unpaid
+  let creditLimitOverride = null;
+  const unpaidAmount = Math.max(0, totalAmount - tender.amountPaid);
+  if (
+    customer.creditLimit !== null &&
+    customer.creditLimit !== undefined &&
+    unpaidAmount > 0
+  ) {
+    const currentBalance = await Sale.getOutstandingBalance(
+      customerId,
+      session,
+    );
+    const projectedBalance =
+      Math.round((currentBalance + unpaidAmount) * 100) / 100;
+
+    if (projectedBalance > customer.creditLimit) {
+      if (!overrideCreditLimit) {
+        const error = new Error(
+          "Sale would push the customer's unpaid balance over their credit limit",
+        );
+        error.statusCode = 409;
+        error.code = "credit_limit_exceeded";
+        error.details = {
+          creditLimit: customer.creditLimit,
+          currentBalance,
+          unpaidAmount: Math.round(unpaidAmount * 100) / 100,
+          projectedBalance,
+          availableCredit: Math.max(
+            0,
+            Math.round((customer.creditLimit - currentBalance) * 100) / 100,
+          ),
+        };
+        throw error;
+      }
+
+      creditLimitOverride = {
+        overriddenBy: user._id,
+        creditLimit: customer.creditLimit,
+        balanceBefore: currentBalance,
+        reason: overrideReason,
+      };
+    }
+  }
+
+  // Link the sale and its upfront payment to the till the seller had open
+  const shift = await Shift.findOpenFor(
+    user._id,
+    capturedAt || new Date(),
+    session,
+  );
+  const shiftId = shift ? shift._id : null;
+
+  // Create sale
+  const sale = new Sale({
+    customerId,
+    sellerId: user._id,
+    locationId,
+    shiftId,
+    products: saleProducts,
+    subtotalAmount: pricing.subtotalAmount,
+    discountAmount: pricing.discountAmount,
+    saleDiscount: discount
+      ? {
+          type: discount.type,
+          value: discount.value,
+          amount: pricing.saleDiscountAmount,
+          reason: discount.reason,
+          appliedBy: user._id,
+        }
+      : undefined,
+    appliedPromotions: pricing.appliedPromotions,
+    taxAmount: pricing.taxAmount,
+    taxBreakdown: pricing.taxBreakdown,
+    totalAmount,
+    paymentMethod: tender.method,
+    cashTendered: tender.cashTendered,
+    changeDue: tender.changeDue,
+    creditLimitOverride,
+    clientId: clientId || undefined,
+    originalCreatedAt: capturedAt || null,
+  });
+
+  // Record the upfront payments in the ledger
+  for (const payment of tender.payments) {
+    sale.recordPayment({
+      ...payment,
+      receivedBy: user._id,
+      receivedAt: capturedAt,
+      shiftId,
+    });
+  }
+  if (tender.payments.length === 0) {
+    sale.updateSettlement(capturedAt);
+  }
+
+  await sale.save({ session });
+
+  for (const change of stockChanges) {
+    await StockMovement.record(
+      {
+        ...change,
+        type: "sale",
+        locationId,
+        actor: user._id,
+        referenceType: "Sale",
+        referenceId: sale._id,
+      },
+      session,
+    );
+  }
+
+  // Update customer's last transaction (offline sales may arrive after newer ones)
+  const transactionDate = capturedAt || new Date();
+  if (!customer.lastTransaction || customer.lastTransaction < transactionDate) {
+    customer.lastTransaction = transactionDate;
+  }
+  await customer.save({ session });
+
+  return { sale, lowStockProducts };
+};
+
 /**
  * Create a new sale with atomic inventory management
  * Uses MongoDB transactions to ensure data consistency across sale and inventory updates
@@ -194,90 +546,79 @@ const listSales = async (req, res, next) => {
  * @param {Array<Object>} req.body.products - Array of product items
  * @param {string} req.body.products[].productId - Product ID
  * @param {number} req.body.products[].quantity - Quantity to purchase
+ * @param {number} [req.body.products[].priceOverride] - Unit price replacing the list price (sales:price:override)
+ * @param {string} [req.body.products[].priceOverrideReason] - Why the price was overridden
+ * @param {Object} [req.body.products[].discount] - Manual line discount ({ type: "percentage"|"fixed", value })
+ * @param {Object} [req.body.discount] - Sale-level discount ({ type, value, reason })
+ * @param {boolean} [req.body.applyPromotions=true] - Evaluate active promotions
  * @param {number} [req.body.amountPaid=0] - Amount paid (defaults to 0)
+ * @param {string} [req.body.paymentMethod] - Method used for the upfront payment
+ * @param {Array<Object>} [req.body.payments] - Split tender instead of
+ *   amountPaid/paymentMethod ({ method, amount } per method used)
+ * @param {boolean} [req.body.overrideCreditLimit=false] - Let the sale exceed the credit limit (sales:credit:override)
+ * @param {string} [req.body.overrideReason] - Why the credit limit was overridden
  * @param {Object} req.user - Authenticated user
  * @param {string} req.user._id - Seller ID from authentication
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Promise<void>} JSON response with created sale (201)
  * @throws {404} If customer or product not found
- * @throws {400} If insufficient inventory
+ * @throws {400} If insufficient inventory at the seller's location, the
+ *   seller has locations but has not chosen one, or non-cash tenders exceed
+ *   the total
+ * @throws {403} If the credit limit or a price is overridden without the
+ *   sales:credit:override / sales:price:override permission
+ * @throws {409} If the unpaid balance would exceed the customer's credit limit
  *
  * @description
- * - Verifies customer exists
+ * - Verifies customer exists (soft-deleted customers and products are refused)
  * - Validates product availability and inventory levels
+ * - Sells from the seller's current location (stored on the sale); sellers
+ *   without locations sell from unassigned stock
  * - Atomically decrements inventory and creates sale record
+ * - Takes units from the location's oldest unexpired stock lots first and
+ *   records the lot allocations on each sale line
+ * - Captures the unit cost of each line (costAtSale) for margin reporting
+ * - Prices the sale server-side: price overrides, manual line discounts
+ *   or the best active promotion per line, then the sale-level discount
+ *   (see utils/pricing.js). Discounts are stored on the lines and the sale
+ * - Works out IVA / impoconsumo per line from the product's tax code on the
+ *   discounted amount; tax on tax-exclusive products is added to the total
+ * - Rejects sales that push the customer's unpaid balance over their credit
+ *   limit unless overridden with sales:credit:override (recorded on the sale)
+ * - Records any upfront payment as the first entry of the payment ledger.
+ *   With split tender each method becomes a payment; cash above what is left
+ *   to pay is given back as changeDue, and account_credit stays owed (see
+ *   utils/paymentMethods.js)
+ * - Links the sale and its upfront payment to the seller's open till shift
+ *   (shiftId), if any
  * - Updates customer's lastTransaction timestamp
  * - All operations wrapped in MongoDB transaction
+ * - Raises a low-stock alert for every product the sale pushed to or below
+ *   its reorder point (after the transaction commits)
  */
 const createSale = async (req, res, next) => {
   const session = await mongoose.startSession();
 
   try {
-    await session.withTransaction(async () => {
-      const { customerId, products, amountPaid = 0 } = req.body;
-
-      // Verify customer exists
-      const customer = await Customer.findById(customerId).session(session);
-      if (!customer) {
-        const error = new Error("Customer not found");
-        error.statusCode = 404;
-        throw error;
-      }
-
-      // Verify products and calculate total
-      let totalAmount = 0;
-      const saleProducts = [];
-
-      for (const item of products) {
-        const product = await Product.findById(item.productId).session(session);
-        if (!product) {
-          const error = new Error(`Product ${item.productId} not found`);
-          error.statusCode = 404;
-          throw error;
-        }
+    let sale;
+    let lowStockProducts;
 
-        if (product.count < item.quantity) {
-          const error = new Error(
-            `Insufficient inventory for ${product.productName}. Available: ${product.count}, Requested: ${item.quantity}`,
-          );
-          error.statusCode = 400;
-          throw error;
-        }
-
-        // Calculate price for this item
-        const itemTotal = product.price * item.quantity;
-        totalAmount += itemTotal;
-
-        saleProducts.push({
-          productId: item.productId,
-          quantity: item.quantity,
-          priceAtSale: product.price,
-        });
-
-        // Decrement inventory
-        product.count -= item.quantity;
-        await product.save({ session });
-      }
-
-      // Create sale
-      const sale = new Sale({
-        customerId,
-        sellerId: req.user._id,
-        products: saleProducts,
-        totalAmount,
-        amountPaid,
-        settled: amountPaid >= totalAmount,
-      });
-
-      await sale.save({ session });
-
-      // Update customer's last transaction
-      customer.lastTransaction = new Date();
-      await customer.save({ session });
+    await session.withTransaction(async () => {
+      ({ sale, lowStockProducts } = await placeSale(
+        req.body,
+        req.user,
+        session,
+      ));
+    });
 
-      res.status(201).json(sale.toJSON());
+    await raiseLowStockAlerts(lowStockProducts, {
+      source: "sale",
+      referenceId: sale._id,
+      triggeredBy: req.user._id,
     });
+
+    res.status(201).json(sale.toJSON());
   } catch (error) {
     if (error.statusCode === 404) {
       return res.status(404).json({
@@ -286,6 +627,21 @@ const createSale = async (req, res, next) => {
         statusCode: 404,
       });
     }
+    if (error.statusCode === 403) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: error.message,
+        statusCode: 403,
+      });
+    }
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        error: "Credit Limit Exceeded",
+        message: error.message,
+        statusCode: 409,
+        details: error.details,
+      });
+    }
     if (
       error.statusCode === 400 ||
       error.message.includes("Insufficient inventory")
@@ -302,6 +658,150 @@ const createSale = async (req, res, next) => {
   }
 };
 
+/**
+ * Apply a batch of sales captured offline and return what changed on the server
+ * Lets stall devices keep selling without connectivity and catch up later
+ *
+ * @async
+ * @function syncOfflineSales
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {Array<Object>} req.body.sales - Offline sales, up to 100 (same fields as createSale)
+ * @param {string} req.body.sales[].clientId - Client-generated sale id
+ * @param {string} req.body.sales[].capturedAt - When the sale happened (ISO 8601)
+ * @param {string} [req.body.cursor] - Server time returned by the previous sync
+ * @param {Object} req.user - Authenticated user
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with per-sale results, a summary,
+ *   the products and customers changed since the cursor, and the next cursor
+ *
+ * @description
+ * - Sales are applied oldest first (by capturedAt), each in its own
+ *   transaction, so one failing sale does not roll back the others
+ * - capturedAt is stored as originalCreatedAt and drives promotions, stock lot
+ *   expiry, the payment date and the customer's lastTransaction. Sales are
+ *   linked to the seller's open shift only if it was already open then
+ * - A clientId that was already synced by this seller is reported as
+ *   "duplicate" with the existing sale id, so re-sending a batch is safe
+ * - Sales the server rejects are reported as "conflict" with a code
+ *   (location_required, customer_not_found, product_not_found,
+ *   insufficient_inventory, invalid_payment, credit_limit_exceeded,
+ *   forbidden), message and
+ *   details
+ * - changes holds every product and customer updated after the cursor (all of
+ *   them when no cursor is sent); soft-deleted ones carry deletedAt so the
+ *   device can drop them. Store the returned cursor for the next sync
+ */
+const syncOfflineSales = async (req, res, next) => {
+  try {
+    const { sales, cursor } = req.body;
+    // Taken before anything is read so no change between reads is missed
+    const syncedAt = new Date();
+
+    const ordered = sales
+      .map((input, index) => ({ input, index }))
+      .sort(
+        (a, b) =>
+          new Date(a.input.capturedAt) - new Date(b.input.capturedAt) ||
+          a.index - b.index,
+      );
+
+    const results = [];
+    for (const { input } of ordered) {
+      const { clientId } = input;
+
+      const existing = await Sale.findOne({
+        sellerId: req.user._id,
+        clientId,
+      }).select("_id");
+      if (existing) {
+        results.push({ clientId, status: "duplicate", saleId: existing._id });
+        continue;
+      }
+
+      const session = await mongoose.startSession();
+      try {
+        let sale;
+        let lowStockProducts;
+
+        await session.withTransaction(async () => {
+          ({ sale, lowStockProducts } = await placeSale(
+            input,
+            req.user,
+            session,
+            { capturedAt: new Date(input.capturedAt), clientId },
+          ));
+        });
+
+        await raiseLowStockAlerts(lowStockProducts, {
+          source: "sale",
+          referenceId: sale._id,
+          triggeredBy: req.user._id,
+        });
+
+        results.push({ clientId, status: "created", sale: sale.toJSON() });
+      } catch (error) {
+        if (error.code === 11000) {
+          // Synced by a concurrent request since the lookup above
+          const duplicate = await Sale.findOne({
+            sellerId: req.user._id,
+            clientId,
+          }).select("_id");
+          results.push({
+            clientId,
+            status: "duplicate",
+            saleId: duplicate?._id ?? null,
+          });
+        } else if (error.statusCode && typeof error.code === "string") {
+          results.push({
+            clientId,
+            status: "conflict",
+            conflict: {
+              code: error.code,
+              message: error.message,
+              statusCode: error.statusCode,
+              details: error.details,
+            },
+          });
+        } else {
+          throw error;
+        }
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    const changedFilter = cursor
+      ? { updatedAt: { $gt: new Date(cursor) } }
+      : {};
+    const [products, customers] = await Promise.all([
+      Product.find(changedFilter).sort({ updatedAt: 1 }),
+      Customer.find(changedFilter).sort({ updatedAt: 1 }),
+    ]);
+
+    const countStatus = (status) =>
+      results.filter((result) => result.status === status).length;
+
+    res.json({
+      results,
+      summary: {
+        received: sales.length,
+        created: countStatus("created"),
+        duplicates: countStatus("duplicate"),
+        conflicts: countStatus("conflict"),
+      },
+      changes: {
+        products: products.map((product) => product.toJSON()),
+        customers: customers.map((customer) => customer.toJSON()),
+      },
+      cursor: syncedAt.toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get a single sale by ID
  *
@@ -334,9 +834,222 @@ const getSale = async (req, res, next) => {
   }
 };
 
+// Load a sale with everything printed on its receipt
+const findSaleForReceipt = (id) =>
+  Sale.findById(id)
+    .populate("customerId", "firstName lastName email phoneNumber")
+    .populate("sellerId", "firstName lastName")
+    .populate("products.productId", "productName");
+
+/**
+ * Get a printable receipt for a sale
+ *
+ * @async
+ * @function getSaleReceipt
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Sale ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.format="pdf"] - pdf, text (80mm plain text) or escpos (raw printer bytes)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Receipt file in the requested format
+ * @throws {400} If the format is invalid
+ * @throws {404} If sale not found
+ *
+ * @description
+ * Business header, line items with discounts, taxes, payments and the
+ * remaining balance. Generated locally (see utils/receipt.js); voided and
+ * refunded sales are marked as such.
+ */
+const getSaleReceipt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format = "pdf" } = req.query;
+
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: `Invalid format. Use: ${RECEIPT_FORMATS.join(", ")}`,
+        statusCode: 400,
+      });
+    }
+
+    const sale = await findSaleForReceipt(id);
+    if (!sale) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Sale not found",
+        statusCode: 404,
+      });
+    }
+
+    const receipt = buildReceiptData(sale);
+    const filename = `receipt-${receipt.receiptNumber}`;
+
+    if (format === "text") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      return res.send(renderReceiptText(receipt));
+    }
+
+    if (format === "escpos") {
+      res.setHeader("Content-Type", "application/octet-stream");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}.bin"`,
+      );
+      return res.send(renderReceiptEscPos(receipt));
+    }
+
+    const pdf = await renderReceiptPdf(receipt);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Email a sale's PDF receipt to the customer
+ *
+ * @async
+ * @function emailSaleReceipt
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Sale ID
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.email] - Send to this address instead of the customer's email
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON confirmation with the recipient
+ * @throws {400} If no email address is available
+ * @throws {404} If sale not found
+ * @throws {500} If the email could not be sent
+ */
+const emailSaleReceipt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const sale = await findSaleForReceipt(id);
+    if (!sale) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Sale not found",
+        statusCode: 404,
+      });
+    }
+
+    const receipt = buildReceiptData(sale);
+    const email = req.body.email || receipt.customer.email;
+    if (!email) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Customer has no email address; provide one in the request",
+        statusCode: 400,
+      });
+    }
+
+    const pdf = await renderReceiptPdf(receipt);
+    const emailResult = await sendReceiptEmail(email, receipt, pdf);
+
+    if (!emailResult.success) {
+      return res.status(500).json({
+        error: "Email Service Error",
+        message: "Failed to send receipt email",
+        statusCode: 500,
+      });
+    }
+
+    res.json({
+      message: "Receipt sent successfully",
+      email,
+      receiptNumber: receipt.receiptNumber,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Times a payment is tried on a freshly loaded sale before a conflict with
+// concurrent updates is reported
+const PAYMENT_SAVE_ATTEMPTS = 3;
+
+/**
+ * Record a payment on a sale, reloading the sale and trying again when
+ * another request changed it in between (internal helper)
+ *
+ * @async
+ * @function saveSalePayment
+ * @param {string} id - Sale ID
+ * @param {Function} apply - Called with the loaded sale to check the payment
+ *   and record it. Returns { rejection } to answer without saving, or the
+ *   values to hand back after saving
+ * @returns {Promise<Object>} { sale, rejection, ...values from apply }
+ * @throws {Error} VersionError if the sale kept changing on every attempt
+ *
+ * @description
+ * Sale uses optimistic concurrency, so saving a copy that another payment,
+ * refund or void already changed fails instead of letting both requests pass
+ * the same balance check. Missing, voided and settled sales are rejected here.
+ */
+const saveSalePayment = async (id, apply) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const sale = await Sale.findById(id);
+    if (!sale) {
+      return {
+        rejection: {
+          error: "Not Found",
+          message: "Sale not found",
+          statusCode: 404,
+        },
+      };
+    }
+
+    if (sale.status === "voided") {
+      return {
+        rejection: {
+          error: "Bad Request",
+          message: "Sale has been voided",
+          statusCode: 400,
+        },
+      };
+    }
+
+    if (sale.settled) {
+      return {
+        rejection: {
+          error: "Bad Request",
+          message: "Sale is already settled",
+          statusCode: 400,
+        },
+      };
+    }
+
+    const outcome = apply(sale);
+    if (outcome.rejection) {
+      return outcome;
+    }
+
+    try {
+      await sale.save();
+      return { sale, ...outcome };
+    } catch (error) {
+      if (
+        !(error instanceof mongoose.Error.VersionError) ||
+        attempt >= PAYMENT_SAVE_ATTEMPTS
+      ) {
+        throw error;
+      }
+    }
+  }
+};
+
 /**
  * Settle a pending sale by recording payment
- * Updates sale settlement status and records payment amount
+ * Appends the outstanding difference to the payment ledger instead of
+ * overwriting previous payments. The payment is linked to the collecting
+ * seller's open shift
  *
  * @async
  * @function settleSale
@@ -344,19 +1057,179 @@ const getSale = async (req, res, next) => {
  * @param {Object} req.params - URL parameters
  * @param {string} req.params.id - Sale ID to settle
  * @param {Object} req.body - Request body
- * @param {number} [req.body.amountPaid] - Amount paid (defaults to full amount)
+ * @param {number} [req.body.amountPaid] - Total amount paid so far (defaults to full amount)
+ * @param {string} [req.body.method] - Payment method used for this payment
+ * @param {string} [req.body.note] - Optional note stored with the payment
+ * @param {Object} req.user - Authenticated user collecting the payment
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Promise<void>} JSON response with updated sale
  * @throws {404} If sale not found
- * @throws {400} If sale is already settled
+ * @throws {400} If sale is already settled or amountPaid is lower than already paid
+ * @throws {409} If concurrent updates kept changing the sale
  */
 const settleSale = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { amountPaid } = req.body;
+    const { amountPaid, method, note } = req.body;
+
+    const shift = await Shift.findOpenFor(req.user._id);
+    const { sale, rejection } = await saveSalePayment(id, (sale) => {
+      // If no amountPaid provided, settle for full amount
+      const targetAmount =
+        amountPaid !== undefined ? amountPaid : sale.getNetTotal();
+      const paymentAmount =
+        Math.round((targetAmount - sale.amountPaid) * 100) / 100;
+
+      if (paymentAmount < 0) {
+        return {
+          rejection: {
+            error: "Bad Request",
+            message: `amountPaid cannot be lower than the amount already paid (${sale.amountPaid})`,
+            statusCode: 400,
+          },
+        };
+      }
 
-    const sale = await Sale.findById(id);
+      if (paymentAmount > 0) {
+        sale.recordPayment({
+          amount: paymentAmount,
+          method,
+          receivedBy: req.user._id,
+          shiftId: shift ? shift._id : null,
+          note,
+        });
+      }
+      return {};
+    });
+    if (rejection) {
+      return res.status(rejection.statusCode).json(rejection);
+    }
+
+    res.json(sale.toJSON());
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Record a partial payment against a sale
+ * Appends a payment to the sale ledger and recalculates settlement status.
+ * The payment is linked to the collecting seller's open shift
+ *
+ * @async
+ * @function addPayment
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Sale ID
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.amount - Amount received (must be > 0); cash may
+ *   exceed the balance due, the excess is returned as changeDue
+ * @param {string} [req.body.method] - Payment method (see utils/paymentMethods.js)
+ * @param {string} [req.body.note] - Optional note about the payment
+ * @param {Object} req.user - Authenticated user collecting the payment
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the new payment, the change due and updated balance (201)
+ * @throws {404} If sale not found
+ * @throws {400} If sale is already settled or a non-cash amount exceeds the balance due
+ * @throws {409} If concurrent updates kept changing the sale
+ */
+const addPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { amount, method, note } = req.body;
+
+    const shift = await Shift.findOpenFor(req.user._id);
+    const { sale, payment, changeDue, rejection } = await saveSalePayment(
+      id,
+      (sale) => {
+        const balanceDue = sale.getBalanceDue();
+        if (amount > balanceDue && method !== CASH_METHOD) {
+          return {
+            rejection: {
+              error: "Bad Request",
+              message: `Payment of ${amount} exceeds the balance due (${balanceDue})`,
+              statusCode: 400,
+            },
+          };
+        }
+
+        // Cash above the balance is handed back as change
+        const changeDue = Math.max(
+          0,
+          Math.round((amount - balanceDue) * 100) / 100,
+        );
+        const payment = sale.recordPayment({
+          amount: Math.round((amount - changeDue) * 100) / 100,
+          method,
+          receivedBy: req.user._id,
+          shiftId: shift ? shift._id : null,
+          note,
+        });
+        return { payment, changeDue };
+      },
+    );
+    if (rejection) {
+      return res.status(rejection.statusCode).json(rejection);
+    }
+
+    res.status(201).json({
+      payment: payment.toJSON(),
+      changeDue,
+      sale: {
+        id: sale._id,
+        totalAmount: sale.totalAmount,
+        amountPaid: sale.amountPaid,
+        balanceDue: sale.getBalanceDue(),
+        settled: sale.settled,
+        settledAt: sale.settledAt,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * List the payment methods this business accepts
+ *
+ * @function listPaymentMethods
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void} JSON response with the enabled methods and their labels
+ */
+const listPaymentMethods = (req, res) => {
+  res.json({
+    paymentMethods: getEnabledPaymentMethods().map((code) => ({
+      code,
+      label: PAYMENT_METHODS[code].label,
+      givesChange: code === CASH_METHOD,
+    })),
+  });
+};
+
+/**
+ * List the payment ledger of a sale
+ *
+ * @async
+ * @function listPayments
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Sale ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with payments (oldest first) and balance summary
+ * @throws {404} If sale not found
+ */
+const listPayments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const sale = await Sale.findById(id).populate(
+      "payments.receivedBy",
+      "firstName lastName",
+    );
     if (!sale) {
       return res.status(404).json({
         error: "Not Found",
@@ -365,31 +1238,358 @@ const settleSale = async (req, res, next) => {
       });
     }
 
-    // Check if already settled
-    if (sale.settled) {
+    const payments = [...sale.payments]
+      .sort((a, b) => a.receivedAt - b.receivedAt)
+      .map((payment) => payment.toJSON());
+
+    res.json({
+      saleId: sale._id,
+      totalAmount: sale.totalAmount,
+      amountPaid: sale.amountPaid,
+      balanceDue: sale.getBalanceDue(),
+      settled: sale.settled,
+      settledAt: sale.settledAt,
+      payments,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Work out which sale lines a refund takes its units from (internal helper)
+ * Quantities are summed per product first, so listing a product twice cannot
+ * refund more than was sold. A product sold on several lines is refunded
+ * from its first line with units left.
+ *
+ * @function getRefundLines
+ * @param {Object} sale - Sale document being refunded
+ * @param {Array<Object>} items - Requested items ({ productId, quantity })
+ * @returns {Array<Object>} Items per sale line ({ lineId, productId, quantity })
+ * @throws {Error} With statusCode 400 if a product is not part of the sale or
+ *   more units are requested than are left to refund
+ */
+const getRefundLines = (sale, items) => {
+  const requested = new Map();
+  for (const item of items) {
+    const productId = item.productId.toString();
+    requested.set(productId, (requested.get(productId) || 0) + item.quantity);
+  }
+
+  const refundLines = [];
+  for (const [productId, quantity] of requested) {
+    const lines = sale.products.filter(
+      (p) => p.productId.toString() === productId,
+    );
+    if (lines.length === 0) {
+      const error = new Error(`Product ${productId} is not part of this sale`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const refundable = lines.reduce(
+      (sum, line) => sum + line.quantity - (line.refundedQuantity || 0),
+      0,
+    );
+    if (quantity > refundable) {
+      const error = new Error(
+        `Cannot refund ${quantity} units of product ${productId}. Refundable: ${refundable}`,
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let remaining = quantity;
+    for (const line of lines) {
+      const taken = Math.min(
+        remaining,
+        line.quantity - (line.refundedQuantity || 0),
+      );
+      if (taken > 0) {
+        refundLines.push({
+          lineId: line._id,
+          productId: line.productId,
+          quantity: taken,
+        });
+        remaining -= taken;
+      }
+    }
+  }
+
+  return refundLines;
+};
+
+/**
+ * Restore inventory for refunded or voided sale lines (internal helper)
+ * Units go back to the sale's location and to the stock lots they were sold
+ * from, newest allocation first.
+ *
+ * @async
+ * @function restoreInventory
+ * @param {Array<Object>} items - Items to restore ({ lineId, productId, quantity })
+ * @param {Object} session - MongoDB session of the surrounding transaction
+ * @param {Object} movement - Stock movement details
+ * @param {string} movement.type - Movement type ("void" or "refund")
+ * @param {string} movement.actor - Seller restoring the stock
+ * @param {Object} movement.sale - Sale document being voided or refunded
+ * @returns {Promise<Array<Object>>} Restored products with previous and new counts
+ */
+const restoreInventory = async (items, session, movement) => {
+  const restored = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId).session(session);
+    if (!product) {
+      // Product was deleted after the sale - nothing to give stock back to
+      continue;
+    }
+
+    // Units go back to the location the sale took them from
+    const previousQuantity = product.count;
+    product.adjustLocationStock(movement.sale.locationId, item.quantity);
+    await product.save({ session });
+
+    const line = movement.sale.products.id(item.lineId);
+    if (line && line.lots.length > 0) {
+      await StockLot.returnUnits(line.lots, item.quantity, session);
+    }
+
+    await StockMovement.record(
+      {
+        productId: product._id,
+        type: movement.type,
+        delta: item.quantity,
+        resultingCount: product.count,
+        locationId: movement.sale.locationId,
+        actor: movement.actor,
+        referenceType: "Sale",
+        referenceId: movement.sale._id,
+      },
+      session,
+    );
+
+    restored.push({
+      productId: product._id,
+      productName: product.productName,
+      previousQuantity,
+      newQuantity: product.count,
+      quantityRestored: item.quantity,
+    });
+  }
+
+  return restored;
+};
+
+/**
+ * Void a sale and restore its inventory (Admin/SuperAdmin only)
+ * Cancels the whole sale, gives back stock for every unrefunded unit and
+ * records who voided it and why. The sale document is kept as an audit trail.
+ * Money paid back is counted against the voiding seller's open shift.
+ *
+ * @async
+ * @function voidSale
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Sale ID to void
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - Reason for voiding the sale
+ * @param {Object} req.user - Authenticated user performing the void
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with voided sale and restored inventory
+ * @throws {404} If sale not found
+ * @throws {400} If sale is already voided or fully refunded
+ */
+const voidSale = async (req, res, next) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      const sale = await Sale.findById(id).session(session);
+      if (!sale) {
+        const error = new Error("Sale not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (sale.status === "voided" || sale.status === "refunded") {
+        const error = new Error(`Sale is already ${sale.status}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Only units that were not refunded earlier still need restocking
+      const remainingItems = sale.products
+        .map((line) => ({
+          lineId: line._id,
+          productId: line.productId,
+          quantity: line.quantity - (line.refundedQuantity || 0),
+        }))
+        .filter((item) => item.quantity > 0);
+
+      // Money paid back comes out of the voiding seller's open till
+      const shift = await Shift.findOpenFor(req.user._id, new Date(), session);
+
+      const restoredProducts = await restoreInventory(remainingItems, session, {
+        type: "void",
+        actor: req.user._id,
+        sale,
+      });
+
+      sale.status = "voided";
+      sale.voidedAt = new Date();
+      sale.voidedBy = req.user._id;
+      sale.voidReason = reason;
+      sale.voidAmountReturned = sale.amountPaid;
+      sale.voidReturnedByMethod = sale.allocateReturn(sale.amountPaid);
+      sale.voidShiftId = shift ? shift._id : null;
+      sale.amountPaid = 0;
+      sale.settled = true;
+      sale.settledAt = sale.settledAt || sale.voidedAt;
+
+      await sale.save({ session });
+
+      result = { sale, restoredProducts };
+    });
+
+    res.json({
+      message: "Sale voided successfully",
+      sale: result.sale.toJSON(),
+      restoredProducts: result.restoredProducts,
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: error.message,
+        statusCode: 404,
+      });
+    }
+    if (error.statusCode === 400) {
       return res.status(400).json({
         error: "Bad Request",
-        message: "Sale is already settled",
+        message: error.message,
         statusCode: 400,
       });
     }
+    return next(error);
+  } finally {
+    await session.endSession();
+  }
+};
 
-    // If no amountPaid provided, settle for full amount
-    const paymentAmount =
-      amountPaid !== undefined ? amountPaid : sale.totalAmount;
+/**
+ * Refund a sale fully or per line item (Admin/SuperAdmin only)
+ * Appends a refund to the sale, reduces the amount owed, returns any money
+ * paid above the new total and restores inventory unless restock is false.
+ * Money paid back is counted against the refunding seller's open shift
+ *
+ * @async
+ * @function refundSale
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Sale ID to refund
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - Reason for the refund
+ * @param {Array<Object>} [req.body.items] - Line items to refund (defaults to everything not yet refunded)
+ * @param {string} req.body.items[].productId - Product ID of the sale line
+ *   (each product once; one sold on several lines is refunded line by line)
+ * @param {number} req.body.items[].quantity - Quantity to refund
+ * @param {boolean} [req.body.restock=true] - Whether refunded units go back to inventory
+ * @param {Object} req.user - Authenticated user performing the refund
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the refund, updated sale and restored inventory
+ * @throws {404} If sale not found
+ * @throws {400} If sale is voided, fully refunded, or items exceed refundable quantities
+ */
+const refundSale = async (req, res, next) => {
+  const session = await mongoose.startSession();
 
-    sale.amountPaid = paymentAmount;
-    sale.settled = paymentAmount >= sale.totalAmount;
+  try {
+    let result;
 
-    // Set settledAt timestamp if now settled
-    if (sale.settled) {
-      sale.settledAt = new Date();
-    }
+    await session.withTransaction(async () => {
+      const { id } = req.params;
+      const { reason, items, restock = true } = req.body;
 
-    await sale.save();
-    res.json(sale.toJSON());
+      const sale = await Sale.findById(id).session(session);
+      if (!sale) {
+        const error = new Error("Sale not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (sale.status === "voided" || sale.status === "refunded") {
+        const error = new Error(`Sale is already ${sale.status}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Default to refunding every unit that has not been refunded yet
+      const requestedItems =
+        items && items.length > 0
+          ? getRefundLines(sale, items)
+          : sale.products
+              .map((line) => ({
+                lineId: line._id,
+                productId: line.productId,
+                quantity: line.quantity - (line.refundedQuantity || 0),
+              }))
+              .filter((item) => item.quantity > 0);
+
+      // Money paid back comes out of the refunding seller's open till
+      const shift = await Shift.findOpenFor(req.user._id, new Date(), session);
+      const refund = sale.applyRefund({
+        items: requestedItems,
+        reason,
+        refundedBy: req.user._id,
+        restocked: restock,
+        shiftId: shift ? shift._id : null,
+      });
+
+      const restoredProducts = restock
+        ? await restoreInventory(requestedItems, session, {
+            type: "refund",
+            actor: req.user._id,
+            sale,
+          })
+        : [];
+
+      await sale.save({ session });
+
+      result = { sale, refund, restoredProducts };
+    });
+
+    res.status(201).json({
+      message: "Refund recorded successfully",
+      refund: result.refund.toJSON(),
+      sale: result.sale.toJSON(),
+      restoredProducts: result.restoredProducts,
+    });
   } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: error.message,
+        statusCode: 404,
+      });
+    }
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: error.message,
+        statusCode: 400,
+      });
+    }
     return next(error);
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -457,9 +1657,15 @@ const findCustomerByContact = async (contact) => {
   const parsedContact = parseContact(contact);
 
   if (parsedContact.type === "email") {
-    return await Customer.findOne({ email: parsedContact.value });
+    return await Customer.findOne({
+      email: parsedContact.value,
+      deletedAt: null,
+    });
   } else {
-    return await Customer.findOne({ phoneNumber: parsedContact.value });
+    return await Customer.findOne({
+      phoneNumber: parsedContact.value,
+      deletedAt: null,
+    });
   }
 };
 
@@ -474,6 +1680,7 @@ const findCustomerByContact = async (contact) => {
 const findProductByName = async (productName) => {
   return await Product.findOne({
     productName: { $regex: new RegExp(`^${productName.trim()}$`, "i") },
+    deletedAt: null,
   });
 };
 
@@ -498,6 +1705,8 @@ const normalizeCSVRow = (row) => {
     "Unit Price": "unitPrice",
     "Total Amount": "totalAmount",
     "Amount Paid": "amountPaid",
+    "Payment Method": "paymentMethod",
+    paymentMethod: "paymentMethod",
   };
 
   // Apply mapping
@@ -593,6 +1802,10 @@ const validateCSVRow = (row) => {
  * - Duplicate detection by customer and timestamp
  * - Customer lookup by email or phone
  * - Product lookup by name (case-insensitive)
+ * - Stock taken from the location's oldest lots unexpired on the sale date
+ * - Each row is written in its own transaction (sale, lots, stock, ledger)
+ * - Payment methods mapped onto PAYMENT_METHOD_CODES (codes, labels or aliases
+ *   such as "Efectivo"); rows with an unknown method are skipped
  * - Batch processing for memory efficiency
  * - Detailed error reporting per row
  */
@@ -615,6 +1828,8 @@ const importSalesFromCSV = async (req, res, next) => {
     // Generate batch ID for tracking
     const importBatch = `batch_${new Date().toISOString().replace(/[:.]/g, "")}`;
     const importedAt = new Date();
+    // Imported sales take stock from the importing seller's current location
+    const locationId = req.user.currentLocation || null;
 
     // Create a readable stream from the buffer
     const stream = Readable.from(req.file.buffer.toString());
@@ -752,53 +1967,142 @@ const importSalesFromCSV = async (req, res, next) => {
             continue;
           }
 
-          // Create sale data
-          const saleData = {
-            customerId: customer._id,
-            sellerId: req.user._id,
-            products: [
-              {
-                productId: product._id,
-                quantity: quantity,
-                priceAtSale: product.price,
-              },
-            ],
-            totalAmount: totalAmount,
-            amountPaid: amountPaid,
-            settled: amountPaid >= totalAmount,
+          // Payment method: one of PAYMENT_METHOD_CODES (or an alias such as
+          // "Efectivo"), "split" as exported for split tender, or empty
+          const paymentMethodText =
+            normalized.paymentMethod?.toString().trim() || "";
+          const paymentMethod =
+            paymentMethodText.toLowerCase() === SPLIT_TENDER
+              ? SPLIT_TENDER
+              : resolvePaymentMethod(paymentMethodText);
+          if (paymentMethodText !== "" && !paymentMethod) {
+            skippedRows.push({
+              row: rowNumber,
+              data: row,
+              skip_reason: "invalid_payment_method",
+              errors: [
+                {
+                  field: "paymentMethod",
+                  message: `Unknown payment method: ${paymentMethodText}`,
+                },
+              ],
+            });
+            continue;
+          }
 
-            // CSV Import specific fields
-            originalCreatedAt: parsedTimestamp,
-            importedAt: importedAt,
-            externalSale: true,
-            receiptUrl:
-              row.receiptUrl && row.receiptUrl.toString().trim() !== ""
-                ? row.receiptUrl.toString().trim()
-                : null,
-            importBatch: importBatch,
-            paymentMethod:
-              row.paymentMethod && row.paymentMethod.toString().trim() !== ""
-                ? row.paymentMethod.toString().trim()
-                : null,
-          };
+          // Imported amounts are what the customer was charged, so any tax
+          // is treated as already included
+          const tax = calculateLineTax(totalAmount, {
+            taxCode: product.taxCode,
+            priceIncludesTax: true,
+          });
 
-          // Create and save sale
-          const sale = new Sale(saleData);
-          await sale.save();
-
-          // Update customer's last transaction (using original timestamp)
-          if (
-            !customer.lastTransaction ||
-            parsedTimestamp > customer.lastTransaction
-          ) {
-            customer.lastTransaction = parsedTimestamp;
-            await customer.save();
+          // Sale, lots, stock and ledger are written together, so a row that
+          // fails leaves nothing behind
+          let sale;
+          const session = await mongoose.startSession();
+          try {
+            await session.withTransaction(async () => {
+              // Reload inside the transaction so a retried attempt starts
+              // from the stored documents
+              const txCustomer = await Customer.findById(customer._id).session(
+                session,
+              );
+              const txProduct = await Product.findById(product._id).session(
+                session,
+              );
+
+              // Take the units from the location's lots that were unexpired
+              // on the sale date, oldest first, as placeSale does. Units the
+              // lots cannot cover are costed at the product's unit cost
+              const lots = await StockLot.consumeFifo(
+                txProduct._id,
+                quantity,
+                session,
+                parsedTimestamp,
+                { locationId },
+              );
+
+              // Create and save sale, recording the imported payment in the
+              // ledger
+              sale = new Sale({
+                customerId: txCustomer._id,
+                sellerId: req.user._id,
+                locationId,
+                products: [
+                  {
+                    productId: txProduct._id,
+                    quantity: quantity,
+                    priceAtSale: txProduct.price,
+                    costAtSale: StockLot.getUnitCost(
+                      lots,
+                      quantity,
+                      txProduct.unitCost,
+                    ),
+                    lots,
+                    ...tax,
+                  },
+                ],
+                totalAmount: totalAmount,
+                taxAmount: tax.taxAmount,
+                taxBreakdown: summarizeTaxes([tax]),
+
+                // CSV Import specific fields
+                originalCreatedAt: parsedTimestamp,
+                importedAt: importedAt,
+                externalSale: true,
+                receiptUrl:
+                  row.receiptUrl && row.receiptUrl.toString().trim() !== ""
+                    ? row.receiptUrl.toString().trim()
+                    : null,
+                importBatch: importBatch,
+                paymentMethod,
+              });
+              if (amountPaid > 0) {
+                sale.recordPayment({
+                  amount: amountPaid,
+                  // A split sale's imported total is not broken down by method
+                  method: paymentMethod === SPLIT_TENDER ? null : paymentMethod,
+                  receivedBy: req.user._id,
+                  receivedAt: parsedTimestamp,
+                  note: `Imported in ${importBatch}`,
+                });
+              } else {
+                sale.updateSettlement(parsedTimestamp);
+              }
+              await sale.save({ session });
+
+              // Update customer's last transaction (using original timestamp)
+              if (
+                !txCustomer.lastTransaction ||
+                parsedTimestamp > txCustomer.lastTransaction
+              ) {
+                txCustomer.lastTransaction = parsedTimestamp;
+                await txCustomer.save({ session });
+              }
+
+              // Decrement inventory
+              txProduct.adjustLocationStock(locationId, -quantity);
+              await txProduct.save({ session });
+              await StockMovement.record(
+                {
+                  productId: txProduct._id,
+                  type: "import",
+                  delta: -quantity,
+                  resultingCount: txProduct.count,
+                  locationId,
+                  actor: req.user._id,
+                  referenceType: "Sale",
+                  referenceId: sale._id,
+                  note: `Imported in ${importBatch}`,
+                },
+                session,
+              );
+            });
+          } finally {
+            await session.endSession();
           }
 
-          // Decrement inventory
-          product.count -= quantity;
-          await product.save();
-
           successfulImports.push({
             row: rowNumber,
             customer: {
@@ -887,8 +2191,16 @@ const uploadCSV = multer({
 export {
   listSales,
   createSale,
+  syncOfflineSales,
   getSale,
+  getSaleReceipt,
+  emailSaleReceipt,
   settleSale,
+  addPayment,
+  listPaymentMethods,
+  listPayments,
+  voidSale,
+  refundSale,
   importSalesFromCSV,
   uploadCSV,
 };
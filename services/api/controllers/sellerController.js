@@ -1,5 +1,8 @@
 import Seller from "../models/Seller.js";
 import PendingSeller from "../models/PendingSeller.js";
+import RefreshToken from "../models/RefreshToken.js";
+import Location from "../models/Location.js";
+import { recordAudit } from "../utils/audit.js";
 
 /**
  * List all active sellers
@@ -74,6 +77,13 @@ const createPendingSeller = async (req, res) => {
   });
 
   await pendingSeller.save();
+  recordAudit(req, {
+    action: "pending_seller.create",
+    resourceType: "pending_seller",
+    resourceId: pendingSeller._id,
+    before: null,
+    after: pendingSeller,
+  });
   res.status(201).json(pendingSeller.toJSON());
 };
 
@@ -174,6 +184,8 @@ const updateSeller = async (req, res) => {
     }
   }
 
+  const before = seller.toObject();
+
   // Update fields
   if (firstName !== undefined) {
     seller.firstName = firstName;
@@ -192,12 +204,20 @@ const updateSeller = async (req, res) => {
   }
 
   await seller.save();
+  recordAudit(req, {
+    action: "seller.update",
+    resourceType: "seller",
+    resourceId: seller._id,
+    before,
+    after: seller,
+  });
   res.json(seller.toJSON());
 };
 
 /**
  * Change seller's role (SuperAdmin only)
  * Promotes or demotes sellers between user, admin, and superadmin roles
+ * A role change signs the seller out everywhere, since their tokens carry the old role
  *
  * @async
  * @function changeRole
@@ -227,12 +247,164 @@ const changeRole = async (req, res) => {
     });
   }
 
+  const previousRole = seller.role;
   seller.role = role;
+  // Tokens carry the old role, so make the seller log in again
+  if (role !== previousRole) {
+    seller.revokeTokens();
+  }
   await seller.save();
+  if (role !== previousRole) {
+    await RefreshToken.revokeSessions(seller._id, { reason: "logout_all" });
+  }
+
+  recordAudit(req, {
+    action: "seller.role_change",
+    resourceType: "seller",
+    resourceId: seller._id,
+    before: { role: previousRole },
+    after: { role: seller.role },
+  });
 
   res.json(seller.toJSON());
 };
 
+/**
+ * Unlock a seller account locked by failed logins (SuperAdmin only)
+ * Clears the lock and the failed-attempt counter so the seller can log in again
+ *
+ * @async
+ * @function unlockSeller
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Seller ID to unlock
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the unlocked seller
+ * @throws {404} If seller not found
+ * @throws {409} If the account is neither locked nor has failed attempts
+ *
+ * @example
+ * POST /sellers/507f1f77bcf86cd799439011/unlock
+ */
+const unlockSeller = async (req, res) => {
+  const { id } = req.params;
+
+  const seller = await Seller.findById(id);
+  if (!seller) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: "Seller not found",
+      statusCode: 404,
+    });
+  }
+
+  if (!seller.isLocked() && !seller.failedLoginAttempts) {
+    return res.status(409).json({
+      error: "Conflict",
+      message: "Seller account is not locked",
+      statusCode: 409,
+    });
+  }
+
+  const before = {
+    failedLoginAttempts: seller.failedLoginAttempts,
+    lockedUntil: seller.lockedUntil,
+  };
+  await seller.clearFailedLogins();
+
+  recordAudit(req, {
+    action: "seller.unlock",
+    resourceType: "seller",
+    resourceId: seller._id,
+    before,
+    after: { failedLoginAttempts: 0, lockedUntil: null },
+  });
+
+  res.json(seller.toJSON());
+};
+
+/**
+ * Assign the locations a seller works at (Admin+)
+ * Replaces the seller's list. Their current location is kept if still
+ * assigned, becomes the only location if there is exactly one, and is
+ * cleared otherwise so they choose it with PUT /auth/me/location
+ *
+ * @async
+ * @function assignLocations
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Seller ID
+ * @param {Object} req.body - Request body
+ * @param {Array<string>} req.body.locationIds - Location IDs (empty to unassign all)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the updated seller
+ * @throws {400} If a location is inactive
+ * @throws {404} If seller or a location not found
+ *
+ * @example
+ * PUT /sellers/507f1f77bcf86cd799439011/locations
+ * Body: { locationIds: ["507f1f77bcf86cd799439012", "507f1f77bcf86cd799439013"] }
+ */
+const assignLocations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const locationIds = [...new Set(req.body.locationIds)];
+
+    const seller = await Seller.findById(id);
+    if (!seller) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Seller not found",
+        statusCode: 404,
+      });
+    }
+
+    const locations = await Location.find({ _id: { $in: locationIds } });
+    if (locations.length !== locationIds.length) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Location not found",
+        statusCode: 404,
+      });
+    }
+    const inactive = locations.find((location) => !location.isActive);
+    if (inactive) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: `Location ${inactive.name} is inactive`,
+        statusCode: 400,
+      });
+    }
+
+    const before = {
+      locations: [...seller.locations],
+      currentLocation: seller.currentLocation,
+    };
+    seller.locations = locations.map((location) => location._id);
+    if (!seller.currentLocation || !seller.worksAt(seller.currentLocation)) {
+      seller.currentLocation =
+        seller.locations.length === 1 ? seller.locations[0] : null;
+    }
+    await seller.save();
+
+    recordAudit(req, {
+      action: "seller.locations_assign",
+      resourceType: "seller",
+      resourceId: seller._id,
+      before,
+      after: {
+        locations: seller.locations,
+        currentLocation: seller.currentLocation,
+      },
+    });
+
+    res.json(seller.toJSON());
+  } catch (error) {
+    return next(error);
+  }
+};
+
 /**
  * List all pending seller accounts
  * Returns pending sellers awaiting activation with creator information
@@ -283,7 +455,7 @@ const listPendingSellers = async (req, res) => {
 
 /**
  * Deactivate (delete) a seller account (SuperAdmin only)
- * Permanently removes seller from the system
+ * Permanently removes seller from the system and ends all of their sessions
  *
  * @async
  * @function deactivateSeller
@@ -311,6 +483,14 @@ const deactivateSeller = async (req, res) => {
   }
 
   await Seller.deleteOne({ _id: id });
+  await RefreshToken.revokeSessions(seller._id, { reason: "logout_all" });
+  recordAudit(req, {
+    action: "seller.deactivate",
+    resourceType: "seller",
+    resourceId: seller._id,
+    before: seller,
+    after: null,
+  });
   res.status(204).send();
 };
 
@@ -320,5 +500,7 @@ export {
   createPendingSeller,
   updateSeller,
   changeRole,
+  unlockSeller,
+  assignLocations,
   deactivateSeller,
 };
@@ -0,0 +1,569 @@
+import Sale from "../models/Sale.js";
+import Shift from "../models/Shift.js";
+import { hasPermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  CASH_METHOD,
+  normalizePaymentMethod,
+} from "../utils/paymentMethods.js";
+import mongoose from "mongoose";
+
+// Round currency values to cents to avoid floating point drift
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Send a 400 for a malformed shift ID (internal helper)
+ *
+ * @function sendInvalidId
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendInvalidId = (res) =>
+  res.status(400).json({
+    error: "Bad Request",
+    message: "Invalid shift ID format",
+    statusCode: 400,
+  });
+
+/**
+ * Load a shift the seller may act on (internal helper)
+ * Sellers reach their own shifts; other sellers' shifts need the given
+ * permission. Sends the error response itself when the shift is not reachable
+ *
+ * @async
+ * @function findShiftFor
+ * @param {Object} req - Express request object (req.params.id is the shift ID)
+ * @param {Object} res - Express response object
+ * @param {string} permission - Permission needed for other sellers' shifts
+ * @returns {Promise<Object|null>} The shift, or null once a response was sent
+ */
+const findShiftFor = async (req, res, permission) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    sendInvalidId(res);
+    return null;
+  }
+
+  const shift = await Shift.findById(id);
+  if (!shift) {
+    res.status(404).json({
+      error: "Not Found",
+      message: "Shift not found",
+      statusCode: 404,
+    });
+    return null;
+  }
+
+  if (
+    !shift.sellerId.equals(req.user._id) &&
+    !(await hasPermission(req, permission))
+  ) {
+    res.status(403).json({
+      error: "Forbidden",
+      message: `Other sellers' shifts require ${permission}`,
+      statusCode: 403,
+    });
+    return null;
+  }
+
+  return shift;
+};
+
+/**
+ * Build the Z-report of a shift (internal helper)
+ * Works for open shifts too, as a running (X) report
+ *
+ * @async
+ * @function buildShiftReport
+ * @param {Object} shift - Shift document
+ * @returns {Promise<Object>} Report with sales, payments per method, cash
+ *   movements, returns, what each method should hold and the closing count
+ */
+const buildShiftReport = async (shift) => {
+  const totals = await Sale.getShiftTotals(shift._id);
+  const { cashIn, cashOut } = shift.getCashMovementTotals();
+
+  // Every method holds what it took in less what refunds and voids paid
+  // back through it; cash also starts from the float and moves with cash
+  // in/out
+  const expected = new Map(
+    totals.payments.map((payment) => [payment.method, payment.amount]),
+  );
+  for (const { method, amount } of totals.returns.byMethod) {
+    expected.set(method, roundCurrency((expected.get(method) || 0) - amount));
+  }
+  expected.set(
+    CASH_METHOD,
+    roundCurrency(
+      shift.openingFloat + (expected.get(CASH_METHOD) || 0) + cashIn - cashOut,
+    ),
+  );
+
+  return {
+    shiftId: shift._id,
+    final: shift.status === "closed",
+    seller: shift.sellerId,
+    location: shift.locationId,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt,
+    openingFloat: shift.openingFloat,
+    sales: totals.sales,
+    payments: totals.payments,
+    paymentsTotal: roundCurrency(
+      totals.payments.reduce((sum, payment) => sum + payment.amount, 0),
+    ),
+    cashMovements: {
+      cashIn,
+      cashOut,
+      entries: shift.cashMovements.map((movement) => movement.toJSON()),
+    },
+    returns: totals.returns,
+    expected: [...expected]
+      .map(([method, amount]) => ({ method, amount }))
+      .sort((a, b) => a.method.localeCompare(b.method)),
+    closingCounts: shift.status === "closed" ? shift.closingCounts : null,
+    overShort: shift.overShort,
+    generatedAt: new Date(),
+  };
+};
+
+/**
+ * List till shifts, newest first
+ * Sellers without shifts:read only see their own shifts
+ *
+ * @async
+ * @function listShifts
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - open or closed
+ * @param {string} [req.query.sellerId] - Shifts of this seller
+ * @param {string} [req.query.locationId] - Shifts worked at this location
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Results per page (1-100)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with shifts and pagination
+ *
+ * @example
+ * GET /shifts?status=closed&locationId=507f1f77bcf86cd799439011
+ */
+const listShifts = async (req, res, next) => {
+  try {
+    const { status, sellerId, locationId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (sellerId) {
+      filter.sellerId = sellerId;
+    }
+    if (locationId) {
+      filter.locationId = locationId;
+    }
+    if (!(await hasPermission(req, "shifts:read"))) {
+      filter.sellerId = req.user._id;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const total = await Shift.countDocuments(filter);
+    const totalPages = Math.ceil(total / limitNum);
+
+    const shifts = await Shift.find(filter)
+      .sort({ openedAt: -1 })
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .populate("sellerId", "firstName lastName email")
+      .populate("locationId", "name code");
+
+    res.json({
+      shifts: shifts.map((shift) => shift.toJSON()),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        total,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get the authenticated seller's open shift
+ *
+ * @async
+ * @function getCurrentShift
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the open shift
+ * @throws {404} If the seller has no open shift
+ */
+const getCurrentShift = async (req, res, next) => {
+  try {
+    const shift = await Shift.findOpenFor(req.user._id).populate(
+      "locationId",
+      "name code",
+    );
+
+    if (!shift) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "You have no open shift",
+        statusCode: 404,
+      });
+    }
+
+    res.json(shift.toJSON());
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Open a till shift for the authenticated seller (shifts:write)
+ *
+ * @async
+ * @function openShift
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.openingFloat - Cash in the drawer at the start
+ * @param {string} [req.body.notes] - Notes on the opening
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the open shift (201)
+ * @throws {400} If the seller has locations but has not chosen one
+ * @throws {409} If the seller already has an open shift
+ * @throws {500} If the shift cannot be saved
+ *
+ * @description
+ * - The shift is worked at the seller's current location
+ * - While it is open, the seller's sales and every payment, refund and void
+ *   they handle are linked to it
+ */
+const openShift = async (req, res, next) => {
+  try {
+    const { openingFloat, notes } = req.body;
+
+    if (req.user.needsLocation()) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message:
+          "Choose your current location (PUT /auth/me/location) before opening a shift",
+        statusCode: 400,
+      });
+    }
+
+    const alreadyOpen = () =>
+      res.status(409).json({
+        error: "Conflict",
+        message: "You already have an open shift",
+        statusCode: 409,
+      });
+
+    if (await Shift.exists({ sellerId: req.user._id, status: "open" })) {
+      return alreadyOpen();
+    }
+
+    let shift;
+    try {
+      shift = await Shift.create({
+        sellerId: req.user._id,
+        locationId: req.user.currentLocation || null,
+        openingFloat,
+        openingNotes: notes,
+      });
+    } catch (error) {
+      // Another request opened one in the meantime
+      if (error.code === 11000) {
+        return alreadyOpen();
+      }
+      console.error("Open shift error:", error);
+      return res.status(500).json({
+        error: "Internal Server Error",
+        message: "Failed to open shift",
+        statusCode: 500,
+      });
+    }
+
+    recordAudit(req, {
+      action: "shift.open",
+      resourceType: "shift",
+      resourceId: shift._id,
+      before: null,
+      after: shift,
+    });
+    res.status(201).json(shift.toJSON());
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get a till shift
+ * Sellers see their own shifts; others need shifts:read
+ *
+ * @async
+ * @function getShift
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Shift ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the shift
+ * @throws {400} If the ID is invalid
+ * @throws {403} If the shift is another seller's and shifts:read is missing
+ * @throws {404} If shift not found
+ */
+const getShift = async (req, res, next) => {
+  try {
+    const shift = await findShiftFor(req, res, "shifts:read");
+    if (!shift) {
+      return;
+    }
+
+    await shift.populate([
+      { path: "sellerId", select: "firstName lastName email" },
+      { path: "locationId", select: "name code" },
+      { path: "closedBy", select: "firstName lastName email" },
+    ]);
+    res.json(shift.toJSON());
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Record cash put into or taken out of an open shift's drawer
+ * Sellers record on their own shifts; others need shifts:manage
+ *
+ * @async
+ * @function recordCashMovement
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Shift ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.type - cash_in or cash_out
+ * @param {number} req.body.amount - Amount moved (must be > 0)
+ * @param {string} req.body.reason - Why (e.g. petty cash, drop to safe)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the entry and the shift's cash in/out totals (201)
+ * @throws {400} If the ID is invalid
+ * @throws {403} If the shift is another seller's and shifts:manage is missing
+ * @throws {404} If shift not found
+ * @throws {409} If the shift is closed
+ */
+const recordCashMovement = async (req, res, next) => {
+  try {
+    const { type, amount, reason } = req.body;
+
+    const shift = await findShiftFor(req, res, "shifts:manage");
+    if (!shift) {
+      return;
+    }
+
+    if (shift.status !== "open") {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Shift is already closed",
+        statusCode: 409,
+      });
+    }
+
+    const movement = shift.recordCashMovement({
+      type,
+      amount,
+      reason,
+      recordedBy: req.user._id,
+    });
+    await shift.save();
+
+    recordAudit(req, {
+      action: "shift.cash_movement",
+      resourceType: "shift",
+      resourceId: shift._id,
+      before: null,
+      after: movement.toJSON(),
+    });
+    res.status(201).json({
+      movement: movement.toJSON(),
+      totals: shift.getCashMovementTotals(),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Close a shift with the counted drawer and work out over/short per
+ * payment method
+ * Sellers close their own shifts; others need shifts:manage
+ *
+ * @async
+ * @function closeShift
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Shift ID
+ * @param {Object} req.body - Request body
+ * @param {Array<Object>} req.body.counts - Counted amount per payment method
+ *   ({ method, amount }); cash is required
+ * @param {string} [req.body.notes] - Notes on the closing
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the closed shift and its Z-report
+ * @throws {400} If the ID is invalid
+ * @throws {403} If the shift is another seller's and shifts:manage is missing
+ * @throws {404} If shift not found
+ * @throws {409} If the shift is already closed
+ *
+ * @description
+ * - Expected cash = opening float + cash payments + cash in - cash out -
+ *   cash paid back on refunds and voids during the shift
+ * - Every other method is expected to hold the payments it took in less
+ *   what refunds and voids paid back through it (money goes back through the
+ *   methods the sale was paid with)
+ * - difference = counted - expected (positive is over, negative is short);
+ *   methods that were not counted keep counted and difference null
+ * - overShort is the sum of the differences of the counted methods
+ */
+const closeShift = async (req, res, next) => {
+  try {
+    const { counts, notes } = req.body;
+
+    const shift = await findShiftFor(req, res, "shifts:manage");
+    if (!shift) {
+      return;
+    }
+
+    if (shift.status !== "open") {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "Shift is already closed",
+        statusCode: 409,
+      });
+    }
+
+    const { expected } = await buildShiftReport(shift);
+    const expectedByMethod = new Map(
+      expected.map(({ method, amount }) => [method, amount]),
+    );
+    const countedByMethod = new Map(
+      counts.map(({ method, amount }) => [
+        normalizePaymentMethod(method),
+        amount,
+      ]),
+    );
+
+    const methods = [
+      ...new Set([...expectedByMethod.keys(), ...countedByMethod.keys()]),
+    ].sort();
+    shift.closingCounts = methods.map((method) => {
+      const expectedAmount = expectedByMethod.get(method) || 0;
+      const counted = countedByMethod.has(method)
+        ? countedByMethod.get(method)
+        : null;
+      return {
+        method,
+        expected: expectedAmount,
+        counted,
+        difference:
+          counted === null ? null : roundCurrency(counted - expectedAmount),
+      };
+    });
+    shift.overShort = roundCurrency(
+      shift.closingCounts.reduce(
+        (sum, count) => sum + (count.difference || 0),
+        0,
+      ),
+    );
+    shift.status = "closed";
+    shift.closedAt = new Date();
+    shift.closedBy = req.user._id;
+    shift.closingNotes = notes;
+    await shift.save();
+
+    recordAudit(req, {
+      action: "shift.close",
+      resourceType: "shift",
+      resourceId: shift._id,
+      before: { status: "open" },
+      after: {
+        status: shift.status,
+        closingCounts: shift.closingCounts,
+        overShort: shift.overShort,
+      },
+    });
+
+    await shift.populate([
+      { path: "sellerId", select: "firstName lastName email" },
+      { path: "locationId", select: "name code" },
+    ]);
+    res.json({
+      shift: shift.toJSON(),
+      report: await buildShiftReport(shift),
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Get the Z-report of a shift
+ * Open shifts get a running report (final: false). Sellers see their own
+ * shifts' reports; others need shifts:read
+ *
+ * @async
+ * @function getShiftReport
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Shift ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} JSON response with the report
+ * @throws {400} If the ID is invalid
+ * @throws {403} If the shift is another seller's and shifts:read is missing
+ * @throws {404} If shift not found
+ *
+ * @description
+ * - sales: sales made during the shift (voided ones only counted in
+ *   voidedCount)
+ * - payments: money taken in during the shift per payment method, including
+ *   payments on older sales
+ * - returns: money paid back on refunds and voids handled during the shift,
+ *   in total and per payment method (byMethod)
+ * - expected: what each method should hold (see closeShift)
+ * - closingCounts / overShort: the closing count, once closed
+ */
+const getShiftReport = async (req, res, next) => {
+  try {
+    const shift = await findShiftFor(req, res, "shifts:read");
+    if (!shift) {
+      return;
+    }
+
+    await shift.populate([
+      { path: "sellerId", select: "firstName lastName email" },
+      { path: "locationId", select: "name code" },
+    ]);
+    res.json(await buildShiftReport(shift));
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export {
+  listShifts,
+  getCurrentShift,
+  openShift,
+  getShift,
+  recordCashMovement,
+  closeShift,
+  getShiftReport,
+};
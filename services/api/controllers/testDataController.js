@@ -5,6 +5,14 @@ import Sale from "../models/Sale.js";
 import PendingSeller from "../models/PendingSeller.js";
 import Seller from "../models/Seller.js";
 import InventoryDrop from "../models/InventoryDrop.js";
+import StockMovement from "../models/StockMovement.js";
+import StockLot from "../models/StockLot.js";
+import Notification from "../models/Notification.js";
+import Promotion from "../models/Promotion.js";
+import Location from "../models/Location.js";
+import StockTransfer from "../models/StockTransfer.js";
+import Shift from "../models/Shift.js";
+import { recordAudit } from "../utils/audit.js";
 
 /**
  * Test Data Management Controller
@@ -12,7 +20,8 @@ import InventoryDrop from "../models/InventoryDrop.js";
  * Provides API endpoints for managing test data in development/testing environments.
  * These endpoints should be disabled in production for security reasons.
  *
- * All endpoints require admin or superadmin privileges.
+ * Endpoints require the test_data:read, test_data:write or test_data:reset
+ * permission (admins and superadmins by default; reset is superadmin only).
  */
 
 /**
@@ -127,6 +136,11 @@ const populateTestData = async (req, res) => {
       },
     };
 
+    recordAudit(req, {
+      action: "test_data.populate",
+      resourceType: "test_data",
+      metadata: { preset, counts: summary.counts },
+    });
     res.status(201).json({
       message: "Test data populated successfully",
       summary,
@@ -163,7 +177,7 @@ const populateTestData = async (req, res) => {
  * @description
  * Safely deletes test data with confirmation requirement
  * Only removes records marked with isTestData: true (or testingUser: true for sellers)
- * Can preserve specific data types: sales, customers, products, pendingSellers, inventoryDrops
+ * Can preserve specific data types: sales, customers, products, pendingSellers, inventoryDrops, locations
  * Automatically set in development mode; production data remains safe
  */
 const cleanTestData = async (req, res) => {
@@ -195,11 +209,14 @@ const cleanTestData = async (req, res) => {
       requestedByUser: `${req.user.firstName} ${req.user.lastName}`,
       deletedCounts: {
         sales: 0,
+        shifts: 0,
         customers: 0,
         products: 0,
         pendingSellers: 0,
         testingSellers: 0,
         inventoryDrops: 0,
+        promotions: 0,
+        locations: 0,
       },
       preserved: preserveData,
     };
@@ -211,6 +228,12 @@ const cleanTestData = async (req, res) => {
       deletionSummary.deletedCounts.sales = salesResult.deletedCount;
     }
 
+    // Delete till shifts marked as test data
+    if (!preserveData.includes("shifts")) {
+      const shiftsResult = await Shift.deleteMany({ isTestData: true });
+      deletionSummary.deletedCounts.shifts = shiftsResult.deletedCount;
+    }
+
     // Delete inventory drops marked as test data
     if (!preserveData.includes("inventoryDrops")) {
       const inventoryDropsResult = await InventoryDrop.deleteMany({
@@ -220,6 +243,12 @@ const cleanTestData = async (req, res) => {
         inventoryDropsResult.deletedCount;
     }
 
+    // Delete promotions marked as test data
+    if (!preserveData.includes("promotions")) {
+      const promotionsResult = await Promotion.deleteMany({ isTestData: true });
+      deletionSummary.deletedCounts.promotions = promotionsResult.deletedCount;
+    }
+
     // Delete customers marked as test data
     if (!preserveData.includes("customers")) {
       const customersResult = await Customer.deleteMany({ isTestData: true });
@@ -228,10 +257,47 @@ const cleanTestData = async (req, res) => {
 
     // Delete products marked as test data
     if (!preserveData.includes("products")) {
+      // Stock ledger entries go with the products they belong to
+      const testProductIds = await Product.find({ isTestData: true }).distinct(
+        "_id",
+      );
+      await StockMovement.deleteMany({ productId: { $in: testProductIds } });
+      await StockLot.deleteMany({ productId: { $in: testProductIds } });
+      await StockTransfer.deleteMany({
+        "items.productId": { $in: testProductIds },
+      });
+      await Notification.deleteMany({ productId: { $in: testProductIds } });
+
       const productsResult = await Product.deleteMany({ isTestData: true });
       deletionSummary.deletedCounts.products = productsResult.deletedCount;
     }
 
+    // Delete locations marked as test data, and their transfers
+    if (!preserveData.includes("locations")) {
+      const testLocationIds = await Location.find({
+        isTestData: true,
+      }).distinct("_id");
+      await StockTransfer.deleteMany({
+        $or: [
+          { fromLocationId: { $in: testLocationIds } },
+          { toLocationId: { $in: testLocationIds } },
+        ],
+      });
+      await Seller.updateMany(
+        {},
+        {
+          $pull: { locations: { $in: testLocationIds } },
+        },
+      );
+      await Seller.updateMany(
+        { currentLocation: { $in: testLocationIds } },
+        { currentLocation: null },
+      );
+
+      const locationsResult = await Location.deleteMany({ isTestData: true });
+      deletionSummary.deletedCounts.locations = locationsResult.deletedCount;
+    }
+
     // Delete pending sellers (only those marked as testing users)
     if (!preserveData.includes("pendingSellers")) {
       const pendingSellersResult = await PendingSeller.deleteMany({
@@ -251,6 +317,14 @@ const cleanTestData = async (req, res) => {
       0,
     );
 
+    recordAudit(req, {
+      action: "test_data.clean",
+      resourceType: "test_data",
+      metadata: {
+        deletedCounts: deletionSummary.deletedCounts,
+        preserved: preserveData,
+      },
+    });
     res.status(200).json({
       message: `Successfully cleaned test data. Deleted ${totalDeleted} records.`,
       summary: deletionSummary,
@@ -412,20 +486,19 @@ const getTestDataStatus = async (req, res) => {
  * @async
  * @function resetToScenario
  * @route   POST /api/test-data/reset
- * @access  SuperAdmin only
+ * @access  test_data:reset permission (superadmin by default)
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} [req.body.scenario="clean"] - Reset scenario (clean/minimal/dev/full)
  * @param {boolean} [req.body.confirmReset=false] - Confirmation flag (required)
  * @param {Object} req.user - Authenticated user
- * @param {string} req.user.role - User role (must be "superadmin")
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with reset summary
- * @throws {403} If in production environment or user not superadmin
+ * @throws {403} If in production environment (the route requires test_data:reset)
  * @throws {400} If confirmReset not provided
  *
  * @description
- * Most destructive operation - requires superadmin privileges
+ * Most destructive operation - requires the test_data:reset permission
  * Scenarios:
  * - clean: Removes all data except seller accounts
  * - minimal/dev/full: Removes all data then repopulates with preset
@@ -441,15 +514,6 @@ const resetToScenario = async (req, res) => {
       });
     }
 
-    // Only superadmins can reset (more destructive operation)
-    if (req.user.role !== "superadmin") {
-      return res.status(403).json({
-        error: "Forbidden",
-        message: "Only superadmins can perform database resets",
-        statusCode: 403,
-      });
-    }
-
     const { scenario = "clean", confirmReset = false } = req.body;
 
     if (!confirmReset) {
@@ -466,8 +530,16 @@ const resetToScenario = async (req, res) => {
     if (scenario === "clean") {
       // Clean everything except sellers
       await Sale.deleteMany({});
+      await Shift.deleteMany({});
       await Customer.deleteMany({});
       await Product.deleteMany({});
+      await StockMovement.deleteMany({});
+      await StockLot.deleteMany({});
+      await Notification.deleteMany({});
+      await Promotion.deleteMany({});
+      await StockTransfer.deleteMany({});
+      await Location.deleteMany({});
+      await Seller.updateMany({}, { locations: [], currentLocation: null });
       await PendingSeller.deleteMany({});
 
       summary = {
@@ -478,8 +550,16 @@ const resetToScenario = async (req, res) => {
     } else {
       // Clean then populate with scenario
       await Sale.deleteMany({});
+      await Shift.deleteMany({});
       await Customer.deleteMany({});
       await Product.deleteMany({});
+      await StockMovement.deleteMany({});
+      await StockLot.deleteMany({});
+      await Notification.deleteMany({});
+      await Promotion.deleteMany({});
+      await StockTransfer.deleteMany({});
+      await Location.deleteMany({});
+      await Seller.updateMany({}, { locations: [], currentLocation: null });
       await PendingSeller.deleteMany({});
 
       // Populate with requested scenario
@@ -507,6 +587,12 @@ const resetToScenario = async (req, res) => {
       };
     }
 
+    // Audit entries are kept across resets, so the reset itself stays on record
+    recordAudit(req, {
+      action: "test_data.reset",
+      resourceType: "test_data",
+      metadata: { scenario, counts: summary.counts },
+    });
     res.status(200).json({
       message: "Database reset completed successfully",
       summary: {
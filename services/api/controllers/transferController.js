@@ -0,0 +1,496 @@
+import Location from "../models/Location.js";
+import Product from "../models/Product.js";
+import StockLot from "../models/StockLot.js";
+import StockMovement from "../models/StockMovement.js";
+import StockTransfer from "../models/StockTransfer.js";
+import { hasPermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import mongoose from "mongoose";
+
+// Error names sent for statuses raised inside transfer transactions
+const ERROR_NAMES = {
+  400: "Bad Request",
+  403: "Forbidden",
+  404: "Not Found",
+  409: "Conflict",
+};
+
+/**
+ * Create an error carrying the HTTP status to answer with (internal helper)
+ *
+ * @function transferError
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode set
+ */
+const transferError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Send an error raised with transferError, or a 500 for anything else
+ * (internal helper)
+ *
+ * @function sendTransferError
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @returns {Object} Express response
+ */
+const sendTransferError = (res, error) => {
+  if (!ERROR_NAMES[error.statusCode]) {
+    console.error("Stock transfer error:", error);
+    return res.status(500).json({
+      error: "Internal Server Error",
+      message: "Failed to process stock transfer",
+      statusCode: 500,
+    });
+  }
+  return res.status(error.statusCode).json({
+    error: ERROR_NAMES[error.statusCode],
+    message: error.message,
+    statusCode: error.statusCode,
+  });
+};
+
+/**
+ * Run a status change on an in-transit transfer inside a transaction
+ * (internal helper). The callback moves the stock, records the movements and
+ * sets the new status; the transfer is saved after
+ *
+ * @async
+ * @function settleTransfer
+ * @param {string} id - Transfer ID
+ * @param {Function} apply - async (transfer, session) => void
+ * @returns {Promise<Object>} The updated transfer
+ * @throws {Error} 404 if the transfer is not found, 409 if it is no longer in transit
+ */
+const settleTransfer = async (id, apply) => {
+  const session = await mongoose.startSession();
+  let transfer = null;
+  try {
+    await session.withTransaction(async () => {
+      transfer = await StockTransfer.findById(id).session(session);
+      if (!transfer) {
+        throw transferError(404, "Transfer not found");
+      }
+      if (transfer.status !== "in_transit") {
+        throw transferError(409, `Transfer is already ${transfer.status}`);
+      }
+
+      await apply(transfer, session);
+      await transfer.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return transfer;
+};
+
+/**
+ * Move each item of a transfer into or out of a location and record the
+ * movements (internal helper). Received units join their batches at the
+ * destination; cancelled units go back into the source lots
+ *
+ * @async
+ * @function moveTransferStock
+ * @param {Object} transfer - StockTransfer document
+ * @param {Object} options - Movement options
+ * @param {string|null} options.locationId - Location the stock is added to
+ * @param {string} options.type - Stock movement type (transfer_in or transfer_cancel)
+ * @param {Object} options.actor - Seller ID performing the change
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if a product no longer exists
+ */
+const moveTransferStock = async (
+  transfer,
+  { locationId, type, actor },
+  session,
+) => {
+  for (const item of transfer.items) {
+    const product = await Product.findById(item.productId).session(session);
+    if (!product) {
+      throw transferError(404, `Product ${item.productId} not found`);
+    }
+
+    product.adjustLocationStock(locationId, item.quantity);
+    await product.save({ session });
+
+    if (type === "transfer_in") {
+      await StockLot.receiveTransferred(item.lots, locationId, session);
+    } else {
+      await StockLot.returnUnits(item.lots, item.quantity, session, {
+        outcome: "transferred",
+      });
+    }
+
+    await StockMovement.record(
+      {
+        productId: product._id,
+        type,
+        delta: item.quantity,
+        resultingCount: product.count,
+        locationId,
+        actor,
+        referenceType: "StockTransfer",
+        referenceId: transfer._id,
+      },
+      session,
+    );
+  }
+};
+
+/**
+ * List stock transfers, newest first
+ *
+ * @async
+ * @function listTransfers
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - in_transit, received or cancelled
+ * @param {string} [req.query.locationId] - Transfers from or to this location
+ * @param {string} [req.query.productId] - Transfers that include this product
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Results per page (1-100)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with transfers and pagination
+ *
+ * @example
+ * GET /transfers?status=in_transit&locationId=507f1f77bcf86cd799439011
+ */
+const listTransfers = async (req, res) => {
+  const { status, locationId, productId, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+  if (locationId) {
+    filter.$or = [{ fromLocationId: locationId }, { toLocationId: locationId }];
+  }
+  if (productId) {
+    filter["items.productId"] = productId;
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const total = await StockTransfer.countDocuments(filter);
+  const totalPages = Math.ceil(total / limitNum);
+
+  const transfers = await StockTransfer.find(filter)
+    .sort({ sentAt: -1 })
+    .limit(limitNum)
+    .skip((pageNum - 1) * limitNum)
+    .populate("fromLocationId", "name code")
+    .populate("toLocationId", "name code")
+    .populate("sentBy", "firstName lastName email");
+
+  res.json({
+    transfers: transfers.map((transfer) => transfer.toJSON()),
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      total,
+      limit: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  });
+};
+
+/**
+ * Get a stock transfer
+ *
+ * @async
+ * @function getTransfer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Transfer ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the transfer
+ * @throws {400} If the ID is invalid
+ * @throws {404} If transfer not found
+ */
+const getTransfer = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid transfer ID format",
+      statusCode: 400,
+    });
+  }
+
+  const transfer = await StockTransfer.findById(id)
+    .populate("fromLocationId", "name code type")
+    .populate("toLocationId", "name code type")
+    .populate("sentBy", "firstName lastName email")
+    .populate("receivedBy", "firstName lastName email")
+    .populate("cancelledBy", "firstName lastName email");
+
+  if (!transfer) {
+    return res.status(404).json({
+      error: "Not Found",
+      message: "Transfer not found",
+      statusCode: 404,
+    });
+  }
+
+  res.json(transfer.toJSON());
+};
+
+/**
+ * Send stock from one location to another (transfers:write)
+ * The units leave the source immediately, taken from its oldest unexpired
+ * lots, and count towards neither location until the destination receives
+ * them
+ *
+ * @async
+ * @function createTransfer
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string|null} [req.body.fromLocationId=null] - Source location; null sends unassigned stock
+ * @param {string} req.body.toLocationId - Destination location
+ * @param {Array<Object>} req.body.items - Items to send ({ productId, quantity })
+ * @param {string} [req.body.notes] - Notes for the slip
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the in-transit transfer (201)
+ * @throws {400} If a location is inactive or there is not enough stock at the source
+ * @throws {404} If a location or product is not found
+ *
+ * @example
+ * POST /transfers
+ * Body: {
+ *   fromLocationId: "507f1f77bcf86cd799439011",
+ *   toLocationId: "507f1f77bcf86cd799439012",
+ *   items: [{ productId: "507f1f77bcf86cd799439013", quantity: 24 }]
+ * }
+ */
+const createTransfer = async (req, res) => {
+  const { fromLocationId = null, toLocationId, items, notes } = req.body;
+
+  const session = await mongoose.startSession();
+  let transfer = null;
+  try {
+    const [from, to] = await Promise.all([
+      fromLocationId ? Location.findById(fromLocationId) : null,
+      Location.findById(toLocationId),
+    ]);
+    if ((fromLocationId && !from) || !to) {
+      throw transferError(404, "Location not found");
+    }
+    if (!to.isActive) {
+      throw transferError(400, "Cannot send stock to an inactive location");
+    }
+
+    await session.withTransaction(async () => {
+      [transfer] = await StockTransfer.create(
+        [
+          {
+            fromLocationId,
+            toLocationId,
+            items: items.map(({ productId, quantity }) => ({
+              productId,
+              quantity,
+            })),
+            notes,
+            sentBy: req.user._id,
+          },
+        ],
+        { session },
+      );
+
+      for (const item of transfer.items) {
+        const product = await Product.findById(item.productId).session(session);
+        if (!product || product.deletedAt) {
+          throw transferError(404, `Product ${item.productId} not found`);
+        }
+
+        const available = product.getLocationCount(fromLocationId);
+        if (available < item.quantity) {
+          throw transferError(
+            400,
+            `Insufficient inventory for ${product.productName} at the source. Available: ${available}, Requested: ${item.quantity}`,
+          );
+        }
+
+        item.productName = product.productName;
+        // The oldest unexpired lots at the source go first, as for a sale
+        item.lots = await StockLot.consumeFifo(
+          product._id,
+          item.quantity,
+          session,
+          new Date(),
+          { outcome: "transferred", locationId: fromLocationId },
+        );
+        product.adjustLocationStock(fromLocationId, -item.quantity);
+        await product.save({ session });
+
+        await StockMovement.record(
+          {
+            productId: product._id,
+            type: "transfer_out",
+            delta: -item.quantity,
+            resultingCount: product.count,
+            locationId: fromLocationId,
+            actor: req.user._id,
+            referenceType: "StockTransfer",
+            referenceId: transfer._id,
+          },
+          session,
+        );
+      }
+      await transfer.save({ session });
+    });
+  } catch (error) {
+    return sendTransferError(res, error);
+  } finally {
+    await session.endSession();
+  }
+
+  recordAudit(req, {
+    action: "transfer.create",
+    resourceType: "transfer",
+    resourceId: transfer._id,
+    before: null,
+    after: transfer,
+  });
+  res.status(201).json(transfer.toJSON());
+};
+
+/**
+ * Receive an in-transit transfer at its destination (transfers:receive)
+ * Sellers can only receive at locations they work at, unless they may also
+ * send transfers (transfers:write)
+ *
+ * @async
+ * @function receiveTransfer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Transfer ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the received transfer
+ * @throws {400} If the ID is invalid
+ * @throws {403} If the seller does not work at the destination
+ * @throws {404} If transfer or a product not found
+ * @throws {409} If the transfer is no longer in transit
+ */
+const receiveTransfer = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid transfer ID format",
+      statusCode: 400,
+    });
+  }
+
+  const canSend = await hasPermission(req, "transfers:write");
+
+  let transfer;
+  try {
+    transfer = await settleTransfer(id, async (doc, session) => {
+      if (!canSend && !req.user.worksAt(doc.toLocationId)) {
+        throw transferError(
+          403,
+          "You can only receive transfers at locations you work at",
+        );
+      }
+
+      await moveTransferStock(
+        doc,
+        {
+          locationId: doc.toLocationId,
+          type: "transfer_in",
+          actor: req.user._id,
+        },
+        session,
+      );
+      doc.status = "received";
+      doc.receivedBy = req.user._id;
+      doc.receivedAt = new Date();
+    });
+  } catch (error) {
+    return sendTransferError(res, error);
+  }
+
+  recordAudit(req, {
+    action: "transfer.receive",
+    resourceType: "transfer",
+    resourceId: transfer._id,
+    before: { status: "in_transit" },
+    after: { status: transfer.status },
+  });
+  res.json(transfer.toJSON());
+};
+
+/**
+ * Cancel an in-transit transfer, returning its stock to the source
+ * (transfers:write)
+ *
+ * @async
+ * @function cancelTransfer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Transfer ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.reason - Why the transfer was cancelled
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the cancelled transfer
+ * @throws {400} If the ID is invalid
+ * @throws {404} If transfer or a product not found
+ * @throws {409} If the transfer is no longer in transit
+ */
+const cancelTransfer = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid transfer ID format",
+      statusCode: 400,
+    });
+  }
+
+  let transfer;
+  try {
+    transfer = await settleTransfer(id, async (doc, session) => {
+      await moveTransferStock(
+        doc,
+        {
+          locationId: doc.fromLocationId,
+          type: "transfer_cancel",
+          actor: req.user._id,
+        },
+        session,
+      );
+      doc.status = "cancelled";
+      doc.cancelledBy = req.user._id;
+      doc.cancelledAt = new Date();
+      doc.cancelReason = req.body.reason;
+    });
+  } catch (error) {
+    return sendTransferError(res, error);
+  }
+
+  recordAudit(req, {
+    action: "transfer.cancel",
+    resourceType: "transfer",
+    resourceId: transfer._id,
+    before: { status: "in_transit" },
+    after: { status: transfer.status, cancelReason: transfer.cancelReason },
+  });
+  res.json(transfer.toJSON());
+};
+
+export {
+  listTransfers,
+  getTransfer,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer,
+};
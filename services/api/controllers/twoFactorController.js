@@ -0,0 +1,319 @@
+import Seller from "../models/Seller.js";
+import { hashToken } from "../utils/jwt.js";
+import {
+  buildOtpAuthUrl,
+  generateBackupCodes,
+  generateTotpSecret,
+  getTotpIssuer,
+  isTwoFactorRequired,
+  normalizeBackupCode,
+  verifyTotp,
+} from "../utils/totp.js";
+import { recordAudit } from "../utils/audit.js";
+
+// Fields needed to check a code, which are not selected by default
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep";
+
+/**
+ * Issue a fresh set of backup codes for a seller (internal helper)
+ * Replaces any previous codes; only their hashes are stored
+ *
+ * @function replaceBackupCodes
+ * @param {Object} seller - Seller document (call save after)
+ * @returns {string[]} The new codes, to be shown to the seller once
+ */
+const replaceBackupCodes = (seller) => {
+  const codes = generateBackupCodes();
+  seller.twoFactorBackupCodes = codes.map((code) =>
+    hashToken(normalizeBackupCode(code)),
+  );
+  return codes;
+};
+
+/**
+ * Get the authenticated seller's two-factor authentication status
+ *
+ * @async
+ * @function getTwoFactorStatus
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated seller
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with enabled, enabledAt, required and
+ *   backupCodesRemaining
+ *
+ * @example
+ * GET /auth/2fa
+ * Response: { enabled: true, enabledAt: "...", required: true, backupCodesRemaining: 8 }
+ */
+const getTwoFactorStatus = async (req, res) => {
+  const seller = await Seller.findById(req.user._id).select(
+    "+twoFactorBackupCodes",
+  );
+
+  res.json({
+    enabled: seller.twoFactorEnabled,
+    enabledAt: seller.twoFactorEnabledAt,
+    required: isTwoFactorRequired(seller.role),
+    backupCodesRemaining: seller.twoFactorEnabled
+      ? seller.twoFactorBackupCodes.length
+      : 0,
+  });
+};
+
+/**
+ * Start two-factor enrolment
+ * Generates a new secret and returns it with an otpauth:// URI for the client
+ * to render as a QR code. Nothing changes for the seller until the secret is
+ * confirmed with POST /auth/2fa/enable
+ *
+ * @async
+ * @function setupTwoFactor
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated seller
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with secret, otpauthUrl, issuer and accountName
+ * @throws {409} If two-factor authentication is already enabled
+ *
+ * @example
+ * POST /auth/2fa/setup
+ * Response: {
+ *   secret: "JBSWY3DPEHPK3PXP...",
+ *   otpauthUrl: "otpauth://totp/BiteTrack:ana%40example.com?secret=...",
+ *   issuer: "BiteTrack", accountName: "ana@example.com"
+ * }
+ */
+const setupTwoFactor = async (req, res) => {
+  const seller = await Seller.findById(req.user._id);
+
+  if (seller.twoFactorEnabled) {
+    return res.status(409).json({
+      error: "Conflict",
+      message: "Two-factor authentication is already enabled",
+      statusCode: 409,
+    });
+  }
+
+  const secret = generateTotpSecret();
+  const issuer = getTotpIssuer();
+  seller.twoFactorPendingSecret = secret;
+  await seller.save();
+
+  res.json({
+    secret,
+    otpauthUrl: buildOtpAuthUrl({
+      secret,
+      accountName: seller.email,
+      issuer,
+    }),
+    issuer,
+    accountName: seller.email,
+  });
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * Turns two-factor authentication on and returns one-time backup codes, which
+ * are never shown again
+ *
+ * @async
+ * @function enableTwoFactor
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated seller
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Current 6-digit code for the pending secret
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with enabled, enabledAt and backupCodes
+ * @throws {400} If setup was not started or the code is wrong
+ * @throws {409} If two-factor authentication is already enabled
+ *
+ * @example
+ * POST /auth/2fa/enable
+ * Body: { code: "492039" }
+ * Response: { enabled: true, enabledAt: "...", backupCodes: ["3f9a-b27c", ...] }
+ */
+const enableTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  const seller = await Seller.findById(req.user._id).select(
+    `${TWO_FACTOR_FIELDS} +twoFactorPendingSecret`,
+  );
+
+  if (seller.twoFactorEnabled) {
+    return res.status(409).json({
+      error: "Conflict",
+      message: "Two-factor authentication is already enabled",
+      statusCode: 409,
+    });
+  }
+
+  if (!seller.twoFactorPendingSecret) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Start two-factor setup first (POST /auth/2fa/setup)",
+      statusCode: 400,
+    });
+  }
+
+  const step = verifyTotp(seller.twoFactorPendingSecret, code);
+  if (step === null) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: "Invalid two-factor code",
+      statusCode: 400,
+    });
+  }
+
+  seller.twoFactorEnabled = true;
+  seller.twoFactorEnabledAt = new Date();
+  seller.twoFactorSecret = seller.twoFactorPendingSecret;
+  seller.twoFactorPendingSecret = null;
+  seller.twoFactorLastUsedStep = step;
+  const backupCodes = replaceBackupCodes(seller);
+  await seller.save();
+
+  recordAudit(req, {
+    action: "seller.two_factor_enable",
+    resourceType: "seller",
+    resourceId: seller._id,
+    before: { twoFactorEnabled: false },
+    after: { twoFactorEnabled: true },
+  });
+
+  res.json({
+    enabled: true,
+    enabledAt: seller.twoFactorEnabledAt,
+    backupCodes,
+  });
+};
+
+/**
+ * Turn two-factor authentication off
+ * Requires the password and a current code (or backup code). Not allowed for
+ * roles that must use two-factor authentication
+ *
+ * @async
+ * @function disableTwoFactor
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated seller
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.password - Current password
+ * @param {string} req.body.code - Authenticator code or backup code
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with enabled: false
+ * @throws {401} If the password or code is wrong
+ * @throws {403} If the seller's role requires two-factor authentication
+ * @throws {409} If two-factor authentication is not enabled
+ *
+ * @example
+ * POST /auth/2fa/disable
+ * Body: { password: "SecurePass123!", code: "492039" }
+ */
+const disableTwoFactor = async (req, res) => {
+  const { password, code } = req.body;
+
+  if (isTwoFactorRequired(req.user.role)) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: `Two-factor authentication is required for the ${req.user.role} role`,
+      statusCode: 403,
+    });
+  }
+
+  const seller = await Seller.findById(req.user._id).select(
+    `+password ${TWO_FACTOR_FIELDS}`,
+  );
+
+  if (!seller.twoFactorEnabled) {
+    return res.status(409).json({
+      error: "Conflict",
+      message: "Two-factor authentication is not enabled",
+      statusCode: 409,
+    });
+  }
+
+  if (
+    !(await seller.comparePassword(password)) ||
+    !seller.verifyTwoFactorCode(code).valid
+  ) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "Invalid password or two-factor code",
+      statusCode: 401,
+    });
+  }
+
+  seller.clearTwoFactor();
+  await seller.save();
+
+  recordAudit(req, {
+    action: "seller.two_factor_disable",
+    resourceType: "seller",
+    resourceId: seller._id,
+    before: { twoFactorEnabled: true },
+    after: { twoFactorEnabled: false },
+  });
+
+  res.json({ enabled: false });
+};
+
+/**
+ * Replace the backup codes
+ * Requires a current code; every previous backup code stops working
+ *
+ * @async
+ * @function regenerateBackupCodes
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated seller
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Authenticator code or backup code
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the new backupCodes
+ * @throws {401} If the code is wrong
+ * @throws {409} If two-factor authentication is not enabled
+ *
+ * @example
+ * POST /auth/2fa/backup-codes
+ * Body: { code: "492039" }
+ * Response: { backupCodes: ["3f9a-b27c", ...] }
+ */
+const regenerateBackupCodes = async (req, res) => {
+  const { code } = req.body;
+
+  const seller = await Seller.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+  if (!seller.twoFactorEnabled) {
+    return res.status(409).json({
+      error: "Conflict",
+      message: "Two-factor authentication is not enabled",
+      statusCode: 409,
+    });
+  }
+
+  if (!seller.verifyTwoFactorCode(code).valid) {
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "Invalid two-factor code",
+      statusCode: 401,
+    });
+  }
+
+  const backupCodes = replaceBackupCodes(seller);
+  await seller.save();
+
+  recordAudit(req, {
+    action: "seller.two_factor_backup_codes",
+    resourceType: "seller",
+    resourceId: seller._id,
+  });
+
+  res.json({ backupCodes });
+};
+
+export {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
@@ -1,5 +1,5 @@
-const bcrypt = require("bcryptjs");
-const readline = require("readline");
+import bcrypt from "bcryptjs";
+import readline from "readline";
 
 // Create an interface for reading input from the command line
 const rl = readline.createInterface({
@@ -69,6 +69,34 @@ const validatePassword = (password) => {
   return true;
 };
 
+// Same rule as the Tenant model: the subdomain the business is served under
+const TENANT_SLUG_REGEX = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+
+/**
+ * Builds the mongosh statement that creates the tenant if it does not exist
+ * yet, leaving its document in a `tenant` variable.
+ * @param {string} slug The tenant's subdomain slug.
+ * @param {string} name The business name.
+ * @returns {string} The mongosh statement.
+ */
+const buildTenantCommand = (
+  slug,
+  name,
+) => `const tenant = db.tenants.findOneAndUpdate(
+  { slug: "${slug}" },
+  {
+    $setOnInsert: {
+      slug: "${slug}",
+      name: "${name}",
+      isActive: true,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }
+  },
+  { upsert: true, returnDocument: "after" }
+);
+`;
+
 /**
  * Main function to guide the user and generate the MongoDB command.
  */
@@ -76,6 +104,34 @@ const main = async () => {
   console.log("Let's create a new MongoDB user object.");
   console.log("---------------------------------------");
 
+  // Multi-tenant deployments (MULTI_TENANT=true) bootstrap one superadmin
+  // per business
+  let tenantSlug = null;
+  while (tenantSlug === null) {
+    const answer = (
+      await askQuestion(
+        "Enter the tenant slug (subdomain), or leave empty for a single-business deployment: ",
+      )
+    )
+      .trim()
+      .toLowerCase();
+    if (answer && !TENANT_SLUG_REGEX.test(answer)) {
+      console.log(
+        "Slug must be 1-40 lowercase letters, digits or dashes. Please try again.",
+      );
+      continue;
+    }
+    tenantSlug = answer;
+  }
+
+  let tenantName = "";
+  while (tenantSlug && tenantName.length < 2) {
+    tenantName = (await askQuestion("Enter the business name: ")).trim();
+    if (tenantName.length < 2) {
+      console.log("Business name is too short. Please try again.");
+    }
+  }
+
   let firstName = "";
   while (firstName.length < 2) {
     firstName = capitalizeAndTrim(
@@ -126,7 +182,10 @@ const main = async () => {
   const hashedPassword = await bcrypt.hash(password, 12);
   console.log("Password successfully hashed!");
 
-  const mongoCommand = `db.sellers.insertOne({
+  const tenantCommand = tenantSlug
+    ? buildTenantCommand(tenantSlug, tenantName)
+    : "";
+  const mongoCommand = `${tenantCommand}db.sellers.insertOne({
   firstName: "${firstName}",
   lastName: "${lastName}",
   email: "${email}",
@@ -135,6 +194,7 @@ const main = async () => {
   role: "superadmin",
   active: true,
   createdBy: "Self",
+  tenantId: ${tenantSlug ? "tenant._id" : "null"},
   createdAt: new Date(),
   updatedAt: new Date()
 });`;
@@ -77,7 +77,12 @@ export default [
 
   // Configuration for CLI scripts and main entry point
   {
-    files: ["create-superadmin.js", "index.js", "scripts/**/*.js"],
+    files: [
+      "create-superadmin.js",
+      "sync-indexes.js",
+      "index.js",
+      "scripts/**/*.js",
+    ],
     rules: {
       "no-console": "off",
       "no-process-exit": "off", // CLI scripts need to exit
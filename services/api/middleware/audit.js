@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import AuditLog from "../models/AuditLog.js";
+import { runUnscoped } from "../utils/tenantContext.js";
+
+// Methods that change data and are therefore audited
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Client-supplied request ids longer than this are replaced
+const MAX_REQUEST_ID_LENGTH = 128;
+
+/**
+ * Request id middleware
+ * Tags every request with an id, taken from the X-Request-Id header when the
+ * client (or a proxy) sends one, so log lines and audit entries can be tied
+ * to a single request.
+ *
+ * @function requestId
+ * @param {Object} req - Express request object (req.id is set)
+ * @param {Object} res - Express response object (X-Request-Id header is set)
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.header("X-Request-Id");
+  req.id =
+    incoming && incoming.length <= MAX_REQUEST_ID_LENGTH
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+/**
+ * Audit trail middleware
+ * Writes an AuditLog entry for every POST, PUT, PATCH and DELETE request once
+ * the response has been sent.
+ *
+ * @function auditTrail
+ * @param {Object} req - Express request object (req.user and req.audit are read
+ *   when the response finishes)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ *
+ * @description
+ * - Records actor, route, response status, IP, user agent and request id
+ * - Controllers add the action name, resource and before/after diff with
+ *   recordAudit (utils/audit.js); other routes are logged as "METHOD /route"
+ *   with the :id parameter, or the id of the created resource, as resource id
+ * - Failed requests are recorded too, with their status code
+ * - Request bodies are never stored, so passwords and tokens stay out of the log
+ * - A failure to write the entry is logged and never affects the response
+ */
+const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  // Keep the id of anything created when the controller did not name it
+  let createdId = null;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 201 && body && typeof body === "object") {
+      createdId = body.id ?? body._id ?? null;
+    }
+    return sendJson(body);
+  };
+
+  res.on("finish", () => {
+    const path = req.originalUrl.split("?")[0];
+    // Route pattern (e.g. /api/v2/sales/:id/payments) when a route matched
+    const routePath = req.route
+      ? `${req.baseUrl}${req.route.path === "/" ? "" : req.route.path}`
+      : path;
+    const audit = req.audit || {};
+
+    // Written outside the request's tenant context, which may be gone by now
+    runUnscoped(() =>
+      AuditLog.create({
+        tenantId: req.tenantId ?? null,
+        actor: req.user?._id ?? null,
+        actorEmail: req.user?.email ?? null,
+        actorRole: req.user?.role ?? null,
+        action: audit.action || `${req.method} ${routePath}`,
+        resourceType:
+          audit.resourceType ?? (req.baseUrl.split("/").pop() || null),
+        resourceId:
+          audit.resourceId ?? req.params?.id ?? createdId?.toString() ?? null,
+        changes: audit.changes ?? null,
+        metadata: audit.metadata ?? null,
+        method: req.method,
+        path,
+        statusCode: res.statusCode,
+        ip: req.ip ?? null,
+        userAgent: req.header("User-Agent") ?? null,
+        requestId: req.id ?? null,
+      }),
+    ).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error("Error writing audit log:", error);
+    });
+  });
+
+  next();
+};
+
+export { requestId, auditTrail };
@@ -1,5 +1,9 @@
 import { verifyToken } from "../utils/jwt.js";
 import Seller from "../models/Seller.js";
+import Role from "../models/Role.js";
+import Tenant from "../models/Tenant.js";
+import { isTwoFactorRequired } from "../utils/totp.js";
+import { isMultiTenant, setTenantId } from "../utils/tenantContext.js";
 
 /**
  * Authentication middleware to verify JWT tokens
@@ -13,7 +17,11 @@ import Seller from "../models/Seller.js";
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Promise<void>} Calls next() on success, sends 401 error on failure
- * @throws {401} If token is missing, invalid, or seller not found
+ * @throws {401} If token is missing, invalid, revoked, or seller not found
+ * @throws {403} In multi-tenant mode, if the token belongs to another tenant
+ *   than the request's subdomain
+ * @throws {403} If the seller's role requires two-factor authentication and it
+ *   is not enabled yet (unless allowWithoutTwoFactor ran first)
  *
  * @example
  * // Usage in route
@@ -37,6 +45,43 @@ const authenticate = async (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = verifyToken(token);
 
+    // Purpose-bound tokens (e.g. the two-factor login challenge) are not
+    // access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Invalid token",
+        statusCode: 401,
+      });
+    }
+
+    // In multi-tenant mode the token names the seller's tenant, which scopes
+    // the rest of the request (see middleware/tenant.js)
+    if (isMultiTenant()) {
+      if (req.tenantId && decoded.tid !== req.tenantId.toString()) {
+        return res.status(403).json({
+          error: "Forbidden",
+          message: "Token was issued for another tenant",
+          statusCode: 403,
+        });
+      }
+      if (
+        !req.tenantId &&
+        !(
+          decoded.tid &&
+          (await Tenant.exists({ _id: decoded.tid, isActive: true }))
+        )
+      ) {
+        return res.status(401).json({
+          error: "Unauthorized",
+          message: "Invalid token",
+          statusCode: 401,
+        });
+      }
+      req.tenantId = decoded.tid;
+      setTenantId(decoded.tid);
+    }
+
     const seller = await Seller.findById(decoded.id);
     if (!seller) {
       return res.status(401).json({
@@ -46,7 +91,34 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a role change, password reset or "log out
+    // everywhere" carry an older version and are refused
+    if ((decoded.tv ?? 0) !== (seller.tokenVersion ?? 0)) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Token has been revoked",
+        statusCode: 401,
+      });
+    }
+
+    // Roles that must use two-factor authentication can only reach the
+    // routes that let them enrol until they have done so
+    if (
+      isTwoFactorRequired(seller.role) &&
+      !seller.twoFactorEnabled &&
+      !req.allowWithoutTwoFactor
+    ) {
+      return res.status(403).json({
+        error: "Two-Factor Setup Required",
+        message:
+          "Two-factor authentication must be enabled for this account (POST /auth/2fa/setup)",
+        statusCode: 403,
+      });
+    }
+
     req.user = seller;
+    // Device session the token belongs to (see POST /auth/refresh)
+    req.sessionId = decoded.sid ?? null;
     next();
   } catch {
     return res.status(401).json({
@@ -57,9 +129,29 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Let accounts that still have to enrol in two-factor authentication through
+ * the next authenticate (enrolment, logout and session routes)
+ *
+ * @function allowWithoutTwoFactor
+ * @param {Object} req - Express request object (req.allowWithoutTwoFactor is set)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ *
+ * @example
+ * router.post('/2fa/setup', allowWithoutTwoFactor, authenticate, setupTwoFactor);
+ */
+const allowWithoutTwoFactor = (req, res, next) => {
+  req.allowWithoutTwoFactor = true;
+  next();
+};
+
 /**
  * Authorization middleware factory to restrict access based on user roles
- * Creates middleware that checks if authenticated user has required role(s)
+ * Creates middleware that checks if authenticated user has required role(s).
+ * Routes use authorizePermission instead, so access follows the editable role
+ * definitions
  *
  * @function authorize
  * @param {...string} roles - One or more role names that are allowed access
@@ -103,4 +195,90 @@ const authorize = (...roles) => {
   };
 };
 
-export { authenticate, authorize };
+/**
+ * Permissions granted to the authenticated seller's role
+ * Loaded once per request and kept on req.permissions
+ *
+ * @async
+ * @function getRequestPermissions
+ * @param {Object} req - Express request object with req.user attached by authenticate
+ * @returns {Promise<string[]>} Permission names (see utils/permissions.js)
+ */
+const getRequestPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = req.user ? await Role.getPermissions(req.user.role) : [];
+  }
+  return req.permissions;
+};
+
+/**
+ * Check one permission inside a controller, for rules that depend on the
+ * request body or the resource (e.g. price overrides, undoing others' drops)
+ *
+ * @async
+ * @function hasPermission
+ * @param {Object} req - Express request object with req.user attached by authenticate
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} Whether the seller's role grants it
+ *
+ * @example
+ * if (!(await hasPermission(req, "records:purge"))) { ... 403 ... }
+ */
+const hasPermission = async (req, permission) =>
+  (await getRequestPermissions(req)).includes(permission);
+
+/**
+ * Authorization middleware factory to restrict access by permission
+ * Passes when the seller's role grants at least one of the listed permissions.
+ * Role permission sets are defined in utils/permissions.js and can be edited
+ * by superadmins (PUT /roles/:name/permissions)
+ *
+ * @function authorizePermission
+ * @param {...string} permissions - Permission names, any of which grants access
+ * @returns {Function} Express middleware function that performs permission-based authorization
+ *
+ * @example
+ * router.post('/:id/void', authorizePermission('sales:void'), voidSale);
+ *
+ * @example
+ * // Either permission is enough
+ * router.post('/:dropId/undo', authorizePermission('drops:undo:own', 'drops:undo:any'), undoInventoryDrop);
+ */
+const authorizePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        message: "Authentication required",
+        statusCode: 401,
+      });
+    }
+
+    let granted;
+    try {
+      granted = await getRequestPermissions(req);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!permissions.some((permission) => granted.includes(permission))) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Insufficient permissions",
+        statusCode: 403,
+        details: { requiredPermissions: permissions },
+      });
+    }
+
+    next();
+  };
+};
+
+export {
+  authenticate,
+  authorize,
+  authorizePermission,
+  hasPermission,
+  getRequestPermissions,
+  allowWithoutTwoFactor,
+};
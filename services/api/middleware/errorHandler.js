@@ -24,6 +24,7 @@ const isDevelopment = process.env.NODE_ENV === "development";
  * - Mongoose ValidationError: 400 with field-specific error details
  * - MongoDB duplicate key (code 11000): 400 with duplicate field info
  * - Mongoose CastError (invalid ObjectId): 400 with invalid ID message
+ * - Mongoose VersionError (optimistic concurrency): 409 conflict
  * - JWT errors (JsonWebTokenError, TokenExpiredError): 401 unauthorized
  * - Multer file upload errors (LIMIT_FILE_SIZE): 400 with file size message
  * - Custom operational errors: Uses error.statusCode
@@ -110,6 +111,18 @@ const errorHandler = (err, req, res, _next) => {
     });
   }
 
+  // Optimistic concurrency: the document changed since it was loaded
+  if (err.name === "VersionError") {
+    console.error("Version Conflict:", err.message);
+
+    return res.status(409).json({
+      error: "Conflict",
+      message: "The resource was changed by another request, please retry",
+      statusCode: 409,
+      timestamp,
+    });
+  }
+
   // JWT errors
   if (err.name === "JsonWebTokenError") {
     console.error("JWT Error:", err.message);
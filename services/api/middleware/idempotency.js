@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+
+// Keys longer than this are rejected (UUIDs and ULIDs fit comfortably)
+const MAX_KEY_LENGTH = 255;
+
+// How long a stored response is replayed, in hours (IDEMPOTENCY_KEY_TTL_HOURS)
+const getReplayWindowMs = () =>
+  (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long a request may run before its key is treated as abandoned and
+// freed for a retry (e.g. the handler hung or the process restarted)
+const PROCESSING_WINDOW_MS = 5 * 60 * 1000;
+
+// JSON with sorted object keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+// Fingerprint of everything the request carries: body and uploaded file
+const hashRequest = (req) => {
+  const hash = crypto.createHash("sha256");
+  hash.update(stableStringify(req.body || {}));
+  if (req.file?.buffer) {
+    hash.update(req.file.buffer);
+  }
+  return hash.digest("hex");
+};
+
+// Answer a retry of a key that was already used: replay the stored
+// response, or reject the request if it differs or is still running
+const replayStoredResponse = async (
+  req,
+  res,
+  next,
+  { key, path, requestHash },
+) => {
+  try {
+    const existing = await IdempotencyKey.findOne({
+      sellerId: req.user._id,
+      key,
+    });
+    if (!existing) {
+      // Expired between the insert and the lookup; let the client retry
+      return res.status(409).json({
+        error: "Conflict",
+        message:
+          "Idempotency-Key expired while being checked; retry the request",
+        statusCode: 409,
+      });
+    }
+
+    if (
+      existing.requestHash !== requestHash ||
+      existing.method !== req.method ||
+      existing.path !== path
+    ) {
+      return res.status(409).json({
+        error: "Conflict",
+        message:
+          "Idempotency-Key was already used for a different request; use a new key",
+        statusCode: 409,
+      });
+    }
+
+    if (existing.status === "processing") {
+      return res.status(409).json({
+        error: "Conflict",
+        message: "A request with this Idempotency-Key is still being processed",
+        statusCode: 409,
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Idempotency middleware for requests that must not run twice
+ * Honours an optional Idempotency-Key header: the first response for a key is
+ * stored and replayed on retries, so a double-tapped "create sale" does not
+ * create two sales.
+ *
+ * @async
+ * @function idempotent
+ * @param {Object} req - Express request object (req.user set by authenticate)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Calls next(), replays a stored response, or sends 400/409
+ *
+ * @description
+ * - Requests without the header run normally
+ * - Keys are scoped to the authenticated seller
+ * - A retry with the same key and body gets the stored status and body back,
+ *   with an `Idempotent-Replayed: true` header
+ * - Reusing a key with a different body or endpoint is rejected with 409
+ * - A retry while the first request is still running is also rejected with 409
+ * - Server errors (5xx) are not stored, so the request can be retried; neither
+ *   are responses sent without res.json nor dropped connections
+ * - A key still processing after PROCESSING_WINDOW_MS (5 minutes) expires, so
+ *   a hung request does not block retries for the whole replay window
+ * - Stored responses expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24)
+ *
+ * @example
+ * // Usage in route (after authenticate and any upload middleware)
+ * router.post('/sales', idempotent, validationRules.createSale, validate, createSale);
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.header("Idempotency-Key");
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: "Bad Request",
+      message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      statusCode: 400,
+    });
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      sellerId: req.user._id,
+      method: req.method,
+      path,
+      requestHash,
+      expiresAt: new Date(Date.now() + PROCESSING_WINDOW_MS),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+    return replayStoredResponse(req, res, next, { key, path, requestHash });
+  }
+
+  // Store the response before sending it, so a retry arriving right after
+  // the response always finds it
+  let stored = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const statusCode = res.statusCode;
+    const save =
+      statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: "completed",
+              responseStatus: statusCode,
+              responseBody: JSON.parse(JSON.stringify(body ?? null)),
+              expiresAt: new Date(Date.now() + getReplayWindowMs()),
+            },
+          );
+
+    save
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error("Error storing idempotent response:", error);
+      })
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  // Responses sent without res.json (res.send, res.end) and dropped
+  // connections store nothing: free the key so the request can be retried.
+  // "close" follows "finish", so it covers both
+  res.on("close", () => {
+    if (stored) {
+      return;
+    }
+    IdempotencyKey.deleteOne({ _id: record._id }).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error("Error releasing idempotency key:", error);
+    });
+  });
+
+  next();
+};
+
+export { idempotent };
@@ -0,0 +1,62 @@
+import rateLimit from "express-rate-limit";
+
+// Per-route policies for endpoints that guess at credentials. They apply per
+// IP on top of the global limiter; each limit can be overridden with its
+// environment variable
+const RATE_LIMIT_POLICIES = {
+  login: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    limit: 10,
+    envVar: "LOGIN_RATE_LIMIT",
+    message: "Too many login attempts from this IP, please try again later",
+  },
+  requestRecovery: {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    limit: 5,
+    envVar: "RECOVERY_RATE_LIMIT",
+    message:
+      "Too many password recovery requests from this IP, please try again later",
+  },
+  resetPassword: {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    limit: 10,
+    envVar: "RESET_RATE_LIMIT",
+    message:
+      "Too many password reset attempts from this IP, please try again later",
+  },
+};
+
+/**
+ * Build a rate limiter for one of the named policies
+ *
+ * @function createRateLimiter
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @returns {Function} Express middleware answering 429 once the limit is hit
+ */
+const createRateLimiter = (policyName) => {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  return rateLimit({
+    windowMs: policy.windowMs,
+    // Read per request so the limit follows the environment
+    limit: () => parseInt(process.env[policy.envVar]) || policy.limit,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+      error: "Too Many Requests",
+      message: policy.message,
+      statusCode: 429,
+    },
+  });
+};
+
+const loginRateLimit = createRateLimiter("login");
+const recoveryRateLimit = createRateLimiter("requestRecovery");
+const resetRateLimit = createRateLimiter("resetPassword");
+
+export {
+  RATE_LIMIT_POLICIES,
+  createRateLimiter,
+  loginRateLimit,
+  recoveryRateLimit,
+  resetRateLimit,
+};
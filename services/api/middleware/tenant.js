@@ -0,0 +1,88 @@
+import Tenant from "../models/Tenant.js";
+import {
+  getSubdomainSlug,
+  isMultiTenant,
+  runWithTenant,
+} from "../utils/tenantContext.js";
+
+/**
+ * Tenant resolution middleware (multi-tenant mode)
+ * Runs the rest of the request in a tenant context so every tenant-scoped
+ * model only sees the data of that tenant (see models/plugins/tenantScope.js)
+ *
+ * @async
+ * @function resolveTenant
+ * @param {Object} req - Express request object (req.tenantId is set)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} Calls next() inside the tenant context
+ * @throws {400} If neither a tenant subdomain nor a bearer token is sent
+ * @throws {404} If the subdomain does not belong to an active tenant
+ *
+ * @description
+ * - The tenant comes from the subdomain (<slug>.TENANT_BASE_DOMAIN), which
+ *   login, activation, refresh and password recovery requests must use
+ * - Authenticated requests may leave the subdomain out: authenticate takes
+ *   the tenant from the access token, and refuses tokens of another tenant
+ *   than the subdomain's
+ * - Does nothing unless MULTI_TENANT=true
+ */
+const resolveTenant = async (req, res, next) => {
+  if (!isMultiTenant()) {
+    return next();
+  }
+
+  const slug = getSubdomainSlug(req.get("host"));
+  let tenantId = null;
+
+  if (slug) {
+    let tenant;
+    try {
+      tenant = await Tenant.findActiveBySlug(slug);
+    } catch (error) {
+      return next(error);
+    }
+    if (!tenant) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: `Unknown tenant: ${slug}`,
+        statusCode: 404,
+      });
+    }
+    tenantId = tenant._id;
+  } else if (!req.header("Authorization")?.startsWith("Bearer ")) {
+    return res.status(400).json({
+      error: "Tenant Required",
+      message: "Use your business subdomain to reach this API",
+      statusCode: 400,
+    });
+  }
+
+  req.tenantId = tenantId;
+  runWithTenant(tenantId, next);
+};
+
+/**
+ * Re-enter the request's tenant context (multi-tenant mode)
+ * Middleware that hands the request on from its own callbacks, like multer
+ * once an upload is parsed, leaves the tenant context behind; queries after
+ * it would not be scoped. Mount this right after such middleware
+ *
+ * @function restoreTenantContext
+ * @param {Object} req - Express request object (req.tenantId from resolveTenant
+ *   or authenticate)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} Calls next() inside the tenant context
+ *
+ * @example
+ * router.post("/import", upload.single("csvFile"), restoreTenantContext, importCSV);
+ */
+const restoreTenantContext = (req, res, next) => {
+  if (!isMultiTenant()) {
+    return next();
+  }
+  runWithTenant(req.tenantId ?? null, next);
+};
+
+export { resolveTenant, restoreTenantContext };
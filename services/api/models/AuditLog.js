@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// One entry per mutating API request: who did what to which resource, and
+// which fields changed. Entries are never edited and survive test-data resets
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Authenticated seller, or null for anonymous requests (login, activation)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+    // Copied at write time so the entry stays readable if the seller is deleted
+    actorEmail: {
+      type: String,
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      default: null,
+    },
+    // e.g. "product.update", or "POST /api/v2/sales/:id/payments" for routes
+    // without a named action
+    action: {
+      type: String,
+      required: true,
+    },
+    resourceType: {
+      type: String,
+      default: null,
+    },
+    resourceId: {
+      type: String,
+      default: null,
+    },
+    // Changed fields as { field: { before, after } }; secrets are redacted
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Extra context from the controller (e.g. how many records were deleted)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    requestId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+auditLogSchema.plugin(tenantScope);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// Transform output
+auditLogSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
 
 // Helper function to normalize phone numbers
 const normalizePhoneNumber = (phone) => {
@@ -36,7 +37,6 @@ const customerSchema = new mongoose.Schema(
       type: String,
       required: true,
       trim: true,
-      unique: true,
       validate: {
         validator: function (v) {
           // Colombian mobile: 10 digits starting with 3 (e.g., 3001234567)
@@ -53,10 +53,28 @@ const customerSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    // Maximum unpaid balance the customer may carry; null means no limit
+    creditLimit: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
     lastTransaction: {
       type: Date,
       default: null,
     },
+    // Soft deletion: deleted customers are hidden from lists and new sales but
+    // stay available to the past sales that reference them
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
     isTestData: {
       type: Boolean,
       default: () => process.env.NODE_ENV === "development",
@@ -68,6 +86,11 @@ const customerSchema = new mongoose.Schema(
   },
 );
 
+customerSchema.plugin(tenantScope);
+
+// Phone numbers are unique within a tenant
+customerSchema.index({ phoneNumber: 1, tenantId: 1 }, { unique: true });
+
 // Pre-save middleware to normalize phone number
 customerSchema.pre("save", function (next) {
   if (this.isModified("phoneNumber")) {
@@ -91,6 +114,18 @@ customerSchema.pre(
   },
 );
 
+// Instance method to hide the customer without losing the sales that reference it
+customerSchema.methods.softDelete = function (deletedBy) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+};
+
+// Instance method to bring a soft-deleted customer back
+customerSchema.methods.restore = function () {
+  this.deletedAt = null;
+  this.deletedBy = null;
+};
+
 // Transform output
 customerSchema.set("toJSON", {
   transform: function (doc, ret) {
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Stored outcome of a request sent with an Idempotency-Key header, so a
+// retried request gets the first response instead of running again
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Keys are scoped per seller so two devices cannot collide
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the request body (and uploaded file), to detect key reuse
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+idempotencyKeySchema.plugin(tenantScope);
+
+idempotencyKeySchema.index({ sellerId: 1, key: 1 }, { unique: true });
+
+// Auto-delete keys once the replay window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Transform output
+idempotencyKeySchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
 
 const inventoryDropSchema = new mongoose.Schema(
   {
@@ -41,11 +42,24 @@ const inventoryDropSchema = new mongoose.Schema(
       min: [0, "Price per unit must be non-negative"],
     },
 
+    // Unit cost of the dropped goods (lot cost, else product cost), if known
+    costPerUnit: {
+      type: Number,
+      min: [0, "Cost per unit must be non-negative"],
+      default: null,
+    },
+
     // Financial impact
     totalValueLost: {
       type: Number,
       min: [0, "Total value must be non-negative"],
     },
+    // Waste at cost: what the dropped goods actually cost us
+    totalCostLost: {
+      type: Number,
+      min: [0, "Total cost must be non-negative"],
+      default: null,
+    },
 
     // Drop reason and context
     reason: {
@@ -129,6 +143,43 @@ const inventoryDropSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    lotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockLot",
+      default: null,
+      index: true,
+    },
+    // Stock lots the units were taken from: the given lot, else the oldest
+    // lots first
+    lots: [
+      {
+        _id: false,
+        lotId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "StockLot",
+          required: true,
+        },
+        batchId: {
+          type: String,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        unitCost: {
+          type: Number,
+          default: null,
+        },
+      },
+    ],
+    // Location the units were dropped at (null for unassigned stock)
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+      index: true,
+    },
     isTestData: {
       type: Boolean,
       default: () => process.env.NODE_ENV === "development",
@@ -142,6 +193,8 @@ const inventoryDropSchema = new mongoose.Schema(
   },
 );
 
+inventoryDropSchema.plugin(tenantScope);
+
 // Indexes for performance and analytics
 inventoryDropSchema.index({ droppedAt: 1, reason: 1 });
 inventoryDropSchema.index({ productId: 1, droppedAt: -1 });
@@ -187,8 +240,12 @@ inventoryDropSchema.virtual("daysSinceProduction").get(function () {
 
 // Pre-save middleware
 inventoryDropSchema.pre("save", function (next) {
-  // Calculate total value lost
+  // Calculate total value lost, at sale price and at cost
   this.totalValueLost = this.quantityDropped * this.pricePerUnit;
+  this.totalCostLost =
+    this.costPerUnit === null || this.costPerUnit === undefined
+      ? null
+      : this.quantityDropped * this.costPerUnit;
 
   // Set undo expiration to 8 hours from drop time
   if (this.isNew) {
@@ -262,6 +319,9 @@ inventoryDropSchema.statics.getDropAnalytics = async function (
   if (filters.droppedBy) {
     match.droppedBy = new mongoose.Types.ObjectId(filters.droppedBy);
   }
+  if (filters.locationId) {
+    match.locationId = new mongoose.Types.ObjectId(filters.locationId);
+  }
 
   return await this.aggregate([
     { $match: match },
@@ -274,6 +334,7 @@ inventoryDropSchema.statics.getDropAnalytics = async function (
         },
         totalQuantityDropped: { $sum: "$quantityDropped" },
         totalValueLost: { $sum: "$totalValueLost" },
+        totalCostLost: { $sum: { $ifNull: ["$totalCostLost", 0] } },
         dropCount: { $sum: 1 },
         avgQuantityPerDrop: { $avg: "$quantityDropped" },
         partialDrops: {
@@ -292,6 +353,7 @@ inventoryDropSchema.statics.getDropAnalytics = async function (
             productName: "$_id.productName",
             totalQuantityDropped: "$totalQuantityDropped",
             totalValueLost: "$totalValueLost",
+            totalCostLost: "$totalCostLost",
             dropCount: "$dropCount",
             avgQuantityPerDrop: "$avgQuantityPerDrop",
             partialDrops: "$partialDrops",
@@ -299,6 +361,7 @@ inventoryDropSchema.statics.getDropAnalytics = async function (
         },
         totalQuantityDropped: { $sum: "$totalQuantityDropped" },
         totalValueLost: { $sum: "$totalValueLost" },
+        totalCostLost: { $sum: "$totalCostLost" },
         totalDropCount: { $sum: "$dropCount" },
         totalPartialDrops: { $sum: "$partialDrops" },
       },
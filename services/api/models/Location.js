@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Kinds of places stock is kept and sold from
+const LOCATION_TYPES = ["kitchen", "stall", "store", "warehouse"];
+
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Location name is required"],
+      trim: true,
+      maxlength: [100, "Location name cannot exceed 100 characters"],
+    },
+    // Short code printed on receipts and transfer slips
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[A-Z0-9_-]{1,12}$/,
+        "Code must be 1-12 letters, digits, - or _",
+      ],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: LOCATION_TYPES,
+        message: `Location type must be one of: ${LOCATION_TYPES.join(", ")}`,
+      },
+      default: "store",
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Address cannot exceed 300 characters"],
+    },
+    // Inactive locations keep their history but cannot be selected, sold
+    // from or sent stock
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+    isTestData: {
+      type: Boolean,
+      default: () => process.env.NODE_ENV === "development",
+      index: true, // Index for efficient filtering and cleanup
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+locationSchema.plugin(tenantScope);
+
+// Names and codes are unique within a tenant; locations may have no code
+locationSchema.index({ name: 1, tenantId: 1 }, { unique: true });
+locationSchema.index(
+  { code: 1, tenantId: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: "string" } } },
+);
+
+// Transform output
+locationSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Location = mongoose.model("Location", locationSchema);
+
+export default Location;
+export { LOCATION_TYPES };
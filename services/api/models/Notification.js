@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Kinds of in-app notifications the API raises
+const NOTIFICATION_TYPES = ["low_stock"];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      enum: {
+        values: NOTIFICATION_TYPES,
+        message: `Notification type must be one of: ${NOTIFICATION_TYPES.join(", ")}`,
+      },
+      index: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      required: [true, "Message is required"],
+      trim: true,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+      index: true,
+    },
+    // Snapshot of the values that triggered the notification
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Notifications are shared by all staff; the first reader acknowledges it
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    readBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+    isTestData: {
+      type: Boolean,
+      default: () => process.env.NODE_ENV === "development",
+      index: true, // Index for efficient filtering and cleanup
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+notificationSchema.plugin(tenantScope);
+
+notificationSchema.index({ readAt: 1, createdAt: -1 });
+
+// Virtual for notifications nobody has acknowledged yet
+notificationSchema.virtual("isRead").get(function () {
+  return this.readAt !== null;
+});
+
+// Instance method to acknowledge a notification
+notificationSchema.methods.markRead = function (sellerId) {
+  if (!this.readAt) {
+    this.readAt = new Date();
+    this.readBy = sellerId;
+  }
+  return this;
+};
+
+// Transform output
+notificationSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
+export { NOTIFICATION_TYPES };
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
 
 const passwordResetTokenSchema = new mongoose.Schema(
   {
@@ -12,6 +13,12 @@ const passwordResetTokenSchema = new mongoose.Schema(
       ref: "Seller",
       required: true,
     },
+    // Set by a superadmin recovery: completing the reset also turns off the
+    // seller's two-factor authentication
+    resetTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
     expiresAt: {
       type: Date,
       required: true,
@@ -23,6 +30,8 @@ const passwordResetTokenSchema = new mongoose.Schema(
   },
 );
 
+passwordResetTokenSchema.plugin(tenantScope);
+
 // Auto-delete expired tokens
 passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
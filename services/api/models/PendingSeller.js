@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
 
 const pendingSellerSchema = new mongoose.Schema(
   {
@@ -15,7 +16,6 @@ const pendingSellerSchema = new mongoose.Schema(
     email: {
       type: String,
       required: true,
-      unique: true,
       lowercase: true,
       trim: true,
     },
@@ -40,6 +40,11 @@ const pendingSellerSchema = new mongoose.Schema(
   },
 );
 
+pendingSellerSchema.plugin(tenantScope);
+
+// Emails are unique within a tenant
+pendingSellerSchema.index({ email: 1, tenantId: 1 }, { unique: true });
+
 // Transform output
 pendingSellerSchema.set("toJSON", {
   transform: function (doc, ret) {
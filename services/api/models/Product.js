@@ -1,4 +1,27 @@
 import mongoose from "mongoose";
+import { TAX_CODES } from "../utils/tax.js";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Mirrors PRODUCT_CATEGORIES in @bitetrack/shared-types (not importable from
+// the API container, which only ships services/api)
+const PRODUCT_CATEGORIES = ["food", "beverage", "other"];
+
+// Validate an EAN-13 or UPC-A barcode, including its check digit
+const isValidBarcode = (code) => {
+  if (!/^(\d{12}|\d{13})$/.test(code)) {
+    return false;
+  }
+
+  // GTIN check digit: weights alternate 3/1 starting from the digit
+  // immediately left of the check digit
+  const digits = code.split("").map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, digit, index) => acc + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10 === checkDigit;
+};
 
 const productSchema = new mongoose.Schema(
   {
@@ -12,17 +35,129 @@ const productSchema = new mongoose.Schema(
       trim: true,
       default: "",
     },
+    // Units on hand across every location, plus unassigned stock (received
+    // without a location, or before locations were set up)
     count: {
       type: Number,
       required: true,
       min: 0,
       default: 0,
     },
+    // Units on hand per location; count minus their sum is unassigned stock.
+    // Units in transit between locations are in neither
+    stockByLocation: [
+      {
+        _id: false,
+        locationId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Location",
+          required: true,
+        },
+        count: {
+          type: Number,
+          min: [0, "Location stock cannot be negative"],
+          default: 0,
+        },
+      },
+    ],
     price: {
       type: Number,
       required: true,
       min: 0,
     },
+    // What one unit costs us (ingredients, supplier price); null when unknown
+    unitCost: {
+      type: Number,
+      min: [0, "Unit cost must be non-negative"],
+      default: null,
+    },
+    costHistory: [
+      {
+        _id: false,
+        unitCost: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        effectiveFrom: {
+          type: Date,
+          default: Date.now,
+        },
+        source: {
+          type: String,
+          enum: ["manual", "restock"],
+          default: "manual",
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Seller",
+          default: null,
+        },
+      },
+    ],
+    category: {
+      type: String,
+      enum: {
+        values: PRODUCT_CATEGORIES,
+        message: `Category must be one of: ${PRODUCT_CATEGORIES.join(", ")}`,
+      },
+      default: "other",
+      index: true,
+    },
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[A-Z0-9][A-Z0-9._-]{0,31}$/,
+        "SKU must be 1-32 letters, digits, dots, dashes or underscores",
+      ],
+    },
+    barcode: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: isValidBarcode,
+        message: "Barcode must be a valid EAN-13 or UPC-A code",
+      },
+    },
+    // Sales tax applied to this product (null until the accountant assigns one)
+    taxCode: {
+      type: String,
+      enum: {
+        values: TAX_CODES,
+        message: `Tax code must be one of: ${TAX_CODES.join(", ")}`,
+      },
+      default: null,
+    },
+    // Whether price already includes the tax (usual for consumer prices)
+    priceIncludesTax: {
+      type: Boolean,
+      default: true,
+    },
+    // Restocking thresholds (null means no alerting for this product)
+    reorderPoint: {
+      type: Number,
+      min: [0, "Reorder point must be non-negative"],
+      default: null,
+    },
+    reorderQuantity: {
+      type: Number,
+      min: [1, "Reorder quantity must be at least 1"],
+      default: null,
+    },
+    // Soft deletion: deleted products are hidden from lists and new sales but
+    // stay available to the past sales that reference them
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
     isTestData: {
       type: Boolean,
       default: () => process.env.NODE_ENV === "development",
@@ -34,11 +169,109 @@ const productSchema = new mongoose.Schema(
   },
 );
 
+productSchema.plugin(tenantScope);
+
+// SKUs and barcodes are unique within a tenant; products may have neither
+productSchema.index(
+  { sku: 1, tenantId: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: "string" } } },
+);
+productSchema.index(
+  { barcode: 1, tenantId: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: "string" } } },
+);
+
 // Add virtual field for API compatibility
 productSchema.virtual("name").get(function () {
   return this.productName;
 });
 
+// Virtual for products at or below their reorder point
+productSchema.virtual("isLowStock").get(function () {
+  return this.reorderPoint !== null && this.count <= this.reorderPoint;
+});
+
+// Virtual for stock not held at any location
+productSchema.virtual("unassignedCount").get(function () {
+  return this.getLocationCount(null);
+});
+
+// Instance method for the units on hand at a location (null for unassigned stock)
+productSchema.methods.getLocationCount = function (locationId = null) {
+  const entries = this.stockByLocation || [];
+  if (!locationId) {
+    return this.count - entries.reduce((sum, entry) => sum + entry.count, 0);
+  }
+  const entry = entries.find((e) => e.locationId.equals(locationId));
+  return entry ? entry.count : 0;
+};
+
+// Instance method to add (or, with a negative delta, take) units at a
+// location; null adjusts unassigned stock. count always moves with it
+productSchema.methods.adjustLocationStock = function (locationId, delta) {
+  this.count += delta;
+  if (!locationId) {
+    return;
+  }
+
+  const entry = this.stockByLocation.find((e) =>
+    e.locationId.equals(locationId),
+  );
+  if (entry) {
+    entry.count += delta;
+  } else {
+    this.stockByLocation.push({ locationId, count: delta });
+  }
+};
+
+// Instance method to change the unit cost, keeping a history of past costs
+productSchema.methods.setUnitCost = function (
+  unitCost,
+  { changedBy = null, source = "manual" } = {},
+) {
+  if (unitCost === null || unitCost === undefined) {
+    return false;
+  }
+  if (unitCost === this.unitCost) {
+    return false;
+  }
+
+  this.unitCost = unitCost;
+  this.costHistory.push({
+    unitCost,
+    effectiveFrom: new Date(),
+    source,
+    changedBy,
+  });
+  return true;
+};
+
+// Instance method to hide the product without losing the sales that reference it
+productSchema.methods.softDelete = function (deletedBy) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+};
+
+// Instance method to bring a soft-deleted product back
+productSchema.methods.restore = function () {
+  this.deletedAt = null;
+  this.deletedBy = null;
+};
+
+// Static method for products that need restocking, emptiest first
+productSchema.statics.findLowStock = function (filters = {}) {
+  const query = {
+    deletedAt: null,
+    reorderPoint: { $ne: null },
+    $expr: { $lte: ["$count", "$reorderPoint"] },
+  };
+  if (filters.category) {
+    query.category = filters.category;
+  }
+
+  return this.find(query).sort({ count: 1, productName: 1 });
+};
+
 // Transform output with virtuals enabled
 productSchema.set("toJSON", {
   virtuals: true,
@@ -51,4 +284,7 @@ productSchema.set("toJSON", {
   },
 });
 
-export default mongoose.model("Product", productSchema);
+const Product = mongoose.model("Product", productSchema);
+
+export default Product;
+export { PRODUCT_CATEGORIES, isValidBarcode };
@@ -0,0 +1,258 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// How a promotion discounts a sale line:
+// - bundle_price: every `bundleQuantity` units cost `bundlePrice` ("3 empanadas for 5000")
+// - percentage: `percentOff` off the line
+// - fixed_amount: `amountOff` off each unit
+const PROMOTION_TYPES = ["bundle_price", "percentage", "fixed_amount"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Minutes since midnight for an "HH:MM" string
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Promotion name is required"],
+      trim: true,
+      maxlength: [100, "Promotion name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    type: {
+      type: String,
+      required: [true, "Promotion type is required"],
+      enum: {
+        values: PROMOTION_TYPES,
+        message: `Promotion type must be one of: ${PROMOTION_TYPES.join(", ")}`,
+      },
+    },
+
+    // Which products the promotion applies to. Empty productIds and no
+    // category means every product (not allowed for bundle_price).
+    productIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    category: {
+      type: String,
+      default: null,
+    },
+
+    // Rule parameters (which ones are required depends on the type)
+    bundleQuantity: {
+      type: Number,
+      min: [2, "Bundle quantity must be at least 2"],
+    },
+    bundlePrice: {
+      type: Number,
+      min: [0, "Bundle price must be non-negative"],
+    },
+    percentOff: {
+      type: Number,
+      min: [0, "Percent off must be between 0 and 100"],
+      max: [100, "Percent off must be between 0 and 100"],
+    },
+    amountOff: {
+      type: Number,
+      min: [0, "Amount off must be non-negative"],
+    },
+    minQuantity: {
+      type: Number,
+      min: [1, "Minimum quantity must be at least 1"],
+      default: 1,
+    },
+
+    // Schedule: date range, days of week (0 = Sunday) and a daily time window
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    daysOfWeek: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    startTime: {
+      type: String,
+      default: null,
+      match: [TIME_PATTERN, "Start time must be in HH:MM format"],
+    },
+    endTime: {
+      type: String,
+      default: null,
+      match: [TIME_PATTERN, "End time must be in HH:MM format"],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      required: [true, "Created by user is required"],
+    },
+    isTestData: {
+      type: Boolean,
+      default: () => process.env.NODE_ENV === "development",
+      index: true, // Index for efficient filtering and cleanup
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+promotionSchema.plugin(tenantScope);
+
+// Each promotion type needs its own rule parameters
+promotionSchema.pre("validate", function (next) {
+  if (this.type === "bundle_price") {
+    if (!this.bundleQuantity || this.bundlePrice === undefined) {
+      this.invalidate(
+        "bundleQuantity",
+        "Bundle promotions need bundleQuantity and bundlePrice",
+      );
+    }
+    if (this.productIds.length === 0) {
+      this.invalidate(
+        "productIds",
+        "Bundle promotions must name the products they apply to",
+      );
+    }
+  }
+  if (this.type === "percentage" && this.percentOff === undefined) {
+    this.invalidate("percentOff", "Percentage promotions need percentOff");
+  }
+  if (this.type === "fixed_amount" && this.amountOff === undefined) {
+    this.invalidate("amountOff", "Fixed amount promotions need amountOff");
+  }
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    this.invalidate(
+      "endTime",
+      "Start time and end time must be provided together",
+    );
+  }
+  if (this.startsAt && this.endsAt && this.endsAt < this.startsAt) {
+    this.invalidate("endsAt", "End date cannot be before start date");
+  }
+  next();
+});
+
+// Instance method to check whether the promotion runs at a given moment.
+// Time windows use the server's local time and may wrap past midnight.
+promotionSchema.methods.isActiveAt = function (date = new Date()) {
+  if (!this.isActive) {
+    return false;
+  }
+  if (this.startsAt && date < this.startsAt) {
+    return false;
+  }
+  if (this.endsAt && date > this.endsAt) {
+    return false;
+  }
+  if (this.daysOfWeek.length > 0 && !this.daysOfWeek.includes(date.getDay())) {
+    return false;
+  }
+  if (this.startTime && this.endTime) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(this.startTime);
+    const end = toMinutes(this.endTime);
+    const inWindow =
+      start <= end ? now >= start && now < end : now >= start || now < end;
+    if (!inWindow) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Instance method to check whether the promotion covers a product
+promotionSchema.methods.appliesTo = function (product) {
+  if (this.productIds.length > 0) {
+    return this.productIds.some(
+      (id) => id.toString() === product._id.toString(),
+    );
+  }
+  if (this.category) {
+    return product.category === this.category;
+  }
+  return true;
+};
+
+// Instance method for the discount this promotion gives on a sale line
+promotionSchema.methods.getLineDiscount = function (
+  product,
+  quantity,
+  unitPrice,
+) {
+  if (!this.appliesTo(product) || quantity < (this.minQuantity || 1)) {
+    return 0;
+  }
+
+  const lineTotal = unitPrice * quantity;
+  let discount = 0;
+
+  if (this.type === "bundle_price") {
+    const bundles = Math.floor(quantity / this.bundleQuantity);
+    discount = bundles * (unitPrice * this.bundleQuantity - this.bundlePrice);
+  } else if (this.type === "percentage") {
+    discount = (lineTotal * this.percentOff) / 100;
+  } else if (this.type === "fixed_amount") {
+    discount = Math.min(this.amountOff, unitPrice) * quantity;
+  }
+
+  return roundCurrency(Math.min(Math.max(0, discount), lineTotal));
+};
+
+// Static method for the promotions running at a given moment
+promotionSchema.statics.findActiveAt = async function (
+  date = new Date(),
+  session = null,
+) {
+  const promotions = await this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: date } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: date } }] },
+    ],
+  }).session(session);
+
+  return promotions.filter((promotion) => promotion.isActiveAt(date));
+};
+
+// Transform output
+promotionSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
+export { PROMOTION_TYPES };
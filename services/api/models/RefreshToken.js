@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Server-side record of a refresh token. Each login starts a session
+// (sessionId); every refresh rotates the token within that session, so a
+// session has at most one active token at a time
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the token; the token itself is only ever sent to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      required: true,
+      index: true,
+    },
+    sessionId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Seller.tokenVersion when issued; a later bump invalidates the token
+    tokenVersion: {
+      type: Number,
+      required: true,
+    },
+    // When the session (login) began, copied across rotations
+    sessionStartedAt: {
+      type: Date,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    // Set when the token is rotated or the session is logged out
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["rotated", "logout", "logout_all", "reuse_detected", null],
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+refreshTokenSchema.plugin(tenantScope);
+
+// Auto-delete tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke every active token of a session (or of all of a
+// seller's sessions when sessionId is omitted)
+refreshTokenSchema.statics.revokeSessions = function (
+  sellerId,
+  { sessionId, reason = "logout" } = {},
+) {
+  const filter = { sellerId, revokedAt: null };
+  if (sessionId) {
+    filter.sessionId = sessionId;
+  }
+  return this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+// Transform output
+refreshTokenSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
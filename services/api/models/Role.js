@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE,
+  ROLES,
+} from "../utils/permissions.js";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Edited permission set of a role. Roles without a document use
+// DEFAULT_ROLE_PERMISSIONS (utils/permissions.js)
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      enum: ROLES,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+roleSchema.plugin(tenantScope);
+
+// Each tenant edits its own roles
+roleSchema.index({ name: 1, tenantId: 1 }, { unique: true });
+
+// Static method to get the permissions a role currently grants
+roleSchema.statics.getPermissions = async function (name) {
+  if (name === LOCKED_ROLE) {
+    return DEFAULT_ROLE_PERMISSIONS[LOCKED_ROLE];
+  }
+  const role = await this.findOne({ name }).lean();
+  return role ? role.permissions : DEFAULT_ROLE_PERMISSIONS[name] || [];
+};
+
+// Transform output
+roleSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+export default mongoose.model("Role", roleSchema);
@@ -1,4 +1,32 @@
 import mongoose from "mongoose";
+import { TAX_CODES } from "../utils/tax.js";
+import {
+  CASH_METHOD,
+  normalizePaymentMethod,
+  resolvePaymentMethod,
+} from "../utils/paymentMethods.js";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Store known payment methods by their code ("Efectivo" becomes cash).
+// Anything else is kept as given, so sales imported before methods were
+// enumerated still save
+const toPaymentMethodCode = (method) => resolvePaymentMethod(method) ?? method;
+
+// Money a refund or void paid back through one payment method
+const returnedByMethodSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
 
 const saleSchema = new mongoose.Schema(
   {
@@ -12,6 +40,20 @@ const saleSchema = new mongoose.Schema(
       ref: "Seller",
       required: true,
     },
+    // Location the stock was sold from (null for unassigned stock)
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+      index: true,
+    },
+    // Till shift the seller had open when the sale was made
+    shiftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      default: null,
+      index: true,
+    },
     products: [
       {
         productId: {
@@ -29,8 +71,173 @@ const saleSchema = new mongoose.Schema(
           required: true,
           min: 0,
         },
+        // Admin-approved unit price replacing the list price (priceAtSale
+        // holds the overridden price, originalPrice the list price)
+        priceOverride: {
+          type: new mongoose.Schema(
+            {
+              originalPrice: { type: Number, required: true, min: 0 },
+              overriddenBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Seller",
+                required: true,
+              },
+              reason: { type: String, required: true, trim: true },
+            },
+            { _id: false },
+          ),
+          default: undefined,
+        },
+        // Line discount from a promotion or entered by the cashier
+        discount: {
+          type: new mongoose.Schema(
+            {
+              source: {
+                type: String,
+                enum: ["manual", "promotion"],
+                required: true,
+              },
+              type: { type: String, required: true },
+              value: { type: Number, default: null },
+              promotionId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Promotion",
+                default: null,
+              },
+              promotionName: { type: String },
+              amount: { type: Number, required: true, min: 0 },
+            },
+            { _id: false },
+          ),
+          default: undefined,
+        },
+        // Everything taken off this line: its own discount plus its share of
+        // the sale-level discount. Line net = priceAtSale * quantity - discountAmount
+        discountAmount: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        // Tax on the line's discounted amount, as configured on the product
+        // when it was sold. With tax-exclusive pricing taxAmount is charged on
+        // top of the line net; otherwise it is part of it.
+        taxCode: {
+          type: String,
+          enum: [...TAX_CODES, null],
+          default: null,
+        },
+        taxRate: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        priceIncludesTax: {
+          type: Boolean,
+          default: true,
+        },
+        taxableAmount: {
+          type: Number,
+          min: 0,
+        },
+        taxAmount: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        // Unit cost of the goods sold, null when the product has no cost yet
+        costAtSale: {
+          type: Number,
+          min: 0,
+          default: null,
+        },
+        refundedQuantity: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        // Stock lots the units were taken from (oldest unexpired lot first)
+        lots: [
+          {
+            _id: false,
+            lotId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "StockLot",
+              required: true,
+            },
+            batchId: {
+              type: String,
+            },
+            quantity: {
+              type: Number,
+              required: true,
+              min: 1,
+            },
+            unitCost: {
+              type: Number,
+              default: null,
+            },
+            returnedQuantity: {
+              type: Number,
+              min: 0,
+              default: 0,
+            },
+          },
+        ],
       },
     ],
+    // Before discounts and tax-exclusive taxes
+    subtotalAmount: {
+      type: Number,
+      min: 0,
+    },
+    discountAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    saleDiscount: {
+      type: new mongoose.Schema(
+        {
+          type: { type: String, enum: ["percentage", "fixed"], required: true },
+          value: { type: Number, required: true, min: 0 },
+          amount: { type: Number, required: true, min: 0 },
+          reason: { type: String, trim: true },
+          appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller" },
+        },
+        { _id: false },
+      ),
+      default: undefined,
+    },
+    appliedPromotions: [
+      {
+        _id: false,
+        promotionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+          required: true,
+        },
+        name: { type: String },
+        discountAmount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Total tax on the sale and its split per tax code
+    taxAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    taxBreakdown: [
+      {
+        _id: false,
+        taxCode: { type: String, enum: TAX_CODES, required: true },
+        taxType: { type: String },
+        taxRate: { type: Number, required: true, min: 0 },
+        taxableAmount: { type: Number, required: true, min: 0 },
+        taxAmount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // Amount charged: subtotalAmount - discountAmount, plus tax on
+    // tax-exclusive lines
     totalAmount: {
       type: Number,
       required: true,
@@ -50,8 +257,199 @@ const saleSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Cash handed over at the till (split tender) and the change given back;
+    // only the cash kept is recorded as a payment
+    cashTendered: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    changeDue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Payment ledger - every instalment collected against this sale
+    payments: [
+      {
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        // One of PAYMENT_METHOD_CODES (utils/paymentMethods.js); payments
+        // recorded before methods were enumerated may hold free text
+        method: {
+          type: String,
+          trim: true,
+          set: toPaymentMethodCode,
+          default: null,
+        },
+        receivedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Seller",
+          required: true,
+        },
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // Shift the money was taken in (the receiving seller's open shift)
+        shiftId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Shift",
+          default: null,
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: 300,
+        },
+      },
+    ],
+
+    // Lifecycle - voids and refunds never delete data, they append to the trail
+    status: {
+      type: String,
+      enum: ["completed", "partially_refunded", "refunded", "voided"],
+      default: "completed",
+      index: true,
+    },
+    refundedAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    refunds: [
+      {
+        items: [
+          {
+            productId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+              required: true,
+            },
+            quantity: {
+              type: Number,
+              required: true,
+              min: 1,
+            },
+            amount: {
+              type: Number,
+              required: true,
+              min: 0,
+            },
+          },
+        ],
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        amountReturned: {
+          type: Number,
+          min: 0,
+          default: 0,
+        },
+        // amountReturned split by the methods the sale was paid with
+        returnedByMethod: [returnedByMethodSchema],
+        restocked: {
+          type: Boolean,
+          default: true,
+        },
+        reason: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 300,
+        },
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Seller",
+          required: true,
+        },
+        refundedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // Shift whose drawer paid amountReturned back
+        shiftId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Shift",
+          default: null,
+        },
+      },
+    ],
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: null,
+    },
+    voidAmountReturned: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // voidAmountReturned split by the methods the sale was paid with
+    voidReturnedByMethod: [returnedByMethodSchema],
+    // Shift whose drawer paid voidAmountReturned back
+    voidShiftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      default: null,
+    },
+
+    // Set when an admin let the sale through over the customer's credit limit
+    creditLimitOverride: {
+      type: new mongoose.Schema(
+        {
+          overriddenBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Seller",
+            required: true,
+          },
+          overriddenAt: {
+            type: Date,
+            default: Date.now,
+          },
+          creditLimit: {
+            type: Number,
+            required: true,
+          },
+          balanceBefore: {
+            type: Number,
+            required: true,
+          },
+          reason: {
+            type: String,
+            trim: true,
+            maxlength: 300,
+          },
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+
+    // Client-generated id of a sale captured offline (see POST /sales/sync)
+    clientId: {
+      type: String,
+      trim: true,
+    },
 
     // CSV Import Fields (all optional for backwards compatibility)
+    // originalCreatedAt is also when an offline sale actually happened
     originalCreatedAt: {
       type: Date,
       default: null,
@@ -72,8 +470,11 @@ const saleSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Method the sale was paid with ("split" for several); sales saved
+    // before methods were enumerated may hold free text
     paymentMethod: {
       type: String,
+      set: toPaymentMethodCode,
       default: null,
     },
     isTestData: {
@@ -84,7 +485,472 @@ const saleSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    // Saves check the version they loaded, so two payments (or a payment and
+    // a refund) racing on the same sale cannot both pass the balance check
+    optimisticConcurrency: true,
+  },
+);
+
+saleSchema.plugin(tenantScope);
+
+// Round currency values to cents to avoid floating point drift
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Amount the customer owes after refunds
+saleSchema.methods.getNetTotal = function () {
+  return roundCurrency(this.totalAmount - (this.refundedAmount || 0));
+};
+
+// Outstanding balance still owed on the sale
+saleSchema.methods.getBalanceDue = function () {
+  if (this.status === "voided") {
+    return 0;
+  }
+  return Math.max(0, roundCurrency(this.getNetTotal() - this.amountPaid));
+};
+
+// Recalculate settled/settledAt from the amount paid so far
+saleSchema.methods.updateSettlement = function (settledAt = new Date()) {
+  this.settled = this.amountPaid >= this.getNetTotal();
+  if (this.settled && !this.settledAt) {
+    this.settledAt = settledAt;
+  } else if (!this.settled) {
+    this.settledAt = null;
+  }
+};
+
+// Append a payment to the ledger and refresh the settlement status
+saleSchema.methods.recordPayment = function ({
+  amount,
+  method = null,
+  receivedBy,
+  receivedAt = new Date(),
+  shiftId = null,
+  note,
+}) {
+  this.payments.push({
+    amount,
+    method,
+    receivedBy,
+    receivedAt,
+    shiftId,
+    note,
+  });
+  this.amountPaid = roundCurrency(this.amountPaid + amount);
+  this.updateSettlement(receivedAt);
+  return this.payments[this.payments.length - 1];
+};
+
+// Method a payment counts under: its code when known, else lower-cased
+const groupedPaymentMethod = (method) =>
+  resolvePaymentMethod(method) ?? normalizePaymentMethod(method);
+
+// Amount paid per payment method (null when not given)
+saleSchema.methods.getPaidByMethod = function () {
+  const paid = new Map();
+  // Sales recorded before the payment ledger existed
+  const payments =
+    this.payments.length > 0 || !this.amountPaid
+      ? this.payments
+      : [{ method: this.paymentMethod, amount: this.amountPaid }];
+
+  for (const payment of payments) {
+    const method = groupedPaymentMethod(payment.method);
+    paid.set(method, roundCurrency((paid.get(method) || 0) + payment.amount));
+  }
+  return paid;
+};
+
+// Split money paid back over the methods the sale was paid with, most
+// recently used method first, leaving out what earlier refunds returned.
+// Anything beyond what the methods took in goes back in cash
+saleSchema.methods.allocateReturn = function (amount) {
+  const available = this.getPaidByMethod();
+  for (const refund of this.refunds) {
+    for (const returned of refund.returnedByMethod || []) {
+      available.set(
+        returned.method,
+        roundCurrency((available.get(returned.method) || 0) - returned.amount),
+      );
+    }
+  }
+
+  const methods = [
+    ...new Set(
+      [...this.payments]
+        .reverse()
+        .map((payment) => groupedPaymentMethod(payment.method)),
+    ),
+  ];
+  if (methods.length === 0) {
+    methods.push(...available.keys());
+  }
+
+  const allocation = [];
+  let remaining = roundCurrency(amount);
+  for (const method of methods) {
+    const returned = Math.min(remaining, Math.max(0, available.get(method)));
+    if (returned > 0) {
+      allocation.push({ method, amount: returned });
+      remaining = roundCurrency(remaining - returned);
+    }
+  }
+  if (remaining > 0) {
+    const cash = allocation.find((entry) => entry.method === CASH_METHOD);
+    if (cash) {
+      cash.amount = roundCurrency(cash.amount + remaining);
+    } else {
+      allocation.push({ method: CASH_METHOD, amount: remaining });
+    }
+  }
+  return allocation;
+};
+
+// Append a refund for the given line items ({ lineId, productId, quantity };
+// without lineId the product's first line is used) and return any money
+// already paid above the new net total
+saleSchema.methods.applyRefund = function ({
+  items,
+  reason,
+  refundedBy,
+  restocked = true,
+  refundedAt = new Date(),
+  shiftId = null,
+}) {
+  const findLine = ({ lineId, productId }) =>
+    lineId
+      ? this.products.id(lineId)
+      : this.products.find(
+          (p) => p.productId.toString() === productId.toString(),
+        );
+
+  const refundLines = items.map((item) => findLine(item));
+  const refundItems = items.map(({ quantity }, index) => {
+    const line = refundLines[index];
+    // Refund what the customer paid for the units, after discounts and
+    // including any tax added on top; the last units of a line take
+    // whatever is left so cents are not lost
+    const lineNet =
+      line.priceAtSale * line.quantity -
+      (line.discountAmount || 0) +
+      (line.priceIncludesTax === false ? line.taxAmount || 0 : 0);
+    const netUnitPrice = lineNet / line.quantity;
+    const alreadyRefunded = line.refundedQuantity || 0;
+    const amount =
+      alreadyRefunded + quantity >= line.quantity
+        ? roundCurrency(lineNet - roundCurrency(netUnitPrice * alreadyRefunded))
+        : roundCurrency(netUnitPrice * quantity);
+    return {
+      productId: line.productId,
+      quantity,
+      amount,
+    };
+  });
+
+  refundItems.forEach((item, index) => {
+    const line = refundLines[index];
+    line.refundedQuantity = (line.refundedQuantity || 0) + item.quantity;
+  });
+
+  const amount = roundCurrency(
+    refundItems.reduce((sum, item) => sum + item.amount, 0),
+  );
+  this.refundedAmount = roundCurrency((this.refundedAmount || 0) + amount);
+
+  const amountReturned = Math.min(
+    amount,
+    Math.max(0, roundCurrency(this.amountPaid - this.getNetTotal())),
+  );
+  const returnedByMethod = this.allocateReturn(amountReturned);
+  this.amountPaid = roundCurrency(this.amountPaid - amountReturned);
+
+  this.refunds.push({
+    items: refundItems,
+    amount,
+    amountReturned,
+    returnedByMethod,
+    restocked,
+    reason,
+    refundedBy,
+    refundedAt,
+    shiftId,
+  });
+
+  const fullyRefunded = this.products.every(
+    (p) => (p.refundedQuantity || 0) >= p.quantity,
+  );
+  this.status = fullyRefunded ? "refunded" : "partially_refunded";
+  this.updateSettlement(refundedAt);
+
+  return this.refunds[this.refunds.length - 1];
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unpaid balance (after refunds) as a MongoDB expression
+const balanceDueExpression = {
+  $round: [
+    {
+      $subtract: [
+        { $subtract: ["$totalAmount", { $ifNull: ["$refundedAmount", 0] }] },
+        "$amountPaid",
+      ],
+    },
+    2,
+  ],
+};
+
+// Static method for a single customer's total unpaid balance
+saleSchema.statics.getOutstandingBalance = async function (
+  customerId,
+  session = null,
+) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        customerId: new mongoose.Types.ObjectId(customerId),
+        settled: false,
+        status: { $ne: "voided" },
+      },
+    },
+    { $addFields: { balanceDue: balanceDueExpression } },
+    { $match: { balanceDue: { $gt: 0 } } },
+    { $group: { _id: null, total: { $sum: "$balanceDue" } } },
+  ]).session(session);
+
+  return result ? roundCurrency(result.total) : 0;
+};
+
+// Static method for accounts receivable - outstanding balance per customer
+// split into aging buckets (0-7, 8-30, 31-60 and 60+ days since the sale)
+saleSchema.statics.getReceivables = async function (
+  asOf = new Date(),
+  filters = {},
+) {
+  const match = {
+    settled: false,
+    status: { $ne: "voided" },
+  };
+
+  if (filters.customerId) {
+    match.customerId = new mongoose.Types.ObjectId(filters.customerId);
+  }
+  if (filters.locationId) {
+    match.locationId = new mongoose.Types.ObjectId(filters.locationId);
+  }
+
+  const bucketSum = (bucket) => ({
+    $sum: { $cond: [{ $eq: ["$bucket", bucket] }, "$balanceDue", 0] },
+  });
+
+  return await this.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        saleDate: { $ifNull: ["$originalCreatedAt", "$createdAt"] },
+        balanceDue: balanceDueExpression,
+      },
+    },
+    { $match: { balanceDue: { $gt: 0 } } },
+    {
+      $addFields: {
+        ageDays: {
+          $max: [
+            0,
+            {
+              $floor: {
+                $divide: [{ $subtract: [asOf, "$saleDate"] }, DAY_MS],
+              },
+            },
+          ],
+        },
+      },
+    },
+    {
+      $addFields: {
+        bucket: {
+          $switch: {
+            branches: [
+              { case: { $lte: ["$ageDays", 7] }, then: "days0to7" },
+              { case: { $lte: ["$ageDays", 30] }, then: "days8to30" },
+              { case: { $lte: ["$ageDays", 60] }, then: "days31to60" },
+            ],
+            default: "over60",
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$customerId",
+        totalOutstanding: { $sum: "$balanceDue" },
+        openSales: { $sum: 1 },
+        oldestSaleDate: { $min: "$saleDate" },
+        days0to7: bucketSum("days0to7"),
+        days8to30: bucketSum("days8to30"),
+        days31to60: bucketSum("days31to60"),
+        over60: bucketSum("over60"),
+      },
+    },
+    {
+      $lookup: {
+        from: "customers",
+        localField: "_id",
+        foreignField: "_id",
+        as: "customer",
+      },
+    },
+    { $unwind: { path: "$customer", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        customerId: "$_id",
+        customerName: {
+          $cond: [
+            { $ifNull: ["$customer", false] },
+            { $concat: ["$customer.firstName", " ", "$customer.lastName"] },
+            "Unknown Customer",
+          ],
+        },
+        phoneNumber: "$customer.phoneNumber",
+        email: "$customer.email",
+        totalOutstanding: { $round: ["$totalOutstanding", 2] },
+        openSales: 1,
+        oldestSaleDate: 1,
+        aging: {
+          days0to7: { $round: ["$days0to7", 2] },
+          days8to30: { $round: ["$days8to30", 2] },
+          days31to60: { $round: ["$days31to60", 2] },
+          over60: { $round: ["$over60", 2] },
+        },
+      },
+    },
+    { $sort: { totalOutstanding: -1 } },
+  ]);
+};
+
+// Sum of a field over the sales that were not voided
+const sumUnlessVoided = (field) => ({
+  $sum: {
+    $cond: [{ $eq: ["$status", "voided"] }, 0, { $ifNull: [field, 0] }],
   },
+});
+
+// Static method for the totals of a till shift: the sales made during it,
+// the payments it took in per method and the money it paid back on refunds
+// and voids (in total and per method)
+saleSchema.statics.getShiftTotals = async function (shiftId) {
+  const id = new mongoose.Types.ObjectId(shiftId);
+
+  const [sales] = await this.aggregate([
+    { $match: { shiftId: id } },
+    {
+      $group: {
+        _id: null,
+        count: {
+          $sum: { $cond: [{ $eq: ["$status", "voided"] }, 0, 1] },
+        },
+        voidedCount: {
+          $sum: { $cond: [{ $eq: ["$status", "voided"] }, 1, 0] },
+        },
+        subtotalAmount: sumUnlessVoided("$subtotalAmount"),
+        discountAmount: sumUnlessVoided("$discountAmount"),
+        taxAmount: sumUnlessVoided("$taxAmount"),
+        totalAmount: sumUnlessVoided("$totalAmount"),
+      },
+    },
+  ]);
+
+  const payments = await this.aggregate([
+    { $match: { "payments.shiftId": id } },
+    { $unwind: "$payments" },
+    { $match: { "payments.shiftId": id } },
+    {
+      $group: {
+        _id: {
+          $toLower: {
+            $trim: { input: { $ifNull: ["$payments.method", "unspecified"] } },
+          },
+        },
+        count: { $sum: 1 },
+        amount: { $sum: "$payments.amount" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  // Money paid back during the shift, per method it went back through.
+  // Refunds and voids recorded before the split was kept came out of cash
+  const returnedSales = await this.find(
+    { $or: [{ "refunds.shiftId": id }, { voidShiftId: id }] },
+    {
+      refunds: 1,
+      voidShiftId: 1,
+      voidAmountReturned: 1,
+      voidReturnedByMethod: 1,
+    },
+  );
+
+  let refunds = 0;
+  let voids = 0;
+  const returnedByMethod = new Map();
+  const addReturned = (amount, byMethod) => {
+    const entries =
+      byMethod.length > 0 ? byMethod : [{ method: CASH_METHOD, amount }];
+    for (const entry of entries) {
+      const method = entry.method || "unspecified";
+      returnedByMethod.set(
+        method,
+        roundCurrency((returnedByMethod.get(method) || 0) + entry.amount),
+      );
+    }
+  };
+
+  for (const sale of returnedSales) {
+    for (const refund of sale.refunds) {
+      if (refund.shiftId?.equals(id) && refund.amountReturned > 0) {
+        refunds += refund.amountReturned;
+        addReturned(refund.amountReturned, refund.returnedByMethod);
+      }
+    }
+    if (sale.voidShiftId?.equals(id) && sale.voidAmountReturned > 0) {
+      voids += sale.voidAmountReturned;
+      addReturned(sale.voidAmountReturned, sale.voidReturnedByMethod);
+    }
+  }
+  refunds = roundCurrency(refunds);
+  voids = roundCurrency(voids);
+
+  return {
+    sales: {
+      count: sales?.count || 0,
+      voidedCount: sales?.voidedCount || 0,
+      subtotalAmount: roundCurrency(sales?.subtotalAmount || 0),
+      discountAmount: roundCurrency(sales?.discountAmount || 0),
+      taxAmount: roundCurrency(sales?.taxAmount || 0),
+      totalAmount: roundCurrency(sales?.totalAmount || 0),
+    },
+    payments: payments.map((row) => ({
+      method: row._id || "unspecified",
+      count: row.count,
+      amount: roundCurrency(row.amount),
+    })),
+    returns: {
+      refunds,
+      voids,
+      total: roundCurrency(refunds + voids),
+      byMethod: [...returnedByMethod]
+        .map(([method, amount]) => ({ method, amount }))
+        .sort((a, b) => a.method.localeCompare(b.method)),
+    },
+  };
+};
+
+// A client id identifies one offline sale per seller, so a re-sent sync
+// batch cannot create it twice
+saleSchema.index(
+  { sellerId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } },
 );
 
 // Transform output
@@ -1,5 +1,13 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import {
+  getLockoutMs,
+  getLoginDelayMs,
+  getMaxFailedLogins,
+} from "../utils/loginProtection.js";
+import { hashToken } from "../utils/jwt.js";
+import { normalizeBackupCode, verifyTotp } from "../utils/totp.js";
+import tenantScope from "./plugins/tenantScope.js";
 
 const sellerSchema = new mongoose.Schema(
   {
@@ -16,7 +24,6 @@ const sellerSchema = new mongoose.Schema(
     email: {
       type: String,
       required: true,
-      unique: true,
       lowercase: true,
       trim: true,
     },
@@ -54,10 +61,76 @@ const sellerSchema = new mongoose.Schema(
         return this.createdBy === "Self" ? null : "Seller";
       },
     },
+    // Bumped to invalidate every access and refresh token the seller holds
+    // (role change, password reset, "log out everywhere")
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Consecutive failed logins since the last success or lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null,
+    },
+    // Logins are refused until this time (set after too many failures)
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Two-factor authentication (TOTP). Secrets and backup codes are never
+    // selected unless asked for
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret handed out by /auth/2fa/setup, kept until confirmed with a code
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of the unused backup codes
+    twoFactorBackupCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
     activatedAt: {
       type: Date,
       default: Date.now,
     },
+    // Locations the seller works at, and the one they are selling from now.
+    // Sales and drops of sellers with locations come out of the current one
+    locations: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Location",
+      },
+    ],
+    currentLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
     testingUser: {
       type: Boolean,
       // Automatically mark users created in development as test users
@@ -70,6 +143,11 @@ const sellerSchema = new mongoose.Schema(
   },
 );
 
+sellerSchema.plugin(tenantScope);
+
+// Emails are unique within a tenant (one login per business)
+sellerSchema.index({ email: 1, tenantId: 1 }, { unique: true });
+
 // Hash password before saving
 sellerSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
@@ -90,6 +168,135 @@ sellerSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to invalidate all tokens issued so far (call save after)
+sellerSchema.methods.revokeTokens = function () {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+};
+
+// Instance method to check whether the seller is assigned to a location
+sellerSchema.methods.worksAt = function (locationId) {
+  return (this.locations || []).some((id) => id.equals(locationId));
+};
+
+// Instance method to check whether the seller must pick a current location
+// before selling or dropping stock
+sellerSchema.methods.needsLocation = function () {
+  return (this.locations || []).length > 0 && !this.currentLocation;
+};
+
+// Instance method to check whether the account is currently locked
+sellerSchema.methods.isLocked = function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Instance method returning when the next login attempt is accepted
+// (progressive delay after repeated failures)
+sellerSchema.methods.getNextLoginAllowedAt = function () {
+  if (!this.lastFailedLoginAt) {
+    return null;
+  }
+  const delayMs = getLoginDelayMs(this.failedLoginAttempts || 0);
+  return delayMs > 0
+    ? new Date(this.lastFailedLoginAt.getTime() + delayMs)
+    : null;
+};
+
+// Instance method to count a failed login, locking the account once the limit
+// is reached. The counter is updated atomically so parallel guesses all count
+sellerSchema.methods.registerFailedLogin = async function () {
+  const now = new Date();
+  const lockoutMs = getLockoutMs();
+  const stale =
+    !this.lastFailedLoginAt ||
+    now - this.lastFailedLoginAt > lockoutMs ||
+    (this.lockedUntil && this.lockedUntil <= now);
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    stale
+      ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } }
+      : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true },
+  );
+  const failedAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = now;
+
+  if (failedAttempts < getMaxFailedLogins()) {
+    this.failedLoginAttempts = failedAttempts;
+    return { locked: false, failedAttempts };
+  }
+
+  // Lock, and start counting afresh once the lock expires
+  const lockedUntil = new Date(now.getTime() + lockoutMs);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lockedUntil, failedLoginAttempts: 0 } },
+  );
+  this.lockedUntil = lockedUntil;
+  this.failedLoginAttempts = 0;
+  return { locked: true, failedAttempts, lockedUntil };
+};
+
+// Instance method to clear failed logins and any lock
+sellerSchema.methods.clearFailedLogins = async function () {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = null;
+  this.lockedUntil = null;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
+      },
+    },
+  );
+};
+
+// Instance method to check a TOTP or backup code (select the twoFactor
+// secret, backup codes and last used step first). Consumes the code on
+// success; call save after
+sellerSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+    return { valid: false };
+  }
+
+  const step = verifyTotp(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (
+      this.twoFactorLastUsedStep !== null &&
+      this.twoFactorLastUsedStep !== undefined &&
+      step <= this.twoFactorLastUsedStep
+    ) {
+      return { valid: false };
+    }
+    this.twoFactorLastUsedStep = step;
+    return { valid: true, method: "totp" };
+  }
+
+  const normalized = normalizeBackupCode(code);
+  const hash = normalized ? hashToken(normalized) : null;
+  const index = hash ? (this.twoFactorBackupCodes || []).indexOf(hash) : -1;
+  if (index !== -1) {
+    this.twoFactorBackupCodes.splice(index, 1);
+    return { valid: true, method: "backup_code" };
+  }
+
+  return { valid: false };
+};
+
+// Instance method to turn two-factor authentication off and forget its secrets
+// (call save after)
+sellerSchema.methods.clearTwoFactor = function () {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = null;
+  this.twoFactorSecret = null;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorBackupCodes = [];
+  this.twoFactorLastUsedStep = null;
+};
+
 // Transform output to exclude password and add id
 sellerSchema.set("toJSON", {
   transform: function (doc, ret) {
@@ -97,6 +304,12 @@ sellerSchema.set("toJSON", {
     delete ret._id;
     delete ret.__v;
     delete ret.password;
+    delete ret.tokenVersion;
+    delete ret.lastFailedLoginAt;
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.twoFactorBackupCodes;
+    delete ret.twoFactorLastUsedStep;
     return ret;
   },
 });
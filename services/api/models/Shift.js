@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// open: the seller is working the till; sales and payments are linked to it
+// closed: the drawer was counted and the shift can no longer change
+const SHIFT_STATUSES = ["open", "closed"];
+
+// Cash put into the drawer (e.g. change from the safe) or taken out of it
+// (petty cash, drops to the safe)
+const CASH_MOVEMENT_TYPES = ["cash_in", "cash_out"];
+
+const shiftSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      required: [true, "Seller is required"],
+      index: true,
+    },
+    // Location the seller was working at when the shift opened
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: SHIFT_STATUSES,
+        message: `Status must be one of: ${SHIFT_STATUSES.join(", ")}`,
+      },
+      default: "open",
+      index: true,
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Cash in the drawer when the shift started
+    openingFloat: {
+      type: Number,
+      required: [true, "Opening float is required"],
+      min: [0, "Opening float cannot be negative"],
+    },
+    openingNotes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    cashMovements: [
+      {
+        type: {
+          type: String,
+          enum: {
+            values: CASH_MOVEMENT_TYPES,
+            message: `Type must be one of: ${CASH_MOVEMENT_TYPES.join(", ")}`,
+          },
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, "Amount must be greater than zero"],
+        },
+        reason: {
+          type: String,
+          required: [true, "Reason is required"],
+          trim: true,
+          maxlength: [300, "Reason cannot exceed 300 characters"],
+        },
+        recordedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Seller",
+          required: true,
+        },
+        recordedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Closing count: what each payment method should hold against what was
+    // counted (difference > 0 is over, < 0 is short; null when not counted)
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+    closingCounts: [
+      {
+        _id: false,
+        method: { type: String, required: true },
+        expected: { type: Number, required: true },
+        counted: { type: Number, default: null },
+        difference: { type: Number, default: null },
+      },
+    ],
+    overShort: {
+      type: Number,
+      default: null,
+    },
+    closingNotes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    isTestData: {
+      type: Boolean,
+      default: () => process.env.NODE_ENV === "development",
+      index: true, // Index for efficient filtering and cleanup
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+shiftSchema.plugin(tenantScope);
+
+// A seller works one till at a time
+shiftSchema.index(
+  { sellerId: 1, tenantId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } },
+);
+
+// Round currency values to cents to avoid floating point drift
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Static method for the seller's shift that was open at the given time
+shiftSchema.statics.findOpenFor = function (
+  sellerId,
+  at = new Date(),
+  session = null,
+) {
+  return this.findOne({
+    sellerId,
+    status: "open",
+    openedAt: { $lte: at },
+  }).session(session);
+};
+
+// Append a cash in/out entry to the shift
+shiftSchema.methods.recordCashMovement = function ({
+  type,
+  amount,
+  reason,
+  recordedBy,
+}) {
+  this.cashMovements.push({ type, amount, reason, recordedBy });
+  return this.cashMovements[this.cashMovements.length - 1];
+};
+
+// Cash put into and taken out of the drawer so far
+shiftSchema.methods.getCashMovementTotals = function () {
+  const totals = { cashIn: 0, cashOut: 0 };
+  for (const movement of this.cashMovements) {
+    const key = movement.type === "cash_in" ? "cashIn" : "cashOut";
+    totals[key] = roundCurrency(totals[key] + movement.amount);
+  }
+  return totals;
+};
+
+// Transform output
+shiftSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Shift = mongoose.model("Shift", shiftSchema);
+
+export default Shift;
+export { SHIFT_STATUSES, CASH_MOVEMENT_TYPES };
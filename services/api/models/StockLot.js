@@ -0,0 +1,435 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Counter each way a unit can leave a lot
+const OUTCOME_FIELDS = {
+  sold: "quantitySold",
+  dropped: "quantityDropped",
+  transferred: "quantityTransferred",
+};
+
+const stockLotSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product ID is required"],
+      index: true,
+    },
+    batchId: {
+      type: String,
+      required: [true, "Batch ID is required"],
+      trim: true,
+      maxlength: [100, "Batch ID cannot exceed 100 characters"],
+    },
+    // Location the units are at; null for unassigned stock
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+      index: true,
+    },
+
+    // Quantities
+    quantityReceived: {
+      type: Number,
+      required: [true, "Quantity received is required"],
+      min: [1, "Quantity received must be at least 1"],
+    },
+    quantityRemaining: {
+      type: Number,
+      required: true,
+      min: [0, "Quantity remaining must be non-negative"],
+    },
+    // Units that left the lot through sales, drops and transfers
+    quantitySold: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    quantityDropped: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    quantityTransferred: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Food safety context
+    productionDate: {
+      type: Date,
+      default: null,
+    },
+    expirationDate: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    // Purchasing details
+    unitCost: {
+      type: Number,
+      min: [0, "Unit cost must be non-negative"],
+      default: null,
+    },
+    supplier: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Supplier cannot exceed 200 characters"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      required: [true, "Received by user is required"],
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    isTestData: {
+      type: Boolean,
+      default: () => process.env.NODE_ENV === "development",
+      index: true, // Index for efficient filtering and cleanup
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+stockLotSchema.plugin(tenantScope);
+
+// A batch can only be received once per product and location so drops can
+// refer to it; transfers split it into one lot per location
+stockLotSchema.index(
+  { productId: 1, batchId: 1, locationId: 1 },
+  { unique: true },
+);
+stockLotSchema.index({
+  productId: 1,
+  locationId: 1,
+  quantityRemaining: 1,
+  receivedAt: 1,
+});
+
+// Virtual for lots with nothing left on the shelf
+stockLotSchema.virtual("isDepleted").get(function () {
+  return this.quantityRemaining === 0;
+});
+
+// Virtual for lots past their expiration date
+stockLotSchema.virtual("isExpired").get(function () {
+  return Boolean(this.expirationDate) && this.expirationDate < new Date();
+});
+
+// Generate a batch ID for deliveries that arrive without one
+stockLotSchema.statics.generateBatchId = function (date = new Date()) {
+  const day = date.toISOString().split("T")[0].replace(/-/g, "");
+  const suffix = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `LOT-${day}-${suffix}`;
+};
+
+// Static method to take units for a sale from the oldest unexpired lots at a
+// location (null for unassigned stock) first. Returns the allocations; units
+// not covered by any lot (stock received before lots existed, or only expired
+// lots left) are simply left unallocated.
+// outcome says why the units leave: "sold", "dropped" or "transferred". Drops
+// also take expired lots, as those are what gets thrown away.
+stockLotSchema.statics.consumeFifo = async function (
+  productId,
+  quantity,
+  session = null,
+  asOf = new Date(),
+  { outcome = "sold", locationId = null } = {},
+) {
+  const lots = await this.find({
+    productId,
+    locationId: locationId || null,
+    quantityRemaining: { $gt: 0 },
+    ...(outcome === "dropped"
+      ? {}
+      : {
+          $or: [{ expirationDate: null }, { expirationDate: { $gt: asOf } }],
+        }),
+  })
+    .sort({ receivedAt: 1, _id: 1 })
+    .session(session);
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const lot of lots) {
+    if (remaining === 0) {
+      break;
+    }
+    const taken = Math.min(remaining, lot.quantityRemaining);
+    lot.quantityRemaining -= taken;
+    lot[OUTCOME_FIELDS[outcome]] += taken;
+    await lot.save({ session });
+
+    allocations.push({
+      lotId: lot._id,
+      batchId: lot.batchId,
+      quantity: taken,
+      unitCost: lot.unitCost,
+    });
+    remaining -= taken;
+  }
+
+  return allocations;
+};
+
+// Static method to add units taken from lots for a transfer (consumeFifo with
+// outcome "transferred") to the same batches at the destination location.
+// Each batch joins the destination's lot for it, or becomes a new lot there
+// that keeps the source lot's dates, cost and receivedAt, so FIFO order holds
+stockLotSchema.statics.receiveTransferred = async function (
+  allocations,
+  locationId,
+  session = null,
+) {
+  for (const allocation of allocations) {
+    const source = await this.findById(allocation.lotId).session(session);
+    if (!source) {
+      continue;
+    }
+
+    const target = await this.findOne({
+      productId: source.productId,
+      batchId: source.batchId,
+      locationId,
+    }).session(session);
+    if (target) {
+      target.quantityReceived += allocation.quantity;
+      target.quantityRemaining += allocation.quantity;
+      await target.save({ session });
+      continue;
+    }
+
+    await this.create(
+      [
+        {
+          productId: source.productId,
+          batchId: source.batchId,
+          locationId,
+          quantityReceived: allocation.quantity,
+          quantityRemaining: allocation.quantity,
+          productionDate: source.productionDate,
+          expirationDate: source.expirationDate,
+          unitCost: source.unitCost,
+          supplier: source.supplier,
+          notes: source.notes,
+          receivedBy: source.receivedBy,
+          receivedAt: source.receivedAt,
+        },
+      ],
+      { session },
+    );
+  }
+};
+
+// Static method for the unit cost of units taken from lots: each lot's
+// purchase cost, and fallbackUnitCost (the product's current cost) for lots
+// without one and units no lot covered. Null if any unit has no known cost
+stockLotSchema.statics.getUnitCost = function (
+  allocations,
+  quantity,
+  fallbackUnitCost,
+) {
+  let totalCost = 0;
+  let allocated = 0;
+
+  for (const allocation of allocations) {
+    const cost = allocation.unitCost ?? fallbackUnitCost;
+    if (cost === null || cost === undefined) {
+      return null;
+    }
+    totalCost += cost * allocation.quantity;
+    allocated += allocation.quantity;
+  }
+
+  const unallocated = quantity - allocated;
+  if (unallocated > 0) {
+    if (fallbackUnitCost === null || fallbackUnitCost === undefined) {
+      return null;
+    }
+    totalCost += fallbackUnitCost * unallocated;
+  }
+
+  return Math.round((totalCost / quantity) * 100) / 100;
+};
+
+// Static method to put units back into the lots they came from, most recently
+// allocated lot first. outcome is the one they left with (see consumeFifo).
+// Updates returnedQuantity on the allocations.
+stockLotSchema.statics.returnUnits = async function (
+  allocations,
+  quantity,
+  session = null,
+  { outcome = "sold" } = {},
+) {
+  let remaining = quantity;
+  for (const allocation of [...allocations].reverse()) {
+    if (remaining === 0) {
+      break;
+    }
+    const returnable = allocation.quantity - (allocation.returnedQuantity || 0);
+    const returned = Math.min(remaining, returnable);
+    if (returned === 0) {
+      continue;
+    }
+
+    await this.updateOne(
+      { _id: allocation.lotId },
+      {
+        $inc: {
+          quantityRemaining: returned,
+          [OUTCOME_FIELDS[outcome]]: -returned,
+        },
+      },
+      { session },
+    );
+    allocation.returnedQuantity = (allocation.returnedQuantity || 0) + returned;
+    remaining -= returned;
+  }
+};
+
+// Static method for lots still on hand that expire within the next N hours
+// (including lots already past their date), valued at the current price
+stockLotSchema.statics.getExpiringLots = async function (
+  hours,
+  asOf = new Date(),
+) {
+  const windowEnd = new Date(asOf.getTime() + hours * 60 * 60 * 1000);
+
+  return await this.aggregate([
+    {
+      $match: {
+        quantityRemaining: { $gt: 0 },
+        expirationDate: { $ne: null, $lte: windowEnd },
+      },
+    },
+    {
+      $lookup: {
+        from: "products",
+        localField: "productId",
+        foreignField: "_id",
+        as: "product",
+      },
+    },
+    { $unwind: "$product" },
+    {
+      $project: {
+        _id: 0,
+        lotId: "$_id",
+        batchId: 1,
+        productId: 1,
+        productName: "$product.productName",
+        category: "$product.category",
+        quantityRemaining: 1,
+        productionDate: 1,
+        expirationDate: 1,
+        hoursUntilExpiry: {
+          $round: [
+            {
+              $divide: [
+                { $subtract: ["$expirationDate", asOf] },
+                60 * 60 * 1000,
+              ],
+            },
+            1,
+          ],
+        },
+        expired: { $lte: ["$expirationDate", asOf] },
+        pricePerUnit: "$product.price",
+        valueAtRisk: {
+          $round: [{ $multiply: ["$quantityRemaining", "$product.price"] }, 2],
+        },
+      },
+    },
+    { $sort: { expirationDate: 1 } },
+  ]);
+};
+
+// Static method for what happened to lots that expired in a period: units
+// sold before the date (waste prevented) vs. dropped (waste incurred).
+// Units sent on to another location count where they ended up, not twice
+stockLotSchema.statics.getExpiryOutcomes = async function (
+  startDate,
+  endDate,
+  filters = {},
+) {
+  const match = {
+    expirationDate: { $gte: startDate, $lte: endDate },
+  };
+  if (filters.productId) {
+    match.productId = new mongoose.Types.ObjectId(filters.productId);
+  }
+  if (filters.locationId) {
+    match.locationId = new mongoose.Types.ObjectId(filters.locationId);
+  }
+
+  const [outcomes] = await this.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: "products",
+        localField: "productId",
+        foreignField: "_id",
+        as: "product",
+      },
+    },
+    { $unwind: "$product" },
+    {
+      $group: {
+        _id: null,
+        lotCount: { $sum: 1 },
+        quantityReceived: {
+          $sum: {
+            $subtract: [
+              "$quantityReceived",
+              { $ifNull: ["$quantityTransferred", 0] },
+            ],
+          },
+        },
+        quantitySold: { $sum: "$quantitySold" },
+        quantityDropped: { $sum: "$quantityDropped" },
+        quantityRemaining: { $sum: "$quantityRemaining" },
+        valueSold: {
+          $sum: { $multiply: ["$quantitySold", "$product.price"] },
+        },
+        valueDropped: {
+          $sum: { $multiply: ["$quantityDropped", "$product.price"] },
+        },
+        valueRemaining: {
+          $sum: { $multiply: ["$quantityRemaining", "$product.price"] },
+        },
+      },
+    },
+  ]);
+
+  return outcomes || null;
+};
+
+// Transform output
+stockLotSchema.set("toJSON", {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const StockLot = mongoose.model("StockLot", stockLotSchema);
+
+export default StockLot;
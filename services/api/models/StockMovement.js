@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// Every way Product.count can change
+const MOVEMENT_TYPES = [
+  "sale",
+  "restock",
+  "drop",
+  "drop_undo",
+  "manual_adjustment",
+  "import",
+  "void",
+  "refund",
+  "transfer_out",
+  "transfer_in",
+  "transfer_cancel",
+];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product ID is required"],
+      index: true,
+    },
+    type: {
+      type: String,
+      required: [true, "Movement type is required"],
+      enum: {
+        values: MOVEMENT_TYPES,
+        message: `Movement type must be one of: ${MOVEMENT_TYPES.join(", ")}`,
+      },
+      index: true,
+    },
+    // Signed change applied to Product.count (negative when stock leaves)
+    delta: {
+      type: Number,
+      required: [true, "Delta is required"],
+    },
+    // Product.count right after this movement was applied
+    resultingCount: {
+      type: Number,
+      required: [true, "Resulting count is required"],
+      min: [0, "Resulting count cannot be negative"],
+    },
+    // Location whose stock changed (null for unassigned stock)
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+      index: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+    // Document that caused the movement (Sale, InventoryDrop, StockLot,
+    // StockTransfer)
+    referenceType: {
+      type: String,
+      enum: ["Sale", "InventoryDrop", "StockLot", "StockTransfer", null],
+      default: null,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Note cannot exceed 300 characters"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+stockMovementSchema.plugin(tenantScope);
+
+stockMovementSchema.index({ productId: 1, createdAt: 1, _id: 1 });
+
+// The ledger is append-only: existing movements can never be modified
+stockMovementSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Stock movements are append-only"));
+  }
+  next();
+});
+
+stockMovementSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  (next) => next(new Error("Stock movements are append-only")),
+);
+
+// Static method to append a movement, optionally inside a transaction
+stockMovementSchema.statics.record = async function (
+  {
+    productId,
+    type,
+    delta,
+    resultingCount,
+    locationId = null,
+    actor = null,
+    referenceType = null,
+    referenceId = null,
+    note,
+  },
+  session = null,
+) {
+  const [movement] = await this.create(
+    [
+      {
+        productId,
+        type,
+        delta,
+        resultingCount,
+        locationId,
+        actor,
+        referenceType,
+        referenceId,
+        note,
+      },
+    ],
+    { session },
+  );
+  return movement;
+};
+
+// Static method to replay the ledger and compare it with current counts
+stockMovementSchema.statics.reconcile = async function (productIds = null) {
+  const Product = mongoose.model("Product");
+
+  const productFilter = productIds ? { _id: { $in: productIds } } : {};
+  const products =
+    await Product.find(productFilter).select("productName count");
+
+  const ledger = await this.aggregate([
+    { $match: { productId: { $in: products.map((p) => p._id) } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: "$productId",
+        first: { $first: "$$ROOT" },
+        last: { $last: "$$ROOT" },
+        totalDelta: { $sum: "$delta" },
+        movementCount: { $sum: 1 },
+      },
+    },
+  ]);
+  const ledgerByProduct = new Map(ledger.map((l) => [l._id.toString(), l]));
+
+  return products.map((product) => {
+    const entry = ledgerByProduct.get(product._id.toString());
+    if (!entry) {
+      return {
+        productId: product._id,
+        productName: product.productName,
+        currentCount: product.count,
+        status: "no_history",
+      };
+    }
+
+    // Stock on hand before the first recorded movement
+    const openingCount = entry.first.resultingCount - entry.first.delta;
+    const replayedCount = openingCount + entry.totalDelta;
+    const discrepancy = product.count - replayedCount;
+
+    return {
+      productId: product._id,
+      productName: product.productName,
+      currentCount: product.count,
+      openingCount,
+      replayedCount,
+      lastRecordedCount: entry.last.resultingCount,
+      movementCount: entry.movementCount,
+      discrepancy,
+      status:
+        discrepancy === 0 && entry.last.resultingCount === replayedCount
+          ? "ok"
+          : "mismatch",
+    };
+  });
+};
+
+// Transform output
+stockMovementSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+export default StockMovement;
+export { MOVEMENT_TYPES };
@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+import tenantScope from "./plugins/tenantScope.js";
+
+// in_transit: units left the source location and are on their way
+// received: units were added to the destination location
+// cancelled: units went back to the source location
+const TRANSFER_STATUSES = ["in_transit", "received", "cancelled"];
+
+const stockTransferSchema = new mongoose.Schema(
+  {
+    // Source location; null sends unassigned stock (e.g. to stock a new
+    // location from what was on hand before locations existed)
+    fromLocationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+      index: true,
+    },
+    toLocationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      required: [true, "Destination location is required"],
+      index: true,
+    },
+    items: {
+      type: [
+        {
+          _id: false,
+          productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: [true, "Product ID is required"],
+          },
+          // Snapshot for slips and history
+          productName: {
+            type: String,
+            trim: true,
+          },
+          quantity: {
+            type: Number,
+            required: [true, "Quantity is required"],
+            min: [1, "Quantity must be at least 1"],
+          },
+          // Source stock lots the units were taken from (oldest unexpired
+          // lot first); they join the same batches at the destination
+          lots: [
+            {
+              _id: false,
+              lotId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "StockLot",
+                required: true,
+              },
+              batchId: {
+                type: String,
+              },
+              quantity: {
+                type: Number,
+                required: true,
+                min: 1,
+              },
+              returnedQuantity: {
+                type: Number,
+                min: 0,
+                default: 0,
+              },
+            },
+          ],
+        },
+      ],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "A transfer needs at least one item",
+      },
+    },
+    status: {
+      type: String,
+      enum: {
+        values: TRANSFER_STATUSES,
+        message: `Status must be one of: ${TRANSFER_STATUSES.join(", ")}`,
+      },
+      default: "in_transit",
+      index: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+
+    // Lifecycle
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      required: [true, "Sent by user is required"],
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Cancel reason cannot exceed 300 characters"],
+    },
+    isTestData: {
+      type: Boolean,
+      default: () => process.env.NODE_ENV === "development",
+      index: true, // Index for efficient filtering and cleanup
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+stockTransferSchema.plugin(tenantScope);
+
+stockTransferSchema.index({ "items.productId": 1 });
+
+// Static method for the units of each product on their way to a location
+stockTransferSchema.statics.getInTransitTo = async function (locationId) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        toLocationId: new mongoose.Types.ObjectId(locationId),
+        status: "in_transit",
+      },
+    },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.productId",
+        quantity: { $sum: "$items.quantity" },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.quantity]));
+};
+
+// Transform output
+stockTransferSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const StockTransfer = mongoose.model("StockTransfer", stockTransferSchema);
+
+export default StockTransfer;
+export { TRANSFER_STATUSES };
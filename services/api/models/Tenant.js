@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// A business hosted on this deployment (multi-tenant mode). Every other model
+// carries the tenantId of the business it belongs to
+const tenantSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Tenant name is required"],
+      trim: true,
+      maxlength: [100, "Tenant name cannot exceed 100 characters"],
+    },
+    // Subdomain the business is served under (<slug>.TENANT_BASE_DOMAIN)
+    slug: {
+      type: String,
+      required: [true, "Tenant slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/,
+        "Slug must be 1-40 lowercase letters, digits or dashes",
+      ],
+    },
+    // Inactive tenants cannot log in or use their tokens
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Static method to find an active tenant by its subdomain slug
+tenantSchema.statics.findActiveBySlug = function (slug) {
+  return this.findOne({ slug: slug.toLowerCase(), isActive: true });
+};
+
+// Transform output
+tenantSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Tenant = mongoose.model("Tenant", tenantSchema);
+
+export default Tenant;
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import { getTenantContext } from "../../utils/tenantContext.js";
+
+// Query operations limited to the current tenant. estimatedDocumentCount
+// cannot take a filter and is left out; use countDocuments instead
+const SCOPED_QUERIES = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+  "deleteMany",
+  "deleteOne",
+];
+
+/**
+ * Tenant of the current context as an ObjectId, undefined when the code runs
+ * outside any tenant context (not scoped)
+ *
+ * @function currentTenantId
+ * @returns {mongoose.Types.ObjectId|undefined} Tenant ID
+ * @throws {Error} 400 if a request context has not resolved its tenant yet
+ */
+const currentTenantId = () => {
+  const context = getTenantContext();
+  if (!context) {
+    return undefined;
+  }
+  if (!context.tenantId) {
+    const error = new Error(
+      "Tenant could not be determined; use your business subdomain or a valid access token",
+    );
+    error.name = "Tenant Required";
+    error.statusCode = 400;
+    error.isOperational = true;
+    throw error;
+  }
+  return new mongoose.Types.ObjectId(String(context.tenantId));
+};
+
+/**
+ * Mongoose plugin giving a model a tenantId and limiting every query,
+ * aggregation and insert to the tenant of the current request
+ * (see utils/tenantContext.js). Outside a tenant context (single-tenant
+ * mode, scripts) nothing is filtered and tenantId stays null
+ *
+ * @function tenantScope
+ * @param {mongoose.Schema} schema - Schema to scope
+ * @returns {void}
+ *
+ * @example
+ * productSchema.plugin(tenantScope);
+ */
+const tenantScope = (schema) => {
+  schema.add({
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      default: null,
+      index: true,
+    },
+  });
+
+  schema.pre(SCOPED_QUERIES, function () {
+    const tenantId = currentTenantId();
+    if (!tenantId) {
+      return;
+    }
+    this.where({ tenantId });
+
+    // A document never moves to another tenant
+    const update = this.getUpdate();
+    if (update) {
+      delete update.tenantId;
+      delete update.$set?.tenantId;
+      delete update.$unset?.tenantId;
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const tenantId = currentTenantId();
+    if (tenantId) {
+      this.pipeline().unshift({ $match: { tenantId } });
+    }
+  });
+
+  // Documents always belong to the tenant saving them, whatever tenantId the
+  // caller set
+  schema.pre("save", function () {
+    const tenantId = currentTenantId();
+    if (tenantId) {
+      this.tenantId = tenantId;
+    }
+  });
+
+  schema.pre("insertMany", (next, docs) => {
+    try {
+      const tenantId = currentTenantId();
+      if (tenantId) {
+        for (const doc of Array.isArray(docs) ? docs : [docs]) {
+          doc.tenantId = tenantId;
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+export default tenantScope;
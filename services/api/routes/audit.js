@@ -0,0 +1,101 @@
+import express from "express";
+const router = express.Router();
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { validationRules, validate } from "../utils/validation.js";
+import { listAuditLogs } from "../controllers/auditController.js";
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Record of every change made through the API (SuperAdmin only)
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     tags: [Audit]
+ *     summary: List audit log entries, newest first
+ *     description: |
+ *       Every POST, PUT, PATCH and DELETE request is recorded with the actor,
+ *       action, resource, before/after diff of the changed fields, IP and
+ *       request id (X-Request-ID response header). Secrets are redacted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: product.update
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *           example: product
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [POST, PUT, PATCH, DELETE]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Audit entries with pagination, or a CSV download
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Not a superadmin
+ */
+router.get(
+  "/",
+  authorizePermission("audit:read"),
+  validationRules.listAuditLogs,
+  validate,
+  listAuditLogs,
+);
+
+export default router;
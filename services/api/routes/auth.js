@@ -1,15 +1,39 @@
 import express from "express";
 const router = express.Router();
-import { authenticate, authorize } from "../middleware/auth.js";
+import {
+  authenticate,
+  authorizePermission,
+  allowWithoutTwoFactor,
+} from "../middleware/auth.js";
+import {
+  loginRateLimit,
+  recoveryRateLimit,
+  resetRateLimit,
+} from "../middleware/rateLimit.js";
 import { validationRules, validate } from "../utils/validation.js";
 import {
   login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
+  getMyPermissions,
+  getMyLocations,
+  setMyLocation,
   activate,
   recover,
   requestRecovery,
   reset,
   getSellerByEmail,
 } from "../controllers/authController.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from "../controllers/twoFactorController.js";
 
 /**
  * @swagger
@@ -39,11 +63,380 @@ import {
  *                 type: string
  *     responses:
  *       200:
- *         description: Successfully authenticated
+ *         description: |
+ *           Successfully authenticated. Returns a short-lived access token
+ *           (token, expiresIn), a refreshToken for POST /auth/refresh and the
+ *           sessionId of this device. With two-factor authentication enabled,
+ *           returns twoFactorRequired and a challengeToken for
+ *           POST /auth/login/2fa instead
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: |
+ *           Account locked after too many failed attempts (Retry-After header
+ *           and details.lockedUntil say when to try again)
+ *       429:
+ *         description: |
+ *           Too many attempts, from this IP or for this account since its last
+ *           failure (see Retry-After)
+ */
+router.post("/login", loginRateLimit, validationRules.login, validate, login);
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Complete login with a two-factor code
+ *     description: |
+ *       Second step for sellers with two-factor authentication. Wrong codes
+ *       count as failed logins (delays and lockout apply).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, code]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: challengeToken from POST /auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit authenticator code or a backup code
+ *     responses:
+ *       200:
+ *         description: Authenticated; same body as a login without 2FA
+ *       401:
+ *         description: Challenge invalid or expired, or wrong code
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post(
+  "/login/2fa",
+  loginRateLimit,
+  validationRules.loginTwoFactor,
+  validate,
+  loginTwoFactor,
+);
+
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: My two-factor authentication status
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, enabledAt, required (by role) and backupCodesRemaining
+ */
+router.get("/2fa", allowWithoutTwoFactor, authenticate, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start two-factor enrolment
+ *     description: |
+ *       Returns a new secret and its otpauth:// URI (render it as a QR code for
+ *       the authenticator app). Confirm with POST /auth/2fa/enable.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: secret, otpauthUrl, issuer and accountName
+ *       409:
+ *         description: Two-factor authentication already enabled
+ */
+router.post("/2fa/setup", allowWithoutTwoFactor, authenticate, setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Confirm enrolment and turn two-factor authentication on
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: Enabled; backupCodes are returned once and never again
+ *       400:
+ *         description: Setup not started or wrong code
+ *       409:
+ *         description: Two-factor authentication already enabled
+ */
+router.post(
+  "/2fa/enable",
+  allowWithoutTwoFactor,
+  authenticate,
+  validationRules.enableTwoFactor,
+  validate,
+  enableTwoFactor,
+);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Turn two-factor authentication off
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, code]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ */
+router.post(
+  "/2fa/disable",
+  authenticate,
+  validationRules.disableTwoFactor,
+  validate,
+  disableTwoFactor,
+);
+
+/**
+ * @swagger
+ * /auth/2fa/backup-codes:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Replace my backup codes
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backupCodes; the previous ones stop working
+ *       401:
+ *         description: Wrong code
+ */
+router.post(
+  "/2fa/backup-codes",
+  authenticate,
+  validationRules.regenerateBackupCodes,
+  validate,
+  regenerateBackupCodes,
+);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Get a new access token with a refresh token
+ *     description: |
+ *       Refresh tokens rotate: the response carries a new refreshToken and the
+ *       old one stops working. Reusing an old refresh token revokes the session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
  */
-router.post("/login", validationRules.login, validate, login);
+router.post("/refresh", validationRules.refreshToken, validate, refresh);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Log out this device or all devices
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allDevices:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also invalidate every access token already issued
+ *     responses:
+ *       200:
+ *         description: Logged out, with the number of sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/logout",
+  allowWithoutTwoFactor,
+  authenticate,
+  validationRules.logout,
+  validate,
+  logout,
+);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: List my active device sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions; the one making the request has current=true
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/sessions", allowWithoutTwoFactor, authenticate, listSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Log out one of my sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       404:
+ *         description: No active session with this id
+ */
+router.delete(
+  "/sessions/:sessionId",
+  allowWithoutTwoFactor,
+  authenticate,
+  revokeSession,
+);
+
+/**
+ * @swagger
+ * /auth/me/permissions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: My role and the permissions it grants
+ *     description: |
+ *       For the frontend to hide actions the seller cannot perform. See
+ *       GET /roles for what each permission allows.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: role and permissions
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/me/permissions",
+  allowWithoutTwoFactor,
+  authenticate,
+  getMyPermissions,
+);
+
+/**
+ * @swagger
+ * /auth/me/locations:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Locations I work at, and the one I am selling from
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: currentLocation and locations
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/me/locations", authenticate, getMyLocations);
+
+/**
+ * @swagger
+ * /auth/me/location:
+ *   put:
+ *     tags: [Authentication]
+ *     summary: Choose the location I am selling from
+ *     description: |
+ *       Sellers assigned to locations must choose one before recording sales
+ *       or drops; stock comes out of it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [locationId]
+ *             properties:
+ *               locationId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Current location
+ *       400:
+ *         description: Validation error or inactive location
+ *       403:
+ *         description: Not assigned to this location
+ */
+router.put(
+  "/me/location",
+  authenticate,
+  validationRules.selectLocation,
+  validate,
+  setMyLocation,
+);
 
 /**
  * @swagger
@@ -98,9 +491,12 @@ router.post("/activate", validationRules.activate, validate, activate);
  *     responses:
  *       200:
  *         description: Recovery email sent
+ *       429:
+ *         description: Too many recovery requests from this IP
  */
 router.post(
   "/request-recovery",
+  recoveryRateLimit,
   validationRules.requestRecovery,
   validate,
   requestRecovery,
@@ -131,8 +527,16 @@ router.post(
  *     responses:
  *       200:
  *         description: Password reset successful
+ *       429:
+ *         description: Too many reset attempts from this IP
  */
-router.post("/reset", validationRules.resetPassword, validate, reset);
+router.post(
+  "/reset",
+  resetRateLimit,
+  validationRules.resetPassword,
+  validate,
+  reset,
+);
 
 /**
  * @swagger
@@ -177,12 +581,25 @@ router.get(
  *             properties:
  *               sellerId:
  *                 type: string
+ *               resetTwoFactor:
+ *                 type: boolean
+ *                 default: false
+ *                 description: |
+ *                   Also turn off the seller's two-factor authentication when
+ *                   they complete the reset (lost authenticator)
  *     responses:
  *       200:
  *         description: Recovery email sent
  *       403:
  *         description: Insufficient permissions
  */
-router.post("/recover", authenticate, authorize("superadmin"), recover);
+router.post(
+  "/recover",
+  authorizePermission("sellers:recover"),
+  authenticate,
+  validationRules.recover,
+  validate,
+  recover,
+);
 
 export default router;
@@ -1,13 +1,18 @@
 import express from "express";
 const router = express.Router();
-import { authenticate } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { restoreTenantContext } from "../middleware/tenant.js";
+import { idempotent } from "../middleware/idempotency.js";
 import { validationRules, validate } from "../utils/validation.js";
 import {
   listCustomers,
   createCustomer,
   updateCustomer,
   deleteCustomer,
+  restoreCustomer,
   getCustomerTransactions,
+  getCustomerBalance,
+  getCustomerStatement,
   importCustomersFromCSV,
   upload,
 } from "../controllers/customerController.js";
@@ -29,11 +34,20 @@ router.use(authenticate);
  *     summary: List all customers
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted customers (admin only)
  *     responses:
  *       200:
- *         description: List of customers
+ *         description: List of customers with current balance and available credit
+ *       403:
+ *         description: Non-admin asked for deleted customers
  */
-router.get("/", listCustomers);
+router.get("/", authorizePermission("customers:read"), listCustomers);
 
 /**
  * @swagger
@@ -63,7 +77,88 @@ router.get("/", listCustomers);
  *       200:
  *         description: Customer transactions with pagination
  */
-router.get("/:id/transactions", getCustomerTransactions);
+router.get(
+  "/:id/transactions",
+  authorizePermission("customers:read"),
+  getCustomerTransactions,
+);
+
+/**
+ * @swagger
+ * /customers/{id}/balance:
+ *   get:
+ *     tags: [Customers]
+ *     summary: Get customer outstanding balance
+ *     description: Amount owed across unsettled sales, split into 0-7, 8-30, 31-60 and 60+ day aging buckets
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Outstanding balance, aging buckets and open sales
+ *       404:
+ *         description: Customer not found
+ */
+router.get(
+  "/:id/balance",
+  authorizePermission("customers:read"),
+  getCustomerBalance,
+);
+
+/**
+ * @swagger
+ * /customers/{id}/statement:
+ *   get:
+ *     tags: [Customers]
+ *     summary: Get customer account statement
+ *     description: Charges, payments, refunds and voids with a running balance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, text]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Account statement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Customer not found
+ */
+router.get(
+  "/:id/statement",
+  authorizePermission("customers:read"),
+  getCustomerStatement,
+);
 
 /**
  * @swagger
@@ -89,11 +184,21 @@ router.get("/:id/transactions", getCustomerTransactions);
  *                 type: string
  *               email:
  *                 type: string
+ *               creditLimit:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Maximum unpaid balance (admin only)
  *     responses:
  *       201:
  *         description: Customer created
  */
-router.post("/", validationRules.createCustomer, validate, createCustomer);
+router.post(
+  "/",
+  authorizePermission("customers:write"),
+  validationRules.createCustomer,
+  validate,
+  createCustomer,
+);
 
 /**
  * @swagger
@@ -123,11 +228,21 @@ router.post("/", validationRules.createCustomer, validate, createCustomer);
  *                 type: string
  *               email:
  *                 type: string
+ *               creditLimit:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Maximum unpaid balance (admin only)
  *     responses:
  *       200:
  *         description: Customer updated
  */
-router.patch("/:id", validationRules.updateCustomer, validate, updateCustomer);
+router.patch(
+  "/:id",
+  authorizePermission("customers:write"),
+  validationRules.updateCustomer,
+  validate,
+  updateCustomer,
+);
 
 /**
  * @swagger
@@ -135,6 +250,10 @@ router.patch("/:id", validationRules.updateCustomer, validate, updateCustomer);
  *   delete:
  *     tags: [Customers]
  *     summary: Delete a customer
+ *     description: |
+ *       Soft-deletes by default: the customer is hidden from the list and new
+ *       sales but stays linked to past sales. Permanent deletion is refused
+ *       while sales reference the customer unless a superadmin forces it.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -143,11 +262,57 @@ router.patch("/:id", validationRules.updateCustomer, validate, updateCustomer);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Remove the customer for good instead of soft-deleting it (admin only)
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Permanently delete even if sales reference it (superadmin only)
  *     responses:
  *       204:
  *         description: Customer deleted
+ *       403:
+ *         description: Permanent or forced deletion without the required role
+ *       409:
+ *         description: Already deleted, or referenced by sales (details.saleCount)
+ */
+router.delete("/:id", authorizePermission("customers:delete"), deleteCustomer);
+
+/**
+ * @swagger
+ * /customers/{id}/restore:
+ *   post:
+ *     tags: [Customers]
+ *     summary: Restore a soft-deleted customer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer restored
+ *       403:
+ *         description: Requires admin
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: Customer is not deleted
  */
-router.delete("/:id", deleteCustomer);
+router.post(
+  "/:id/restore",
+  authorizePermission("customers:restore"),
+  restoreCustomer,
+);
 
 /**
  * @swagger
@@ -157,6 +322,8 @@ router.delete("/:id", deleteCustomer);
  *     summary: Import customers from CSV
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -171,6 +338,13 @@ router.delete("/:id", deleteCustomer);
  *       200:
  *         description: Import results
  */
-router.post("/import", upload.single("csvFile"), importCustomersFromCSV);
+router.post(
+  "/import",
+  authorizePermission("customers:write"),
+  upload.single("csvFile"),
+  restoreTenantContext,
+  idempotent,
+  importCustomersFromCSV,
+);
 
 export default router;
@@ -1,12 +1,14 @@
 import express from "express";
 import { body, param, query } from "express-validator";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { idempotent } from "../middleware/idempotency.js";
 import {
   dropInventory,
   undoInventoryDrop,
   listInventoryDrops,
   getUndoableDrops,
   getDropAnalytics,
+  getExpiringStock,
   getInventoryDropById,
 } from "../controllers/inventoryDropController.js";
 
@@ -27,9 +29,11 @@ router.use(authenticate);
  *   post:
  *     tags: [Inventory Drops]
  *     summary: Drop inventory for waste tracking (Admin+)
- *     description: Record food waste with regulatory compliance tracking and 8-hour undo window
+ *     description: Record food waste with regulatory compliance tracking and 8-hour undo window. Units come out of the seller's current location
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -61,17 +65,23 @@ router.use(authenticate);
  *               batchId:
  *                 type: string
  *                 maxLength: 100
+ *               lotId:
+ *                 type: string
+ *                 description: Stock lot the units come from; production/expiration dates and batch default from it
  *     responses:
  *       201:
  *         description: Inventory dropped successfully with undo info
  *       400:
- *         description: Invalid quantity or insufficient inventory
+ *         description: Invalid quantity, insufficient inventory, lot mismatch or no current location chosen
+ *       404:
+ *         description: Product or lot not found
  *       403:
  *         description: Insufficient permissions (requires admin)
  */
 router.post(
   "/",
-  authorize("admin", "superadmin"),
+  authorizePermission("drops:create"),
+  idempotent,
   [
     body("productId")
       .isMongoId()
@@ -107,6 +117,10 @@ router.post(
       .optional()
       .isLength({ max: 100 })
       .withMessage("Batch ID cannot exceed 100 characters"),
+    body("lotId")
+      .optional()
+      .isMongoId()
+      .withMessage("Lot ID must be a valid MongoDB ObjectId"),
   ],
   dropInventory,
 );
@@ -143,7 +157,7 @@ router.post(
  */
 router.post(
   "/:dropId/undo",
-  authorize("admin", "superadmin"),
+  authorizePermission("drops:undo:own", "drops:undo:any"),
   [
     param("dropId")
       .isMongoId()
@@ -185,6 +199,10 @@ router.post(
  *           type: string
  *           enum: [expired, end_of_day, quality_issue, damaged, contaminated, overproduction, other]
  *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -206,7 +224,7 @@ router.post(
  */
 router.get(
   "/",
-  authorize("admin", "superadmin"),
+  authorizePermission("drops:read"),
   [
     query("page")
       .optional()
@@ -236,6 +254,10 @@ router.get(
       .optional()
       .isMongoId()
       .withMessage("Dropped by must be a valid MongoDB ObjectId"),
+    query("locationId")
+      .optional()
+      .isMongoId()
+      .withMessage("Location ID must be a valid MongoDB ObjectId"),
     query("startDate")
       .optional()
       .isISO8601()
@@ -273,7 +295,7 @@ router.get(
  */
 router.get(
   "/undoable",
-  authorize("admin", "superadmin"),
+  authorizePermission("drops:read"),
   [
     query("userId")
       .optional()
@@ -311,13 +333,17 @@ router.get(
  *         schema:
  *           type: string
  *           enum: [expired, end_of_day, quality_issue, damaged, contaminated, overproduction, other]
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Comprehensive analytics with cost analysis
  */
 router.get(
   "/analytics",
-  authorize("admin", "superadmin"),
+  authorizePermission("drops:read"),
   [
     query("startDate")
       .optional()
@@ -347,10 +373,50 @@ router.get(
       .optional()
       .isMongoId()
       .withMessage("Dropped by must be a valid MongoDB ObjectId"),
+    query("locationId")
+      .optional()
+      .isMongoId()
+      .withMessage("Location ID must be a valid MongoDB ObjectId"),
   ],
   getDropAnalytics,
 );
 
+/**
+ * @swagger
+ * /inventory-drops/expiring:
+ *   get:
+ *     tags: [Inventory Drops]
+ *     summary: Get stock lots expiring soon (Admin+)
+ *     description: Lists lots with units on hand that expire within the next N hours (including already expired lots), valued at the current product price
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 720
+ *           default: 48
+ *         description: Look-ahead window in hours
+ *     responses:
+ *       200:
+ *         description: Expiring lots with value at risk
+ *       400:
+ *         description: Validation error
+ */
+router.get(
+  "/expiring",
+  authorizePermission("drops:read"),
+  [
+    query("hours")
+      .optional()
+      .isInt({ min: 1, max: 720 })
+      .withMessage("Hours must be between 1 and 720"),
+  ],
+  getExpiringStock,
+);
+
 /**
  * @swagger
  * /inventory-drops/{dropId}:
@@ -371,7 +437,7 @@ router.get(
  */
 router.get(
   "/:dropId",
-  authorize("admin", "superadmin"),
+  authorizePermission("drops:read"),
   [
     param("dropId")
       .isMongoId()
@@ -0,0 +1,181 @@
+import express from "express";
+const router = express.Router();
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { validationRules, validate } from "../utils/validation.js";
+import {
+  listLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  getLocationStock,
+} from "../controllers/locationController.js";
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Locations
+ *   description: Kitchens, stalls and stores that hold their own stock
+ */
+
+/**
+ * @swagger
+ * /locations:
+ *   get:
+ *     tags: [Locations]
+ *     summary: List locations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Locations sorted by name
+ *   post:
+ *     tags: [Locations]
+ *     summary: Create a location (Admin+)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Plaza Stall
+ *               code:
+ *                 type: string
+ *                 pattern: '^[A-Z0-9_-]{1,12}$'
+ *                 example: PLZ
+ *               type:
+ *                 type: string
+ *                 enum: [kitchen, stall, store, warehouse]
+ *                 default: store
+ *               address:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       201:
+ *         description: Location created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Name or code already used
+ */
+router.get("/", authorizePermission("locations:read"), listLocations);
+
+router.post(
+  "/",
+  authorizePermission("locations:write"),
+  validationRules.createLocation,
+  validate,
+  createLocation,
+);
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   get:
+ *     tags: [Locations]
+ *     summary: Get a location with the sellers assigned to it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Location, with sellers (isHere when it is their current location)
+ *       404:
+ *         description: Location not found
+ *   patch:
+ *     tags: [Locations]
+ *     summary: Update or deactivate a location (Admin+)
+ *     description: |
+ *       Deactivating (isActive false) is refused while the location holds
+ *       stock or has transfers in transit. Sellers whose current location it
+ *       was have to choose another one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [kitchen, stall, store, warehouse]
+ *               address:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *       404:
+ *         description: Location not found
+ *       409:
+ *         description: Duplicate name or code, or deactivation blocked by stock or transfers
+ */
+router.get("/:id", authorizePermission("locations:read"), getLocation);
+
+router.patch(
+  "/:id",
+  authorizePermission("locations:write"),
+  validationRules.updateLocation,
+  validate,
+  updateLocation,
+);
+
+/**
+ * @swagger
+ * /locations/{id}/stock:
+ *   get:
+ *     tags: [Locations]
+ *     summary: Stock on hand at a location, with units in transit to it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Products with count and inTransit, and totals
+ *       404:
+ *         description: Location not found
+ */
+router.get(
+  "/:id/stock",
+  authorizePermission("locations:read"),
+  getLocationStock,
+);
+
+export default router;
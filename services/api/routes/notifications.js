@@ -0,0 +1,97 @@
+import express from "express";
+const router = express.Router();
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { validationRules, validate } from "../utils/validation.js";
+import {
+  listNotifications,
+  markNotificationRead,
+} from "../controllers/notificationController.js";
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app alerts such as low-stock warnings
+ */
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: List notifications, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [low_stock]
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Notifications with unread count and pagination
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/",
+  authorizePermission("notifications:read"),
+  validationRules.listNotifications,
+  validate,
+  listNotifications,
+);
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   patch:
+ *     tags: [Notifications]
+ *     summary: Mark a notification as read
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification acknowledged
+ *       400:
+ *         description: Invalid notification ID
+ *       404:
+ *         description: Notification not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch(
+  "/:id/read",
+  authorizePermission("notifications:read"),
+  markNotificationRead,
+);
+
+export default router;
@@ -1,12 +1,19 @@
 import express from "express";
 const router = express.Router();
-import { authenticate } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 import { validationRules, validate } from "../utils/validation.js";
 import {
   listProducts,
+  getProductByCode,
+  getLowStockProducts,
   createProduct,
   updateProduct,
   deleteProduct,
+  restoreProduct,
+  restockProduct,
+  getProductLots,
+  getProductMovements,
+  reconcileInventory,
 } from "../controllers/productController.js";
 
 // All routes require authentication
@@ -48,6 +55,61 @@ router.use(authenticate);
  *           format: integer
  *           description: Current inventory count
  *           example: 25
+ *         category:
+ *           type: string
+ *           enum: [food, beverage, other]
+ *           default: other
+ *         sku:
+ *           type: string
+ *           description: Unique stock keeping unit
+ *           example: "SND-TURKEY"
+ *         barcode:
+ *           type: string
+ *           description: EAN-13 or UPC-A barcode
+ *           example: "7702004003508"
+ *         reorderPoint:
+ *           type: number
+ *           format: integer
+ *           nullable: true
+ *           description: Stock level at or below which a low-stock alert is raised
+ *           example: 5
+ *         reorderQuantity:
+ *           type: number
+ *           format: integer
+ *           nullable: true
+ *           description: Units to order when restocking
+ *           example: 20
+ *         unitCost:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: What one unit costs; changes are kept in costHistory
+ *           example: 3.2
+ *         taxCode:
+ *           type: string
+ *           enum: [iva_19, iva_5, impoconsumo_8, exempt, excluded]
+ *           nullable: true
+ *           description: Sales tax applied to the product (null means not taxed)
+ *           example: impoconsumo_8
+ *         priceIncludesTax:
+ *           type: boolean
+ *           default: true
+ *           description: Whether price already includes the tax
+ *         costHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               unitCost:
+ *                 type: number
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               source:
+ *                 type: string
+ *                 enum: [manual, restock]
+ *               changedBy:
+ *                 type: string
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -65,6 +127,18 @@ router.use(authenticate);
  *     description: Retrieve all products in inventory
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [food, beverage, other]
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include soft-deleted products (admin only)
  *     responses:
  *       200:
  *         description: List of products
@@ -77,7 +151,249 @@ router.use(authenticate);
  *       401:
  *         description: Unauthorized - Authentication required
  */
-router.get("/", listProducts);
+router.get("/", authorizePermission("products:read"), listProducts);
+
+/**
+ * @swagger
+ * /products/by-code/{code}:
+ *   get:
+ *     tags: [Products]
+ *     summary: Look up a product by SKU or barcode
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SKU or EAN-13/UPC-A barcode
+ *     responses:
+ *       200:
+ *         description: Matching product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: No product with this code
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/by-code/:code",
+  authorizePermission("products:read"),
+  getProductByCode,
+);
+
+/**
+ * @swagger
+ * /products/low-stock:
+ *   get:
+ *     tags: [Products]
+ *     summary: List products at or below their reorder point
+ *     description: Products without a reorder point are never listed. Emptiest products come first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [food, beverage, other]
+ *     responses:
+ *       200:
+ *         description: Low-stock products with suggested order quantities
+ *       400:
+ *         description: Invalid category
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/low-stock",
+  authorizePermission("products:read"),
+  getLowStockProducts,
+);
+
+/**
+ * @swagger
+ * /products/reconciliation:
+ *   get:
+ *     tags: [Products]
+ *     summary: Reconcile stock ledger against current counts (Admin/SuperAdmin only)
+ *     description: Replays each product's stock movements and flags products whose count does not match
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: onlyMismatches
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Reconciliation summary and per-product results
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get(
+  "/reconciliation",
+  authorizePermission("inventory:reconcile"),
+  reconcileInventory,
+);
+
+/**
+ * @swagger
+ * /products/{id}/restock:
+ *   post:
+ *     tags: [Products]
+ *     summary: Receive goods for a product
+ *     description: Creates a stock lot (batch, dates, cost, supplier) and adds its quantity to the product count
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 24
+ *               batchId:
+ *                 type: string
+ *                 description: Generated when omitted
+ *                 example: "B-1024"
+ *               productionDate:
+ *                 type: string
+ *                 format: date
+ *               expirationDate:
+ *                 type: string
+ *                 format: date
+ *               unitCost:
+ *                 type: number
+ *                 format: float
+ *                 description: Also becomes the product's unit cost
+ *                 example: 1.8
+ *               supplier:
+ *                 type: string
+ *                 example: "Panaderia Central"
+ *               notes:
+ *                 type: string
+ *               locationId:
+ *                 type: string
+ *                 description: Location the goods arrived at (unassigned stock when omitted)
+ *     responses:
+ *       201:
+ *         description: Stock lot created and inventory increased
+ *       400:
+ *         description: Invalid product ID, inactive location or validation error
+ *       404:
+ *         description: Product or location not found
+ *       409:
+ *         description: Batch already received for this product at this location
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/:id/restock",
+  authorizePermission("products:restock"),
+  validationRules.restockProduct,
+  validate,
+  restockProduct,
+);
+
+/**
+ * @swagger
+ * /products/{id}/lots:
+ *   get:
+ *     tags: [Products]
+ *     summary: List stock lots for a product
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: includeDepleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Stock lots, oldest first
+ *       400:
+ *         description: Invalid product ID
+ *       404:
+ *         description: Product not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/:id/lots", authorizePermission("products:read"), getProductLots);
+
+/**
+ * @swagger
+ * /products/{id}/movements:
+ *   get:
+ *     tags: [Products]
+ *     summary: List stock movements for a product
+ *     description: Append-only history of every change to the product's count
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, restock, drop, drop_undo, manual_adjustment, import, void, refund]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Stock movements with pagination
+ *       400:
+ *         description: Invalid product ID or query parameters
+ *       404:
+ *         description: Product not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/:id/movements",
+  authorizePermission("products:read"),
+  getProductMovements,
+);
 
 /**
  * @swagger
@@ -114,6 +430,30 @@ router.get("/", listProducts);
  *                 format: integer
  *                 minimum: 0
  *                 example: 25
+ *               category:
+ *                 type: string
+ *                 enum: [food, beverage, other]
+ *               sku:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               reorderPoint:
+ *                 type: number
+ *                 format: integer
+ *                 minimum: 0
+ *               reorderQuantity:
+ *                 type: number
+ *                 format: integer
+ *                 minimum: 1
+ *               unitCost:
+ *                 type: number
+ *                 format: float
+ *                 minimum: 0
+ *               taxCode:
+ *                 type: string
+ *                 enum: [iva_19, iva_5, impoconsumo_8, exempt, excluded]
+ *               priceIncludesTax:
+ *                 type: boolean
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -123,10 +463,18 @@ router.get("/", listProducts);
  *               $ref: '#/components/schemas/Product'
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: SKU or barcode already exists
  *       401:
  *         description: Unauthorized
  */
-router.post("/", validationRules.createProduct, validate, createProduct);
+router.post(
+  "/",
+  authorizePermission("products:write"),
+  validationRules.createProduct,
+  validate,
+  createProduct,
+);
 
 /**
  * @swagger
@@ -162,6 +510,35 @@ router.post("/", validationRules.createProduct, validate, createProduct);
  *                 type: number
  *                 format: integer
  *                 minimum: 0
+ *               category:
+ *                 type: string
+ *                 enum: [food, beverage, other]
+ *               sku:
+ *                 type: string
+ *                 nullable: true
+ *               barcode:
+ *                 type: string
+ *                 nullable: true
+ *               reorderPoint:
+ *                 type: number
+ *                 format: integer
+ *                 nullable: true
+ *               reorderQuantity:
+ *                 type: number
+ *                 format: integer
+ *                 nullable: true
+ *               unitCost:
+ *                 type: number
+ *                 format: float
+ *                 minimum: 0
+ *               taxCode:
+ *                 type: string
+ *                 enum: [iva_19, iva_5, impoconsumo_8, exempt, excluded]
+ *               priceIncludesTax:
+ *                 type: boolean
+ *               adjustmentNote:
+ *                 type: string
+ *                 description: Reason for a count change, kept in the stock ledger
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -176,7 +553,13 @@ router.post("/", validationRules.createProduct, validate, createProduct);
  *       401:
  *         description: Unauthorized
  */
-router.patch("/:id", validationRules.updateProduct, validate, updateProduct);
+router.patch(
+  "/:id",
+  authorizePermission("products:write"),
+  validationRules.updateProduct,
+  validate,
+  updateProduct,
+);
 
 /**
  * @swagger
@@ -184,7 +567,10 @@ router.patch("/:id", validationRules.updateProduct, validate, updateProduct);
  *   delete:
  *     tags: [Products]
  *     summary: Delete a product
- *     description: Remove a product from inventory
+ *     description: |
+ *       Soft-deletes by default: the product is hidden from lists, scanner
+ *       lookups and new sales but stays linked to past sales. Permanent deletion
+ *       is refused while sales reference the product unless a superadmin forces it.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -194,16 +580,62 @@ router.patch("/:id", validationRules.updateProduct, validate, updateProduct);
  *         schema:
  *           type: string
  *         description: Product ID
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Remove the product for good instead of soft-deleting it (admin only)
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Permanently delete even if sales reference it (superadmin only)
  *     responses:
  *       204:
  *         description: Product deleted successfully
  *       400:
  *         description: Invalid product ID
+ *       403:
+ *         description: Permanent or forced deletion without the required role
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: Already deleted, or referenced by sales (details.saleCount)
  *       401:
  *         description: Unauthorized
  */
-router.delete("/:id", deleteProduct);
+router.delete("/:id", authorizePermission("products:delete"), deleteProduct);
+
+/**
+ * @swagger
+ * /products/{id}/restore:
+ *   post:
+ *     tags: [Products]
+ *     summary: Restore a soft-deleted product
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       403:
+ *         description: Requires admin
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is not deleted
+ */
+router.post(
+  "/:id/restore",
+  authorizePermission("products:restore"),
+  restoreProduct,
+);
 
 export default router;
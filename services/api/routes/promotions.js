@@ -0,0 +1,241 @@
+import express from "express";
+const router = express.Router();
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { validationRules, validate } from "../utils/validation.js";
+import {
+  listPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} from "../controllers/promotionController.js";
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Promotion rules applied automatically when sales are created
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "3 empanadas for 5000"
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [bundle_price, percentage, fixed_amount]
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Products covered (empty with no category means all products)
+ *         category:
+ *           type: string
+ *           enum: [food, beverage, other]
+ *           nullable: true
+ *         bundleQuantity:
+ *           type: integer
+ *           minimum: 2
+ *           description: bundle_price only
+ *         bundlePrice:
+ *           type: number
+ *           description: bundle_price only - price of one bundle
+ *         percentOff:
+ *           type: number
+ *           description: percentage only
+ *         amountOff:
+ *           type: number
+ *           description: fixed_amount only - taken off each unit
+ *         minQuantity:
+ *           type: integer
+ *           default: 1
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         daysOfWeek:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: 0 = Sunday; empty means every day
+ *         startTime:
+ *           type: string
+ *           example: "15:00"
+ *           description: Daily window start (server local time)
+ *         endTime:
+ *           type: string
+ *           example: "17:00"
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     tags: [Promotions]
+ *     summary: List promotions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: activeNow
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only promotions running at this moment
+ *     responses:
+ *       200:
+ *         description: List of promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", authorizePermission("promotions:read"), listPromotions);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   get:
+ *     tags: [Promotions]
+ *     summary: Get a promotion with its usage
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion, whether it is running now and how often it was applied
+ *       400:
+ *         description: Invalid promotion ID
+ *       404:
+ *         description: Promotion not found
+ */
+router.get("/:id", authorizePermission("promotions:read"), getPromotion);
+
+/**
+ * @swagger
+ * /promotions:
+ *   post:
+ *     tags: [Promotions]
+ *     summary: Create a promotion (Admin/SuperAdmin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Validation error or incomplete rule
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post(
+  "/",
+  authorizePermission("promotions:write"),
+  validationRules.createPromotion,
+  validate,
+  createPromotion,
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   patch:
+ *     tags: [Promotions]
+ *     summary: Update or deactivate a promotion (Admin/SuperAdmin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       400:
+ *         description: Validation error or incomplete rule
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Promotion not found
+ */
+router.patch(
+  "/:id",
+  authorizePermission("promotions:write"),
+  validationRules.updatePromotion,
+  validate,
+  updatePromotion,
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   delete:
+ *     tags: [Promotions]
+ *     summary: Delete an unused promotion (Admin/SuperAdmin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Promotion deleted
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: Promotion was applied to sales; deactivate it instead
+ */
+router.delete("/:id", authorizePermission("promotions:write"), deletePromotion);
+
+export default router;
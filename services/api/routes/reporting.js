@@ -1,9 +1,12 @@
 import express from "express";
 const router = express.Router();
-import { authenticate } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { validationRules, validate } from "../utils/validation.js";
 import {
   getSalesAnalytics,
   exportSalesCSV,
+  getReceivablesReport,
+  getTaxReport,
 } from "../controllers/reportingController.js";
 
 router.use(authenticate);
@@ -40,11 +43,22 @@ router.use(authenticate);
  *           type: string
  *           enum: [hour, day, week, month, year]
  *           default: day
+ *       - in: query
+ *         name: locationId
+ *         description: Only sales made at this location
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Sales analytics with time-series data
  */
-router.get("/sales/analytics", getSalesAnalytics);
+router.get(
+  "/sales/analytics",
+  authorizePermission("reports:read"),
+  validationRules.locationFilter,
+  validate,
+  getSalesAnalytics,
+);
 
 /**
  * @swagger
@@ -71,6 +85,16 @@ router.get("/sales/analytics", getSalesAnalytics);
  *           type: string
  *           enum: [detailed, summary, products]
  *           default: detailed
+ *       - in: query
+ *         name: includeVoided
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: locationId
+ *         description: Only sales made at this location
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: CSV file download
@@ -79,6 +103,100 @@ router.get("/sales/analytics", getSalesAnalytics);
  *             schema:
  *               type: string
  */
-router.get("/sales/export", exportSalesCSV);
+router.get(
+  "/sales/export",
+  authorizePermission("reports:read"),
+  validationRules.locationFilter,
+  validate,
+  exportSalesCSV,
+);
+
+/**
+ * @swagger
+ * /reporting/receivables:
+ *   get:
+ *     tags: [Reporting]
+ *     summary: Outstanding customer balances with aging buckets
+ *     description: Customers sorted by amount owed, with balances split into 0-7, 8-30, 31-60 and 60+ day buckets
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: minBalance
+ *         schema:
+ *           type: number
+ *           default: 0
+ *       - in: query
+ *         name: locationId
+ *         description: Only sales made at this location
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Receivables summary and per-customer aging
+ */
+router.get(
+  "/receivables",
+  authorizePermission("reports:read"),
+  validationRules.locationFilter,
+  validate,
+  getReceivablesReport,
+);
+
+/**
+ * @swagger
+ * /reporting/taxes:
+ *   get:
+ *     tags: [Reporting]
+ *     summary: Sales tax summary for filing (IVA / impoconsumo)
+ *     description: Taxable base and tax per period and tax code, net of refunds. Voided sales are excluded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, year]
+ *           default: month
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: locationId
+ *         description: Only sales made at this location
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax totals by tax code and by period (or a CSV download)
+ *       400:
+ *         description: Invalid date, groupBy or format
+ */
+router.get(
+  "/taxes",
+  authorizePermission("reports:read"),
+  validationRules.locationFilter,
+  validate,
+  getTaxReport,
+);
 
 export default router;
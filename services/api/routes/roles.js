@@ -0,0 +1,110 @@
+import express from "express";
+const router = express.Router();
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { validationRules, validate } from "../utils/validation.js";
+import {
+  listRoles,
+  updateRole,
+  resetRole,
+} from "../controllers/roleController.js";
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Permissions granted to each role (SuperAdmin only)
+ */
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     tags: [Roles]
+ *     summary: List roles with their permissions, and every known permission
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: |
+ *           roles (name, permissions, customized, locked) and permissions
+ *           (name, description)
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get("/", authorizePermission("roles:manage"), listRoles);
+
+/**
+ * @swagger
+ * /roles/{name}/permissions:
+ *   put:
+ *     tags: [Roles]
+ *     summary: Replace the permissions of a role
+ *     description: |
+ *       Applies from the next request of every seller with the role. The
+ *       superadmin role cannot be edited: it always has every permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["sales:read", "sales:create", "customers:read"]
+ *     responses:
+ *       200:
+ *         description: Updated role
+ *       400:
+ *         description: Unknown permission, or the superadmin role
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     tags: [Roles]
+ *     summary: Restore the built-in permissions of a role
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Role with its default permissions
+ *       400:
+ *         description: The superadmin role cannot be edited
+ *       404:
+ *         description: Role not found
+ */
+router.put(
+  "/:name/permissions",
+  authorizePermission("roles:manage"),
+  validationRules.updateRolePermissions,
+  validate,
+  updateRole,
+);
+
+router.delete(
+  "/:name/permissions",
+  authorizePermission("roles:manage"),
+  resetRole,
+);
+
+export default router;
@@ -1,12 +1,22 @@
 import express from "express";
 const router = express.Router();
-import { authenticate } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { restoreTenantContext } from "../middleware/tenant.js";
+import { idempotent } from "../middleware/idempotency.js";
 import { validationRules, validate } from "../utils/validation.js";
 import {
   listSales,
   createSale,
+  syncOfflineSales,
   getSale,
+  getSaleReceipt,
+  emailSaleReceipt,
   settleSale,
+  addPayment,
+  listPaymentMethods,
+  listPayments,
+  voidSale,
+  refundSale,
   importSalesFromCSV,
   uploadCSV,
 } from "../controllers/saleController.js";
@@ -45,11 +55,26 @@ router.use(authenticate);
  *         name: customerId
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: locationId
+ *         description: Only sales made at this location
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shiftId
+ *         description: Only sales made during this till shift
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [completed, partially_refunded, refunded, voided]
  *     responses:
  *       200:
  *         description: List of sales with pagination
  */
-router.get("/", listSales);
+router.get("/", authorizePermission("sales:read"), listSales);
 
 /**
  * @swagger
@@ -59,6 +84,8 @@ router.get("/", listSales);
  *     summary: Create a new sale
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -80,11 +107,151 @@ router.get("/", listSales);
  *                       type: integer
  *               amountPaid:
  *                 type: number
+ *               paymentMethod:
+ *                 type: string
+ *                 example: cash
+ *                 description: One of the enabled payment methods (see GET /sales/payment-methods)
+ *               payments:
+ *                 type: array
+ *                 maxItems: 10
+ *                 description: |
+ *                   Split tender, instead of amountPaid and paymentMethod. Cash may
+ *                   exceed what is left to pay and the excess is returned as
+ *                   changeDue; account_credit is charged to the customer's account
+ *                   and stays owed.
+ *                 items:
+ *                   type: object
+ *                   required: [method, amount]
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       example: card
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0.01
+ *               overrideCreditLimit:
+ *                 type: boolean
+ *                 description: Admin only - allow the sale over the customer's credit limit
+ *               overrideReason:
+ *                 type: string
  *     responses:
  *       201:
- *         description: Sale created
+ *         description: Sale created, with per-line and per-sale tax (taxAmount, taxBreakdown), cashTendered and changeDue
+ *       400:
+ *         description: Validation error, or non-cash payments exceed the total (invalid_payment)
+ *       403:
+ *         description: Non-admin attempted a credit limit override
+ *       409:
+ *         description: Sale would exceed the customer's credit limit
+ */
+router.post(
+  "/",
+  authorizePermission("sales:create"),
+  idempotent,
+  validationRules.createSale,
+  validate,
+  createSale,
+);
+
+/**
+ * @swagger
+ * /sales/sync:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Sync sales captured offline and fetch server changes
+ *     description: |
+ *       Applies up to 100 offline sales oldest first, each in its own transaction.
+ *       A clientId that was already synced is reported as a duplicate, so a
+ *       batch can be re-sent safely. Returns the products and customers changed
+ *       since the cursor and a new cursor for the next sync.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sales]
+ *             properties:
+ *               sales:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required: [clientId, capturedAt, customerId, products]
+ *                   description: Same fields as POST /sales, plus clientId and capturedAt
+ *                   properties:
+ *                     clientId:
+ *                       type: string
+ *                       description: Client-generated sale id, unique per seller
+ *                     capturedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the sale happened; stored as originalCreatedAt
+ *                     customerId:
+ *                       type: string
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           productId:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                     amountPaid:
+ *                       type: number
+ *                     paymentMethod:
+ *                       type: string
+ *                     payments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           method:
+ *                             type: string
+ *                           amount:
+ *                             type: number
+ *               cursor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Cursor returned by the previous sync; omit for a full download
+ *     responses:
+ *       200:
+ *         description: |
+ *           Per-sale results (created, duplicate or conflict with a code such as
+ *           insufficient_inventory or customer_not_found), a summary, the changed
+ *           products and customers, and the next cursor
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+  "/sync",
+  authorizePermission("sales:create"),
+  validationRules.syncSales,
+  validate,
+  syncOfflineSales,
+);
+
+/**
+ * @swagger
+ * /sales/payment-methods:
+ *   get:
+ *     tags: [Sales]
+ *     summary: List the payment methods this business accepts
+ *     description: Set with the PAYMENT_METHODS environment variable; all methods when unset
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enabled methods with code, label and whether they give change
  */
-router.post("/", validationRules.createSale, validate, createSale);
+router.get(
+  "/payment-methods",
+  authorizePermission("sales:read", "sales:create"),
+  listPaymentMethods,
+);
 
 /**
  * @swagger
@@ -104,7 +271,93 @@ router.post("/", validationRules.createSale, validate, createSale);
  *       200:
  *         description: Sale details
  */
-router.get("/:id", getSale);
+router.get("/:id", authorizePermission("sales:read"), getSale);
+
+/**
+ * @swagger
+ * /sales/{id}/receipt:
+ *   get:
+ *     tags: [Sales]
+ *     summary: Printable receipt for a sale
+ *     description: Business header, line items, taxes, payments and balance. Generated locally.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, text, escpos]
+ *           default: pdf
+ *         description: PDF invoice, 80mm plain text, or raw ESC/POS bytes for thermal printers
+ *     responses:
+ *       200:
+ *         description: Receipt file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format
+ *       404:
+ *         description: Sale not found
+ */
+router.get("/:id/receipt", authorizePermission("sales:read"), getSaleReceipt);
+
+/**
+ * @swagger
+ * /sales/{id}/receipt/email:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Email the PDF receipt to the customer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Defaults to the customer's email
+ *     responses:
+ *       200:
+ *         description: Receipt sent
+ *       400:
+ *         description: No email address available
+ *       404:
+ *         description: Sale not found
+ *       500:
+ *         description: Email could not be sent
+ */
+router.post(
+  "/:id/receipt/email",
+  authorizePermission("sales:read"),
+  validationRules.emailSaleReceipt,
+  validate,
+  emailSaleReceipt,
+);
 
 /**
  * @swagger
@@ -115,6 +368,7 @@ router.get("/:id", getSale);
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -128,11 +382,192 @@ router.get("/:id", getSale);
  *             properties:
  *               amountPaid:
  *                 type: number
+ *                 description: Total amount paid so far; the difference is recorded as a new payment
+ *               method:
+ *                 type: string
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Sale settled
  */
-router.patch("/:id/settle", validationRules.settleSale, validate, settleSale);
+router.patch(
+  "/:id/settle",
+  authorizePermission("sales:payments:write"),
+  idempotent,
+  validationRules.settleSale,
+  validate,
+  settleSale,
+);
+
+/**
+ * @swagger
+ * /sales/{id}/payments:
+ *   get:
+ *     tags: [Sales]
+ *     summary: List payments recorded against a sale
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment ledger with balance summary
+ *       404:
+ *         description: Sale not found
+ */
+router.get("/:id/payments", authorizePermission("sales:read"), listPayments);
+
+/**
+ * @swagger
+ * /sales/{id}/payments:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Record a partial payment for a sale
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount handed over; only cash may exceed the balance due
+ *               method:
+ *                 type: string
+ *                 example: cash
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded, with the changeDue on over-tendered cash
+ *       400:
+ *         description: Sale already settled, or a non-cash amount exceeds the balance due
+ *       404:
+ *         description: Sale not found
+ */
+router.post(
+  "/:id/payments",
+  authorizePermission("sales:payments:write"),
+  idempotent,
+  validationRules.addPayment,
+  validate,
+  addPayment,
+);
+
+/**
+ * @swagger
+ * /sales/{id}/void:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Void a sale and restore inventory (Admin+)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Sale voided and inventory restored
+ *       400:
+ *         description: Sale already voided or refunded
+ *       403:
+ *         description: Insufficient permissions (requires admin)
+ *       404:
+ *         description: Sale not found
+ */
+router.post(
+  "/:id/void",
+  authorizePermission("sales:void"),
+  validationRules.voidSale,
+  validate,
+  voidSale,
+);
+
+/**
+ * @swagger
+ * /sales/{id}/refund:
+ *   post:
+ *     tags: [Sales]
+ *     summary: Refund a sale fully or per line item (Admin+)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *               items:
+ *                 type: array
+ *                 description: Omit to refund every unit not yet refunded
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Refund recorded
+ *       400:
+ *         description: Invalid items or sale already voided/refunded
+ *       403:
+ *         description: Insufficient permissions (requires admin)
+ *       404:
+ *         description: Sale not found
+ */
+router.post(
+  "/:id/refund",
+  authorizePermission("sales:refund"),
+  validationRules.refundSale,
+  validate,
+  refundSale,
+);
 
 /**
  * @swagger
@@ -142,6 +577,8 @@ router.patch("/:id/settle", validationRules.settleSale, validate, settleSale);
  *     summary: Import sales from CSV
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -156,6 +593,13 @@ router.patch("/:id/settle", validationRules.settleSale, validate, settleSale);
  *       200:
  *         description: Import results
  */
-router.post("/import", uploadCSV.single("csvFile"), importSalesFromCSV);
+router.post(
+  "/import",
+  authorizePermission("sales:create"),
+  uploadCSV.single("csvFile"),
+  restoreTenantContext,
+  idempotent,
+  importSalesFromCSV,
+);
 
 export default router;
@@ -1,6 +1,6 @@
 import express from "express";
 const router = express.Router();
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 import { validationRules, validate } from "../utils/validation.js";
 import {
   listSellers,
@@ -8,6 +8,8 @@ import {
   createPendingSeller,
   updateSeller,
   changeRole,
+  unlockSeller,
+  assignLocations,
   deactivateSeller,
 } from "../controllers/sellerController.js";
 
@@ -32,7 +34,7 @@ router.use(authenticate);
  *       200:
  *         description: List of sellers
  */
-router.get("/", authorize("admin", "superadmin"), listSellers);
+router.get("/", authorizePermission("sellers:read"), listSellers);
 
 /**
  * @swagger
@@ -46,7 +48,11 @@ router.get("/", authorize("admin", "superadmin"), listSellers);
  *       200:
  *         description: List of pending sellers
  */
-router.get("/pending", authorize("superadmin"), listPendingSellers);
+router.get(
+  "/pending",
+  authorizePermission("sellers:pending:read"),
+  listPendingSellers,
+);
 
 /**
  * @swagger
@@ -79,7 +85,7 @@ router.get("/pending", authorize("superadmin"), listPendingSellers);
  */
 router.post(
   "/pending",
-  authorize("admin", "superadmin"),
+  authorizePermission("sellers:invite"),
   validationRules.createPendingSeller,
   validate,
   createPendingSeller,
@@ -146,12 +152,82 @@ router.patch("/:id", validationRules.updateSeller, validate, updateSeller);
  */
 router.patch(
   "/:id/role",
-  authorize("superadmin"),
+  authorizePermission("sellers:role:write"),
   validationRules.changeRole,
   validate,
   changeRole,
 );
 
+/**
+ * @swagger
+ * /sellers/{id}/unlock:
+ *   post:
+ *     tags: [Sellers]
+ *     summary: Unlock an account locked by failed logins (SuperAdmin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Seller unlocked
+ *       404:
+ *         description: Seller not found
+ *       409:
+ *         description: Seller account is not locked
+ */
+router.post("/:id/unlock", authorizePermission("sellers:unlock"), unlockSeller);
+
+/**
+ * @swagger
+ * /sellers/{id}/locations:
+ *   put:
+ *     tags: [Sellers]
+ *     summary: Assign the locations a seller works at (Admin+)
+ *     description: |
+ *       Replaces the seller's locations. Their current location is kept if
+ *       still assigned, set to the only location if there is exactly one,
+ *       and cleared otherwise.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [locationIds]
+ *             properties:
+ *               locationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Seller with updated locations and currentLocation
+ *       400:
+ *         description: Validation error or inactive location
+ *       404:
+ *         description: Seller or location not found
+ */
+router.put(
+  "/:id/locations",
+  authorizePermission("sellers:locations:write"),
+  validationRules.assignSellerLocations,
+  validate,
+  assignLocations,
+);
+
 /**
  * @swagger
  * /sellers/{id}:
@@ -170,6 +246,10 @@ router.patch(
  *       204:
  *         description: Seller deactivated
  */
-router.delete("/:id", authorize("superadmin"), deactivateSeller);
+router.delete(
+  "/:id",
+  authorizePermission("sellers:deactivate"),
+  deactivateSeller,
+);
 
 export default router;
@@ -0,0 +1,303 @@
+import express from "express";
+const router = express.Router();
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { validationRules, validate } from "../utils/validation.js";
+import {
+  listShifts,
+  getCurrentShift,
+  openShift,
+  getShift,
+  recordCashMovement,
+  closeShift,
+  getShiftReport,
+} from "../controllers/shiftController.js";
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shifts
+ *   description: Till shifts (cash register sessions) with opening float, cash in/out, closing count and Z-report
+ */
+
+/**
+ * @swagger
+ * /shifts:
+ *   get:
+ *     tags: [Shifts]
+ *     summary: List till shifts, newest first
+ *     description: Sellers without shifts:read only see their own shifts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Shifts with pagination
+ */
+router.get(
+  "/",
+  authorizePermission("shifts:read", "shifts:write"),
+  validationRules.listShifts,
+  validate,
+  listShifts,
+);
+
+/**
+ * @swagger
+ * /shifts/current:
+ *   get:
+ *     tags: [Shifts]
+ *     summary: Get your open shift
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The open shift
+ *       404:
+ *         description: You have no open shift
+ */
+router.get("/current", authorizePermission("shifts:write"), getCurrentShift);
+
+/**
+ * @swagger
+ * /shifts/open:
+ *   post:
+ *     tags: [Shifts]
+ *     summary: Open a till shift at your current location
+ *     description: |
+ *       While the shift is open, your sales and the payments, refunds and
+ *       voids you handle are linked to it. One open shift per seller.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [openingFloat]
+ *             properties:
+ *               openingFloat:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Cash in the drawer at the start
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Shift opened
+ *       400:
+ *         description: Validation error, or no current location chosen
+ *       409:
+ *         description: You already have an open shift
+ */
+router.post(
+  "/open",
+  authorizePermission("shifts:write"),
+  validationRules.openShift,
+  validate,
+  openShift,
+);
+
+/**
+ * @swagger
+ * /shifts/{id}:
+ *   get:
+ *     tags: [Shifts]
+ *     summary: Get a till shift
+ *     description: Other sellers' shifts require shifts:read
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shift with seller and location populated
+ *       403:
+ *         description: Another seller's shift
+ *       404:
+ *         description: Shift not found
+ */
+router.get(
+  "/:id",
+  authorizePermission("shifts:read", "shifts:write"),
+  getShift,
+);
+
+/**
+ * @swagger
+ * /shifts/{id}/cash:
+ *   post:
+ *     tags: [Shifts]
+ *     summary: Record cash put into or taken out of the drawer
+ *     description: For change brought in, petty cash and drops to the safe. Other sellers' shifts require shifts:manage
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, amount, reason]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [cash_in, cash_out]
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       201:
+ *         description: Entry recorded, with the shift's cash in/out totals
+ *       403:
+ *         description: Another seller's shift
+ *       404:
+ *         description: Shift not found
+ *       409:
+ *         description: Shift is closed
+ */
+router.post(
+  "/:id/cash",
+  authorizePermission("shifts:write", "shifts:manage"),
+  validationRules.shiftCashMovement,
+  validate,
+  recordCashMovement,
+);
+
+/**
+ * @swagger
+ * /shifts/{id}/close:
+ *   post:
+ *     tags: [Shifts]
+ *     summary: Close a shift with the counted drawer
+ *     description: |
+ *       Works out over/short per payment method. Expected cash is the opening
+ *       float plus cash payments and cash in, minus cash out and cash paid
+ *       back on refunds and voids; other methods are expected to hold the
+ *       payments they took in, minus what was paid back through them. Money
+ *       goes back through the methods the sale was paid with. Other sellers'
+ *       shifts require shifts:manage.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [counts]
+ *             properties:
+ *               counts:
+ *                 type: array
+ *                 description: Counted amount per payment method; must include cash
+ *                 items:
+ *                   type: object
+ *                   required: [method, amount]
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       example: cash
+ *                     amount:
+ *                       type: number
+ *                       minimum: 0
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Closed shift and its Z-report
+ *       400:
+ *         description: Validation error (e.g. no cash count)
+ *       403:
+ *         description: Another seller's shift
+ *       404:
+ *         description: Shift not found
+ *       409:
+ *         description: Shift is already closed
+ */
+router.post(
+  "/:id/close",
+  authorizePermission("shifts:write", "shifts:manage"),
+  validationRules.closeShift,
+  validate,
+  closeShift,
+);
+
+/**
+ * @swagger
+ * /shifts/{id}/report:
+ *   get:
+ *     tags: [Shifts]
+ *     summary: Z-report of a shift
+ *     description: |
+ *       Sales made, payments per method, cash in/out, money paid back, what
+ *       each method should hold and the closing count. Open shifts get a
+ *       running report (final false). Other sellers' shifts require shifts:read.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shift report
+ *       403:
+ *         description: Another seller's shift
+ *       404:
+ *         description: Shift not found
+ */
+router.get(
+  "/:id/report",
+  authorizePermission("shifts:read", "shifts:write"),
+  getShiftReport,
+);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from "express";
 import { body, query } from "express-validator";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 import {
   getTestDataStatus,
   populateTestData,
@@ -34,7 +34,7 @@ router.use(authenticate);
  *       503:
  *         description: Service unavailable in production environment
  */
-router.get("/status", authorize("admin", "superadmin"), getTestDataStatus);
+router.get("/status", authorizePermission("test_data:read"), getTestDataStatus);
 
 /**
  * @swagger
@@ -72,7 +72,7 @@ router.get("/status", authorize("admin", "superadmin"), getTestDataStatus);
  */
 router.post(
   "/populate",
-  authorize("admin", "superadmin"),
+  authorizePermission("test_data:write"),
   [
     body("preset")
       .optional()
@@ -128,7 +128,7 @@ router.post(
  */
 router.delete(
   "/clean",
-  authorize("admin", "superadmin"),
+  authorizePermission("test_data:write"),
   [
     query("preserveSellers")
       .optional()
@@ -180,7 +180,7 @@ router.delete(
  */
 router.post(
   "/reset",
-  authorize("superadmin"),
+  authorizePermission("test_data:reset"),
   [
     body("preset")
       .optional()
@@ -0,0 +1,212 @@
+import express from "express";
+const router = express.Router();
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import { validationRules, validate } from "../utils/validation.js";
+import {
+  listTransfers,
+  getTransfer,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer,
+} from "../controllers/transferController.js";
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Transfers
+ *   description: Stock sent between locations (in_transit → received or cancelled)
+ */
+
+/**
+ * @swagger
+ * /transfers:
+ *   get:
+ *     tags: [Transfers]
+ *     summary: List stock transfers, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_transit, received, cancelled]
+ *       - in: query
+ *         name: locationId
+ *         description: Transfers from or to this location
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Transfers with pagination
+ *   post:
+ *     tags: [Transfers]
+ *     summary: Send stock to another location (Admin+)
+ *     description: |
+ *       The units leave the source at once and are counted at the destination
+ *       only once it receives them. Leave fromLocationId out (or null) to send
+ *       unassigned stock.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [toLocationId, items]
+ *             properties:
+ *               fromLocationId:
+ *                 type: string
+ *                 nullable: true
+ *               toLocationId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [productId, quantity]
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Transfer in transit
+ *       400:
+ *         description: Validation error, inactive destination or insufficient stock at the source
+ *       404:
+ *         description: Location or product not found
+ */
+router.get(
+  "/",
+  authorizePermission("transfers:read"),
+  validationRules.listTransfers,
+  validate,
+  listTransfers,
+);
+
+router.post(
+  "/",
+  authorizePermission("transfers:write"),
+  validationRules.createTransfer,
+  validate,
+  createTransfer,
+);
+
+/**
+ * @swagger
+ * /transfers/{id}:
+ *   get:
+ *     tags: [Transfers]
+ *     summary: Get a stock transfer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer with locations and sellers populated
+ *       404:
+ *         description: Transfer not found
+ */
+router.get("/:id", authorizePermission("transfers:read"), getTransfer);
+
+/**
+ * @swagger
+ * /transfers/{id}/receive:
+ *   post:
+ *     tags: [Transfers]
+ *     summary: Receive a transfer at its destination
+ *     description: Sellers can only receive at locations they work at, unless they also have transfers:write
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer received; stock added to the destination
+ *       403:
+ *         description: Seller does not work at the destination
+ *       404:
+ *         description: Transfer not found
+ *       409:
+ *         description: Transfer is not in transit
+ */
+router.post(
+  "/:id/receive",
+  authorizePermission("transfers:receive"),
+  receiveTransfer,
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/cancel:
+ *   post:
+ *     tags: [Transfers]
+ *     summary: Cancel a transfer, returning its stock to the source (Admin+)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       404:
+ *         description: Transfer not found
+ *       409:
+ *         description: Transfer is not in transit
+ */
+router.post(
+  "/:id/cancel",
+  authorizePermission("transfers:write"),
+  validationRules.cancelTransfer,
+  validate,
+  cancelTransfer,
+);
+
+export default router;
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+import "./models/AuditLog.js";
+import "./models/Customer.js";
+import "./models/IdempotencyKey.js";
+import "./models/InventoryDrop.js";
+import "./models/Location.js";
+import "./models/Notification.js";
+import "./models/PasswordResetToken.js";
+import "./models/PendingSeller.js";
+import "./models/Product.js";
+import "./models/Promotion.js";
+import "./models/RefreshToken.js";
+import "./models/Role.js";
+import "./models/Sale.js";
+import "./models/Seller.js";
+import "./models/Shift.js";
+import "./models/StockLot.js";
+import "./models/StockMovement.js";
+import "./models/StockTransfer.js";
+import "./models/Tenant.js";
+
+/**
+ * Brings the database indexes in line with the schemas.
+ *
+ * Mongoose creates missing indexes on startup but never drops stale ones, so
+ * databases created before multi-tenancy keep single-field unique indexes
+ * (`email_1`, `phoneNumber_1`, ...) that reject the same value in two tenants.
+ * `syncIndexes()` drops every index the schema no longer declares and builds
+ * the ones it does. Run it once after upgrading, with MONGO_URI set.
+ */
+const main = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error("MONGO_URI is not set");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  for (const name of mongoose.modelNames()) {
+    const dropped = await mongoose.model(name).syncIndexes();
+    console.log(
+      dropped.length > 0
+        ? `${name}: dropped ${dropped.join(", ")}`
+        : `${name}: up to date`,
+    );
+  }
+};
+
+main()
+  .catch((err) => {
+    console.error("An error occurred:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
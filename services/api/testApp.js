@@ -19,9 +19,18 @@ import salesRoutes from "./routes/sales.js";
 import inventoryDropRoutes from "./routes/inventoryDrops.js";
 import testDataRoutes from "./routes/testDataRoutes.js";
 import reportingRoutes from "./routes/reporting.js";
+import notificationRoutes from "./routes/notifications.js";
+import promotionRoutes from "./routes/promotions.js";
+import auditRoutes from "./routes/audit.js";
+import roleRoutes from "./routes/roles.js";
+import locationRoutes from "./routes/locations.js";
+import transferRoutes from "./routes/transfers.js";
+import shiftRoutes from "./routes/shifts.js";
 
 // Import middleware
 import errorHandler from "./middleware/errorHandler.js";
+import { requestId, auditTrail } from "./middleware/audit.js";
+import { resolveTenant } from "./middleware/tenant.js";
 
 const app = express();
 
@@ -38,7 +47,14 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-Requested-With",
+    "X-Request-ID",
+    "Idempotency-Key",
+  ],
+  exposedHeaders: ["Idempotent-Replayed", "X-Request-ID"],
 };
 app.use(cors(corsOptions));
 
@@ -58,6 +74,10 @@ app.use(limiter);
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 
+// Request ids and the audit trail of every mutating request
+app.use(requestId);
+app.use(auditTrail);
+
 // Health check endpoint for testing
 app.get("/api/v2/health", (req, res) => {
   res.json({
@@ -67,7 +87,8 @@ app.get("/api/v2/health", (req, res) => {
   });
 });
 
-// API routes
+// API routes, scoped to the request's tenant in multi-tenant mode
+app.use("/api/v2", resolveTenant);
 app.use("/api/v2/auth", authRoutes);
 app.use("/api/v2/sellers", sellerRoutes);
 app.use("/api/v2/customers", customerRoutes);
@@ -76,6 +97,13 @@ app.use("/api/v2/sales", salesRoutes);
 app.use("/api/v2/inventory-drops", inventoryDropRoutes);
 app.use("/api/v2/test-data", testDataRoutes);
 app.use("/api/v2/reporting", reportingRoutes);
+app.use("/api/v2/notifications", notificationRoutes);
+app.use("/api/v2/promotions", promotionRoutes);
+app.use("/api/v2/audit", auditRoutes);
+app.use("/api/v2/roles", roleRoutes);
+app.use("/api/v2/locations", locationRoutes);
+app.use("/api/v2/transfers", transferRoutes);
+app.use("/api/v2/shifts", shiftRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -0,0 +1,217 @@
+/**
+ * Audit Log Integration Tests
+ * Tests that mutating requests are recorded and the superadmin audit endpoint
+ */
+import request from "supertest";
+import app from "../../testApp.js";
+import AuditLog from "../../models/AuditLog.js";
+import Product from "../../models/Product.js";
+import Seller from "../../models/Seller.js";
+
+// Entries are written after the response is sent, so poll briefly
+const waitForAudit = async (filter) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const entry = await AuditLog.findOne(filter);
+    if (entry) {
+      return entry;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  return null;
+};
+
+describe("Audit Log", () => {
+  let superadminToken;
+  let userToken;
+  let superadmin;
+  let user;
+
+  beforeEach(async () => {
+    superadmin = await Seller.create({
+      firstName: "Super",
+      lastName: "Admin",
+      email: "superadmin@test.com",
+      password: "TestPassword123!",
+      dateOfBirth: new Date("1985-01-01"),
+      role: "superadmin",
+      createdBy: testUtils.generateObjectId(),
+    });
+    user = await Seller.create({
+      firstName: "Regular",
+      lastName: "User",
+      email: "user@test.com",
+      password: "TestPassword123!",
+      dateOfBirth: new Date("1990-01-01"),
+      role: "user",
+      createdBy: testUtils.generateObjectId(),
+    });
+
+    const superadminLogin = await request(app)
+      .post("/api/v2/auth/login")
+      .send({ email: "superadmin@test.com", password: "TestPassword123!" });
+    superadminToken = superadminLogin.body.token;
+
+    const userLogin = await request(app)
+      .post("/api/v2/auth/login")
+      .send({ email: "user@test.com", password: "TestPassword123!" });
+    userToken = userLogin.body.token;
+  });
+
+  describe("Recording", () => {
+    it("should record a product price change with a before/after diff", async () => {
+      const product = await Product.create({
+        productName: "Arepa",
+        price: 5,
+        count: 10,
+      });
+
+      const response = await request(app)
+        .patch(`/api/v2/products/${product._id}`)
+        .set("Authorization", `Bearer ${superadminToken}`)
+        .set("X-Request-ID", "req-price-change")
+        .send({ price: 6.5 });
+
+      expect(response.status).toBe(200);
+      expect(response.headers["x-request-id"]).toBe("req-price-change");
+
+      const entry = await waitForAudit({ action: "product.update" });
+      expect(entry).not.toBeNull();
+      expect(entry.actor.toString()).toBe(superadmin._id.toString());
+      expect(entry.resourceType).toBe("product");
+      expect(entry.resourceId).toBe(product._id.toString());
+      expect(entry.changes).toEqual({ price: { before: 5, after: 6.5 } });
+      expect(entry.requestId).toBe("req-price-change");
+      expect(entry.statusCode).toBe(200);
+      expect(entry.ip).toBeTruthy();
+    });
+
+    it("should record role changes", async () => {
+      await request(app)
+        .patch(`/api/v2/sellers/${user._id}/role`)
+        .set("Authorization", `Bearer ${superadminToken}`)
+        .send({ role: "admin" });
+
+      const entry = await waitForAudit({ action: "seller.role_change" });
+      expect(entry.resourceId).toBe(user._id.toString());
+      expect(entry.changes).toEqual({
+        role: { before: "user", after: "admin" },
+      });
+    });
+
+    it("should record routes without a named action by method and path", async () => {
+      const product = await Product.create({
+        productName: "Empanada",
+        price: 3,
+        count: 10,
+      });
+
+      await request(app)
+        .post(`/api/v2/products/${product._id}/restock`)
+        .set("Authorization", `Bearer ${superadminToken}`)
+        .send({ quantity: 5 });
+      await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${superadminToken}`)
+        .send({ productId: product._id.toString(), quantityToDrop: 1 });
+
+      const restock = await waitForAudit({ action: "product.restock" });
+      expect(restock.changes).toEqual({ count: { before: 10, after: 15 } });
+
+      const drop = await waitForAudit({
+        action: "POST /api/v2/inventory-drops",
+      });
+      expect(drop).not.toBeNull();
+      expect(drop.resourceType).toBe("inventory-drops");
+    });
+
+    it("should never store passwords", async () => {
+      await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "user@test.com", password: "WrongPassword1!" });
+
+      const entry = await waitForAudit({ path: "/api/v2/auth/login" });
+      expect(entry).not.toBeNull();
+      expect(JSON.stringify(entry.toJSON())).not.toContain("WrongPassword1!");
+    });
+
+    it("should not record read-only requests", async () => {
+      await request(app)
+        .get("/api/v2/products")
+        .set("Authorization", `Bearer ${userToken}`);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(await AuditLog.countDocuments({ method: "GET" })).toBe(0);
+    });
+  });
+
+  describe("GET /api/v2/audit", () => {
+    beforeEach(async () => {
+      await AuditLog.create([
+        {
+          actor: superadmin._id,
+          action: "product.update",
+          resourceType: "product",
+          resourceId: "p1",
+          changes: { price: { before: 5, after: 6 } },
+          method: "PATCH",
+          path: "/api/v2/products/p1",
+          statusCode: 200,
+        },
+        {
+          actor: user._id,
+          action: "customer.create",
+          resourceType: "customer",
+          resourceId: "c1",
+          method: "POST",
+          path: "/api/v2/customers",
+          statusCode: 201,
+        },
+      ]);
+    });
+
+    it("should list and filter entries for superadmins", async () => {
+      const response = await request(app)
+        .get("/api/v2/audit")
+        .query({ resourceType: "product" })
+        .set("Authorization", `Bearer ${superadminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries).toHaveLength(1);
+      expect(response.body.entries[0].action).toBe("product.update");
+      expect(response.body.entries[0].actor.email).toBe("superadmin@test.com");
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it("should filter by actor", async () => {
+      const response = await request(app)
+        .get("/api/v2/audit")
+        .query({ actorId: user._id.toString() })
+        .set("Authorization", `Bearer ${superadminToken}`);
+
+      expect(response.body.entries.map((entry) => entry.action)).toEqual([
+        "customer.create",
+      ]);
+    });
+
+    it("should export CSV", async () => {
+      const response = await request(app)
+        .get("/api/v2/audit")
+        .query({ format: "csv", action: "product.update" })
+        .set("Authorization", `Bearer ${superadminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("text/csv");
+      expect(response.text).toContain("Action");
+      expect(response.text).toContain("product.update");
+      expect(response.text).not.toContain("customer.create");
+    });
+
+    it("should reject non-superadmins", async () => {
+      const response = await request(app)
+        .get("/api/v2/audit")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
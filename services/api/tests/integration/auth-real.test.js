@@ -7,6 +7,7 @@ import app from "../../testApp.js";
 import Seller from "../../models/Seller.js";
 import PendingSeller from "../../models/PendingSeller.js";
 import PasswordResetToken from "../../models/PasswordResetToken.js";
+import AuditLog from "../../models/AuditLog.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 
@@ -650,4 +651,304 @@ describe("BiteTrack Authentication Routes", () => {
       });
     });
   });
+
+  describe("Sessions, refresh and logout", () => {
+    let seller;
+
+    const login = (userAgent = "jest") =>
+      request(app)
+        .post("/api/v2/auth/login")
+        .set("User-Agent", userAgent)
+        .send({ email: "session.test@example.com", password: "Session123!" });
+
+    beforeEach(async () => {
+      seller = await Seller.create({
+        firstName: "Session",
+        lastName: "Test",
+        email: "session.test@example.com",
+        password: "Session123!",
+        dateOfBirth: new Date("1990-01-01"),
+        role: "user",
+        createdBy: testUtils.generateObjectId(),
+      });
+    });
+
+    it("should return a refresh token and session with the access token", async () => {
+      const response = await login();
+
+      expect(response.body.refreshToken).toBeTruthy();
+      expect(response.body.sessionId).toBeTruthy();
+      expect(response.body.expiresIn).toBe("15m");
+
+      const decoded = jwt.decode(response.body.token);
+      expect(decoded.sid).toBe(response.body.sessionId);
+      expect(decoded.tv).toBe(0);
+    });
+
+    it("should rotate refresh tokens", async () => {
+      const loginResponse = await login();
+
+      const refreshed = await request(app)
+        .post("/api/v2/auth/refresh")
+        .send({ refreshToken: loginResponse.body.refreshToken });
+
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.token).toBeTruthy();
+      expect(refreshed.body.refreshToken).not.toBe(
+        loginResponse.body.refreshToken,
+      );
+      expect(refreshed.body.sessionId).toBe(loginResponse.body.sessionId);
+
+      const me = await request(app)
+        .get("/api/v2/auth/sessions")
+        .set("Authorization", `Bearer ${refreshed.body.token}`);
+      expect(me.status).toBe(200);
+    });
+
+    it("should revoke the session when an old refresh token is reused", async () => {
+      const loginResponse = await login();
+      const first = await request(app)
+        .post("/api/v2/auth/refresh")
+        .send({ refreshToken: loginResponse.body.refreshToken });
+
+      const reuse = await request(app)
+        .post("/api/v2/auth/refresh")
+        .send({ refreshToken: loginResponse.body.refreshToken });
+      expect(reuse.status).toBe(401);
+
+      // The legitimate holder of the newer token is signed out too
+      const newer = await request(app)
+        .post("/api/v2/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+      expect(newer.status).toBe(401);
+    });
+
+    it("should list active sessions and mark the current one", async () => {
+      const phone = await login("phone");
+      await login("tablet");
+
+      const response = await request(app)
+        .get("/api/v2/auth/sessions")
+        .set("Authorization", `Bearer ${phone.body.token}`);
+
+      expect(response.body.count).toBe(2);
+      const current = response.body.sessions.find((s) => s.current);
+      expect(current.id).toBe(phone.body.sessionId);
+      expect(current.userAgent).toBe("phone");
+    });
+
+    it("should log out the current device only", async () => {
+      const phone = await login("phone");
+      const tablet = await login("tablet");
+
+      const response = await request(app)
+        .post("/api/v2/auth/logout")
+        .set("Authorization", `Bearer ${phone.body.token}`)
+        .send({});
+      expect(response.status).toBe(200);
+      expect(response.body.sessionsRevoked).toBe(1);
+
+      const phoneRefresh = await request(app)
+        .post("/api/v2/auth/refresh")
+        .send({ refreshToken: phone.body.refreshToken });
+      expect(phoneRefresh.status).toBe(401);
+
+      const tabletRefresh = await request(app)
+        .post("/api/v2/auth/refresh")
+        .send({ refreshToken: tablet.body.refreshToken });
+      expect(tabletRefresh.status).toBe(200);
+    });
+
+    it("should log out all devices and reject their access tokens", async () => {
+      const phone = await login("phone");
+      const tablet = await login("tablet");
+
+      await request(app)
+        .post("/api/v2/auth/logout")
+        .set("Authorization", `Bearer ${phone.body.token}`)
+        .send({ allDevices: true });
+
+      const tabletRequest = await request(app)
+        .get("/api/v2/auth/sessions")
+        .set("Authorization", `Bearer ${tablet.body.token}`);
+      expect(tabletRequest.status).toBe(401);
+      expect(tabletRequest.body.message).toBe("Token has been revoked");
+
+      const tabletRefresh = await request(app)
+        .post("/api/v2/auth/refresh")
+        .send({ refreshToken: tablet.body.refreshToken });
+      expect(tabletRefresh.status).toBe(401);
+    });
+
+    it("should revoke tokens when the seller's role changes", async () => {
+      await Seller.create({
+        firstName: "Super",
+        lastName: "Admin",
+        email: "super.session@example.com",
+        password: "Session123!",
+        dateOfBirth: new Date("1980-01-01"),
+        role: "superadmin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const superLogin = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "super.session@example.com", password: "Session123!" });
+      const userLogin = await login();
+
+      await request(app)
+        .patch(`/api/v2/sellers/${seller._id}/role`)
+        .set("Authorization", `Bearer ${superLogin.body.token}`)
+        .send({ role: "admin" });
+
+      const response = await request(app)
+        .get("/api/v2/auth/sessions")
+        .set("Authorization", `Bearer ${userLogin.body.token}`);
+      expect(response.status).toBe(401);
+    });
+
+    it("should reject unknown refresh tokens", async () => {
+      const response = await request(app)
+        .post("/api/v2/auth/refresh")
+        .send({ refreshToken: "not-a-real-token" });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("Failed login protection", () => {
+    let seller;
+
+    const attempt = (password) =>
+      request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "lockout.test@example.com", password });
+
+    beforeEach(async () => {
+      seller = await Seller.create({
+        firstName: "Lockout",
+        lastName: "Test",
+        email: "lockout.test@example.com",
+        password: "Lockout123!",
+        dateOfBirth: new Date("1990-01-01"),
+        role: "user",
+        createdBy: testUtils.generateObjectId(),
+      });
+    });
+
+    it("should count failed attempts and reset them on success", async () => {
+      await attempt("Wrong123!");
+      await attempt("Wrong123!");
+
+      let stored = await Seller.findById(seller._id);
+      expect(stored.failedLoginAttempts).toBe(2);
+
+      const response = await attempt("Lockout123!");
+      expect(response.status).toBe(200);
+
+      stored = await Seller.findById(seller._id);
+      expect(stored.failedLoginAttempts).toBe(0);
+    });
+
+    it("should make the caller wait after repeated failures", async () => {
+      await attempt("Wrong123!");
+      await attempt("Wrong123!");
+      await attempt("Wrong123!");
+
+      // Even the right password is refused until the delay has passed
+      const response = await attempt("Lockout123!");
+
+      expect(response.status).toBe(429);
+      expect(response.headers["retry-after"]).toBeDefined();
+      expect(response.body.details.retryAt).toBeDefined();
+    });
+
+    it("should lock the account after too many failures", async () => {
+      // Four earlier failures, long enough ago that no delay applies
+      await Seller.updateOne(
+        { _id: seller._id },
+        {
+          failedLoginAttempts: 4,
+          lastFailedLoginAt: new Date(Date.now() - 60 * 1000),
+        },
+      );
+
+      const failed = await attempt("Wrong123!");
+      expect(failed.status).toBe(401);
+
+      const locked = await attempt("Lockout123!");
+      expect(locked.status).toBe(423);
+      expect(locked.body.details.lockedUntil).toBeDefined();
+
+      // The audit entry is written once the response has finished
+      let entry = null;
+      for (let i = 0; i < 20 && !entry; i++) {
+        entry = await AuditLog.findOne({ action: "seller.lockout" });
+        if (!entry) {
+          await new Promise((resolve) => setTimeout(resolve, 25));
+        }
+      }
+      expect(entry).not.toBeNull();
+      expect(entry.resourceId).toBe(seller._id.toString());
+      expect(entry.metadata.failedAttempts).toBe(5);
+    });
+
+    it("should let a superadmin unlock the account", async () => {
+      await Seller.updateOne(
+        { _id: seller._id },
+        {
+          lockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+          lastFailedLoginAt: new Date(),
+        },
+      );
+      await Seller.create({
+        firstName: "Super",
+        lastName: "Admin",
+        email: "super.lockout@example.com",
+        password: "Lockout123!",
+        dateOfBirth: new Date("1980-01-01"),
+        role: "superadmin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const superLogin = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "super.lockout@example.com", password: "Lockout123!" });
+
+      const unlock = await request(app)
+        .post(`/api/v2/sellers/${seller._id}/unlock`)
+        .set("Authorization", `Bearer ${superLogin.body.token}`);
+      expect(unlock.status).toBe(200);
+      expect(unlock.body.lockedUntil).toBeNull();
+
+      const response = await attempt("Lockout123!");
+      expect(response.status).toBe(200);
+
+      const again = await request(app)
+        .post(`/api/v2/sellers/${seller._id}/unlock`)
+        .set("Authorization", `Bearer ${superLogin.body.token}`);
+      expect(again.status).toBe(409);
+    });
+
+    it("should lift the lock when the password is reset", async () => {
+      await Seller.updateOne(
+        { _id: seller._id },
+        { lockedUntil: new Date(Date.now() + 15 * 60 * 1000) },
+      );
+      await PasswordResetToken.create({
+        sellerId: seller._id,
+        token: "reset_lockouttesttoken123",
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      const reset = await request(app).post("/api/v2/auth/reset").send({
+        token: "reset_lockouttesttoken123",
+        email: "lockout.test@example.com",
+        dateOfBirth: "1990-01-01",
+        newPassword: "NewLockout123!",
+      });
+      expect(reset.status).toBe(200);
+
+      const response = await attempt("NewLockout123!");
+      expect(response.status).toBe(200);
+    });
+  });
 });
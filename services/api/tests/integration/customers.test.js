@@ -244,6 +244,56 @@ describe("Customer Management Routes", () => {
     });
   });
 
+  describe("Credit limits", () => {
+    it("should expose current balance against the credit limit", async () => {
+      const customer = await Customer.create({
+        firstName: "Limited",
+        lastName: "Customer",
+        phoneNumber: "3009998877",
+        creditLimit: 50,
+      });
+      const product = await Product.create({
+        productName: "Test Product",
+        price: 10,
+        count: 100,
+        description: "",
+      });
+      await Sale.create({
+        customerId: customer._id,
+        sellerId: testSeller._id,
+        products: [{ productId: product._id, quantity: 3, priceAtSale: 10 }],
+        totalAmount: 30,
+      });
+
+      const response = await request(app)
+        .get("/api/v2/customers")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const listed = response.body.find(
+        (c) => c.id === customer._id.toString(),
+      );
+      expect(listed.creditLimit).toBe(50);
+      expect(listed.currentBalance).toBe(30);
+      expect(listed.availableCredit).toBe(20);
+      expect(listed.overCreditLimit).toBe(false);
+    });
+
+    it("should only let admins set credit limits", async () => {
+      const response = await request(app)
+        .post("/api/v2/customers")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          firstName: "Limited",
+          lastName: "Customer",
+          phoneNumber: "3009998877",
+          creditLimit: 50,
+        });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe("PATCH /api/v2/customers/:id", () => {
     it("should update customer information", async () => {
       const customer = await Customer.create({
@@ -353,7 +403,24 @@ describe("Customer Management Routes", () => {
   });
 
   describe("DELETE /api/v2/customers/:id", () => {
-    it("should delete existing customer", async () => {
+    // Log in a freshly created seller with the given role
+    const loginAs = async (role) => {
+      await Seller.create({
+        firstName: "Role",
+        lastName: role,
+        email: `${role}@test.com`,
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1990-01-01"),
+        role,
+        createdBy: testUtils.generateObjectId(),
+      });
+      const loginResponse = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: `${role}@test.com`, password: "TestPassword123!" });
+      return loginResponse.body.token;
+    };
+
+    it("should soft-delete an existing customer", async () => {
       const customer = await Customer.create({
         firstName: "To",
         lastName: "Delete",
@@ -366,9 +433,118 @@ describe("Customer Management Routes", () => {
 
       expect(response.status).toBe(204);
 
-      // Verify deletion
+      // The document stays, marked as deleted and hidden from the list
       const deleted = await Customer.findById(customer._id);
-      expect(deleted).toBeNull();
+      expect(deleted.deletedAt).toBeInstanceOf(Date);
+      expect(deleted.deletedBy.toString()).toBe(testSeller._id.toString());
+
+      const list = await request(app)
+        .get("/api/v2/customers")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(list.body).toHaveLength(0);
+    });
+
+    it("should refuse to delete an already deleted customer", async () => {
+      const customer = await Customer.create({
+        firstName: "To",
+        lastName: "Delete",
+        phoneNumber: "3005544332",
+      });
+      await request(app)
+        .delete(`/api/v2/customers/${customer._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .delete(`/api/v2/customers/${customer._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it("should let admins list and restore deleted customers", async () => {
+      const customer = await Customer.create({
+        firstName: "Come",
+        lastName: "Back",
+        phoneNumber: "3005544332",
+      });
+      await request(app)
+        .delete(`/api/v2/customers/${customer._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      const adminToken = await loginAs("admin");
+
+      const asUser = await request(app)
+        .get("/api/v2/customers?includeDeleted=true")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(asUser.status).toBe(403);
+
+      const list = await request(app)
+        .get("/api/v2/customers?includeDeleted=true")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(list.body).toHaveLength(1);
+
+      const restored = await request(app)
+        .post(`/api/v2/customers/${customer._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(restored.status).toBe(200);
+      expect(restored.body.deletedAt).toBeNull();
+    });
+
+    it("should point to the deleted customer when the phone number is reused", async () => {
+      const customer = await Customer.create({
+        firstName: "Old",
+        lastName: "Customer",
+        phoneNumber: "3005544332",
+      });
+      await request(app)
+        .delete(`/api/v2/customers/${customer._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .post("/api/v2/customers")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          firstName: "New",
+          lastName: "Customer",
+          phoneNumber: "3005544332",
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details[0].existingCustomer.deleted).toBe(true);
+    });
+
+    it("should guard permanent deletion of customers with sales", async () => {
+      const customer = await Customer.create({
+        firstName: "Has",
+        lastName: "Sales",
+        phoneNumber: "3005544332",
+      });
+      const product = await Product.create({
+        productName: "Coffee",
+        price: 3,
+        count: 10,
+      });
+      await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: customer._id.toString(),
+          products: [{ productId: product._id.toString(), quantity: 1 }],
+        });
+      const adminToken = await loginAs("admin");
+      const superadminToken = await loginAs("superadmin");
+
+      const refused = await request(app)
+        .delete(`/api/v2/customers/${customer._id}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(refused.status).toBe(409);
+      expect(refused.body.details.saleCount).toBe(1);
+
+      const forced = await request(app)
+        .delete(`/api/v2/customers/${customer._id}?permanent=true&force=true`)
+        .set("Authorization", `Bearer ${superadminToken}`);
+      expect(forced.status).toBe(204);
+      expect(await Customer.findById(customer._id)).toBeNull();
+      expect(await Sale.countDocuments({ customerId: customer._id })).toBe(1);
     });
 
     it("should return 404 for non-existent customer", async () => {
@@ -475,6 +651,157 @@ describe("Customer Management Routes", () => {
     });
   });
 
+  describe("Accounts receivable", () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    let customer;
+    let product;
+
+    beforeEach(async () => {
+      customer = await Customer.create({
+        firstName: "Tab",
+        lastName: "Holder",
+        phoneNumber: "3001112233",
+      });
+
+      product = await Product.create({
+        productName: "Test Product",
+        price: 10,
+        count: 100,
+        description: "",
+      });
+
+      const line = (quantity) => [
+        { productId: product._id, quantity, priceAtSale: 10 },
+      ];
+
+      await Sale.create([
+        {
+          customerId: customer._id,
+          sellerId: testSeller._id,
+          products: line(2),
+          totalAmount: 20,
+          amountPaid: 5,
+          originalCreatedAt: daysAgo(3),
+        },
+        {
+          customerId: customer._id,
+          sellerId: testSeller._id,
+          products: line(4),
+          totalAmount: 40,
+          originalCreatedAt: daysAgo(45),
+        },
+        {
+          customerId: customer._id,
+          sellerId: testSeller._id,
+          products: line(1),
+          totalAmount: 10,
+          amountPaid: 10,
+          settled: true,
+          originalCreatedAt: daysAgo(90),
+        },
+      ]);
+    });
+
+    it("should return the outstanding balance split into aging buckets", async () => {
+      const response = await request(app)
+        .get(`/api/v2/customers/${customer._id}/balance`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.totalOutstanding).toBe(55);
+      expect(response.body.aging).toEqual({
+        days0to7: 15,
+        days8to30: 0,
+        days31to60: 40,
+        over60: 0,
+      });
+      expect(response.body.openSales).toHaveLength(2);
+    });
+
+    it("should build a statement with a running balance", async () => {
+      const response = await request(app)
+        .get(`/api/v2/customers/${customer._id}/statement`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.openingBalance).toBe(0);
+      expect(response.body.closingBalance).toBe(55);
+      expect(response.body.totals.charges).toBe(70);
+      expect(response.body.totals.credits).toBe(15);
+      expect(response.body.entries[0].type).toBe("sale");
+    });
+
+    it("should roll earlier activity into the opening balance", async () => {
+      const startDate = daysAgo(10).toISOString().split("T")[0];
+
+      const response = await request(app)
+        .get(`/api/v2/customers/${customer._id}/statement`)
+        .query({ startDate })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.openingBalance).toBe(40);
+      expect(response.body.closingBalance).toBe(55);
+    });
+
+    it("should render a printable text statement", async () => {
+      const response = await request(app)
+        .get(`/api/v2/customers/${customer._id}/statement`)
+        .query({ format: "text" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toMatch(/text\/plain/);
+      expect(response.text).toContain("CUSTOMER STATEMENT");
+      expect(response.text).toContain("Tab Holder");
+      expect(response.text).toMatch(/Closing balance\s+55\.00/);
+    });
+
+    it("should list customers by debt in the receivables report", async () => {
+      const other = await Customer.create({
+        firstName: "Small",
+        lastName: "Debt",
+        phoneNumber: "3004445566",
+      });
+      await Sale.create({
+        customerId: other._id,
+        sellerId: testSeller._id,
+        products: [{ productId: product._id, quantity: 1, priceAtSale: 10 }],
+        totalAmount: 10,
+      });
+
+      const response = await request(app)
+        .get("/api/v2/reporting/receivables")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.totalOutstanding).toBe(65);
+      expect(response.body.summary.customersWithBalance).toBe(2);
+      expect(response.body.customers[0].customerName).toBe("Tab Holder");
+      expect(response.body.customers[1].totalOutstanding).toBe(10);
+    });
+
+    it("should return 404 for non-existent customer", async () => {
+      const response = await request(app)
+        .get(`/api/v2/customers/${testUtils.generateObjectId()}/balance`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should reject malformed customer IDs", async () => {
+      const balance = await request(app)
+        .get("/api/v2/customers/not-an-id/balance")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(balance.status).toBe(400);
+
+      const statement = await request(app)
+        .get("/api/v2/customers/not-an-id/statement")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(statement.status).toBe(400);
+    });
+  });
+
   describe("Authentication requirements", () => {
     it("should reject requests without token", async () => {
       const response = await request(app).get("/api/v2/customers");
@@ -7,6 +7,8 @@ import app from "../../testApp.js";
 import InventoryDrop from "../../models/InventoryDrop.js";
 import Product from "../../models/Product.js";
 import Seller from "../../models/Seller.js";
+import StockLot from "../../models/StockLot.js";
+import Notification from "../../models/Notification.js";
 
 describe("Inventory Drop System Routes", () => {
   let adminToken;
@@ -171,6 +173,26 @@ describe("Inventory Drop System Routes", () => {
       }
     });
 
+    it("should raise a low-stock notification when the drop crosses the reorder point", async () => {
+      await Product.updateOne({ _id: testProduct._id }, { reorderPoint: 90 });
+
+      const response = await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          productId: testProduct._id.toString(),
+          quantityToDrop: 15,
+          reason: "expired",
+        });
+
+      expect(response.status).toBe(201);
+      const notifications = await Notification.find({
+        productId: testProduct._id,
+      });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].data.source).toBe("drop");
+    });
+
     it("should calculate cost of dropped inventory", async () => {
       const dropData = {
         productId: testProduct._id.toString(),
@@ -186,6 +208,191 @@ describe("Inventory Drop System Routes", () => {
       expect(response.status).toBe(201);
       expect(response.body.drop.totalValueLost).toBe(109.9); // 10 * 10.99
     });
+
+    it("should drop inventory only once for a retried request", async () => {
+      const dropData = {
+        productId: testProduct._id.toString(),
+        quantityToDrop: 5,
+        reason: "end_of_day",
+      };
+
+      const responses = [];
+      for (let attempt = 0; attempt < 2; attempt++) {
+        responses.push(
+          await request(app)
+            .post("/api/v2/inventory-drops")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .set("Idempotency-Key", "drop-retry-1")
+            .send(dropData),
+        );
+      }
+
+      expect(responses[1].status).toBe(201);
+      expect(responses[1].body.drop.id).toBe(responses[0].body.drop.id);
+      expect(await InventoryDrop.countDocuments()).toBe(1);
+
+      const updated = await Product.findById(testProduct._id);
+      expect(updated.count).toBe(95);
+    });
+  });
+
+  describe("Drops from stock lots", () => {
+    let lot;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(`/api/v2/products/${testProduct._id}/restock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          quantity: 12,
+          batchId: "B-2024-07",
+          productionDate: "2024-07-01",
+          expirationDate: "2024-07-05",
+        });
+      lot = response.body.lot;
+    });
+
+    it("should default dates and batch from the lot", async () => {
+      const response = await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          productId: testProduct._id.toString(),
+          quantityToDrop: 4,
+          reason: "expired",
+          lotId: lot.id,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.drop.batchId).toBe("B-2024-07");
+      expect(response.body.drop.lotId).toBe(lot.id);
+      expect(new Date(response.body.drop.expirationDate).toISOString()).toBe(
+        new Date("2024-07-05").toISOString(),
+      );
+
+      const updatedLot = await StockLot.findById(lot.id);
+      expect(updatedLot.quantityRemaining).toBe(8);
+    });
+
+    it("should reject dropping more than the lot has left", async () => {
+      const response = await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          productId: testProduct._id.toString(),
+          quantityToDrop: 13,
+          lotId: lot.id,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Insufficient Lot Quantity");
+    });
+
+    it("should reject a lot that belongs to another product", async () => {
+      const otherProduct = await Product.create({
+        productName: "Other Product",
+        price: 5,
+        count: 10,
+      });
+
+      const response = await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          productId: otherProduct._id.toString(),
+          quantityToDrop: 1,
+          lotId: lot.id,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Lot Mismatch");
+    });
+
+    it("should reject a lot held at another location", async () => {
+      const elsewhere = await StockLot.create({
+        productId: testProduct._id,
+        batchId: "B-2024-07",
+        locationId: testUtils.generateObjectId(),
+        quantityReceived: 4,
+        quantityRemaining: 4,
+        receivedBy: adminSeller._id,
+      });
+
+      const response = await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          productId: testProduct._id.toString(),
+          quantityToDrop: 1,
+          lotId: elsewhere.id,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Lot Mismatch");
+      expect(response.body.message).toMatch(/different location/);
+    });
+
+    it("should give units back to the lot when a drop is undone", async () => {
+      const drop = await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          productId: testProduct._id.toString(),
+          quantityToDrop: 5,
+          lotId: lot.id,
+        });
+
+      await request(app)
+        .post(`/api/v2/inventory-drops/${drop.body.drop.id}/undo`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ undoReason: "Wrong lot" });
+
+      const updatedLot = await StockLot.findById(lot.id);
+      expect(updatedLot.quantityRemaining).toBe(12);
+      expect(updatedLot.quantityDropped).toBe(0);
+    });
+
+    it("should take units from the oldest lots when no lot is given", async () => {
+      await request(app)
+        .post(`/api/v2/products/${testProduct._id}/restock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ quantity: 5, batchId: "B-2024-08" });
+
+      const drop = await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          productId: testProduct._id.toString(),
+          quantityToDrop: 14,
+          reason: "expired",
+        });
+
+      expect(drop.status).toBe(201);
+      expect(drop.body.drop.lotId).toBeNull();
+      expect(
+        drop.body.drop.lots.map((allocation) => [
+          allocation.batchId,
+          allocation.quantity,
+        ]),
+      ).toEqual([
+        ["B-2024-07", 12],
+        ["B-2024-08", 2],
+      ]);
+
+      const [oldLot, newLot] = await StockLot.find().sort({ receivedAt: 1 });
+      expect(oldLot.quantityRemaining).toBe(0);
+      expect(oldLot.quantityDropped).toBe(12);
+      expect(newLot.quantityRemaining).toBe(3);
+
+      await request(app)
+        .post(`/api/v2/inventory-drops/${drop.body.drop.id}/undo`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ undoReason: "Counted wrong" });
+
+      const restored = await StockLot.find().sort({ receivedAt: 1 });
+      expect(restored.map((l) => l.quantityRemaining)).toEqual([12, 5]);
+      expect(restored.map((l) => l.quantityDropped)).toEqual([0, 0]);
+    });
   });
 
   describe("POST /api/v2/inventory-drops/:dropId/undo", () => {
@@ -433,6 +640,49 @@ describe("Inventory Drop System Routes", () => {
       expect(response.body.summary.totalValueLost).toBeCloseTo(164.85, 2);
     });
 
+    it("should compare waste prevented with waste incurred for expired lots", async () => {
+      await StockLot.create({
+        productId: testProduct._id,
+        batchId: "EXPIRED-LOT",
+        quantityReceived: 10,
+        quantityRemaining: 0,
+        quantitySold: 7,
+        quantityDropped: 3,
+        expirationDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+        receivedBy: adminSeller._id,
+      });
+
+      const response = await request(app)
+        .get("/api/v2/inventory-drops/analytics")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.expiryOutcomes.lotCount).toBe(1);
+      expect(response.body.expiryOutcomes.wastePrevented).toBeCloseTo(76.93, 2);
+      expect(response.body.expiryOutcomes.wasteIncurred).toBeCloseTo(32.97, 2);
+    });
+
+    it("should report waste at cost when unit costs are known", async () => {
+      await InventoryDrop.create({
+        productId: testProduct._id,
+        productName: testProduct.productName,
+        quantityDropped: 4,
+        originalQuantity: 85,
+        remainingQuantity: 81,
+        pricePerUnit: 10.99,
+        costPerUnit: 3.5,
+        reason: "damaged",
+        droppedBy: adminSeller._id,
+      });
+
+      const response = await request(app)
+        .get("/api/v2/inventory-drops/analytics")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.totalCostLost).toBe(14);
+    });
+
     it("should reject analytics request from regular user", async () => {
       const response = await request(app)
         .get("/api/v2/inventory-drops/analytics")
@@ -442,6 +692,79 @@ describe("Inventory Drop System Routes", () => {
     });
   });
 
+  describe("GET /api/v2/inventory-drops/expiring", () => {
+    const hoursFromNow = (hours) =>
+      new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    beforeEach(async () => {
+      await StockLot.create([
+        {
+          productId: testProduct._id,
+          batchId: "SOON",
+          quantityReceived: 10,
+          quantityRemaining: 4,
+          expirationDate: hoursFromNow(12),
+          receivedBy: adminSeller._id,
+        },
+        {
+          productId: testProduct._id,
+          batchId: "LATER",
+          quantityReceived: 10,
+          quantityRemaining: 10,
+          expirationDate: hoursFromNow(24 * 7),
+          receivedBy: adminSeller._id,
+        },
+        {
+          productId: testProduct._id,
+          batchId: "GONE",
+          quantityReceived: 10,
+          quantityRemaining: 0,
+          expirationDate: hoursFromNow(6),
+          receivedBy: adminSeller._id,
+        },
+      ]);
+    });
+
+    it("should list lots expiring within the window with value at risk", async () => {
+      const response = await request(app)
+        .get("/api/v2/inventory-drops/expiring?hours=24")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.lots).toHaveLength(1);
+      expect(response.body.lots[0].batchId).toBe("SOON");
+      expect(response.body.lots[0].expired).toBe(false);
+      expect(response.body.summary.totalQuantity).toBe(4);
+      expect(response.body.summary.totalValueAtRisk).toBeCloseTo(43.96, 2);
+    });
+
+    it("should default to a 48-hour window", async () => {
+      const response = await request(app)
+        .get("/api/v2/inventory-drops/expiring")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.window.hours).toBe(48);
+      expect(response.body.lots.map((lot) => lot.batchId)).toEqual(["SOON"]);
+    });
+
+    it("should reject an invalid window", async () => {
+      const response = await request(app)
+        .get("/api/v2/inventory-drops/expiring?hours=0")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should reject request from regular user", async () => {
+      const response = await request(app)
+        .get("/api/v2/inventory-drops/expiring")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe("GET /api/v2/inventory-drops/:dropId", () => {
     it("should return drop details by ID", async () => {
       const drop = await InventoryDrop.create({
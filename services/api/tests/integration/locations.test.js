@@ -0,0 +1,408 @@
+/**
+ * Locations Integration Tests
+ * Tests per-location stock, seller locations, transfers and location reporting
+ */
+import request from "supertest";
+import app from "../../testApp.js";
+import Seller from "../../models/Seller.js";
+import Product from "../../models/Product.js";
+import Customer from "../../models/Customer.js";
+import StockLot from "../../models/StockLot.js";
+import StockMovement from "../../models/StockMovement.js";
+
+describe("Locations and Transfers", () => {
+  let adminToken;
+  let userToken;
+  let user;
+  let product;
+  let customer;
+  let kitchen;
+  let stall;
+
+  const createSeller = (email, role) =>
+    Seller.create({
+      firstName: "Location",
+      lastName: role,
+      email,
+      password: "TestPassword123!",
+      dateOfBirth: new Date("1990-01-01"),
+      role,
+      createdBy: testUtils.generateObjectId(),
+    });
+
+  const login = async (email) =>
+    (
+      await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email, password: "TestPassword123!" })
+    ).body.token;
+
+  const createLocation = async (body) =>
+    (
+      await request(app)
+        .post("/api/v2/locations")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(body)
+    ).body;
+
+  const restock = (locationId, quantity, lot = {}) =>
+    request(app)
+      .post(`/api/v2/products/${product._id}/restock`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ quantity, locationId, ...lot });
+
+  const assignLocations = (locationIds) =>
+    request(app)
+      .put(`/api/v2/sellers/${user._id}/locations`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ locationIds });
+
+  const sell = (quantity) =>
+    request(app)
+      .post("/api/v2/sales")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        customerId: customer._id.toString(),
+        products: [{ productId: product._id.toString(), quantity }],
+      });
+
+  const sendTransfer = (body) =>
+    request(app)
+      .post("/api/v2/transfers")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+
+  beforeEach(async () => {
+    await createSeller("admin.locations@test.com", "admin");
+    user = await createSeller("user.locations@test.com", "user");
+    adminToken = await login("admin.locations@test.com");
+    userToken = await login("user.locations@test.com");
+
+    customer = await Customer.create({
+      firstName: "Location",
+      lastName: "Customer",
+      phoneNumber: "3001234567",
+    });
+    product = await Product.create({
+      productName: "Empanada",
+      price: 2,
+      count: 10,
+    });
+
+    kitchen = await createLocation({
+      name: "Central Kitchen",
+      code: "kit",
+      type: "kitchen",
+    });
+    stall = await createLocation({ name: "Plaza Stall", type: "stall" });
+  });
+
+  describe("Locations", () => {
+    it("should create locations with an uppercase code", async () => {
+      expect(kitchen.code).toBe("KIT");
+      expect(stall.type).toBe("stall");
+
+      const response = await request(app)
+        .get("/api/v2/locations")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map((location) => location.name)).toEqual([
+        "Central Kitchen",
+        "Plaza Stall",
+      ]);
+    });
+
+    it("should reject duplicate names", async () => {
+      const response = await request(app)
+        .post("/api/v2/locations")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Plaza Stall" });
+
+      expect(response.status).toBe(409);
+    });
+
+    it("should only let locations:write create locations", async () => {
+      const response = await request(app)
+        .post("/api/v2/locations")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ name: "Night Market" });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should receive stock at a location", async () => {
+      const response = await restock(stall.id, 20);
+
+      expect(response.status).toBe(201);
+      expect(response.body.updatedProduct.newQuantity).toBe(30);
+      expect(response.body.updatedProduct.locationQuantity).toBe(20);
+
+      const stock = await request(app)
+        .get(`/api/v2/locations/${stall.id}/stock`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(stock.body.products[0].count).toBe(20);
+      expect(stock.body.totals.count).toBe(20);
+    });
+
+    it("should not deactivate a location that still holds stock", async () => {
+      await restock(stall.id, 5);
+
+      const response = await request(app)
+        .patch(`/api/v2/locations/${stall.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ isActive: false });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe("Selling from a location", () => {
+    it("should set the current location when a single one is assigned", async () => {
+      const response = await assignLocations([stall.id]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.currentLocation).toBe(stall.id);
+    });
+
+    it("should require choosing a location among several", async () => {
+      await restock(stall.id, 5);
+      await assignLocations([kitchen.id, stall.id]);
+
+      const refused = await sell(1);
+      expect(refused.status).toBe(400);
+      expect(refused.body.message).toMatch(/current location/);
+
+      const choose = await request(app)
+        .put("/api/v2/auth/me/location")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ locationId: stall.id });
+      expect(choose.status).toBe(200);
+
+      const sale = await sell(1);
+      expect(sale.status).toBe(201);
+      expect(sale.body.locationId).toBe(stall.id);
+    });
+
+    it("should not let sellers choose a location they are not assigned to", async () => {
+      await assignLocations([stall.id]);
+
+      const response = await request(app)
+        .put("/api/v2/auth/me/location")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ locationId: kitchen.id });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should take sold units from the seller's location only", async () => {
+      await restock(stall.id, 5);
+      await assignLocations([stall.id]);
+
+      const response = await sell(3);
+
+      expect(response.status).toBe(201);
+      const updated = await Product.findById(product._id);
+      expect(updated.count).toBe(12);
+      expect(updated.getLocationCount(stall.id)).toBe(2);
+      expect(updated.unassignedCount).toBe(10);
+
+      const movement = await StockMovement.findOne({ type: "sale" });
+      expect(movement.locationId.toString()).toBe(stall.id);
+    });
+
+    it("should take sold units from lots at the seller's location", async () => {
+      await restock(undefined, 5, { batchId: "B-MAIN" });
+      await restock(stall.id, 5, { batchId: "B-STALL" });
+      await assignLocations([stall.id]);
+
+      const response = await sell(3);
+
+      expect(response.status).toBe(201);
+      expect(response.body.products[0].lots).toEqual([
+        expect.objectContaining({ batchId: "B-STALL", quantity: 3 }),
+      ]);
+      const main = await StockLot.findOne({ batchId: "B-MAIN" });
+      expect(main.locationId).toBeNull();
+      expect(main.quantityRemaining).toBe(5);
+    });
+
+    it("should refuse to sell more than the location holds", async () => {
+      await restock(stall.id, 2);
+      await assignLocations([stall.id]);
+
+      const response = await sell(5);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/Available: 2/);
+    });
+
+    it("should keep selling unassigned stock for sellers without locations", async () => {
+      const response = await sell(4);
+
+      expect(response.status).toBe(201);
+      expect(response.body.locationId).toBeNull();
+      expect((await Product.findById(product._id)).count).toBe(6);
+    });
+  });
+
+  describe("Transfers", () => {
+    it("should move stock through transit to the destination", async () => {
+      await restock(kitchen.id, 20);
+
+      const sent = await sendTransfer({
+        fromLocationId: kitchen.id,
+        toLocationId: stall.id,
+        items: [{ productId: product._id.toString(), quantity: 8 }],
+      });
+      expect(sent.status).toBe(201);
+      expect(sent.body.status).toBe("in_transit");
+      expect(sent.body.items[0].productName).toBe("Empanada");
+
+      let updated = await Product.findById(product._id);
+      expect(updated.count).toBe(22);
+      expect(updated.getLocationCount(kitchen.id)).toBe(12);
+      expect(updated.getLocationCount(stall.id)).toBe(0);
+
+      const stock = await request(app)
+        .get(`/api/v2/locations/${stall.id}/stock`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(stock.body.products[0].inTransit).toBe(8);
+
+      await assignLocations([stall.id]);
+      const received = await request(app)
+        .post(`/api/v2/transfers/${sent.body.id}/receive`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(received.status).toBe(200);
+      expect(received.body.status).toBe("received");
+
+      updated = await Product.findById(product._id);
+      expect(updated.count).toBe(30);
+      expect(updated.getLocationCount(stall.id)).toBe(8);
+
+      const again = await request(app)
+        .post(`/api/v2/transfers/${sent.body.id}/receive`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(again.status).toBe(409);
+    });
+
+    it("should move the lots along with the stock", async () => {
+      await restock(kitchen.id, 20, { batchId: "B-KIT", unitCost: 1.5 });
+
+      const sent = await sendTransfer({
+        fromLocationId: kitchen.id,
+        toLocationId: stall.id,
+        items: [{ productId: product._id.toString(), quantity: 8 }],
+      });
+      expect(sent.body.items[0].lots).toEqual([
+        expect.objectContaining({ batchId: "B-KIT", quantity: 8 }),
+      ]);
+
+      const source = await StockLot.findOne({ batchId: "B-KIT" });
+      expect(source.quantityRemaining).toBe(12);
+      expect(source.quantityTransferred).toBe(8);
+
+      await request(app)
+        .post(`/api/v2/transfers/${sent.body.id}/receive`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      const moved = await StockLot.findOne({
+        batchId: "B-KIT",
+        locationId: stall.id,
+      });
+      expect(moved.quantityReceived).toBe(8);
+      expect(moved.quantityRemaining).toBe(8);
+      expect(moved.unitCost).toBe(1.5);
+      expect(moved.receivedAt).toEqual(source.receivedAt);
+    });
+
+    it("should put cancelled units back into the source lots", async () => {
+      await restock(kitchen.id, 20, { batchId: "B-KIT" });
+      const sent = await sendTransfer({
+        fromLocationId: kitchen.id,
+        toLocationId: stall.id,
+        items: [{ productId: product._id.toString(), quantity: 8 }],
+      });
+
+      await request(app)
+        .post(`/api/v2/transfers/${sent.body.id}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Van broke down" });
+
+      const lots = await StockLot.find({ batchId: "B-KIT" });
+      expect(lots).toHaveLength(1);
+      expect(lots[0].quantityRemaining).toBe(20);
+      expect(lots[0].quantityTransferred).toBe(0);
+    });
+
+    it("should only let sellers receive at their own locations", async () => {
+      const sent = await sendTransfer({
+        toLocationId: stall.id,
+        items: [{ productId: product._id.toString(), quantity: 2 }],
+      });
+
+      const response = await request(app)
+        .post(`/api/v2/transfers/${sent.body.id}/receive`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should return stock to the source on cancel", async () => {
+      const sent = await sendTransfer({
+        toLocationId: stall.id,
+        items: [{ productId: product._id.toString(), quantity: 4 }],
+      });
+      expect((await Product.findById(product._id)).count).toBe(6);
+
+      const response = await request(app)
+        .post(`/api/v2/transfers/${sent.body.id}/cancel`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Van broke down" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe("cancelled");
+      const updated = await Product.findById(product._id);
+      expect(updated.count).toBe(10);
+      expect(updated.unassignedCount).toBe(10);
+    });
+
+    it("should refuse to send more than the source holds", async () => {
+      const response = await sendTransfer({
+        fromLocationId: kitchen.id,
+        toLocationId: stall.id,
+        items: [{ productId: product._id.toString(), quantity: 1 }],
+      });
+
+      expect(response.status).toBe(400);
+      expect(await StockMovement.countDocuments({ type: "transfer_out" })).toBe(
+        0,
+      );
+    });
+  });
+
+  describe("Reporting", () => {
+    it("should filter sales analytics by location", async () => {
+      await sell(2);
+      await restock(stall.id, 5);
+      await assignLocations([stall.id]);
+      await sell(1);
+
+      const response = await request(app)
+        .get(`/api/v2/reporting/sales/analytics?locationId=${stall.id}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.totalSales).toBe(1);
+      expect(response.body.period.locationId).toBe(stall.id);
+    });
+
+    it("should reject an invalid location filter", async () => {
+      const response = await request(app)
+        .get("/api/v2/reporting/sales/analytics?locationId=nowhere")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
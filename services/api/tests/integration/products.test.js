@@ -3,9 +3,14 @@
  * Tests all product management endpoints
  */
 import request from "supertest";
+import mongoose from "mongoose";
 import app from "../../testApp.js";
 import Product from "../../models/Product.js";
 import Seller from "../../models/Seller.js";
+import Customer from "../../models/Customer.js";
+import StockMovement from "../../models/StockMovement.js";
+import StockLot from "../../models/StockLot.js";
+import Notification from "../../models/Notification.js";
 
 describe("Product Management Routes", () => {
   let authToken;
@@ -171,6 +176,475 @@ describe("Product Management Routes", () => {
     });
   });
 
+  describe("Categories, SKUs and barcodes", () => {
+    beforeEach(async () => {
+      await Product.create([
+        {
+          productName: "Turkey Sandwich",
+          price: 8.99,
+          count: 20,
+          category: "food",
+          sku: "SND-TURKEY",
+        },
+        {
+          productName: "Lemonade",
+          price: 3.5,
+          count: 40,
+          category: "beverage",
+          barcode: "7702004003508",
+        },
+      ]);
+    });
+
+    it("should filter products by category", async () => {
+      const response = await request(app)
+        .get("/api/v2/products")
+        .query({ category: "beverage" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].productName).toBe("Lemonade");
+    });
+
+    it("should reject unknown categories in the filter", async () => {
+      const response = await request(app)
+        .get("/api/v2/products")
+        .query({ category: "furniture" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should look up a product by barcode", async () => {
+      const response = await request(app)
+        .get("/api/v2/products/by-code/7702004003508")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.productName).toBe("Lemonade");
+    });
+
+    it("should look up a product by SKU regardless of case", async () => {
+      const response = await request(app)
+        .get("/api/v2/products/by-code/snd-turkey")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.productName).toBe("Turkey Sandwich");
+    });
+
+    it("should return 404 for unknown codes", async () => {
+      const response = await request(app)
+        .get("/api/v2/products/by-code/0000000000000")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should reject duplicate SKUs", async () => {
+      const response = await request(app)
+        .post("/api/v2/products")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          productName: "Another Sandwich",
+          price: 7.5,
+          count: 10,
+          sku: "snd-turkey",
+        });
+
+      expect(response.status).toBe(409);
+    });
+
+    it("should reject invalid barcodes", async () => {
+      const response = await request(app)
+        .post("/api/v2/products")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          productName: "Orange Juice",
+          price: 4,
+          count: 10,
+          barcode: "7702004003509",
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/v2/products/:id/restock", () => {
+    let product;
+
+    beforeEach(async () => {
+      product = await Product.create({
+        productName: "Arepa",
+        price: 3,
+        count: 5,
+      });
+    });
+
+    it("should create a lot and add its quantity to the count", async () => {
+      const response = await request(app)
+        .post(`/api/v2/products/${product._id}/restock`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          quantity: 24,
+          batchId: "B-1024",
+          productionDate: "2025-06-01",
+          expirationDate: "2025-06-30",
+          unitCost: 1.8,
+          supplier: "Panaderia Central",
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.lot.batchId).toBe("B-1024");
+      expect(response.body.lot.quantityReceived).toBe(24);
+      expect(response.body.lot.quantityRemaining).toBe(24);
+      expect(response.body.lot.unitCost).toBe(1.8);
+      expect(response.body.updatedProduct.previousQuantity).toBe(5);
+      expect(response.body.updatedProduct.newQuantity).toBe(29);
+
+      const movement = await StockMovement.findOne({
+        productId: product._id,
+        type: "restock",
+      });
+      expect(movement.delta).toBe(24);
+      expect(movement.referenceType).toBe("StockLot");
+    });
+
+    it("should generate a batch ID when none is given", async () => {
+      const response = await request(app)
+        .post(`/api/v2/products/${product._id}/restock`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ quantity: 10 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.lot.batchId).toMatch(/^LOT-\d{8}-[A-Z0-9]+$/);
+    });
+
+    it("should reject receiving the same batch twice", async () => {
+      await StockLot.create({
+        productId: product._id,
+        batchId: "B-1024",
+        quantityReceived: 5,
+        quantityRemaining: 5,
+        receivedBy: testSeller._id,
+      });
+
+      const response = await request(app)
+        .post(`/api/v2/products/${product._id}/restock`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ quantity: 10, batchId: "B-1024" });
+
+      expect(response.status).toBe(409);
+    });
+
+    it("should reject an expiration date before the production date", async () => {
+      const response = await request(app)
+        .post(`/api/v2/products/${product._id}/restock`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          quantity: 10,
+          productionDate: "2025-06-10",
+          expirationDate: "2025-06-01",
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 404 for non-existent product", async () => {
+      const response = await request(app)
+        .post(`/api/v2/products/${testUtils.generateObjectId()}/restock`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ quantity: 10 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("Stock movements", () => {
+    let productId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post("/api/v2/products")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ productName: "Empanada", price: 2.5, count: 20 });
+      productId = response.body.id;
+    });
+
+    it("should record the initial stock when a product is created", async () => {
+      const movements = await StockMovement.find({ productId });
+
+      expect(movements).toHaveLength(1);
+      expect(movements[0].type).toBe("restock");
+      expect(movements[0].delta).toBe(20);
+      expect(movements[0].resultingCount).toBe(20);
+    });
+
+    it("should record manual count changes as adjustments", async () => {
+      await request(app)
+        .patch(`/api/v2/products/${productId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ count: 17, adjustmentNote: "Recount after delivery" });
+
+      const response = await request(app)
+        .get(`/api/v2/products/${productId}/movements`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.product.count).toBe(17);
+      expect(response.body.movements[0].type).toBe("manual_adjustment");
+      expect(response.body.movements[0].delta).toBe(-3);
+      expect(response.body.movements[0].note).toBe("Recount after delivery");
+      expect(response.body.movements[0].actor.firstName).toBe("Generic");
+    });
+
+    it("should not record a movement when the count is unchanged", async () => {
+      await request(app)
+        .patch(`/api/v2/products/${productId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ price: 3 });
+
+      expect(await StockMovement.countDocuments({ productId })).toBe(1);
+    });
+
+    it("should record sales with a reference to the sale", async () => {
+      const customer = await Customer.create({
+        firstName: "Test",
+        lastName: "Customer",
+        phoneNumber: "3001234567",
+      });
+      const sale = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: customer._id.toString(),
+          products: [{ productId, quantity: 4 }],
+        });
+
+      const response = await request(app)
+        .get(`/api/v2/products/${productId}/movements`)
+        .query({ type: "sale" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.movements).toHaveLength(1);
+      expect(response.body.movements[0].delta).toBe(-4);
+      expect(response.body.movements[0].resultingCount).toBe(16);
+      expect(response.body.movements[0].referenceType).toBe("Sale");
+      expect(response.body.movements[0].referenceId).toBe(sale.body.id);
+    });
+
+    it("should flag counts that drift from the ledger", async () => {
+      await Seller.create({
+        firstName: "Admin",
+        lastName: "Seller",
+        email: "admin@bitetrack.io",
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1985-01-01"),
+        role: "admin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const loginResponse = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "admin@bitetrack.io", password: "TestPassword123!" });
+      const adminToken = loginResponse.body.token;
+
+      let response = await request(app)
+        .get("/api/v2/products/reconciliation")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.ok).toBe(1);
+      expect(response.body.summary.mismatches).toBe(0);
+
+      // Change the count behind the ledger's back
+      await Product.collection.updateOne(
+        { _id: new mongoose.Types.ObjectId(productId) },
+        { $set: { count: 12 } },
+      );
+
+      response = await request(app)
+        .get("/api/v2/products/reconciliation")
+        .query({ onlyMismatches: "true" })
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.body.summary.mismatches).toBe(1);
+      expect(response.body.products[0].replayedCount).toBe(20);
+      expect(response.body.products[0].discrepancy).toBe(-8);
+    });
+
+    it("should restrict reconciliation to admins", async () => {
+      const response = await request(app)
+        .get("/api/v2/products/reconciliation")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("Low stock and reorder alerts", () => {
+    let croissant;
+
+    beforeEach(async () => {
+      croissant = await Product.create({
+        productName: "Croissant",
+        price: 3,
+        count: 6,
+        reorderPoint: 5,
+        reorderQuantity: 24,
+      });
+      await Product.create([
+        { productName: "Muffin", price: 2.5, count: 2, reorderPoint: 4 },
+        { productName: "Bagel", price: 2, count: 50, reorderPoint: 10 },
+        { productName: "Scone", price: 2, count: 0 },
+      ]);
+    });
+
+    it("should list only products at or below their reorder point", async () => {
+      await Product.updateOne({ _id: croissant._id }, { count: 5 });
+
+      const response = await request(app)
+        .get("/api/v2/products/low-stock")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.products.map((p) => p.productName)).toEqual([
+        "Muffin",
+        "Croissant",
+      ]);
+      expect(response.body.products[0].suggestedOrderQuantity).toBe(3);
+      expect(response.body.products[1].suggestedOrderQuantity).toBe(24);
+    });
+
+    it("should reject a negative reorder point", async () => {
+      const response = await request(app)
+        .patch(`/api/v2/products/${croissant._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ reorderPoint: -1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should raise a notification when a sale crosses the reorder point", async () => {
+      const customer = await Customer.create({
+        firstName: "Alert",
+        lastName: "Customer",
+        phoneNumber: "3009998877",
+      });
+
+      const sale = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: customer._id.toString(),
+          products: [{ productId: croissant._id.toString(), quantity: 2 }],
+        });
+      expect(sale.status).toBe(201);
+
+      const response = await request(app)
+        .get("/api/v2/notifications?unreadOnly=true")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.unreadCount).toBe(1);
+      expect(response.body.notifications[0].type).toBe("low_stock");
+      expect(response.body.notifications[0].productId).toBe(
+        croissant._id.toString(),
+      );
+      expect(response.body.notifications[0].data.count).toBe(4);
+    });
+
+    it("should not alert again while the product stays below the threshold", async () => {
+      await Product.updateOne({ _id: croissant._id }, { count: 4 });
+      const customer = await Customer.create({
+        firstName: "Alert",
+        lastName: "Customer",
+        phoneNumber: "3009998877",
+      });
+
+      await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: customer._id.toString(),
+          products: [{ productId: croissant._id.toString(), quantity: 1 }],
+        });
+
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it("should mark a notification as read", async () => {
+      const notification = await Notification.create({
+        type: "low_stock",
+        title: "Low stock: Croissant",
+        message: "Croissant is down to 4 units (reorder point: 5)",
+        productId: croissant._id,
+      });
+
+      const response = await request(app)
+        .patch(`/api/v2/notifications/${notification._id}/read`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.isRead).toBe(true);
+      expect(response.body.readBy).toBe(testSeller._id.toString());
+    });
+  });
+
+  describe("Unit costs", () => {
+    it("should start the cost history when a product is created with a cost", async () => {
+      const response = await request(app)
+        .post("/api/v2/products")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ productName: "Empanada", price: 4, count: 10, unitCost: 1.5 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.unitCost).toBe(1.5);
+      expect(response.body.costHistory).toHaveLength(1);
+      expect(response.body.costHistory[0].source).toBe("manual");
+    });
+
+    it("should append to the cost history when the cost changes", async () => {
+      const product = await Product.create({
+        productName: "Empanada",
+        price: 4,
+        count: 10,
+        unitCost: 1.5,
+        costHistory: [{ unitCost: 1.5 }],
+      });
+
+      const response = await request(app)
+        .patch(`/api/v2/products/${product._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ unitCost: 1.75 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.unitCost).toBe(1.75);
+      expect(response.body.costHistory.map((h) => h.unitCost)).toEqual([
+        1.5, 1.75,
+      ]);
+    });
+
+    it("should take the unit cost from a restock delivery", async () => {
+      const product = await Product.create({
+        productName: "Empanada",
+        price: 4,
+        count: 0,
+      });
+
+      await request(app)
+        .post(`/api/v2/products/${product._id}/restock`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ quantity: 10, unitCost: 1.6 });
+
+      const updated = await Product.findById(product._id);
+      expect(updated.unitCost).toBe(1.6);
+      expect(updated.costHistory[0].source).toBe("restock");
+    });
+  });
+
   describe("PATCH /api/v2/products/:id", () => {
     it("should update product price", async () => {
       // Arrange - Create a product
@@ -274,7 +748,40 @@ describe("Product Management Routes", () => {
   });
 
   describe("DELETE /api/v2/products/:id", () => {
-    it("should delete existing product", async () => {
+    // Log in a freshly created seller with the given role
+    const loginAs = async (role) => {
+      await Seller.create({
+        firstName: "Role",
+        lastName: role,
+        email: `${role}@bitetrack.io`,
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1990-01-01"),
+        role,
+        createdBy: testUtils.generateObjectId(),
+      });
+      const loginResponse = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: `${role}@bitetrack.io`, password: "TestPassword123!" });
+      return loginResponse.body.token;
+    };
+
+    // Sell one unit so a sale references the product
+    const sellOne = async (product) => {
+      const customer = await Customer.create({
+        firstName: "Buyer",
+        lastName: "One",
+        phoneNumber: "3001112233",
+      });
+      await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: customer._id.toString(),
+          products: [{ productId: product._id.toString(), quantity: 1 }],
+        });
+    };
+
+    it("should soft-delete an existing product", async () => {
       // Arrange
       const product = await Product.create({
         productName: "To Delete",
@@ -291,9 +798,147 @@ describe("Product Management Routes", () => {
       // Assert
       expect(response.status).toBe(204);
 
-      // Verify deletion
+      // The document stays, marked as deleted
       const deleted = await Product.findById(product._id);
-      expect(deleted).toBeNull();
+      expect(deleted.deletedAt).toBeInstanceOf(Date);
+      expect(deleted.deletedBy.toString()).toBe(testSeller._id.toString());
+    });
+
+    it("should hide deleted products from lists and new sales", async () => {
+      const product = await Product.create({
+        productName: "Retired",
+        price: 2,
+        count: 10,
+        barcode: "7702004003508",
+      });
+      await request(app)
+        .delete(`/api/v2/products/${product._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const list = await request(app)
+        .get("/api/v2/products")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(list.body).toHaveLength(0);
+
+      const scan = await request(app)
+        .get("/api/v2/products/by-code/7702004003508")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(scan.status).toBe(404);
+
+      const customer = await Customer.create({
+        firstName: "Buyer",
+        lastName: "Two",
+        phoneNumber: "3002223344",
+      });
+      const sale = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: customer._id.toString(),
+          products: [{ productId: product._id.toString(), quantity: 1 }],
+        });
+      expect(sale.status).toBe(404);
+    });
+
+    it("should list deleted products for admins only", async () => {
+      const product = await Product.create({
+        productName: "Retired",
+        price: 2,
+        count: 10,
+      });
+      await request(app)
+        .delete(`/api/v2/products/${product._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const asUser = await request(app)
+        .get("/api/v2/products?includeDeleted=true")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(asUser.status).toBe(403);
+
+      const adminToken = await loginAs("admin");
+      const asAdmin = await request(app)
+        .get("/api/v2/products?includeDeleted=true")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(asAdmin.status).toBe(200);
+      expect(asAdmin.body).toHaveLength(1);
+      expect(asAdmin.body[0].deletedAt).toBeTruthy();
+    });
+
+    it("should restore a deleted product", async () => {
+      const product = await Product.create({
+        productName: "Back Again",
+        price: 2,
+        count: 10,
+      });
+      await request(app)
+        .delete(`/api/v2/products/${product._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const asUser = await request(app)
+        .post(`/api/v2/products/${product._id}/restore`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(asUser.status).toBe(403);
+
+      const adminToken = await loginAs("admin");
+      const response = await request(app)
+        .post(`/api/v2/products/${product._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.deletedAt).toBeNull();
+
+      const again = await request(app)
+        .post(`/api/v2/products/${product._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(again.status).toBe(409);
+    });
+
+    it("should permanently delete an unsold product for admins", async () => {
+      const product = await Product.create({
+        productName: "Never Sold",
+        price: 2,
+        count: 10,
+      });
+      const adminToken = await loginAs("admin");
+
+      const asUser = await request(app)
+        .delete(`/api/v2/products/${product._id}?permanent=true`)
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(asUser.status).toBe(403);
+
+      const response = await request(app)
+        .delete(`/api/v2/products/${product._id}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(response.status).toBe(204);
+      expect(await Product.findById(product._id)).toBeNull();
+    });
+
+    it("should refuse to permanently delete a sold product unless a superadmin forces it", async () => {
+      const product = await Product.create({
+        productName: "Sold Once",
+        price: 2,
+        count: 10,
+      });
+      await sellOne(product);
+      const adminToken = await loginAs("admin");
+      const superadminToken = await loginAs("superadmin");
+
+      const refused = await request(app)
+        .delete(`/api/v2/products/${product._id}?permanent=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(refused.status).toBe(409);
+      expect(refused.body.details.saleCount).toBe(1);
+
+      const adminForce = await request(app)
+        .delete(`/api/v2/products/${product._id}?permanent=true&force=true`)
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(adminForce.status).toBe(403);
+
+      const forced = await request(app)
+        .delete(`/api/v2/products/${product._id}?permanent=true&force=true`)
+        .set("Authorization", `Bearer ${superadminToken}`);
+      expect(forced.status).toBe(204);
+      expect(await Product.findById(product._id)).toBeNull();
     });
 
     it("should return 404 for non-existent product", async () => {
@@ -0,0 +1,171 @@
+/**
+ * Role Permission Integration Tests
+ * Tests permission checks on routes and superadmin editing of role definitions
+ */
+import request from "supertest";
+import app from "../../testApp.js";
+import Seller from "../../models/Seller.js";
+import Product from "../../models/Product.js";
+import { DEFAULT_ROLE_PERMISSIONS } from "../../utils/permissions.js";
+
+describe("Role Permissions", () => {
+  let userToken;
+  let adminToken;
+  let superToken;
+
+  const createSeller = (email, role) =>
+    Seller.create({
+      firstName: "Role",
+      lastName: role,
+      email,
+      password: "TestPassword123!",
+      dateOfBirth: new Date("1990-01-01"),
+      role,
+      createdBy: testUtils.generateObjectId(),
+    });
+
+  const login = async (email) =>
+    (
+      await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email, password: "TestPassword123!" })
+    ).body.token;
+
+  const setPermissions = (role, permissions) =>
+    request(app)
+      .put(`/api/v2/roles/${role}/permissions`)
+      .set("Authorization", `Bearer ${superToken}`)
+      .send({ permissions });
+
+  beforeEach(async () => {
+    await createSeller("user.roles@test.com", "user");
+    await createSeller("admin.roles@test.com", "admin");
+    await createSeller("super.roles@test.com", "superadmin");
+    userToken = await login("user.roles@test.com");
+    adminToken = await login("admin.roles@test.com");
+    superToken = await login("super.roles@test.com");
+  });
+
+  describe("GET /api/v2/auth/me/permissions", () => {
+    it("should return the built-in permissions of the seller's role", async () => {
+      const response = await request(app)
+        .get("/api/v2/auth/me/permissions")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.role).toBe("user");
+      expect(response.body.permissions).toEqual(DEFAULT_ROLE_PERMISSIONS.user);
+      expect(response.body.permissions).not.toContain("sales:void");
+    });
+  });
+
+  describe("Route checks", () => {
+    it("should report the missing permission on 403", async () => {
+      const response = await request(app)
+        .get("/api/v2/audit")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.details.requiredPermissions).toEqual(["audit:read"]);
+    });
+
+    it("should apply an edited role on the next request", async () => {
+      const before = await request(app)
+        .get("/api/v2/reporting/sales/analytics")
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(before.status).toBe(200);
+
+      const edit = await setPermissions(
+        "user",
+        DEFAULT_ROLE_PERMISSIONS.user.filter(
+          (permission) => permission !== "reports:read",
+        ),
+      );
+      expect(edit.status).toBe(200);
+      expect(edit.body.customized).toBe(true);
+
+      const after = await request(app)
+        .get("/api/v2/reporting/sales/analytics")
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(after.status).toBe(403);
+    });
+
+    it("should only let drops:undo:own undo the seller's own drops", async () => {
+      await setPermissions("user", [
+        ...DEFAULT_ROLE_PERMISSIONS.user,
+        "drops:create",
+        "drops:undo:own",
+      ]);
+      const product = await Product.create({
+        productName: "Role Test Product",
+        price: 5,
+        count: 20,
+      });
+      const drop = await request(app)
+        .post("/api/v2/inventory-drops")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          productId: product._id.toString(),
+          quantityToDrop: 2,
+          reason: "expired",
+        });
+
+      const response = await request(app)
+        .post(`/api/v2/inventory-drops/${drop.body.drop.id}/undo`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ undoReason: "Not mine" });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("Role management", () => {
+    it("should list roles and the permission catalogue", async () => {
+      const response = await request(app)
+        .get("/api/v2/roles")
+        .set("Authorization", `Bearer ${superToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.roles.map((role) => role.name)).toEqual([
+        "user",
+        "admin",
+        "superadmin",
+      ]);
+      expect(response.body.permissions).toContainEqual(
+        expect.objectContaining({ name: "roles:manage" }),
+      );
+    });
+
+    it("should be limited to roles:manage", async () => {
+      const response = await request(app)
+        .get("/api/v2/roles")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should reject unknown permissions", async () => {
+      const response = await setPermissions("user", ["sales:teleport"]);
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should not allow editing the superadmin role", async () => {
+      const response = await setPermissions("superadmin", ["sales:read"]);
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should restore the defaults on reset", async () => {
+      await setPermissions("admin", ["sales:read"]);
+
+      const response = await request(app)
+        .delete("/api/v2/roles/admin/permissions")
+        .set("Authorization", `Bearer ${superToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.customized).toBe(false);
+      expect(response.body.permissions).toEqual(DEFAULT_ROLE_PERMISSIONS.admin);
+    });
+  });
+});
@@ -8,6 +8,8 @@ import Sale from "../../models/Sale.js";
 import Product from "../../models/Product.js";
 import Customer from "../../models/Customer.js";
 import Seller from "../../models/Seller.js";
+import StockLot from "../../models/StockLot.js";
+import Promotion from "../../models/Promotion.js";
 
 describe("Sales Transaction Routes", () => {
   let authToken;
@@ -380,6 +382,1420 @@ describe("Sales Transaction Routes", () => {
     });
   });
 
+  describe("Payment ledger", () => {
+    let sale;
+
+    beforeEach(async () => {
+      sale = await Sale.create({
+        customerId: testCustomer._id,
+        sellerId: testSeller._id,
+        products: [
+          { productId: testProduct._id, quantity: 2, priceAtSale: 15 },
+        ],
+        totalAmount: 30,
+      });
+    });
+
+    it("should record the upfront payment when creating a sale", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 1 }],
+          amountPaid: 10,
+          paymentMethod: "cash",
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.amountPaid).toBe(10);
+      expect(response.body.payments).toHaveLength(1);
+      expect(response.body.payments[0].amount).toBe(10);
+      expect(response.body.payments[0].method).toBe("cash");
+    });
+
+    it("should append instalments and settle when fully paid", async () => {
+      const first = await request(app)
+        .post(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 10, method: "cash" });
+
+      expect(first.status).toBe(201);
+      expect(first.body.sale.amountPaid).toBe(10);
+      expect(first.body.sale.balanceDue).toBe(20);
+      expect(first.body.sale.settled).toBe(false);
+
+      await request(app)
+        .post(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 5, method: "card", note: "Second instalment" });
+
+      const last = await request(app)
+        .post(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 15 });
+
+      expect(last.status).toBe(201);
+      expect(last.body.sale.settled).toBe(true);
+      expect(last.body.sale.settledAt).toBeTruthy();
+
+      const updated = await Sale.findById(sale._id);
+      expect(updated.payments).toHaveLength(3);
+      expect(updated.amountPaid).toBe(30);
+      expect(updated.payments[1].note).toBe("Second instalment");
+      expect(updated.payments[0].receivedBy.toString()).toBe(
+        testSeller._id.toString(),
+      );
+    });
+
+    it("should reject payments exceeding the balance due", async () => {
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 31 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain("exceeds the balance due");
+    });
+
+    it("should not let concurrent payments overpay a sale", async () => {
+      const responses = await Promise.all(
+        [20, 20].map((amount) =>
+          request(app)
+            .post(`/api/v2/sales/${sale._id}/payments`)
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({ amount, method: "card" }),
+        ),
+      );
+
+      expect(responses.map((r) => r.status).sort()).toEqual([201, 400]);
+      const updated = await Sale.findById(sale._id);
+      expect(updated.amountPaid).toBe(20);
+      expect(updated.payments).toHaveLength(1);
+    });
+
+    it("should reject non-positive payment amounts", async () => {
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty("details");
+    });
+
+    it("should list payments in the order they were received", async () => {
+      await request(app)
+        .post(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 12 });
+      await request(app)
+        .post(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 8 });
+
+      const response = await request(app)
+        .get(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.payments.map((p) => p.amount)).toEqual([12, 8]);
+      expect(response.body.amountPaid).toBe(20);
+      expect(response.body.balanceDue).toBe(10);
+      expect(response.body.payments[0].receivedBy.firstName).toBe("Test");
+    });
+
+    it("should keep earlier payments when settling", async () => {
+      await request(app)
+        .post(`/api/v2/sales/${sale._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 10 });
+
+      const response = await request(app)
+        .patch(`/api/v2/sales/${sale._id}/settle`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send();
+
+      expect(response.status).toBe(200);
+      expect(response.body.settled).toBe(true);
+      expect(response.body.payments).toHaveLength(2);
+      expect(response.body.payments[1].amount).toBe(20);
+    });
+  });
+
+  describe("Voids and refunds", () => {
+    let adminToken;
+    let sale;
+
+    beforeEach(async () => {
+      await Seller.create({
+        firstName: "Admin",
+        lastName: "Seller",
+        email: "admin@test.com",
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1985-01-01"),
+        role: "admin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const loginResponse = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "admin@test.com", password: "TestPassword123!" });
+      adminToken = loginResponse.body.token;
+
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 4 }],
+          amountPaid: 63.96,
+        });
+      sale = response.body;
+    });
+
+    it("should void a sale and restore inventory", async () => {
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/void`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Entered by mistake" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sale.status).toBe("voided");
+      expect(response.body.sale.amountPaid).toBe(0);
+      expect(response.body.sale.voidAmountReturned).toBe(63.96);
+      expect(response.body.restoredProducts[0].quantityRestored).toBe(4);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.count).toBe(100);
+    });
+
+    it("should reject voiding a sale twice", async () => {
+      await request(app)
+        .post(`/api/v2/sales/${sale.id}/void`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Entered by mistake" });
+
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/void`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Again" });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should record a partial refund and restock the returned units", async () => {
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/refund`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          reason: "Damaged packaging",
+          items: [{ productId: testProduct._id.toString(), quantity: 1 }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.refund.amount).toBe(15.99);
+      expect(response.body.refund.amountReturned).toBe(15.99);
+      expect(response.body.sale.status).toBe("partially_refunded");
+      expect(response.body.sale.refundedAmount).toBe(15.99);
+      expect(response.body.sale.amountPaid).toBe(47.97);
+      expect(response.body.sale.products[0].refundedQuantity).toBe(1);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.count).toBe(97);
+    });
+
+    it("should reject refunding more units than remain", async () => {
+      await request(app)
+        .post(`/api/v2/sales/${sale.id}/refund`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          reason: "Customer returned",
+          items: [{ productId: testProduct._id.toString(), quantity: 3 }],
+        });
+
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/refund`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          reason: "Customer returned",
+          items: [{ productId: testProduct._id.toString(), quantity: 2 }],
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should reject a refund listing the same product twice", async () => {
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/refund`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          reason: "Customer returned",
+          items: [
+            { productId: testProduct._id.toString(), quantity: 3 },
+            { productId: testProduct._id.toString(), quantity: 3 },
+          ],
+        });
+
+      expect(response.status).toBe(400);
+      const product = await Product.findById(testProduct._id);
+      expect(product.count).toBe(96);
+    });
+
+    it("should refund a product sold on several lines across its lines", async () => {
+      const twoLines = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [
+            { productId: testProduct._id.toString(), quantity: 2 },
+            { productId: testProduct._id.toString(), quantity: 2 },
+          ],
+        });
+
+      const response = await request(app)
+        .post(`/api/v2/sales/${twoLines.body.id}/refund`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          reason: "Customer returned",
+          items: [{ productId: testProduct._id.toString(), quantity: 3 }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(
+        response.body.sale.products.map((line) => line.refundedQuantity),
+      ).toEqual([2, 1]);
+
+      const tooMany = await request(app)
+        .post(`/api/v2/sales/${twoLines.body.id}/refund`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          reason: "Customer returned",
+          items: [{ productId: testProduct._id.toString(), quantity: 2 }],
+        });
+      expect(tooMany.status).toBe(400);
+    });
+
+    it("should mark the sale refunded when every unit is returned", async () => {
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/refund`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Order cancelled", restock: false });
+
+      expect(response.status).toBe(201);
+      expect(response.body.sale.status).toBe("refunded");
+      expect(response.body.restoredProducts).toHaveLength(0);
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.count).toBe(96);
+    });
+
+    it("should only allow admins to void or refund", async () => {
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/void`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ reason: "Entered by mistake" });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should reject payments on a voided sale", async () => {
+      const unpaid = await Sale.create({
+        customerId: testCustomer._id,
+        sellerId: testSeller._id,
+        products: [
+          { productId: testProduct._id, quantity: 1, priceAtSale: 15 },
+        ],
+        totalAmount: 15,
+      });
+
+      await request(app)
+        .post(`/api/v2/sales/${unpaid._id}/void`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Entered by mistake" });
+
+      const response = await request(app)
+        .post(`/api/v2/sales/${unpaid._id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 5 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Stock lot consumption", () => {
+    const daysFromNow = (days) =>
+      new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    let oldLot;
+    let newLot;
+    let expiredLot;
+
+    beforeEach(async () => {
+      [expiredLot, oldLot, newLot] = await StockLot.create([
+        {
+          productId: testProduct._id,
+          batchId: "EXPIRED",
+          quantityReceived: 5,
+          quantityRemaining: 5,
+          expirationDate: daysFromNow(-1),
+          receivedAt: daysFromNow(-10),
+          receivedBy: testSeller._id,
+        },
+        {
+          productId: testProduct._id,
+          batchId: "OLD",
+          quantityReceived: 3,
+          quantityRemaining: 3,
+          expirationDate: daysFromNow(2),
+          receivedAt: daysFromNow(-5),
+          receivedBy: testSeller._id,
+        },
+        {
+          productId: testProduct._id,
+          batchId: "NEW",
+          quantityReceived: 10,
+          quantityRemaining: 10,
+          expirationDate: daysFromNow(6),
+          receivedAt: daysFromNow(-1),
+          receivedBy: testSeller._id,
+        },
+      ]);
+    });
+
+    it("should take units from the oldest unexpired lot first", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 5 }],
+        });
+
+      expect(response.status).toBe(201);
+      const allocations = response.body.products[0].lots;
+      expect(allocations.map((a) => [a.batchId, a.quantity])).toEqual([
+        ["OLD", 3],
+        ["NEW", 2],
+      ]);
+
+      expect((await StockLot.findById(oldLot._id)).quantityRemaining).toBe(0);
+      expect((await StockLot.findById(newLot._id)).quantityRemaining).toBe(8);
+      expect((await StockLot.findById(expiredLot._id)).quantityRemaining).toBe(
+        5,
+      );
+    });
+
+    it("should record the cost of the lots a sale line was taken from", async () => {
+      await StockLot.updateOne({ _id: oldLot._id }, { unitCost: 4 });
+      await StockLot.updateOne({ _id: newLot._id }, { unitCost: 5 });
+
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 4 }],
+        });
+
+      expect(response.status).toBe(201);
+      // 3 units at 4.00 and 1 unit at 5.00
+      expect(response.body.products[0].costAtSale).toBe(4.25);
+    });
+
+    it("should leave costAtSale empty when no cost is known", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 1 }],
+        });
+
+      expect(response.body.products[0].costAtSale).toBeNull();
+    });
+
+    it("should take imported sales from the lots too", async () => {
+      await StockLot.updateOne({ _id: oldLot._id }, { unitCost: 4 });
+      await StockLot.updateOne({ _id: newLot._id }, { unitCost: 5 });
+      const csv =
+        "Date,Contact Name,Contact Phone,Product,Quantity,Amount Paid\n" +
+        `${new Date().toISOString()},Test,3001234567,Test Product,4,0\n`;
+
+      const response = await request(app)
+        .post("/api/v2/sales/import")
+        .set("Authorization", `Bearer ${authToken}`)
+        .attach("csvFile", Buffer.from(csv), "import.csv");
+
+      expect(response.body.summary.imported).toBe(1);
+      const [line] = response.body.importedSales[0].sale.products;
+      expect(line.lots.map((a) => [a.batchId, a.quantity])).toEqual([
+        ["OLD", 3],
+        ["NEW", 1],
+      ]);
+      expect(line.costAtSale).toBe(4.25);
+      expect((await StockLot.findById(newLot._id)).quantityRemaining).toBe(9);
+    });
+
+    it("should return units to their lots when a sale is voided", async () => {
+      await Seller.create({
+        firstName: "Admin",
+        lastName: "Seller",
+        email: "admin@test.com",
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1985-01-01"),
+        role: "admin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const loginResponse = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "admin@test.com", password: "TestPassword123!" });
+
+      const sale = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 5 }],
+        });
+
+      await request(app)
+        .post(`/api/v2/sales/${sale.body.id}/void`)
+        .set("Authorization", `Bearer ${loginResponse.body.token}`)
+        .send({ reason: "Entered by mistake" });
+
+      const restoredOld = await StockLot.findById(oldLot._id);
+      const restoredNew = await StockLot.findById(newLot._id);
+      expect(restoredOld.quantityRemaining).toBe(3);
+      expect(restoredOld.quantitySold).toBe(0);
+      expect(restoredNew.quantityRemaining).toBe(10);
+    });
+  });
+
+  describe("Margin analytics", () => {
+    beforeEach(async () => {
+      await Sale.create([
+        {
+          customerId: testCustomer._id,
+          sellerId: testSeller._id,
+          products: [
+            {
+              productId: testProduct._id,
+              quantity: 2,
+              priceAtSale: 10,
+              costAtSale: 4,
+            },
+          ],
+          totalAmount: 20,
+        },
+        {
+          customerId: testCustomer._id,
+          sellerId: testSeller._id,
+          products: [
+            { productId: testProduct._id, quantity: 1, priceAtSale: 10 },
+          ],
+          totalAmount: 10,
+        },
+      ]);
+    });
+
+    it("should report cost of goods, gross profit and margin", async () => {
+      const response = await request(app)
+        .get("/api/v2/reporting/sales/analytics")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.totalCost).toBe(8);
+      expect(response.body.summary.grossProfit).toBe(22);
+      expect(response.body.summary.grossMarginPercent).toBeCloseTo(73.33, 2);
+      expect(response.body.summary.unitsWithoutCost).toBe(1);
+      expect(response.body.timeSeries[0].grossProfit).toBe(22);
+      expect(response.body.topProducts[0].totalCost).toBe(8);
+    });
+  });
+
+  describe("Discounts, promotions and price overrides", () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      await Seller.create({
+        firstName: "Admin",
+        lastName: "Seller",
+        email: "admin@test.com",
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1985-01-01"),
+        role: "admin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const loginResponse = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "admin@test.com", password: "TestPassword123!" });
+      adminToken = loginResponse.body.token;
+
+      await Product.findByIdAndUpdate(testProduct._id, { price: 2000 });
+    });
+
+    it("should apply an active bundle promotion", async () => {
+      await Promotion.create({
+        name: "3 for 5000",
+        type: "bundle_price",
+        productIds: [testProduct._id],
+        bundleQuantity: 3,
+        bundlePrice: 5000,
+        createdBy: testSeller._id,
+      });
+
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 4 }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.subtotalAmount).toBe(8000);
+      expect(response.body.discountAmount).toBe(1000);
+      expect(response.body.totalAmount).toBe(7000);
+      expect(response.body.products[0].discount.source).toBe("promotion");
+      expect(response.body.appliedPromotions[0].name).toBe("3 for 5000");
+    });
+
+    it("should skip promotions outside their schedule", async () => {
+      await Promotion.create({
+        name: "Expired",
+        type: "percentage",
+        percentOff: 50,
+        endsAt: new Date(Date.now() - 60 * 60 * 1000),
+        createdBy: testSeller._id,
+      });
+
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 1 }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.totalAmount).toBe(2000);
+      expect(response.body.appliedPromotions).toHaveLength(0);
+    });
+
+    it("should apply a sale-level discount", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 2 }],
+          discount: { type: "percentage", value: 10, reason: "Regular" },
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.saleDiscount.amount).toBe(400);
+      expect(response.body.totalAmount).toBe(3600);
+      expect(response.body.products[0].discountAmount).toBe(400);
+    });
+
+    it("should only let admins override prices", async () => {
+      const item = {
+        productId: testProduct._id.toString(),
+        quantity: 1,
+        priceOverride: 1500,
+        priceOverrideReason: "Damaged packaging",
+      };
+
+      const denied = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ customerId: testCustomer._id.toString(), products: [item] });
+      expect(denied.status).toBe(403);
+
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ customerId: testCustomer._id.toString(), products: [item] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.totalAmount).toBe(1500);
+      expect(response.body.products[0].priceOverride.originalPrice).toBe(2000);
+      expect(response.body.products[0].priceOverride.reason).toBe(
+        "Damaged packaging",
+      );
+    });
+
+    it("should require a reason for a price override", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [
+            {
+              productId: testProduct._id.toString(),
+              quantity: 1,
+              priceOverride: 1500,
+            },
+          ],
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should refund the discounted price", async () => {
+      const saleResponse = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [
+            {
+              productId: testProduct._id.toString(),
+              quantity: 2,
+              discount: { type: "fixed", value: 500 },
+            },
+          ],
+        });
+
+      const response = await request(app)
+        .post(`/api/v2/sales/${saleResponse.body.id}/refund`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          reason: "Customer returned",
+          items: [{ productId: testProduct._id.toString(), quantity: 1 }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.refund.amount).toBe(1750);
+    });
+
+    it("should report gross vs net revenue and promotion effectiveness", async () => {
+      const promotion = await Promotion.create({
+        name: "10% off",
+        type: "percentage",
+        percentOff: 10,
+        createdBy: testSeller._id,
+      });
+
+      await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 1 }],
+        });
+
+      const response = await request(app)
+        .get("/api/v2/reporting/sales/analytics")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.grossRevenue).toBe(2000);
+      expect(response.body.summary.totalRevenue).toBe(1800);
+      expect(response.body.discounts.promotionDiscounts).toBe(200);
+      expect(response.body.discounts.promotions[0].promotionId).toBe(
+        promotion._id.toString(),
+      );
+      expect(response.body.topProducts[0].totalRevenue).toBe(1800);
+    });
+  });
+
+  describe("Sales tax", () => {
+    let taxedProduct;
+
+    beforeEach(async () => {
+      taxedProduct = await Product.create({
+        productName: "Bottled Juice",
+        price: 1000,
+        count: 50,
+        taxCode: "iva_19",
+        priceIncludesTax: false,
+      });
+      await Product.findByIdAndUpdate(testProduct._id, {
+        price: 10800,
+        taxCode: "impoconsumo_8",
+      });
+    });
+
+    it("should store per-line and per-sale tax", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [
+            { productId: testProduct._id.toString(), quantity: 1 },
+            { productId: taxedProduct._id.toString(), quantity: 2 },
+          ],
+        });
+
+      expect(response.status).toBe(201);
+      // Impoconsumo is inside the price, IVA is added on top
+      expect(response.body.totalAmount).toBe(13180);
+      expect(response.body.taxAmount).toBe(1180);
+      expect(response.body.products[0].taxableAmount).toBe(10000);
+      expect(response.body.products[0].taxAmount).toBe(800);
+      expect(response.body.products[1].taxAmount).toBe(380);
+      expect(response.body.taxBreakdown).toHaveLength(2);
+    });
+
+    it("should refund tax added on top of the price", async () => {
+      await Seller.create({
+        firstName: "Admin",
+        lastName: "Seller",
+        email: "admin@test.com",
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1985-01-01"),
+        role: "admin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const loginResponse = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "admin@test.com", password: "TestPassword123!" });
+
+      const saleResponse = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: taxedProduct._id.toString(), quantity: 2 }],
+        });
+
+      const response = await request(app)
+        .post(`/api/v2/sales/${saleResponse.body.id}/refund`)
+        .set("Authorization", `Bearer ${loginResponse.body.token}`)
+        .send({
+          reason: "Customer returned",
+          items: [{ productId: taxedProduct._id.toString(), quantity: 1 }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.refund.amount).toBe(1190);
+    });
+
+    it("should summarize taxes by period and code", async () => {
+      await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [
+            { productId: testProduct._id.toString(), quantity: 1 },
+            { productId: taxedProduct._id.toString(), quantity: 2 },
+          ],
+        });
+
+      const response = await request(app)
+        .get("/api/v2/reporting/taxes")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.period.groupBy).toBe("month");
+      expect(response.body.summary.taxAmount).toBe(1180);
+      expect(response.body.periods).toHaveLength(1);
+
+      const iva = response.body.summary.byTaxCode.find(
+        (t) => t.taxCode === "iva_19",
+      );
+      expect(iva.taxableAmount).toBe(2000);
+      expect(iva.taxAmount).toBe(380);
+    });
+
+    it("should export the tax summary as CSV", async () => {
+      const response = await request(app)
+        .get("/api/v2/reporting/taxes?format=csv")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("text/csv");
+    });
+
+    it("should reject an invalid groupBy", async () => {
+      const response = await request(app)
+        .get("/api/v2/reporting/taxes?groupBy=hour")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Receipts", () => {
+    let sale;
+
+    // Collect binary responses (PDF, ESC/POS) into a Buffer
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 2 }],
+          amountPaid: 20,
+        });
+      sale = response.body;
+    });
+
+    it("should return a PDF receipt by default", async () => {
+      const response = await request(app)
+        .get(`/api/v2/sales/${sale.id}/receipt`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("application/pdf");
+      expect(response.body.subarray(0, 5).toString()).toBe("%PDF-");
+    });
+
+    it("should return a plain text receipt for thermal printers", async () => {
+      const response = await request(app)
+        .get(`/api/v2/sales/${sale.id}/receipt?format=text`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain("Test Product");
+      expect(response.text).toContain("Balance due");
+      for (const line of response.text.trimEnd().split("\n")) {
+        expect(line.length).toBeLessThanOrEqual(48);
+      }
+    });
+
+    it("should return ESC/POS bytes", async () => {
+      const response = await request(app)
+        .get(`/api/v2/sales/${sale.id}/receipt?format=escpos`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      // Starts with ESC @ (initialize printer)
+      expect(response.body[0]).toBe(0x1b);
+      expect(response.body[1]).toBe(0x40);
+    });
+
+    it("should reject an unknown format", async () => {
+      const response = await request(app)
+        .get(`/api/v2/sales/${sale.id}/receipt?format=docx`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 404 for a missing sale", async () => {
+      const response = await request(app)
+        .get(`/api/v2/sales/${testUtils.generateObjectId()}/receipt`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should require an email address to send the receipt", async () => {
+      await Customer.findByIdAndUpdate(testCustomer._id, {
+        $unset: { email: "" },
+      });
+
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/receipt/email`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Idempotency keys", () => {
+    const saleBody = () => ({
+      customerId: testCustomer._id.toString(),
+      products: [{ productId: testProduct._id.toString(), quantity: 2 }],
+    });
+
+    it("should replay the first response for a retried sale", async () => {
+      const first = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Idempotency-Key", "sale-retry-1")
+        .send(saleBody());
+
+      const retry = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Idempotency-Key", "sale-retry-1")
+        .send(saleBody());
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(201);
+      expect(retry.headers["idempotent-replayed"]).toBe("true");
+      expect(retry.body.id).toBe(first.body.id);
+
+      expect(await Sale.countDocuments()).toBe(1);
+      const product = await Product.findById(testProduct._id);
+      expect(product.count).toBe(98);
+    });
+
+    it("should reject a reused key with a different body", async () => {
+      await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Idempotency-Key", "sale-retry-2")
+        .send(saleBody());
+
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Idempotency-Key", "sale-retry-2")
+        .send({ ...saleBody(), amountPaid: 10 });
+
+      expect(response.status).toBe(409);
+      expect(await Sale.countDocuments()).toBe(1);
+    });
+
+    it("should create separate sales without a key", async () => {
+      await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(saleBody());
+      await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(saleBody());
+
+      expect(await Sale.countDocuments()).toBe(2);
+    });
+
+    it("should not record a retried payment twice", async () => {
+      const saleResponse = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(saleBody());
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        await request(app)
+          .post(`/api/v2/sales/${saleResponse.body.id}/payments`)
+          .set("Authorization", `Bearer ${authToken}`)
+          .set("Idempotency-Key", "payment-retry-1")
+          .send({ amount: 10, method: "cash" });
+      }
+
+      const sale = await Sale.findById(saleResponse.body.id);
+      expect(sale.payments).toHaveLength(1);
+      expect(sale.amountPaid).toBe(10);
+    });
+
+    it("should reject an empty key", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .set("Idempotency-Key", " ")
+        .send(saleBody());
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/v2/sales/sync", () => {
+    const offlineSale = (clientId, capturedAt, overrides = {}) => ({
+      clientId,
+      capturedAt,
+      customerId: testCustomer._id.toString(),
+      products: [{ productId: testProduct._id.toString(), quantity: 2 }],
+      ...overrides,
+    });
+
+    it("should create offline sales with their original timestamps", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales/sync")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          sales: [
+            offlineSale("device-1-sale-2", "2026-03-01T15:00:00.000Z"),
+            offlineSale("device-1-sale-1", "2026-03-01T14:00:00.000Z", {
+              amountPaid: 31.98,
+            }),
+          ],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toMatchObject({
+        received: 2,
+        created: 2,
+        duplicates: 0,
+        conflicts: 0,
+      });
+      // Applied oldest first
+      expect(response.body.results.map((result) => result.clientId)).toEqual([
+        "device-1-sale-1",
+        "device-1-sale-2",
+      ]);
+
+      const sale = await Sale.findOne({ clientId: "device-1-sale-1" });
+      expect(sale.originalCreatedAt.toISOString()).toBe(
+        "2026-03-01T14:00:00.000Z",
+      );
+      expect(sale.settledAt.toISOString()).toBe("2026-03-01T14:00:00.000Z");
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.count).toBe(96);
+    });
+
+    it("should report already synced sales as duplicates", async () => {
+      const batch = {
+        sales: [offlineSale("device-1-sale-1", "2026-03-01T14:00:00.000Z")],
+      };
+
+      const first = await request(app)
+        .post("/api/v2/sales/sync")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(batch);
+      const retry = await request(app)
+        .post("/api/v2/sales/sync")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(batch);
+
+      expect(retry.status).toBe(200);
+      expect(retry.body.results[0]).toMatchObject({
+        clientId: "device-1-sale-1",
+        status: "duplicate",
+        saleId: first.body.results[0].sale.id,
+      });
+      expect(await Sale.countDocuments()).toBe(1);
+    });
+
+    it("should report conflicts without rolling back other sales", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales/sync")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          sales: [
+            offlineSale("ok", "2026-03-01T14:00:00.000Z"),
+            offlineSale("too-many", "2026-03-01T14:05:00.000Z", {
+              products: [
+                { productId: testProduct._id.toString(), quantity: 500 },
+              ],
+            }),
+            offlineSale("no-customer", "2026-03-01T14:10:00.000Z", {
+              customerId: testUtils.generateObjectId().toString(),
+            }),
+          ],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toMatchObject({ created: 1, conflicts: 2 });
+      expect(response.body.results[1].conflict.code).toBe(
+        "insufficient_inventory",
+      );
+      expect(response.body.results[2].conflict.code).toBe("customer_not_found");
+
+      const product = await Product.findById(testProduct._id);
+      expect(product.count).toBe(98);
+    });
+
+    it("should return products and customers changed since the cursor", async () => {
+      const initial = await request(app)
+        .post("/api/v2/sales/sync")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ sales: [offlineSale("a", "2026-03-01T14:00:00.000Z")] });
+
+      expect(initial.body.changes.products).toHaveLength(1);
+      expect(initial.body.changes.customers).toHaveLength(1);
+
+      const otherProduct = await Product.create({
+        productName: "Other Product",
+        price: 5,
+        count: 10,
+      });
+
+      const next = await request(app)
+        .post("/api/v2/sales/sync")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          sales: [offlineSale("b", "2026-03-01T15:00:00.000Z")],
+          cursor: initial.body.cursor,
+        });
+
+      const productIds = next.body.changes.products.map(
+        (product) => product.id,
+      );
+      expect(productIds).toEqual(
+        expect.arrayContaining([
+          testProduct._id.toString(),
+          otherProduct._id.toString(),
+        ]),
+      );
+      expect(next.body.cursor > initial.body.cursor).toBe(true);
+    });
+
+    it("should reject duplicate client ids within a batch", async () => {
+      const response = await request(app)
+        .post("/api/v2/sales/sync")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          sales: [
+            offlineSale("same", "2026-03-01T14:00:00.000Z"),
+            offlineSale("same", "2026-03-01T15:00:00.000Z"),
+          ],
+        });
+
+      expect(response.status).toBe(400);
+      expect(await Sale.countDocuments()).toBe(0);
+    });
+  });
+
+  describe("Credit limits", () => {
+    const sellOne = (token, extra = {}) =>
+      request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: testProduct._id.toString(), quantity: 2 }],
+          ...extra,
+        });
+
+    beforeEach(async () => {
+      testCustomer.creditLimit = 40;
+      await testCustomer.save();
+    });
+
+    it("should allow sales that stay within the credit limit", async () => {
+      const response = await sellOne(authToken);
+
+      expect(response.status).toBe(201);
+      expect(response.body.creditLimitOverride).toBeNull();
+    });
+
+    it("should reject sales that push the balance over the limit", async () => {
+      await sellOne(authToken);
+      const response = await sellOne(authToken);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("Credit Limit Exceeded");
+      expect(response.body.details.currentBalance).toBe(31.98);
+      expect(response.body.details.availableCredit).toBe(8.02);
+
+      // Inventory should not have been touched by the rejected sale
+      const product = await Product.findById(testProduct._id);
+      expect(product.count).toBe(98);
+    });
+
+    it("should only count the unpaid part of a sale against the limit", async () => {
+      await sellOne(authToken);
+      const response = await sellOne(authToken, { amountPaid: 31.98 });
+
+      expect(response.status).toBe(201);
+    });
+
+    it("should let an admin override the limit and record it", async () => {
+      await Seller.create({
+        firstName: "Admin",
+        lastName: "Seller",
+        email: "admin@test.com",
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1985-01-01"),
+        role: "admin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const loginResponse = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: "admin@test.com", password: "TestPassword123!" });
+      const adminToken = loginResponse.body.token;
+
+      await sellOne(authToken);
+      const response = await sellOne(adminToken, {
+        overrideCreditLimit: true,
+        overrideReason: "Regular customer, pays on Friday",
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.creditLimitOverride.creditLimit).toBe(40);
+      expect(response.body.creditLimitOverride.balanceBefore).toBe(31.98);
+      expect(response.body.creditLimitOverride.reason).toBe(
+        "Regular customer, pays on Friday",
+      );
+    });
+
+    it("should not let regular users override the limit", async () => {
+      const response = await sellOne(authToken, { overrideCreditLimit: true });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("Payment methods and split tender", () => {
+    let product;
+
+    const sell = (body) =>
+      request(app)
+        .post("/api/v2/sales")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          customerId: testCustomer._id.toString(),
+          products: [{ productId: product._id.toString(), quantity: 3 }],
+          ...body,
+        });
+
+    beforeEach(async () => {
+      product = await Product.create({
+        productName: "Empanada",
+        price: 15,
+        count: 50,
+      });
+    });
+
+    it("should split a sale across methods and give change on cash", async () => {
+      const response = await sell({
+        payments: [
+          { method: "card", amount: 20 },
+          { method: "cash", amount: 50 },
+        ],
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.paymentMethod).toBe("split");
+      expect(response.body.amountPaid).toBe(45);
+      expect(response.body.cashTendered).toBe(50);
+      expect(response.body.changeDue).toBe(25);
+      expect(response.body.settled).toBe(true);
+      expect(
+        response.body.payments.map(({ method, amount }) => ({
+          method,
+          amount,
+        })),
+      ).toEqual([
+        { method: "card", amount: 20 },
+        { method: "cash", amount: 25 },
+      ]);
+    });
+
+    it("should leave account credit owed", async () => {
+      const response = await sell({
+        payments: [
+          { method: "nequi", amount: 30 },
+          { method: "account_credit", amount: 15 },
+        ],
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.amountPaid).toBe(30);
+      expect(response.body.payments).toHaveLength(1);
+      expect(response.body.settled).toBe(false);
+    });
+
+    it("should reject non-cash payments above the total", async () => {
+      const response = await sell({
+        payments: [{ method: "card", amount: 50 }],
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain("cannot exceed the sale total");
+    });
+
+    it("should reject unknown or disabled payment methods", async () => {
+      const unknown = await sell({ amountPaid: 45, paymentMethod: "bitcoin" });
+      expect(unknown.status).toBe(400);
+
+      process.env.PAYMENT_METHODS = "cash,card";
+      try {
+        const disabled = await sell({
+          payments: [{ method: "nequi", amount: 45 }],
+        });
+        expect(disabled.status).toBe(400);
+
+        const listed = await request(app)
+          .get("/api/v2/sales/payment-methods")
+          .set("Authorization", `Bearer ${authToken}`);
+        expect(listed.body.paymentMethods.map((m) => m.code)).toEqual([
+          "cash",
+          "card",
+        ]);
+      } finally {
+        delete process.env.PAYMENT_METHODS;
+      }
+    });
+
+    it("should give change on cash instalments above the balance", async () => {
+      const sale = (await sell({})).body;
+
+      const response = await request(app)
+        .post(`/api/v2/sales/${sale.id}/payments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ amount: 50, method: "cash" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.changeDue).toBe(5);
+      expect(response.body.payment.amount).toBe(45);
+      expect(response.body.sale.settled).toBe(true);
+    });
+
+    it("should break analytics down by payment method", async () => {
+      await sell({
+        payments: [
+          { method: "card", amount: 20 },
+          { method: "cash", amount: 50 },
+        ],
+      });
+      await sell({ amountPaid: 45, paymentMethod: "Cash" });
+
+      const response = await request(app)
+        .get("/api/v2/reporting/sales/analytics")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.paymentAnalytics.byMethod).toEqual([
+        {
+          method: "cash",
+          label: "Cash",
+          paymentCount: 2,
+          amount: 70,
+          sharePercent: 77.78,
+        },
+        {
+          method: "card",
+          label: "Card",
+          paymentCount: 1,
+          amount: 20,
+          sharePercent: 22.22,
+        },
+      ]);
+    });
+
+    it("should map imported payment methods onto the known codes", async () => {
+      const csv =
+        "Date,Contact Name,Contact Phone,Product,Quantity,Amount Paid,Payment Method\n" +
+        "2024-05-01T10:00:00Z,Test,3001234567,Empanada,1,15,Efectivo\n" +
+        "2024-05-02T10:00:00Z,Test,3001234567,Empanada,1,15,TARJETA\n" +
+        "2024-05-03T10:00:00Z,Test,3001234567,Empanada,1,15,Bitcoin\n";
+
+      const response = await request(app)
+        .post("/api/v2/sales/import")
+        .set("Authorization", `Bearer ${authToken}`)
+        .attach("csvFile", Buffer.from(csv), "import.csv");
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.imported).toBe(2);
+      expect(response.body.skippedRows).toEqual([
+        expect.objectContaining({
+          row: 3,
+          skip_reason: "invalid_payment_method",
+        }),
+      ]);
+
+      const sales = await Sale.find().sort({ originalCreatedAt: 1 });
+      expect(sales.map((sale) => sale.paymentMethod)).toEqual(["cash", "card"]);
+      expect(sales.map((sale) => sale.payments[0].method)).toEqual([
+        "cash",
+        "card",
+      ]);
+    });
+  });
+
   describe("Authentication requirements", () => {
     it("should reject requests without token", async () => {
       const response = await request(app).get("/api/v2/sales");
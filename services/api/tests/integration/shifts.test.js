@@ -0,0 +1,294 @@
+/**
+ * Shifts Integration Tests
+ * Tests till shifts: opening float, linked sales and payments, cash in/out,
+ * closing count with over/short and the Z-report
+ */
+import request from "supertest";
+import app from "../../testApp.js";
+import Seller from "../../models/Seller.js";
+import Product from "../../models/Product.js";
+import Customer from "../../models/Customer.js";
+
+describe("Shifts", () => {
+  let adminToken;
+  let userToken;
+  let customer;
+  let product;
+
+  const createSeller = (email, role) =>
+    Seller.create({
+      firstName: "Shift",
+      lastName: role,
+      email,
+      password: "TestPassword123!",
+      dateOfBirth: new Date("1990-01-01"),
+      role,
+      createdBy: testUtils.generateObjectId(),
+    });
+
+  const login = async (email) =>
+    (
+      await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email, password: "TestPassword123!" })
+    ).body.token;
+
+  const openShift = (token, openingFloat = 100) =>
+    request(app)
+      .post("/api/v2/shifts/open")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ openingFloat });
+
+  const sell = (token, quantity, amountPaid, paymentMethod) =>
+    request(app)
+      .post("/api/v2/sales")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        customerId: customer._id.toString(),
+        products: [{ productId: product._id.toString(), quantity }],
+        amountPaid,
+        paymentMethod,
+      });
+
+  const closeShift = (token, shiftId, counts) =>
+    request(app)
+      .post(`/api/v2/shifts/${shiftId}/close`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ counts });
+
+  beforeEach(async () => {
+    await createSeller("admin.shifts@test.com", "admin");
+    await createSeller("user.shifts@test.com", "user");
+    adminToken = await login("admin.shifts@test.com");
+    userToken = await login("user.shifts@test.com");
+
+    customer = await Customer.create({
+      firstName: "Shift",
+      lastName: "Customer",
+      phoneNumber: "3007654321",
+    });
+    product = await Product.create({
+      productName: "Arepa",
+      price: 2,
+      count: 50,
+    });
+  });
+
+  describe("Opening", () => {
+    it("should open one shift per seller", async () => {
+      const first = await openShift(userToken, 100);
+      expect(first.status).toBe(201);
+      expect(first.body.status).toBe("open");
+      expect(first.body.openingFloat).toBe(100);
+
+      const second = await openShift(userToken, 50);
+      expect(second.status).toBe(409);
+
+      const current = await request(app)
+        .get("/api/v2/shifts/current")
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(current.status).toBe(200);
+      expect(current.body.id).toBe(first.body.id);
+    });
+
+    it("should report when the seller has no open shift", async () => {
+      const response = await request(app)
+        .get("/api/v2/shifts/current")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should require a non-negative opening float", async () => {
+      const response = await openShift(userToken, -5);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Linked sales and payments", () => {
+    it("should link sales and payments to the open shift", async () => {
+      const shift = (await openShift(userToken)).body;
+
+      const sale = await sell(userToken, 3, 2, "cash");
+      expect(sale.status).toBe(201);
+      expect(sale.body.shiftId).toBe(shift.id);
+      expect(sale.body.payments[0].shiftId).toBe(shift.id);
+
+      const payment = await request(app)
+        .post(`/api/v2/sales/${sale.body.id}/payments`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ amount: 4, method: "Card" });
+      expect(payment.status).toBe(201);
+      expect(payment.body.payment.shiftId).toBe(shift.id);
+
+      const listed = await request(app)
+        .get(`/api/v2/sales?shiftId=${shift.id}`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(listed.body.sales).toHaveLength(1);
+    });
+
+    it("should leave sales made without an open shift unlinked", async () => {
+      const sale = await sell(userToken, 1, 2, "cash");
+
+      expect(sale.status).toBe(201);
+      expect(sale.body.shiftId).toBeNull();
+    });
+  });
+
+  describe("Cash movements and closing", () => {
+    let shift;
+
+    beforeEach(async () => {
+      shift = (await openShift(userToken, 100)).body;
+      await sell(userToken, 3, 6, "cash");
+      await sell(userToken, 2, 4, "card");
+    });
+
+    it("should record cash in and out of an open shift", async () => {
+      const drop = await request(app)
+        .post(`/api/v2/shifts/${shift.id}/cash`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ type: "cash_out", amount: 20, reason: "Drop to safe" });
+      expect(drop.status).toBe(201);
+
+      const change = await request(app)
+        .post(`/api/v2/shifts/${shift.id}/cash`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ type: "cash_in", amount: 5, reason: "Coins from the safe" });
+      expect(change.body.totals).toEqual({ cashIn: 5, cashOut: 20 });
+    });
+
+    it("should close with over/short per payment method", async () => {
+      await request(app)
+        .post(`/api/v2/shifts/${shift.id}/cash`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ type: "cash_out", amount: 20, reason: "Drop to safe" });
+
+      const response = await closeShift(userToken, shift.id, [
+        { method: "Cash", amount: 85 },
+        { method: "card", amount: 4 },
+      ]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.shift.status).toBe("closed");
+      // 100 float + 6 cash sales - 20 dropped to the safe
+      expect(response.body.shift.closingCounts).toEqual([
+        { method: "card", expected: 4, counted: 4, difference: 0 },
+        { method: "cash", expected: 86, counted: 85, difference: -1 },
+      ]);
+      expect(response.body.shift.overShort).toBe(-1);
+
+      const report = response.body.report;
+      expect(report.final).toBe(true);
+      expect(report.sales).toMatchObject({ count: 2, totalAmount: 10 });
+      expect(report.paymentsTotal).toBe(10);
+      expect(report.cashMovements.cashOut).toBe(20);
+    });
+
+    it("should require a cash count to close", async () => {
+      const response = await closeShift(userToken, shift.id, [
+        { method: "card", amount: 4 },
+      ]);
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should freeze the shift once closed", async () => {
+      await closeShift(userToken, shift.id, [{ method: "cash", amount: 106 }]);
+
+      const again = await closeShift(userToken, shift.id, [
+        { method: "cash", amount: 106 },
+      ]);
+      expect(again.status).toBe(409);
+
+      const cash = await request(app)
+        .post(`/api/v2/shifts/${shift.id}/cash`)
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ type: "cash_in", amount: 5, reason: "Late float" });
+      expect(cash.status).toBe(409);
+
+      const sale = await sell(userToken, 1, 2, "cash");
+      expect(sale.body.shiftId).toBeNull();
+    });
+
+    it("should take money paid back on voids out of the voiding seller's drawer", async () => {
+      const adminShift = (await openShift(adminToken, 50)).body;
+      const sale = await sell(userToken, 1, 2, "cash");
+
+      await request(app)
+        .post(`/api/v2/sales/${sale.body.id}/void`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Wrong item" });
+
+      const report = await request(app)
+        .get(`/api/v2/shifts/${adminShift.id}/report`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(report.status).toBe(200);
+      expect(report.body.final).toBe(false);
+      expect(report.body.returns).toEqual({
+        refunds: 0,
+        voids: 2,
+        total: 2,
+        byMethod: [{ method: "cash", amount: 2 }],
+      });
+      expect(report.body.expected).toEqual([{ method: "cash", amount: 48 }]);
+    });
+
+    it("should pay voids back through the method the sale was paid with", async () => {
+      const adminShift = (await openShift(adminToken, 50)).body;
+      const sale = await sell(userToken, 2, 4, "card");
+
+      await request(app)
+        .post(`/api/v2/sales/${sale.body.id}/void`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Wrong item" });
+
+      const report = await request(app)
+        .get(`/api/v2/shifts/${adminShift.id}/report`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(report.body.returns.byMethod).toEqual([
+        { method: "card", amount: 4 },
+      ]);
+      // The card refund leaves the drawer at the float
+      expect(report.body.expected).toEqual([
+        { method: "card", amount: -4 },
+        { method: "cash", amount: 50 },
+      ]);
+    });
+  });
+
+  describe("Access", () => {
+    it("should keep other sellers' shifts to shifts:read and shifts:manage", async () => {
+      const adminShift = (await openShift(adminToken)).body;
+      const userShift = (await openShift(userToken)).body;
+
+      const view = await request(app)
+        .get(`/api/v2/shifts/${adminShift.id}`)
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(view.status).toBe(403);
+
+      const close = await closeShift(userToken, adminShift.id, [
+        { method: "cash", amount: 100 },
+      ]);
+      expect(close.status).toBe(403);
+
+      const managed = await closeShift(adminToken, userShift.id, [
+        { method: "cash", amount: 100 },
+      ]);
+      expect(managed.status).toBe(200);
+
+      const own = await request(app)
+        .get("/api/v2/shifts")
+        .set("Authorization", `Bearer ${userToken}`);
+      expect(own.body.shifts.map((shift) => shift.id)).toEqual([userShift.id]);
+
+      const all = await request(app)
+        .get("/api/v2/shifts")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(all.body.shifts).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Multi-Tenant Integration Tests
+ * Tests tenant resolution by subdomain and token, and data isolation between
+ * tenants sharing one deployment
+ */
+import request from "supertest";
+import app from "../../testApp.js";
+import Seller from "../../models/Seller.js";
+import Product from "../../models/Product.js";
+import Customer from "../../models/Customer.js";
+import Sale from "../../models/Sale.js";
+import Tenant from "../../models/Tenant.js";
+import { runWithTenant } from "../../utils/tenantContext.js";
+
+describe("Multi-Tenant Mode", () => {
+  let acme;
+  let bistro;
+  let acmeToken;
+  let bistroToken;
+
+  const ACME_HOST = "acme.bitetrack.test";
+  const BISTRO_HOST = "bistro.bitetrack.test";
+  const EMAIL = "owner@tenants.test";
+
+  const createSeller = (tenant) =>
+    runWithTenant(tenant._id, () =>
+      Seller.create({
+        firstName: "Tenant",
+        lastName: tenant.name,
+        email: EMAIL,
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1990-01-01"),
+        role: "admin",
+        createdBy: testUtils.generateObjectId(),
+      }),
+    );
+
+  const login = (host) =>
+    request(app)
+      .post("/api/v2/auth/login")
+      .set("Host", host)
+      .send({ email: EMAIL, password: "TestPassword123!" });
+
+  const createProduct = (host, token) =>
+    request(app)
+      .post("/api/v2/products")
+      .set("Host", host)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ productName: "Tenant Sandwich", price: 10, count: 5 });
+
+  beforeAll(() => {
+    process.env.MULTI_TENANT = "true";
+    process.env.TENANT_BASE_DOMAIN = "bitetrack.test";
+  });
+
+  afterAll(() => {
+    delete process.env.MULTI_TENANT;
+    delete process.env.TENANT_BASE_DOMAIN;
+  });
+
+  beforeEach(async () => {
+    acme = await Tenant.create({ name: "Acme", slug: "acme" });
+    bistro = await Tenant.create({ name: "Bistro", slug: "bistro" });
+    await createSeller(acme);
+    await createSeller(bistro);
+
+    acmeToken = (await login(ACME_HOST)).body.token;
+    bistroToken = (await login(BISTRO_HOST)).body.token;
+  });
+
+  describe("Tenant resolution", () => {
+    it("should require a subdomain for unauthenticated requests", async () => {
+      const response = await request(app)
+        .post("/api/v2/auth/login")
+        .send({ email: EMAIL, password: "TestPassword123!" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Tenant Required");
+    });
+
+    it("should reject unknown and inactive tenants", async () => {
+      const unknown = await login("nobody.bitetrack.test");
+      expect(unknown.status).toBe(404);
+
+      await Tenant.updateOne({ _id: bistro._id }, { isActive: false });
+      const inactive = await login(BISTRO_HOST);
+      expect(inactive.status).toBe(404);
+    });
+
+    it("should let the same email sign in to each tenant", async () => {
+      expect(acmeToken).toBeDefined();
+      expect(bistroToken).toBeDefined();
+      expect(acmeToken).not.toBe(bistroToken);
+    });
+
+    it("should refuse a token at another tenant's subdomain", async () => {
+      const response = await request(app)
+        .get("/api/v2/products")
+        .set("Host", BISTRO_HOST)
+        .set("Authorization", `Bearer ${acmeToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("Data isolation", () => {
+    it("should store records under the tenant that created them", async () => {
+      const response = await createProduct(ACME_HOST, acmeToken);
+
+      expect(response.status).toBe(201);
+      const saved = await Product.findById(response.body.id);
+      expect(saved.tenantId.toString()).toBe(acme._id.toString());
+    });
+
+    it("should not show one tenant's records to another", async () => {
+      const created = await createProduct(ACME_HOST, acmeToken);
+
+      const list = await request(app)
+        .get("/api/v2/products")
+        .set("Host", BISTRO_HOST)
+        .set("Authorization", `Bearer ${bistroToken}`);
+      expect(list.status).toBe(200);
+      expect(list.body).toHaveLength(0);
+
+      const single = await request(app)
+        .get(`/api/v2/products/${created.body.id}`)
+        .set("Host", BISTRO_HOST)
+        .set("Authorization", `Bearer ${bistroToken}`);
+      expect(single.status).toBe(404);
+    });
+
+    it("should take the tenant from the token without a subdomain", async () => {
+      await createProduct(ACME_HOST, acmeToken);
+
+      const acmeList = await request(app)
+        .get("/api/v2/products")
+        .set("Authorization", `Bearer ${acmeToken}`);
+      const bistroList = await request(app)
+        .get("/api/v2/products")
+        .set("Authorization", `Bearer ${bistroToken}`);
+
+      expect(acmeList.body).toHaveLength(1);
+      expect(bistroList.body).toHaveLength(0);
+    });
+  });
+
+  describe("CSV imports", () => {
+    const importCSV = (path, host, token, csv) =>
+      request(app)
+        .post(path)
+        .set("Host", host)
+        .set("Authorization", `Bearer ${token}`)
+        .attach("csvFile", Buffer.from(csv), "import.csv");
+
+    it("should import customers into each tenant separately", async () => {
+      const csv = "firstName,lastName,phoneNumber\nAna,Gómez,3001112233\n";
+
+      const acmeImport = await importCSV(
+        "/api/v2/customers/import",
+        ACME_HOST,
+        acmeToken,
+        csv,
+      );
+      const bistroImport = await importCSV(
+        "/api/v2/customers/import",
+        BISTRO_HOST,
+        bistroToken,
+        csv,
+      );
+
+      expect(acmeImport.status).toBe(200);
+      expect(bistroImport.status).toBe(200);
+      expect(bistroImport.body.summary.successful).toBe(1);
+
+      const customers = await Customer.find({ phoneNumber: "3001112233" });
+      expect(customers.map((c) => c.tenantId.toString()).sort()).toEqual(
+        [acme._id.toString(), bistro._id.toString()].sort(),
+      );
+    });
+
+    it("should import sales against the tenant's own customers and products", async () => {
+      for (const tenant of [acme, bistro]) {
+        await runWithTenant(tenant._id, async () => {
+          await Customer.create({
+            firstName: "Ana",
+            lastName: tenant.name,
+            phoneNumber: "3001112233",
+          });
+          await Product.create({ productName: "Arepa", price: 2, count: 10 });
+        });
+      }
+      const csv =
+        "Date,Contact Name,Contact Phone,Product,Quantity,Amount Paid\n" +
+        "2024-05-01T10:00:00Z,Ana,3001112233,Arepa,3,6\n";
+
+      const acmeImport = await importCSV(
+        "/api/v2/sales/import",
+        ACME_HOST,
+        acmeToken,
+        csv,
+      );
+      const bistroImport = await importCSV(
+        "/api/v2/sales/import",
+        BISTRO_HOST,
+        bistroToken,
+        csv,
+      );
+
+      expect(acmeImport.body.summary.imported).toBe(1);
+      expect(bistroImport.body.summary.imported).toBe(1);
+
+      for (const tenant of [acme, bistro]) {
+        const [sale, product] = await runWithTenant(tenant._id, () =>
+          Promise.all([Sale.findOne(), Product.findOne()]),
+        );
+        expect(sale.tenantId.toString()).toBe(tenant._id.toString());
+        expect(product.count).toBe(7);
+      }
+    });
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Two-Factor Authentication Integration Tests
+ * Tests TOTP enrolment, the second login step, role enforcement and
+ * superadmin-driven 2FA reset through password recovery
+ */
+import request from "supertest";
+import app from "../../testApp.js";
+import Seller from "../../models/Seller.js";
+import PasswordResetToken from "../../models/PasswordResetToken.js";
+import { generateTotp } from "../../utils/totp.js";
+
+// Codes one period ahead: still accepted, and newer than any code used
+// during the test's current period
+const nextCode = (secret) =>
+  generateTotp(secret, { time: Date.now() + 30 * 1000 });
+
+describe("Two-Factor Authentication", () => {
+  let admin;
+  let adminToken;
+
+  const login = (email = "admin.2fa@test.com") =>
+    request(app)
+      .post("/api/v2/auth/login")
+      .send({ email, password: "TestPassword123!" });
+
+  // Enrols the admin and returns { secret, backupCodes }
+  const enrol = async () => {
+    const setup = await request(app)
+      .post("/api/v2/auth/2fa/setup")
+      .set("Authorization", `Bearer ${adminToken}`);
+    const enable = await request(app)
+      .post("/api/v2/auth/2fa/enable")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: generateTotp(setup.body.secret) });
+    return { secret: setup.body.secret, backupCodes: enable.body.backupCodes };
+  };
+
+  beforeEach(async () => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    admin = await Seller.create({
+      firstName: "Two",
+      lastName: "Factor",
+      email: "admin.2fa@test.com",
+      password: "TestPassword123!",
+      dateOfBirth: new Date("1985-01-01"),
+      role: "admin",
+      createdBy: testUtils.generateObjectId(),
+    });
+    adminToken = (await login()).body.token;
+  });
+
+  afterAll(() => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+  });
+
+  describe("Enrolment", () => {
+    it("should return a secret and provisioning URI", async () => {
+      const response = await request(app)
+        .post("/api/v2/auth/2fa/setup")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.otpauthUrl).toContain("otpauth://totp/");
+      expect(response.body.otpauthUrl).toContain(
+        `secret=${response.body.secret}`,
+      );
+
+      // Not active until confirmed
+      const stored = await Seller.findById(admin._id);
+      expect(stored.twoFactorEnabled).toBe(false);
+    });
+
+    it("should enable 2FA with a valid code and return backup codes", async () => {
+      const { backupCodes } = await enrol();
+
+      expect(backupCodes).toHaveLength(10);
+
+      const status = await request(app)
+        .get("/api/v2/auth/2fa")
+        .set("Authorization", `Bearer ${adminToken}`);
+      expect(status.body.enabled).toBe(true);
+      expect(status.body.backupCodesRemaining).toBe(10);
+
+      // Secrets never leave the server
+      const stored = await Seller.findById(admin._id).select(
+        "+twoFactorBackupCodes",
+      );
+      expect(stored.twoFactorBackupCodes).not.toContain(backupCodes[0]);
+      expect(stored.toJSON().twoFactorSecret).toBeUndefined();
+    });
+
+    it("should reject a wrong confirmation code", async () => {
+      await request(app)
+        .post("/api/v2/auth/2fa/setup")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      const response = await request(app)
+        .post("/api/v2/auth/2fa/enable")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ code: "000000" });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Login", () => {
+    it("should ask for a code once 2FA is enabled", async () => {
+      await enrol();
+
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.twoFactorRequired).toBe(true);
+      expect(response.body.challengeToken).toBeTruthy();
+      expect(response.body.token).toBeUndefined();
+    });
+
+    it("should complete login with a valid code", async () => {
+      const { secret } = await enrol();
+      const challenge = await login();
+
+      const response = await request(app)
+        .post("/api/v2/auth/login/2fa")
+        .send({
+          challengeToken: challenge.body.challengeToken,
+          code: nextCode(secret),
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBeTruthy();
+      expect(response.body.refreshToken).toBeTruthy();
+    });
+
+    it("should refuse a replayed code", async () => {
+      const { secret } = await enrol();
+      const code = nextCode(secret);
+
+      const first = await login();
+      await request(app)
+        .post("/api/v2/auth/login/2fa")
+        .send({ challengeToken: first.body.challengeToken, code });
+
+      const second = await login();
+      const response = await request(app)
+        .post("/api/v2/auth/login/2fa")
+        .send({ challengeToken: second.body.challengeToken, code });
+
+      expect(response.status).toBe(401);
+    });
+
+    it("should accept each backup code once", async () => {
+      const { backupCodes } = await enrol();
+
+      const first = await login();
+      const response = await request(app).post("/api/v2/auth/login/2fa").send({
+        challengeToken: first.body.challengeToken,
+        code: backupCodes[0],
+      });
+      expect(response.status).toBe(200);
+      expect(response.body.backupCodesRemaining).toBe(9);
+
+      const second = await login();
+      const reuse = await request(app).post("/api/v2/auth/login/2fa").send({
+        challengeToken: second.body.challengeToken,
+        code: backupCodes[0],
+      });
+      expect(reuse.status).toBe(401);
+    });
+
+    it("should count wrong codes as failed logins", async () => {
+      await enrol();
+      const challenge = await login();
+
+      await request(app)
+        .post("/api/v2/auth/login/2fa")
+        .send({
+          challengeToken: challenge.body.challengeToken,
+          code: "000000",
+        });
+
+      const stored = await Seller.findById(admin._id);
+      expect(stored.failedLoginAttempts).toBe(1);
+    });
+
+    it("should not accept a challenge token as an access token", async () => {
+      await enrol();
+      const challenge = await login();
+
+      const response = await request(app)
+        .get("/api/v2/auth/2fa")
+        .set("Authorization", `Bearer ${challenge.body.challengeToken}`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("Enforcement by role", () => {
+    it("should limit unenrolled admins to enrolment when required", async () => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = "admin,superadmin";
+
+      const loginResponse = await login();
+      expect(loginResponse.body.twoFactorSetupRequired).toBe(true);
+      const token = loginResponse.body.token;
+
+      const products = await request(app)
+        .get("/api/v2/products")
+        .set("Authorization", `Bearer ${token}`);
+      expect(products.status).toBe(403);
+      expect(products.body.error).toBe("Two-Factor Setup Required");
+
+      const setup = await request(app)
+        .post("/api/v2/auth/2fa/setup")
+        .set("Authorization", `Bearer ${token}`);
+      expect(setup.status).toBe(200);
+    });
+
+    it("should not let a required role disable 2FA", async () => {
+      const { secret } = await enrol();
+      process.env.TWO_FACTOR_REQUIRED_ROLES = "admin";
+
+      const response = await request(app)
+        .post("/api/v2/auth/2fa/disable")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ password: "TestPassword123!", code: nextCode(secret) });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should let other roles disable 2FA with password and code", async () => {
+      const { secret } = await enrol();
+
+      const response = await request(app)
+        .post("/api/v2/auth/2fa/disable")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ password: "TestPassword123!", code: nextCode(secret) });
+
+      expect(response.status).toBe(200);
+      expect((await login()).body.token).toBeTruthy();
+    });
+  });
+
+  describe("Superadmin reset through recovery", () => {
+    it("should turn 2FA off when the recovery is completed", async () => {
+      await enrol();
+      await Seller.create({
+        firstName: "Super",
+        lastName: "Admin",
+        email: "super.2fa@test.com",
+        password: "TestPassword123!",
+        dateOfBirth: new Date("1980-01-01"),
+        role: "superadmin",
+        createdBy: testUtils.generateObjectId(),
+      });
+      const superToken = (await login("super.2fa@test.com")).body.token;
+
+      // The reset email cannot be sent in tests; the token is stored anyway
+      await request(app)
+        .post("/api/v2/auth/recover")
+        .set("Authorization", `Bearer ${superToken}`)
+        .send({ sellerId: admin._id.toString(), resetTwoFactor: true });
+      const resetToken = await PasswordResetToken.findOne({
+        sellerId: admin._id,
+      });
+      expect(resetToken.resetTwoFactor).toBe(true);
+
+      // 2FA stays on until the seller completes the reset
+      expect((await login()).body.twoFactorRequired).toBe(true);
+
+      const reset = await request(app).post("/api/v2/auth/reset").send({
+        token: resetToken.token,
+        email: "admin.2fa@test.com",
+        dateOfBirth: "1985-01-01",
+        newPassword: "NewPassword123!",
+      });
+      expect(reset.status).toBe(200);
+      expect(reset.body.twoFactorReset).toBe(true);
+
+      const stored = await Seller.findById(admin._id);
+      expect(stored.twoFactorEnabled).toBe(false);
+    });
+  });
+});
@@ -11,6 +11,10 @@ let mongoServer;
 // Setup environment variables for testing
 process.env.JWT_SECRET = "test-jwt-secret-key-for-testing-only";
 process.env.NODE_ENV = "test";
+// Per-route auth rate limits are far above what the suites send from one IP
+process.env.LOGIN_RATE_LIMIT = "1000";
+process.env.RECOVERY_RATE_LIMIT = "1000";
+process.env.RESET_RATE_LIMIT = "1000";
 
 // Setup before all tests
 beforeAll(async () => {
@@ -44,9 +44,37 @@ jest.unstable_mockModule("../../../models/PasswordResetToken.js", () => {
   return { default: PasswordResetTokenMock };
 });
 
+jest.unstable_mockModule("../../../models/RefreshToken.js", () => ({
+  default: {
+    create: jest.fn(),
+    revokeSessions: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule("../../../models/Location.js", () => ({
+  default: {
+    find: jest.fn(),
+  },
+}));
+
 jest.unstable_mockModule("../../../utils/jwt.js", () => ({
   generateToken: jest.fn(),
   generateResetToken: jest.fn(),
+  generateRefreshToken: jest.fn(),
+  hashToken: jest.fn((token) => `hashed-${token}`),
+  getAccessTokenTtl: jest.fn(() => "15m"),
+  getRefreshTokenTtlMs: jest.fn(() => 7 * 24 * 60 * 60 * 1000),
+  generateChallengeToken: jest.fn(),
+  verifyToken: jest.fn(),
+  TWO_FACTOR_CHALLENGE_TTL: "5m",
+}));
+
+jest.unstable_mockModule("../../../utils/audit.js", () => ({
+  recordAudit: jest.fn(),
+}));
+
+jest.unstable_mockModule("../../../middleware/auth.js", () => ({
+  getRequestPermissions: jest.fn(),
 }));
 
 jest.unstable_mockModule("../../../utils/emailService.js", () => ({
@@ -64,9 +92,12 @@ let authController,
   Seller,
   PendingSeller,
   PasswordResetToken,
+  RefreshToken,
   generateToken,
   generateResetToken,
+  generateRefreshToken,
   sendPasswordResetEmail,
+  getRequestPermissions,
   mongoose;
 
 beforeAll(async () => {
@@ -75,20 +106,32 @@ beforeAll(async () => {
   PendingSeller = (await import("../../../models/PendingSeller.js")).default;
   PasswordResetToken = (await import("../../../models/PasswordResetToken.js"))
     .default;
-  ({ generateToken, generateResetToken } = await import(
+  RefreshToken = (await import("../../../models/RefreshToken.js")).default;
+  ({ generateToken, generateResetToken, generateRefreshToken } = await import(
     "../../../utils/jwt.js"
   ));
   ({ sendPasswordResetEmail } = await import("../../../utils/emailService.js"));
+  ({ getRequestPermissions } = await import("../../../middleware/auth.js"));
   mongoose = (await import("mongoose")).default;
 });
 
 describe("Auth Controller", () => {
   let mockReq, mockRes;
 
+  // Login throttling state of a seller with no recent failed attempts
+  const withoutFailedLogins = () => ({
+    failedLoginAttempts: 0,
+    lockedUntil: null,
+    isLocked: jest.fn().mockReturnValue(false),
+    getNextLoginAllowedAt: jest.fn().mockReturnValue(null),
+    registerFailedLogin: jest.fn().mockResolvedValue({ locked: false }),
+  });
+
   beforeEach(() => {
     mockReq = {
       query: {},
       body: {},
+      header: jest.fn().mockReturnValue(undefined),
     };
     mockRes = {
       status: jest.fn().mockReturnThis(),
@@ -186,6 +229,7 @@ describe("Auth Controller", () => {
   describe("login", () => {
     it("should login successfully with valid credentials", async () => {
       const mockSeller = {
+        ...withoutFailedLogins(),
         _id: "seller123",
         email: "user@example.com",
         role: "user",
@@ -206,6 +250,7 @@ describe("Auth Controller", () => {
         select: jest.fn().mockResolvedValue(mockSeller),
       });
       generateToken.mockReturnValue("generated-jwt-token");
+      generateRefreshToken.mockReturnValue("generated-refresh-token");
 
       await authController.login(mockReq, mockRes);
 
@@ -218,9 +263,21 @@ describe("Auth Controller", () => {
       expect(generateToken).toHaveBeenCalledWith({
         id: "seller123",
         role: "user",
+        tv: 0,
+        sid: expect.any(String),
       });
+      expect(RefreshToken.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tokenHash: "hashed-generated-refresh-token",
+          sellerId: "seller123",
+        }),
+      );
       expect(mockRes.json).toHaveBeenCalledWith({
         token: "generated-jwt-token",
+        refreshToken: "generated-refresh-token",
+        tokenType: "Bearer",
+        expiresIn: "15m",
+        sessionId: expect.any(String),
         seller: {
           id: "seller123",
           email: "user@example.com",
@@ -251,6 +308,7 @@ describe("Auth Controller", () => {
 
     it("should return 401 for incorrect password", async () => {
       const mockSeller = {
+        ...withoutFailedLogins(),
         comparePassword: jest.fn().mockResolvedValue(false),
       };
 
@@ -477,6 +535,7 @@ describe("Auth Controller", () => {
         message: "Password reset email sent successfully",
         sellerId: "seller123",
         expiresAt: mockResetToken.expiresAt,
+        resetTwoFactor: false,
         token: "reset_abcdef123456",
         emailPreview: "https://ethereal.email/message/123",
       });
@@ -539,6 +598,7 @@ describe("Auth Controller", () => {
         email: "user@example.com",
         dateOfBirth: new Date("1990-01-01"),
         password: "oldHashedPassword",
+        revokeTokens: jest.fn(),
         save: jest.fn().mockResolvedValue(),
       };
 
@@ -568,7 +628,11 @@ describe("Auth Controller", () => {
       });
 
       expect(mockSeller.password).toBe("NewPassword123!");
+      expect(mockSeller.revokeTokens).toHaveBeenCalled();
       expect(mockSeller.save).toHaveBeenCalled();
+      expect(RefreshToken.revokeSessions).toHaveBeenCalledWith("seller123", {
+        reason: "logout_all",
+      });
 
       expect(mockRes.json).toHaveBeenCalledWith({
         message: "Password reset successful",
@@ -624,4 +688,30 @@ describe("Auth Controller", () => {
       });
     });
   });
+
+  describe("getMyPermissions", () => {
+    it("should return the seller's role and permissions", async () => {
+      mockReq.user = { role: "user" };
+      getRequestPermissions.mockResolvedValue(["sales:read"]);
+
+      await authController.getMyPermissions(mockReq, mockRes, jest.fn());
+
+      expect(mockRes.json).toHaveBeenCalledWith({
+        role: "user",
+        permissions: ["sales:read"],
+      });
+    });
+
+    it("should pass lookup failures to the error handler", async () => {
+      const next = jest.fn();
+      const error = new Error("Role lookup failed");
+      mockReq.user = { role: "user" };
+      getRequestPermissions.mockRejectedValue(error);
+
+      await authController.getMyPermissions(mockReq, mockRes, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(mockRes.json).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -1,6 +1,6 @@
 /**
  * Unit Tests for Authentication Middleware
- * Tests authenticate and authorize functions
+ * Tests authenticate, authorize and authorizePermission functions
  */
 
 import { jest } from "@jest/globals";
@@ -15,16 +15,27 @@ jest.unstable_mockModule("../../../utils/jwt.js", () => ({
   verifyToken: mockVerifyToken,
 }));
 
+const mockRole = {
+  getPermissions: jest.fn(),
+};
+
 jest.unstable_mockModule("../../../models/Seller.js", () => ({
   default: mockSeller,
 }));
 
-let authenticate, authorize;
+jest.unstable_mockModule("../../../models/Role.js", () => ({
+  default: mockRole,
+}));
+
+let authenticate, authorize, authorizePermission;
 beforeAll(async () => {
-  ({ authenticate, authorize } = await import("../../../middleware/auth.js"));
+  ({ authenticate, authorize, authorizePermission } = await import(
+    "../../../middleware/auth.js"
+  ));
 });
 const verifyToken = mockVerifyToken;
 const Seller = mockSeller;
+const Role = mockRole;
 
 describe("Auth Middleware", () => {
   let mockReq, mockRes, mockNext;
@@ -226,4 +237,76 @@ describe("Auth Middleware", () => {
       expect(mockNext).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe("authorizePermission", () => {
+    it("should allow access when the role grants the permission", async () => {
+      Role.getPermissions.mockResolvedValue(["sales:read", "sales:void"]);
+      mockReq.user = { role: "admin" };
+
+      await authorizePermission("sales:void")(mockReq, mockRes, mockNext);
+
+      expect(Role.getPermissions).toHaveBeenCalledWith("admin");
+      expect(mockNext).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it("should allow access when any listed permission is granted", async () => {
+      Role.getPermissions.mockResolvedValue(["drops:undo:own"]);
+      mockReq.user = { role: "user" };
+
+      await authorizePermission("drops:undo:own", "drops:undo:any")(
+        mockReq,
+        mockRes,
+        mockNext,
+      );
+
+      expect(mockNext).toHaveBeenCalledTimes(1);
+    });
+
+    it("should return 401 when req.user is not set", async () => {
+      await authorizePermission("sales:read")(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(Role.getPermissions).not.toHaveBeenCalled();
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it("should return 403 with the required permissions when none is granted", async () => {
+      Role.getPermissions.mockResolvedValue(["sales:read"]);
+      mockReq.user = { role: "user" };
+
+      await authorizePermission("sales:void")(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Forbidden",
+        message: "Insufficient permissions",
+        statusCode: 403,
+        details: { requiredPermissions: ["sales:void"] },
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it("should look up the role once per request", async () => {
+      Role.getPermissions.mockResolvedValue(["sales:read", "sales:create"]);
+      mockReq.user = { role: "user" };
+
+      await authorizePermission("sales:read")(mockReq, mockRes, mockNext);
+      await authorizePermission("sales:create")(mockReq, mockRes, mockNext);
+
+      expect(Role.getPermissions).toHaveBeenCalledTimes(1);
+      expect(mockNext).toHaveBeenCalledTimes(2);
+    });
+
+    it("should pass lookup errors to next", async () => {
+      const error = new Error("Database unavailable");
+      Role.getPermissions.mockRejectedValue(error);
+      mockReq.user = { role: "user" };
+
+      await authorizePermission("sales:read")(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for Idempotency Middleware
+ * Tests how a key is stored or released once the response is done
+ */
+
+import { EventEmitter } from "events";
+import { jest } from "@jest/globals";
+
+const mockIdempotencyKey = {
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+};
+
+jest.unstable_mockModule("../../../models/IdempotencyKey.js", () => ({
+  default: mockIdempotencyKey,
+}));
+
+let idempotent;
+beforeAll(async () => {
+  ({ idempotent } = await import("../../../middleware/idempotency.js"));
+});
+const IdempotencyKey = mockIdempotencyKey;
+
+describe("Idempotency Middleware", () => {
+  let mockReq, mockRes, mockNext;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockReq = {
+      method: "POST",
+      baseUrl: "/api/v2/sales",
+      path: "/",
+      body: { amount: 10 },
+      user: { _id: "seller123" },
+      header: jest.fn().mockReturnValue("key-1"),
+    };
+    mockRes = Object.assign(new EventEmitter(), {
+      statusCode: 201,
+      json: jest.fn(),
+    });
+    mockNext = jest.fn();
+
+    IdempotencyKey.create.mockResolvedValue({ _id: "record1" });
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+  });
+
+  it("should give a new key a short processing window", async () => {
+    await idempotent(mockReq, mockRes, mockNext);
+
+    // Far below the 24 hour replay window
+    const { expiresAt } = IdempotencyKey.create.mock.calls[0][0];
+    expect(expiresAt.getTime() - Date.now()).toBeLessThan(10 * 60 * 1000);
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it("should store the response sent with res.json", async () => {
+    await idempotent(mockReq, mockRes, mockNext);
+
+    mockRes.json({ id: "sale1" });
+    mockRes.emit("close");
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: "record1" },
+      expect.objectContaining({
+        status: "completed",
+        responseStatus: 201,
+        responseBody: { id: "sale1" },
+      }),
+    );
+    expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it("should release the key when the response is not sent with res.json", async () => {
+    await idempotent(mockReq, mockRes, mockNext);
+
+    mockRes.emit("close");
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: "record1" });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+});
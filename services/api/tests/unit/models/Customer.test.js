@@ -334,10 +334,13 @@ describe("Customer Model", () => {
       expect(schema.paths.lastTransaction.options.required).toBeUndefined();
     });
 
-    it("should have unique constraint on phoneNumber", () => {
+    it("should have unique constraint on phoneNumber within a tenant", () => {
       const schema = Customer.schema;
 
-      expect(schema.paths.phoneNumber.options.unique).toBe(true);
+      expect(schema.indexes()).toContainEqual([
+        { phoneNumber: 1, tenantId: 1 },
+        expect.objectContaining({ unique: true }),
+      ]);
     });
 
     it("should have sparse index on email", () => {
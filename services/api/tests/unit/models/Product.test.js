@@ -3,7 +3,7 @@
  * Tests schema validation, virtuals, and transforms
  */
 
-import Product from "../../../models/Product.js";
+import Product, { isValidBarcode } from "../../../models/Product.js";
 
 describe("Product Model", () => {
   describe("Schema Validation", () => {
@@ -160,6 +160,44 @@ describe("Product Model", () => {
     });
   });
 
+  describe("Category, SKU and Barcode", () => {
+    const base = { productName: "Lemonade", count: 10, price: 3.5 };
+
+    it("should default category to other", () => {
+      const product = new Product(base);
+
+      expect(product.category).toBe("other");
+    });
+
+    it("should reject unknown categories", () => {
+      const product = new Product({ ...base, category: "furniture" });
+      const validationError = product.validateSync();
+
+      expect(validationError.errors.category).toBeDefined();
+    });
+
+    it("should uppercase and trim the SKU", () => {
+      const product = new Product({ ...base, sku: "  bev-lemon-01 " });
+
+      expect(product.sku).toBe("BEV-LEMON-01");
+      expect(product.validateSync()).toBeUndefined();
+    });
+
+    it("should accept valid EAN-13 and UPC-A barcodes", () => {
+      expect(isValidBarcode("7702004003508")).toBe(true);
+      expect(isValidBarcode("036000291452")).toBe(true);
+    });
+
+    it("should reject barcodes with a wrong check digit or length", () => {
+      expect(isValidBarcode("7702004003509")).toBe(false);
+      expect(isValidBarcode("12345")).toBe(false);
+      expect(isValidBarcode("77020040035AB")).toBe(false);
+
+      const product = new Product({ ...base, barcode: "7702004003509" });
+      expect(product.validateSync().errors.barcode).toBeDefined();
+    });
+  });
+
   describe("Virtual Fields", () => {
     it("should have name virtual field that returns productName", () => {
       const productData = {
@@ -253,6 +291,101 @@ describe("Product Model", () => {
     });
   });
 
+  describe("Reorder thresholds", () => {
+    it("should default reorder settings to null", () => {
+      const product = new Product({ productName: "Bun", count: 3, price: 1 });
+
+      expect(product.reorderPoint).toBeNull();
+      expect(product.reorderQuantity).toBeNull();
+      expect(product.isLowStock).toBe(false);
+    });
+
+    it("should flag products at or below their reorder point", () => {
+      const product = new Product({
+        productName: "Bun",
+        count: 5,
+        price: 1,
+        reorderPoint: 5,
+      });
+
+      expect(product.isLowStock).toBe(true);
+    });
+
+    it("should reject a reorder quantity below 1", () => {
+      const product = new Product({
+        productName: "Bun",
+        count: 5,
+        price: 1,
+        reorderQuantity: 0,
+      });
+      const validationError = product.validateSync();
+
+      expect(validationError.errors.reorderQuantity).toBeDefined();
+    });
+  });
+
+  describe("Stock by location", () => {
+    const stallId = testUtils.generateObjectId();
+    const kitchenId = testUtils.generateObjectId();
+
+    it("should count stock outside every location as unassigned", () => {
+      const product = new Product({
+        productName: "Empanada",
+        count: 30,
+        price: 2,
+        stockByLocation: [
+          { locationId: stallId, count: 12 },
+          { locationId: kitchenId, count: 8 },
+        ],
+      });
+
+      expect(product.getLocationCount(stallId)).toBe(12);
+      expect(product.getLocationCount(testUtils.generateObjectId())).toBe(0);
+      expect(product.getLocationCount(null)).toBe(10);
+      expect(product.unassignedCount).toBe(10);
+    });
+
+    it("should move count together with the location entry", () => {
+      const product = new Product({
+        productName: "Empanada",
+        count: 10,
+        price: 2,
+      });
+
+      product.adjustLocationStock(stallId, 6);
+      product.adjustLocationStock(stallId.toString(), -2);
+
+      expect(product.count).toBe(14);
+      expect(product.getLocationCount(stallId)).toBe(4);
+      expect(product.unassignedCount).toBe(10);
+    });
+
+    it("should adjust only count for unassigned stock", () => {
+      const product = new Product({
+        productName: "Empanada",
+        count: 10,
+        price: 2,
+      });
+
+      product.adjustLocationStock(null, -3);
+
+      expect(product.count).toBe(7);
+      expect(product.stockByLocation).toHaveLength(0);
+    });
+
+    it("should reject negative location counts", () => {
+      const product = new Product({
+        productName: "Empanada",
+        count: 10,
+        price: 2,
+        stockByLocation: [{ locationId: stallId, count: -1 }],
+      });
+      const validationError = product.validateSync();
+
+      expect(validationError.errors["stockByLocation.0.count"]).toBeDefined();
+    });
+  });
+
   describe("Schema Structure", () => {
     it("should have correct field types", () => {
       const schema = Product.schema;
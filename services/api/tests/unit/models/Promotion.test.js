@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Promotion Model
+ * Tests rule validation, scheduling and line discounts
+ */
+
+import Promotion from "../../../models/Promotion.js";
+
+describe("Promotion Model", () => {
+  const product = {
+    _id: testUtils.generateObjectId(),
+    category: "food",
+  };
+
+  const validPromotion = (overrides = {}) => ({
+    name: "Test promotion",
+    type: "percentage",
+    percentOff: 10,
+    createdBy: testUtils.generateObjectId(),
+    ...overrides,
+  });
+
+  describe("Schema Validation", () => {
+    it("should create a valid promotion", () => {
+      const promotion = new Promotion(validPromotion());
+      const validationError = promotion.validateSync();
+
+      expect(validationError).toBeUndefined();
+      expect(promotion.isActive).toBe(true);
+      expect(promotion.minQuantity).toBe(1);
+    });
+
+    // The per-type rules run in a pre("validate") hook, which validateSync skips
+    it("should require the parameters of each type", async () => {
+      const promotion = new Promotion(
+        validPromotion({ type: "bundle_price", percentOff: undefined }),
+      );
+      const validationError = await promotion.validate().catch((e) => e);
+
+      expect(validationError.errors.bundleQuantity).toBeDefined();
+      expect(validationError.errors.productIds).toBeDefined();
+    });
+
+    it("should require start and end time together", async () => {
+      const promotion = new Promotion(validPromotion({ startTime: "15:00" }));
+      const validationError = await promotion.validate().catch((e) => e);
+
+      expect(validationError.errors.endTime).toBeDefined();
+    });
+  });
+
+  describe("isActiveAt", () => {
+    it("should respect the daily time window", () => {
+      const promotion = new Promotion(
+        validPromotion({ startTime: "15:00", endTime: "17:00" }),
+      );
+
+      expect(promotion.isActiveAt(new Date(2024, 0, 1, 16, 0))).toBe(true);
+      expect(promotion.isActiveAt(new Date(2024, 0, 1, 17, 0))).toBe(false);
+    });
+
+    it("should handle windows that wrap past midnight", () => {
+      const promotion = new Promotion(
+        validPromotion({ startTime: "22:00", endTime: "02:00" }),
+      );
+
+      expect(promotion.isActiveAt(new Date(2024, 0, 1, 23, 30))).toBe(true);
+      expect(promotion.isActiveAt(new Date(2024, 0, 2, 1, 0))).toBe(true);
+      expect(promotion.isActiveAt(new Date(2024, 0, 2, 12, 0))).toBe(false);
+    });
+
+    it("should respect days of week and deactivation", () => {
+      // 2024-01-01 was a Monday
+      const promotion = new Promotion(validPromotion({ daysOfWeek: [1] }));
+
+      expect(promotion.isActiveAt(new Date(2024, 0, 1, 12, 0))).toBe(true);
+      expect(promotion.isActiveAt(new Date(2024, 0, 2, 12, 0))).toBe(false);
+
+      promotion.isActive = false;
+      expect(promotion.isActiveAt(new Date(2024, 0, 1, 12, 0))).toBe(false);
+    });
+  });
+
+  describe("getLineDiscount", () => {
+    it("should price complete bundles only", () => {
+      const promotion = new Promotion(
+        validPromotion({
+          type: "bundle_price",
+          productIds: [product._id],
+          bundleQuantity: 3,
+          bundlePrice: 5000,
+        }),
+      );
+
+      expect(promotion.getLineDiscount(product, 2, 2000)).toBe(0);
+      expect(promotion.getLineDiscount(product, 4, 2000)).toBe(1000);
+      expect(promotion.getLineDiscount(product, 6, 2000)).toBe(2000);
+    });
+
+    it("should only apply to matching products", () => {
+      const promotion = new Promotion(validPromotion({ category: "beverage" }));
+
+      expect(promotion.getLineDiscount(product, 1, 100)).toBe(0);
+    });
+
+    it("should never discount more than the line total", () => {
+      const promotion = new Promotion(
+        validPromotion({
+          type: "fixed_amount",
+          percentOff: undefined,
+          amountOff: 500,
+        }),
+      );
+
+      expect(promotion.getLineDiscount(product, 2, 300)).toBe(600);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Sale Model
+ * Tests payment methods, refunds and how money paid back is split
+ */
+
+import mongoose from "mongoose";
+import Sale from "../../../models/Sale.js";
+
+describe("Sale Model", () => {
+  const sellerId = new mongoose.Types.ObjectId();
+
+  const paidSale = (payments) => {
+    const sale = new Sale({
+      customerId: new mongoose.Types.ObjectId(),
+      sellerId,
+      products: [
+        {
+          productId: new mongoose.Types.ObjectId(),
+          quantity: 2,
+          priceAtSale: 15,
+        },
+      ],
+      totalAmount: 30,
+    });
+    for (const payment of payments) {
+      sale.recordPayment({ ...payment, receivedBy: sellerId });
+    }
+    return sale;
+  };
+
+  describe("Payment methods", () => {
+    it("should store known methods by their code", () => {
+      const sale = paidSale([{ method: "Efectivo", amount: 10 }]);
+      sale.paymentMethod = "TARJETA";
+
+      expect(sale.payments[0].method).toBe("cash");
+      expect(sale.paymentMethod).toBe("card");
+    });
+
+    it("should still validate sales holding free-text methods", () => {
+      const sale = paidSale([{ method: "Vale", amount: 10 }]);
+      sale.paymentMethod = "split";
+
+      expect(sale.validateSync()).toBeUndefined();
+      expect(sale.payments[0].method).toBe("Vale");
+    });
+  });
+
+  describe("allocateReturn", () => {
+    it("should pay back through the most recent method first", () => {
+      const sale = paidSale([
+        { method: "cash", amount: 10 },
+        { method: "card", amount: 20 },
+      ]);
+
+      expect(sale.allocateReturn(25)).toEqual([
+        { method: "card", amount: 20 },
+        { method: "cash", amount: 5 },
+      ]);
+    });
+
+    it("should leave out what earlier refunds paid back", () => {
+      const sale = paidSale([
+        { method: "cash", amount: 10 },
+        { method: "card", amount: 20 },
+      ]);
+      sale.refunds.push({
+        items: [],
+        amount: 15,
+        amountReturned: 15,
+        returnedByMethod: [{ method: "card", amount: 15 }],
+        reason: "Cold",
+        refundedBy: sellerId,
+      });
+
+      expect(sale.allocateReturn(15)).toEqual([
+        { method: "card", amount: 5 },
+        { method: "cash", amount: 10 },
+      ]);
+    });
+
+    it("should use the sale's method when there is no payment ledger", () => {
+      const sale = paidSale([]);
+      sale.paymentMethod = "nequi";
+      sale.amountPaid = 30;
+
+      expect(sale.allocateReturn(30)).toEqual([
+        { method: "nequi", amount: 30 },
+      ]);
+    });
+  });
+
+  describe("applyRefund", () => {
+    it("should refund the line it is given", () => {
+      const sale = paidSale([{ method: "cash", amount: 30 }]);
+      const productId = sale.products[0].productId;
+      sale.products.push({ productId, quantity: 1, priceAtSale: 10 });
+      const lineId = sale.products[1]._id;
+
+      const refund = sale.applyRefund({
+        items: [{ lineId, productId, quantity: 1 }],
+        reason: "Cold",
+        refundedBy: sellerId,
+      });
+
+      expect(refund.amount).toBe(10);
+      expect(sale.products.map((line) => line.refundedQuantity)).toEqual([
+        0, 1,
+      ]);
+    });
+  });
+});
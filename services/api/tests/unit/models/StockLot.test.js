@@ -0,0 +1,35 @@
+/**
+ * Unit Tests for StockLot Model
+ * Tests the unit cost of units taken from lots
+ */
+
+import StockLot from "../../../models/StockLot.js";
+
+describe("StockLot Model", () => {
+  describe("getUnitCost", () => {
+    it("should weigh each lot's cost by the units taken from it", () => {
+      const cost = StockLot.getUnitCost(
+        [
+          { quantity: 3, unitCost: 4 },
+          { quantity: 1, unitCost: 5 },
+        ],
+        4,
+        null,
+      );
+
+      expect(cost).toBe(4.25);
+    });
+
+    it("should cost units no lot covered at the fallback cost", () => {
+      expect(StockLot.getUnitCost([{ quantity: 1, unitCost: 2 }], 2, 4)).toBe(
+        3,
+      );
+      expect(StockLot.getUnitCost([], 2, 4)).toBe(4);
+    });
+
+    it("should return null when a unit has no known cost", () => {
+      expect(StockLot.getUnitCost([{ quantity: 1 }], 1, null)).toBeNull();
+      expect(StockLot.getUnitCost([], 1, null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for StockMovement Model
+ * Tests schema validation and transforms
+ */
+
+import StockMovement, {
+  MOVEMENT_TYPES,
+} from "../../../models/StockMovement.js";
+
+describe("StockMovement Model", () => {
+  const validMovement = () => ({
+    productId: testUtils.generateObjectId(),
+    type: "sale",
+    delta: -2,
+    resultingCount: 8,
+  });
+
+  describe("Schema Validation", () => {
+    it("should create a valid movement with required fields", () => {
+      const movement = new StockMovement(validMovement());
+      const validationError = movement.validateSync();
+
+      expect(validationError).toBeUndefined();
+      expect(movement.actor).toBeNull();
+      expect(movement.referenceId).toBeNull();
+    });
+
+    it("should fail validation when required fields are missing", () => {
+      const movement = new StockMovement({});
+      const validationError = movement.validateSync();
+
+      expect(validationError.errors.productId).toBeDefined();
+      expect(validationError.errors.type).toBeDefined();
+      expect(validationError.errors.delta).toBeDefined();
+      expect(validationError.errors.resultingCount).toBeDefined();
+    });
+
+    it("should reject unknown movement types", () => {
+      const movement = new StockMovement({
+        ...validMovement(),
+        type: "teleport",
+      });
+      const validationError = movement.validateSync();
+
+      expect(validationError.errors.type).toBeDefined();
+    });
+
+    it("should reject a negative resulting count", () => {
+      const movement = new StockMovement({
+        ...validMovement(),
+        resultingCount: -1,
+      });
+      const validationError = movement.validateSync();
+
+      expect(validationError.errors.resultingCount).toBeDefined();
+    });
+
+    it("should cover every way inventory changes", () => {
+      expect(MOVEMENT_TYPES).toEqual(
+        expect.arrayContaining([
+          "sale",
+          "restock",
+          "drop",
+          "drop_undo",
+          "manual_adjustment",
+          "import",
+          "void",
+        ]),
+      );
+    });
+  });
+
+  describe("toJSON Transform", () => {
+    it("should expose id and hide internal fields", () => {
+      const movement = new StockMovement(validMovement());
+      const json = movement.toJSON();
+
+      expect(json.id).toBeDefined();
+      expect(json._id).toBeUndefined();
+      expect(json.__v).toBeUndefined();
+    });
+  });
+});
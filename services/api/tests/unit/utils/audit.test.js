@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for Audit Utilities
+ * Tests before/after diffs and the audit context left on the request
+ */
+
+import { diffChanges, recordAudit } from "../../../utils/audit.js";
+
+describe("Audit Utils", () => {
+  describe("diffChanges", () => {
+    it("should list only the fields that changed", () => {
+      const changes = diffChanges(
+        { productName: "Tea", price: 10, count: 5 },
+        { productName: "Tea", price: 12, count: 5 },
+      );
+
+      expect(changes).toEqual({ price: { before: 10, after: 12 } });
+    });
+
+    it("should treat a creation as every field going from null", () => {
+      const changes = diffChanges(null, { firstName: "Ana" });
+
+      expect(changes).toEqual({ firstName: { before: null, after: "Ana" } });
+    });
+
+    it("should ignore timestamps and ids", () => {
+      const changes = diffChanges(
+        { _id: "a", updatedAt: "2025-01-01", role: "user" },
+        { _id: "a", updatedAt: "2025-02-01", role: "user" },
+      );
+
+      expect(changes).toBeNull();
+    });
+
+    it("should redact secrets", () => {
+      const changes = diffChanges({ password: "old" }, { password: "new" });
+
+      expect(changes).toEqual({
+        password: { before: "[redacted]", after: "[redacted]" },
+      });
+    });
+
+    it("should compare dates and nested values by content", () => {
+      const changes = diffChanges(
+        { expiresAt: new Date("2025-01-01"), tags: ["a"] },
+        { expiresAt: new Date("2025-01-01"), tags: ["a", "b"] },
+      );
+
+      expect(changes).toEqual({
+        tags: { before: ["a"], after: ["a", "b"] },
+      });
+    });
+  });
+
+  describe("recordAudit", () => {
+    it("should store the action and diff on the request", () => {
+      const req = {};
+      recordAudit(req, {
+        action: "seller.role_change",
+        resourceType: "seller",
+        resourceId: { toString: () => "507f1f77bcf86cd799439011" },
+        before: { role: "user" },
+        after: { role: "admin" },
+      });
+
+      expect(req.audit).toEqual({
+        action: "seller.role_change",
+        resourceType: "seller",
+        resourceId: "507f1f77bcf86cd799439011",
+        changes: { role: { before: "user", after: "admin" } },
+        metadata: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit Tests for Email Service
+ * Tests the low-stock alert email body
+ */
+
+import { jest } from "@jest/globals";
+
+const sendMail = jest.fn();
+
+jest.unstable_mockModule("nodemailer", () => ({
+  default: {
+    createTransport: jest.fn(() => ({ sendMail })),
+    createTestAccount: jest.fn(),
+  },
+}));
+
+let sendLowStockAlertEmail;
+
+beforeAll(async () => {
+  ({ sendLowStockAlertEmail } = await import("../../../utils/emailService.js"));
+});
+
+describe("Email Service", () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.EMAIL_USER = "alerts@test.com";
+    process.env.EMAIL_PASSWORD = "secret";
+    sendMail.mockReset();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe("sendLowStockAlertEmail", () => {
+    it("should escape the product name in the email body", async () => {
+      const result = await sendLowStockAlertEmail(["admin@test.com"], {
+        productName: '<a href="https://evil.test">Tea</a>',
+        count: 2,
+        reorderPoint: 5,
+      });
+
+      expect(result.success).toBe(true);
+      const { html } = sendMail.mock.calls[0][0];
+      expect(html).toContain(
+        "&lt;a href=&quot;https://evil.test&quot;&gt;Tea&lt;/a&gt;",
+      );
+      expect(html).not.toContain("<a href");
+    });
+  });
+});
@@ -15,11 +15,19 @@ jest.unstable_mockModule("jsonwebtoken", () => ({
   default: mockJwt,
 }));
 
-let generateToken, verifyToken, generateResetToken;
+let generateToken,
+  verifyToken,
+  generateResetToken,
+  generateRefreshToken,
+  hashToken;
 beforeAll(async () => {
-  ({ generateToken, verifyToken, generateResetToken } = await import(
-    "../../../utils/jwt.js"
-  ));
+  ({
+    generateToken,
+    verifyToken,
+    generateResetToken,
+    generateRefreshToken,
+    hashToken,
+  } = await import("../../../utils/jwt.js"));
 });
 
 describe("JWT Utils", () => {
@@ -47,11 +55,23 @@ describe("JWT Utils", () => {
       const result = generateToken(payload);
 
       expect(mockJwt.sign).toHaveBeenCalledWith(payload, "test-secret-key", {
-        expiresIn: "24h",
+        expiresIn: "15m",
       });
       expect(result).toBe(mockToken);
     });
 
+    it("should use JWT_EXPIRES_IN for the access token lifetime", () => {
+      process.env.JWT_EXPIRES_IN = "1h";
+
+      generateToken({ id: "user123" });
+
+      expect(mockJwt.sign).toHaveBeenCalledWith(
+        { id: "user123" },
+        "test-secret-key",
+        { expiresIn: "1h" },
+      );
+    });
+
     it("should use environment JWT_SECRET", () => {
       const payload = { id: "user123" };
 
@@ -90,6 +110,24 @@ describe("JWT Utils", () => {
     });
   });
 
+  describe("refresh tokens", () => {
+    it("should generate long random URL-safe tokens", () => {
+      const token1 = generateRefreshToken();
+      const token2 = generateRefreshToken();
+
+      expect(token1).toMatch(/^[A-Za-z0-9_-]{64}$/);
+      expect(token1).not.toBe(token2);
+    });
+
+    it("should hash tokens deterministically", () => {
+      const token = generateRefreshToken();
+
+      expect(hashToken(token)).toBe(hashToken(token));
+      expect(hashToken(token)).toMatch(/^[a-f0-9]{64}$/);
+      expect(hashToken(token)).not.toBe(token);
+    });
+  });
+
   describe("generateResetToken", () => {
     it("should generate a reset token with correct prefix", () => {
       const token = generateResetToken();
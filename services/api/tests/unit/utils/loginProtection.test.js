@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for Login Protection Utilities
+ * Tests the progressive delay and lockout settings
+ */
+
+import {
+  getLoginDelayMs,
+  getLockoutMs,
+  getMaxFailedLogins,
+  MAX_LOGIN_DELAY_MS,
+} from "../../../utils/loginProtection.js";
+
+describe("Login Protection Utilities", () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe("getLoginDelayMs", () => {
+    it("should not delay the first failed attempts", () => {
+      expect(getLoginDelayMs(0)).toBe(0);
+      expect(getLoginDelayMs(1)).toBe(0);
+      expect(getLoginDelayMs(2)).toBe(0);
+    });
+
+    it("should double the delay with every further failure", () => {
+      expect(getLoginDelayMs(3)).toBe(1000);
+      expect(getLoginDelayMs(4)).toBe(2000);
+      expect(getLoginDelayMs(5)).toBe(4000);
+    });
+
+    it("should cap the delay", () => {
+      expect(getLoginDelayMs(50)).toBe(MAX_LOGIN_DELAY_MS);
+    });
+  });
+
+  describe("lockout settings", () => {
+    it("should default to 5 attempts and 15 minutes", () => {
+      delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+      delete process.env.LOGIN_LOCKOUT_MINUTES;
+
+      expect(getMaxFailedLogins()).toBe(5);
+      expect(getLockoutMs()).toBe(15 * 60 * 1000);
+    });
+
+    it("should read overrides from the environment", () => {
+      process.env.LOGIN_MAX_FAILED_ATTEMPTS = "3";
+      process.env.LOGIN_LOCKOUT_MINUTES = "60";
+
+      expect(getMaxFailedLogins()).toBe(3);
+      expect(getLockoutMs()).toBe(60 * 60 * 1000);
+    });
+  });
+});
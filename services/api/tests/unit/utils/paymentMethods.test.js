@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for Payment Method Utilities
+ * Tests the enabled methods setting and how tenders become payments
+ */
+
+import {
+  PAYMENT_METHOD_CODES,
+  SPLIT_TENDER,
+  applyTenders,
+  getEnabledPaymentMethods,
+  getPaymentMethodLabel,
+  normalizePaymentMethod,
+  resolvePaymentMethod,
+} from "../../../utils/paymentMethods.js";
+
+describe("Payment Method Utilities", () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe("getEnabledPaymentMethods", () => {
+    it("should enable every method when unset", () => {
+      delete process.env.PAYMENT_METHODS;
+
+      expect(getEnabledPaymentMethods()).toEqual(PAYMENT_METHOD_CODES);
+    });
+
+    it("should keep only known methods from the setting", () => {
+      process.env.PAYMENT_METHODS = " Cash, nequi ,bitcoin";
+
+      expect(getEnabledPaymentMethods()).toEqual(["cash", "nequi"]);
+    });
+  });
+
+  describe("normalizePaymentMethod", () => {
+    it("should lower-case methods and drop empty ones", () => {
+      expect(normalizePaymentMethod(" Card ")).toBe("card");
+      expect(normalizePaymentMethod("")).toBeNull();
+      expect(normalizePaymentMethod(undefined)).toBeNull();
+    });
+  });
+
+  describe("resolvePaymentMethod", () => {
+    it("should accept codes, labels and aliases", () => {
+      expect(resolvePaymentMethod("NEQUI")).toBe("nequi");
+      expect(resolvePaymentMethod("Bank transfer")).toBe("bank_transfer");
+      expect(resolvePaymentMethod(" Efectivo ")).toBe("cash");
+      expect(resolvePaymentMethod("Tarjeta de crédito")).toBe("card");
+    });
+
+    it("should return null for unknown or empty methods", () => {
+      expect(resolvePaymentMethod("bitcoin")).toBeNull();
+      expect(resolvePaymentMethod("")).toBeNull();
+      expect(resolvePaymentMethod(null)).toBeNull();
+    });
+  });
+
+  describe("getPaymentMethodLabel", () => {
+    it("should fall back to the method itself when unknown", () => {
+      expect(getPaymentMethodLabel("bank_transfer")).toBe("Bank transfer");
+      expect(getPaymentMethodLabel("voucher")).toBe("voucher");
+    });
+  });
+
+  describe("applyTenders", () => {
+    it("should hand back cash over the total as change", () => {
+      const result = applyTenders(
+        [
+          { method: "card", amount: 20 },
+          { method: "cash", amount: 50 },
+        ],
+        45,
+      );
+
+      expect(result.payments).toEqual([
+        { method: "card", amount: 20 },
+        { method: "cash", amount: 25 },
+      ]);
+      expect(result.amountPaid).toBe(45);
+      expect(result.cashTendered).toBe(50);
+      expect(result.changeDue).toBe(25);
+      expect(result.method).toBe(SPLIT_TENDER);
+    });
+
+    it("should merge several cash tenders into one payment", () => {
+      const result = applyTenders(
+        [
+          { method: "cash", amount: 10 },
+          { method: "cash", amount: 5 },
+        ],
+        12,
+      );
+
+      expect(result.payments).toEqual([{ method: "cash", amount: 12 }]);
+      expect(result.changeDue).toBe(3);
+      expect(result.method).toBe("cash");
+    });
+
+    it("should leave account credit and untendered amounts owed", () => {
+      const result = applyTenders(
+        [
+          { method: "nequi", amount: 10 },
+          { method: "account_credit", amount: 15 },
+        ],
+        30,
+      );
+
+      expect(result.payments).toEqual([{ method: "nequi", amount: 10 }]);
+      expect(result.amountPaid).toBe(10);
+      expect(result.onAccount).toBe(15);
+      expect(result.changeDue).toBe(0);
+    });
+
+    it("should reject non-cash tenders above the total", () => {
+      expect(() => applyTenders([{ method: "card", amount: 50 }], 45)).toThrow(
+        expect.objectContaining({ statusCode: 400, code: "invalid_payment" }),
+      );
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for Receipt Utilities
+ * Tests receipt data and fixed-width/ESC-POS rendering
+ */
+
+import {
+  buildReceiptData,
+  renderReceiptText,
+  renderReceiptEscPos,
+  THERMAL_LINE_WIDTH,
+} from "../../../utils/receipt.js";
+
+describe("Receipt Utils", () => {
+  const sale = () => ({
+    _id: testUtils.generateObjectId(),
+    createdAt: new Date("2025-03-01T15:30:00Z"),
+    status: "completed",
+    sellerId: { firstName: "Ana", lastName: "Gómez" },
+    customerId: {
+      firstName: "Juan",
+      lastName: "Pérez",
+      email: "juan@test.com",
+    },
+    products: [
+      {
+        productId: { productName: "Empanada" },
+        quantity: 3,
+        priceAtSale: 2000,
+        discountAmount: 1000,
+        taxCode: "impoconsumo_8",
+        taxAmount: 370.37,
+        priceIncludesTax: true,
+      },
+      {
+        productId: { productName: "Jugo" },
+        quantity: 1,
+        priceAtSale: 1000,
+        discountAmount: 0,
+        taxCode: "iva_19",
+        taxAmount: 190,
+        priceIncludesTax: false,
+      },
+    ],
+    subtotalAmount: 7000,
+    discountAmount: 1000,
+    taxAmount: 560.37,
+    taxBreakdown: [
+      { taxCode: "impoconsumo_8", taxableAmount: 4629.63, taxAmount: 370.37 },
+      { taxCode: "iva_19", taxableAmount: 1000, taxAmount: 190 },
+    ],
+    totalAmount: 6190,
+    payments: [{ method: "cash", amount: 5000, receivedAt: new Date() }],
+    amountPaid: 5000,
+    getBalanceDue: () => 1190,
+  });
+
+  describe("buildReceiptData", () => {
+    it("should compute line amounts after discounts and added tax", () => {
+      const data = buildReceiptData(sale());
+
+      expect(data.lines[0].amount).toBe(5000);
+      expect(data.lines[1].amount).toBe(1190);
+      expect(data.taxes[0].label).toBe("Impoconsumo 8%");
+      expect(data.customer.name).toBe("Juan Pérez");
+      expect(data.balanceDue).toBe(1190);
+    });
+
+    it("should label payments and show change on over-tendered cash", () => {
+      const data = buildReceiptData({
+        ...sale(),
+        cashTendered: 10000,
+        changeDue: 3810,
+      });
+
+      expect(data.payments[0].method).toBe("Cash");
+      expect(data.cashTendered).toBe(10000);
+      expect(renderReceiptText(data)).toContain("Change");
+    });
+  });
+
+  describe("renderReceiptText", () => {
+    it("should fit every line on an 80mm printer", () => {
+      const text = renderReceiptText(buildReceiptData(sale()));
+
+      for (const line of text.trimEnd().split("\n")) {
+        expect(line.length).toBeLessThanOrEqual(THERMAL_LINE_WIDTH);
+      }
+      expect(text).toContain("IVA 19%");
+      expect(text).toContain("Balance due");
+    });
+
+    it("should mark voided sales", () => {
+      const text = renderReceiptText(
+        buildReceiptData({ ...sale(), status: "voided" }),
+      );
+
+      expect(text).toContain("VOIDED");
+    });
+  });
+
+  describe("renderReceiptEscPos", () => {
+    it("should initialize the printer and cut the paper", () => {
+      const bytes = renderReceiptEscPos(buildReceiptData(sale()));
+
+      expect([...bytes.subarray(0, 2)]).toEqual([0x1b, 0x40]);
+      expect([...bytes.subarray(-4)]).toEqual([0x1d, 0x56, 0x42, 0x00]);
+    });
+
+    it("should encode Spanish characters in code page 1252", () => {
+      const bytes = renderReceiptEscPos(buildReceiptData(sale()));
+
+      // "é" is 0xE9 in Windows-1252
+      expect(bytes.includes(0xe9)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for Tax Utilities
+ * Tests line tax calculation and per-code summaries
+ */
+
+import {
+  calculateLineTax,
+  summarizeTaxes,
+  TAX_CODES,
+} from "../../../utils/tax.js";
+
+describe("Tax Utils", () => {
+  describe("calculateLineTax", () => {
+    it("should back the tax out of tax-inclusive amounts", () => {
+      const tax = calculateLineTax(11900, { taxCode: "iva_19" });
+
+      expect(tax).toEqual({
+        taxCode: "iva_19",
+        taxRate: 19,
+        taxableAmount: 10000,
+        taxAmount: 1900,
+      });
+    });
+
+    it("should add the tax on top of tax-exclusive amounts", () => {
+      const tax = calculateLineTax(10000, {
+        taxCode: "impoconsumo_8",
+        priceIncludesTax: false,
+      });
+
+      expect(tax.taxableAmount).toBe(10000);
+      expect(tax.taxAmount).toBe(800);
+    });
+
+    it("should not tax exempt, excluded or unassigned lines", () => {
+      expect(calculateLineTax(500, { taxCode: "exempt" }).taxAmount).toBe(0);
+      expect(calculateLineTax(500, { taxCode: "excluded" }).taxAmount).toBe(0);
+
+      const untaxed = calculateLineTax(500, { taxCode: null });
+      expect(untaxed.taxCode).toBeNull();
+      expect(untaxed.taxableAmount).toBe(500);
+    });
+
+    it("should keep base plus tax equal to a tax-inclusive amount", () => {
+      const tax = calculateLineTax(15.99, { taxCode: "iva_5" });
+
+      expect(tax.taxableAmount + tax.taxAmount).toBeCloseTo(15.99, 2);
+    });
+  });
+
+  describe("summarizeTaxes", () => {
+    it("should total lines per tax code and skip untaxed lines", () => {
+      const breakdown = summarizeTaxes([
+        calculateLineTax(11900, { taxCode: "iva_19" }),
+        calculateLineTax(2380, { taxCode: "iva_19" }),
+        calculateLineTax(1080, { taxCode: "impoconsumo_8" }),
+        calculateLineTax(700, { taxCode: null }),
+      ]);
+
+      expect(breakdown).toHaveLength(2);
+      expect(breakdown[0]).toEqual({
+        taxCode: "iva_19",
+        taxType: "iva",
+        taxRate: 19,
+        taxableAmount: 12000,
+        taxAmount: 2280,
+      });
+      expect(breakdown[1].taxAmount).toBe(80);
+    });
+  });
+
+  it("should expose every configured tax code", () => {
+    expect(TAX_CODES).toEqual(
+      expect.arrayContaining(["iva_19", "iva_5", "impoconsumo_8", "exempt"]),
+    );
+  });
+});
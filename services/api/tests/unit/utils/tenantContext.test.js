@@ -0,0 +1,78 @@
+/**
+ * Unit Tests for Tenant Context Utilities
+ * Tests subdomain parsing and the per-request tenant store
+ */
+
+import {
+  getSubdomainSlug,
+  getTenantId,
+  isMultiTenant,
+  runUnscoped,
+  runWithTenant,
+  setTenantId,
+} from "../../../utils/tenantContext.js";
+
+describe("Tenant Context Utilities", () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe("isMultiTenant", () => {
+    it("should be off unless MULTI_TENANT is true", () => {
+      delete process.env.MULTI_TENANT;
+      expect(isMultiTenant()).toBe(false);
+
+      process.env.MULTI_TENANT = "true";
+      expect(isMultiTenant()).toBe(true);
+    });
+  });
+
+  describe("getSubdomainSlug", () => {
+    beforeEach(() => {
+      process.env.TENANT_BASE_DOMAIN = "bitetrack.io";
+    });
+
+    it("should return the tenant label of the host", () => {
+      expect(getSubdomainSlug("acme.bitetrack.io")).toBe("acme");
+      expect(getSubdomainSlug("Acme.BiteTrack.io:3004")).toBe("acme");
+    });
+
+    it("should ignore the bare domain, other domains and nested subdomains", () => {
+      expect(getSubdomainSlug("bitetrack.io")).toBeNull();
+      expect(getSubdomainSlug("acme.example.com")).toBeNull();
+      expect(getSubdomainSlug("api.acme.bitetrack.io")).toBeNull();
+      expect(getSubdomainSlug(undefined)).toBeNull();
+    });
+
+    it("should not resolve subdomains without a base domain", () => {
+      delete process.env.TENANT_BASE_DOMAIN;
+
+      expect(getSubdomainSlug("acme.bitetrack.io")).toBeNull();
+    });
+  });
+
+  describe("tenant store", () => {
+    it("should expose the tenant only inside runWithTenant", async () => {
+      const tenantId = testUtils.generateObjectId();
+
+      expect(getTenantId()).toBeNull();
+      await runWithTenant(tenantId, async () => {
+        await Promise.resolve();
+        expect(getTenantId()).toBe(tenantId);
+        runUnscoped(() => expect(getTenantId()).toBeNull());
+      });
+      expect(getTenantId()).toBeNull();
+    });
+
+    it("should let the request set its tenant once known", () => {
+      const tenantId = testUtils.generateObjectId();
+
+      runWithTenant(null, () => {
+        setTenantId(tenantId);
+        expect(getTenantId()).toBe(tenantId);
+      });
+    });
+  });
+});
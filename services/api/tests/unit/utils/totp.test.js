@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for TOTP Utilities
+ * Tests base32 encoding, RFC 6238 codes, verification and backup codes
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  getTotpStep,
+  buildOtpAuthUrl,
+  generateBackupCodes,
+  normalizeBackupCode,
+  isTwoFactorRequired,
+} from "../../../utils/totp.js";
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP Utilities", () => {
+  describe("base32", () => {
+    it("should round-trip bytes", () => {
+      const bytes = Buffer.from("BiteTrack secret");
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it("should ignore case, spaces and padding when decoding", () => {
+      expect(base32Decode("mzxw 6ytb oi======").toString()).toBe("foobar");
+    });
+
+    it("should reject invalid characters", () => {
+      expect(() => base32Decode("ABC1")).toThrow("Invalid base32 character");
+    });
+  });
+
+  describe("generateTotp", () => {
+    it("should match the RFC 6238 test vectors", () => {
+      expect(generateTotp(RFC_SECRET, { time: 59 * 1000 })).toBe("287082");
+      expect(generateTotp(RFC_SECRET, { time: 1111111109 * 1000 })).toBe(
+        "081804",
+      );
+      expect(generateTotp(RFC_SECRET, { time: 1234567890 * 1000 })).toBe(
+        "005924",
+      );
+    });
+  });
+
+  describe("verifyTotp", () => {
+    const time = 1111111109 * 1000;
+
+    it("should return the matched time step", () => {
+      expect(verifyTotp(RFC_SECRET, "081804", { time })).toBe(
+        getTotpStep(time),
+      );
+    });
+
+    it("should accept codes from the adjacent period", () => {
+      const previous = generateTotp(RFC_SECRET, { time: time - 30 * 1000 });
+      expect(verifyTotp(RFC_SECRET, previous, { time })).toBe(
+        getTotpStep(time) - 1,
+      );
+    });
+
+    it("should reject wrong, old and malformed codes", () => {
+      const old = generateTotp(RFC_SECRET, { time: time - 90 * 1000 });
+      expect(verifyTotp(RFC_SECRET, old, { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, "12345", { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, "abcdef", { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe("buildOtpAuthUrl", () => {
+    it("should build a provisioning URI", () => {
+      const url = buildOtpAuthUrl({
+        secret: "JBSWY3DPEHPK3PXP",
+        accountName: "ana@example.com",
+        issuer: "BiteTrack",
+      });
+
+      expect(url).toBe(
+        "otpauth://totp/BiteTrack:ana%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=BiteTrack&algorithm=SHA1&digits=6&period=30",
+      );
+    });
+  });
+
+  describe("backup codes", () => {
+    it("should generate distinct codes", () => {
+      const codes = generateBackupCodes(10);
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code) =>
+        expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/),
+      );
+    });
+
+    it("should normalize case and separators", () => {
+      expect(normalizeBackupCode(" 3F9A-B27C ")).toBe("3f9ab27c");
+    });
+  });
+
+  describe("isTwoFactorRequired", () => {
+    const original = process.env.TWO_FACTOR_REQUIRED_ROLES;
+
+    afterEach(() => {
+      if (original === undefined) {
+        delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+      } else {
+        process.env.TWO_FACTOR_REQUIRED_ROLES = original;
+      }
+    });
+
+    it("should require nothing by default", () => {
+      delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+      expect(isTwoFactorRequired("superadmin")).toBe(false);
+    });
+
+    it("should read the roles from the environment", () => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = "admin, superadmin";
+      expect(isTwoFactorRequired("admin")).toBe(true);
+      expect(isTwoFactorRequired("superadmin")).toBe(true);
+      expect(isTwoFactorRequired("user")).toBe(false);
+    });
+  });
+});
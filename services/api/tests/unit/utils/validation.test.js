@@ -8,30 +8,45 @@ import { jest } from "@jest/globals";
 // Mock express-validator for ESM
 const mockValidationResult = jest.fn();
 
+// Chain methods used by the validation rules; each returns the chain
+const chainMethods = [
+  "custom",
+  "customSanitizer",
+  "exists",
+  "if",
+  "isArray",
+  "isBoolean",
+  "isEmail",
+  "isFloat",
+  "isIn",
+  "isInt",
+  "isISO8601",
+  "isLength",
+  "isMongoId",
+  "isString",
+  "matches",
+  "normalizeEmail",
+  "notEmpty",
+  "optional",
+  "toBoolean",
+  "toDate",
+  "toFloat",
+  "toInt",
+  "toLowerCase",
+  "toUpperCase",
+  "trim",
+  "withMessage",
+];
+const mockChain = () =>
+  Object.fromEntries(
+    chainMethods.map((method) => [method, jest.fn().mockReturnThis()]),
+  );
+
 jest.unstable_mockModule("express-validator", () => ({
   validationResult: mockValidationResult,
-  body: jest.fn(() => ({
-    isEmail: jest.fn().mockReturnThis(),
-    normalizeEmail: jest.fn().mockReturnThis(),
-    withMessage: jest.fn().mockReturnThis(),
-    notEmpty: jest.fn().mockReturnThis(),
-    isISO8601: jest.fn().mockReturnThis(),
-    toDate: jest.fn().mockReturnThis(),
-    trim: jest.fn().mockReturnThis(),
-    matches: jest.fn().mockReturnThis(),
-    optional: jest.fn().mockReturnThis(),
-    isIn: jest.fn().mockReturnThis(),
-    isInt: jest.fn().mockReturnThis(),
-    isFloat: jest.fn().mockReturnThis(),
-    isMongoId: jest.fn().mockReturnThis(),
-    isArray: jest.fn().mockReturnThis(),
-    custom: jest.fn().mockReturnThis(),
-  })),
-  query: jest.fn(() => ({
-    isEmail: jest.fn().mockReturnThis(),
-    normalizeEmail: jest.fn().mockReturnThis(),
-    withMessage: jest.fn().mockReturnThis(),
-  })),
+  body: jest.fn(mockChain),
+  query: jest.fn(mockChain),
+  param: jest.fn(mockChain),
 }));
 
 let validationRules, validate;
@@ -69,7 +84,26 @@ describe("Validation Utils", () => {
         "createProduct",
         "updateProduct",
         "createSale",
+        "syncSales",
         "settleSale",
+        "addPayment",
+        "voidSale",
+        "refundSale",
+        "emailSaleReceipt",
+        "restockProduct",
+        "createPromotion",
+        "updatePromotion",
+        "loginTwoFactor",
+        "refreshToken",
+        "logout",
+        "updateRolePermissions",
+        "createLocation",
+        "createTransfer",
+        "openShift",
+        "shiftCashMovement",
+        "closeShift",
+        "listShifts",
+        "listAuditLogs",
       ];
 
       expectedRules.forEach((rule) => {
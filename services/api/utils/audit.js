@@ -0,0 +1,105 @@
+// Fields whose values never reach the audit log
+const REDACTED_FIELDS = [
+  "password",
+  "token",
+  "resetToken",
+  "activationCode",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorBackupCodes",
+];
+
+// Bookkeeping fields that change on every save and say nothing useful
+const IGNORED_FIELDS = ["_id", "id", "__v", "createdAt", "updatedAt"];
+
+// Plain JSON copy of a document or object (ObjectIds and dates as strings)
+const toPlain = (value) => {
+  if (value === null || value === undefined) {
+    return {};
+  }
+  const object =
+    typeof value.toObject === "function"
+      ? value.toObject({ depopulate: true })
+      : value;
+  return JSON.parse(JSON.stringify(object));
+};
+
+/**
+ * Field-by-field difference between two versions of a resource
+ * Only top-level fields are compared; nested objects and arrays count as one
+ * field. Pass null as before for a creation and null as after for a deletion.
+ *
+ * @function diffChanges
+ * @param {Object|null} before - Document or plain object before the change
+ * @param {Object|null} after - Document or plain object after the change
+ * @returns {Object|null} { field: { before, after } }, or null when nothing changed
+ *
+ * @example
+ * diffChanges({ price: 10, name: "Tea" }, { price: 12, name: "Tea" });
+ * // { price: { before: 10, after: 12 } }
+ */
+const diffChanges = (before, after) => {
+  const previous = toPlain(before);
+  const next = toPlain(after);
+  const changes = {};
+
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const beforeValue = previous[field] ?? null;
+    const afterValue = next[field] ?? null;
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) {
+      continue;
+    }
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: "[redacted]", after: "[redacted]" }
+      : { before: beforeValue, after: afterValue };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Describe what a request changed, for the audit trail middleware to record
+ * Call from a controller once the change is made; without it the entry only
+ * has the route, actor and response status.
+ *
+ * @function recordAudit
+ * @param {Object} req - Express request object
+ * @param {Object} entry - What was changed
+ * @param {string} entry.action - Named action (e.g. "product.update")
+ * @param {string} [entry.resourceType] - Resource kind (e.g. "product")
+ * @param {string|Object} [entry.resourceId] - Id of the changed resource
+ * @param {Object|null} [entry.before] - Resource before the change
+ * @param {Object|null} [entry.after] - Resource after the change
+ * @param {Object} [entry.metadata] - Extra context (e.g. deleted counts)
+ * @returns {void}
+ *
+ * @example
+ * recordAudit(req, {
+ *   action: "seller.role_change",
+ *   resourceType: "seller",
+ *   resourceId: seller._id,
+ *   before: { role: "user" },
+ *   after: { role: "admin" },
+ * });
+ */
+const recordAudit = (
+  req,
+  { action, resourceType, resourceId, before, after, metadata },
+) => {
+  req.audit = {
+    action,
+    resourceType: resourceType ?? null,
+    resourceId: resourceId ? resourceId.toString() : null,
+    changes:
+      before !== undefined || after !== undefined
+        ? diffChanges(before, after)
+        : null,
+    metadata: metadata ?? null,
+  };
+};
+
+export { diffChanges, recordAudit, REDACTED_FIELDS };
@@ -15,6 +15,17 @@ const createTransporter = () => {
   });
 };
 
+// Escape text for the HTML body of an email; names are typed in by users
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
 // Generate a test email service account when in development
 const getTestCredentials = async () => {
   if (process.env.NODE_ENV !== "production") {
@@ -159,3 +170,110 @@ export const testEmailConfig = async () => {
     return null;
   }
 };
+
+// Send low-stock alert email to kitchen/admin staff
+export const sendLowStockAlertEmail = async (recipients, alert) => {
+  try {
+    // Validate required environment variables
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+      throw new Error(
+        "Email service not configured. Check EMAIL_USER and EMAIL_PASSWORD environment variables.",
+      );
+    }
+
+    const transporter = createTransporter();
+
+    const orderLine = alert.reorderQuantity
+      ? `<p style="font-size: 16px;">Suggested order: <strong>${alert.reorderQuantity} units</strong></p>`
+      : "";
+
+    // Compose email
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || '"BiteTrack" <noreply@bitetrack.io>',
+      to: recipients.join(", "),
+      subject: `BiteTrack - Low stock: ${alert.productName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #333;">Low Stock Alert</h2>
+          <p style="font-size: 16px;"><strong>${escapeHtml(alert.productName)}</strong> is down to <strong>${alert.count} units</strong> (reorder point: ${alert.reorderPoint}).</p>
+          ${orderLine}
+          <hr style="border: none; border-top: 1px solid #eee; margin: 40px 0;">
+          <p style="font-size: 12px; color: #999;">© 2025 BiteTrack. All rights reserved.</p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+
+    return {
+      success: true,
+      message: `Low stock alert sent to ${recipients.length} recipient(s)`,
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error sending low stock alert email:", error);
+    return {
+      success: false,
+      message: "Failed to send low stock alert email",
+      error: error.message,
+    };
+  }
+};
+
+// Send a sale receipt to the customer with the PDF attached
+export const sendReceiptEmail = async (email, receipt, pdf) => {
+  try {
+    // Validate required environment variables
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+      throw new Error(
+        "Email service not configured. Check EMAIL_USER and EMAIL_PASSWORD environment variables.",
+      );
+    }
+
+    const transporter = createTransporter();
+
+    const greeting = receipt.customer.name
+      ? `Hi ${receipt.customer.name},`
+      : "Hello,";
+
+    // Compose email
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || '"BiteTrack" <noreply@bitetrack.io>',
+      to: email,
+      subject: `${receipt.business.name} - Receipt #${receipt.receiptNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #333;">${receipt.business.name}</h2>
+          <p style="font-size: 16px;">${greeting}</p>
+          <p style="font-size: 16px;">Your receipt <strong>#${receipt.receiptNumber}</strong> for <strong>${receipt.totalAmount.toFixed(2)}</strong> is attached.</p>
+          <p style="font-size: 14px; color: #666;">${receipt.business.footer}</p>
+          <hr style="border: none; border-top: 1px solid #eee; margin: 40px 0;">
+          <p style="font-size: 12px; color: #999;">© 2025 BiteTrack. All rights reserved.</p>
+        </div>
+      `,
+      attachments: [
+        {
+          filename: `receipt-${receipt.receiptNumber}.pdf`,
+          content: pdf,
+          contentType: "application/pdf",
+        },
+      ],
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+
+    return {
+      success: true,
+      message: "Receipt sent successfully",
+      messageId: info.messageId,
+    };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error sending receipt email:", error);
+    return {
+      success: false,
+      message: "Failed to send receipt email",
+      error: error.message,
+    };
+  }
+};
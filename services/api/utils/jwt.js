@@ -1,8 +1,16 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
+// Access tokens are short-lived; clients renew them with a refresh token
+export const getAccessTokenTtl = () => process.env.JWT_EXPIRES_IN || "15m";
+
+// Refresh tokens (and so device sessions) expire after this many idle days
+export const getRefreshTokenTtlMs = () =>
+  (parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
 export const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: "24h",
+    expiresIn: getAccessTokenTtl(),
   });
 };
 
@@ -10,6 +18,23 @@ export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
+// Second login step: proves the password was right, and nothing more, for
+// the few minutes the user has to type their two-factor code
+export const TWO_FACTOR_CHALLENGE_TTL = "5m";
+
+export const generateChallengeToken = (sellerId) => {
+  return jwt.sign({ id: sellerId, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
+};
+
+// Opaque random refresh token; only its hash is stored
+export const generateRefreshToken = () =>
+  crypto.randomBytes(48).toString("base64url");
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
 export const generateResetToken = () => {
   const chars =
     "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
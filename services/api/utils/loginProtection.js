@@ -0,0 +1,25 @@
+// Failed logins before the account is locked
+export const getMaxFailedLogins = () =>
+  parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+
+// How long a locked account stays locked; failures older than this are forgotten
+export const getLockoutMs = () =>
+  (parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Failures allowed back to back before each further attempt must wait
+export const FREE_FAILED_LOGINS = 2;
+
+// Longest wait between two attempts before lockout
+export const MAX_LOGIN_DELAY_MS = 30 * 1000;
+
+// Wait required after the given number of consecutive failures: nothing for
+// the first ones, then 1s, 2s, 4s... capped at MAX_LOGIN_DELAY_MS
+export const getLoginDelayMs = (failedAttempts) => {
+  if (failedAttempts <= FREE_FAILED_LOGINS) {
+    return 0;
+  }
+  return Math.min(
+    1000 * 2 ** (failedAttempts - FREE_FAILED_LOGINS - 1),
+    MAX_LOGIN_DELAY_MS,
+  );
+};
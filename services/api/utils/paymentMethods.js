@@ -0,0 +1,156 @@
+/**
+ * Payment methods and split tender: which methods a sale can be paid with
+ * and how the tenders a customer hands over become payments.
+ */
+
+// Payment methods the API knows
+// - cash: counted in the till; the only method that can be over-tendered
+//   (the excess is handed back as change)
+// - card: debit or credit card on a terminal
+// - nequi / daviplata: mobile wallets
+// - bank_transfer: transfer to the business account
+// - account_credit: charged to the customer's account. It stays owed (and
+//   counts against the credit limit), so it is never recorded as a payment
+export const PAYMENT_METHODS = {
+  cash: { label: "Cash" },
+  card: { label: "Card" },
+  nequi: { label: "Nequi" },
+  daviplata: { label: "Daviplata" },
+  bank_transfer: { label: "Bank transfer" },
+  account_credit: { label: "Account credit" },
+};
+
+export const PAYMENT_METHOD_CODES = Object.keys(PAYMENT_METHODS);
+
+export const CASH_METHOD = "cash";
+export const ACCOUNT_CREDIT_METHOD = "account_credit";
+
+// Sale.paymentMethod of a sale paid with more than one method
+export const SPLIT_TENDER = "split";
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Methods this business accepts: the codes listed in PAYMENT_METHODS
+// (comma-separated), or every method when unset
+export const getEnabledPaymentMethods = () => {
+  const configured = (process.env.PAYMENT_METHODS || "")
+    .split(",")
+    .map((method) => method.trim().toLowerCase())
+    .filter((method) => PAYMENT_METHOD_CODES.includes(method));
+  return configured.length > 0 ? configured : [...PAYMENT_METHOD_CODES];
+};
+
+export const isEnabledPaymentMethod = (method) =>
+  getEnabledPaymentMethods().includes(method);
+
+// Method a payment is grouped under: lower-cased, null when none was given.
+// Payments recorded before methods were enumerated may hold other methods
+export const normalizePaymentMethod = (method) => {
+  if (method === null || method === undefined) {
+    return null;
+  }
+  return String(method).trim().toLowerCase() || null;
+};
+
+// Other names imported spreadsheets use for the payment methods
+const PAYMENT_METHOD_ALIASES = {
+  efectivo: "cash",
+  tarjeta: "card",
+  "tarjeta de credito": "card",
+  "tarjeta de debito": "card",
+  "credit card": "card",
+  "debit card": "card",
+  transferencia: "bank_transfer",
+  "transferencia bancaria": "bank_transfer",
+  "bank transfer": "bank_transfer",
+  credito: "account_credit",
+  fiado: "account_credit",
+  "account credit": "account_credit",
+};
+
+// Code of a payment method given by code, label or alias (case and accents
+// ignored), null when it is none of PAYMENT_METHOD_CODES
+export const resolvePaymentMethod = (method) => {
+  const normalized = normalizePaymentMethod(method)
+    ?.normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ");
+  if (!normalized) {
+    return null;
+  }
+  if (PAYMENT_METHOD_CODES.includes(normalized)) {
+    return normalized;
+  }
+  return PAYMENT_METHOD_ALIASES[normalized] || null;
+};
+
+// Display name of a payment method (the method itself when unknown)
+export const getPaymentMethodLabel = (method) =>
+  PAYMENT_METHODS[method]?.label || method || "Payment";
+
+/**
+ * Turn the tenders a customer handed over into the payments recorded on a sale
+ *
+ * @function applyTenders
+ * @param {Array<Object>} tenders - { method, amount } per method used
+ * @param {number} totalAmount - Amount charged for the sale
+ * @returns {Object} { payments, amountPaid, cashTendered, changeDue, onAccount, method }
+ * @throws {Error} With statusCode 400 and code invalid_payment when the
+ *   non-cash tenders exceed the total
+ *
+ * @description
+ * - Cash may exceed what is left to pay: the excess is changeDue and only the
+ *   cash kept is recorded (as one cash payment)
+ * - Other methods are charged exactly, so together they cannot exceed the total
+ * - account_credit tenders are left owed (onAccount) instead of paid
+ * - Whatever is not tendered is owed too, as with amountPaid below the total
+ * - method is the single method used, SPLIT_TENDER for several, or null
+ *
+ * @example
+ * applyTenders([{ method: "card", amount: 20 }, { method: "cash", amount: 50 }], 45);
+ * // payments: card 20, cash 25; changeDue: 25
+ */
+export const applyTenders = (tenders, totalAmount) => {
+  const sumOf = (list) =>
+    roundCurrency(list.reduce((sum, tender) => sum + tender.amount, 0));
+
+  const cash = tenders.filter((tender) => tender.method === CASH_METHOD);
+  const others = tenders.filter((tender) => tender.method !== CASH_METHOD);
+
+  const othersTotal = sumOf(others);
+  if (othersTotal > totalAmount) {
+    const error = new Error(
+      `Non-cash payments (${othersTotal}) cannot exceed the sale total (${totalAmount})`,
+    );
+    error.statusCode = 400;
+    error.code = "invalid_payment";
+    throw error;
+  }
+
+  const cashTendered = sumOf(cash);
+  const changeDue = Math.min(
+    cashTendered,
+    Math.max(0, roundCurrency(othersTotal + cashTendered - totalAmount)),
+  );
+  const cashKept = roundCurrency(cashTendered - changeDue);
+
+  const payments = others
+    .filter((tender) => tender.method !== ACCOUNT_CREDIT_METHOD)
+    .map(({ method, amount }) => ({ method, amount: roundCurrency(amount) }));
+  if (cashKept > 0) {
+    payments.push({ method: CASH_METHOD, amount: cashKept });
+  }
+
+  const methods = [...new Set(tenders.map((tender) => tender.method))];
+
+  return {
+    payments,
+    amountPaid: sumOf(payments),
+    cashTendered,
+    changeDue,
+    onAccount: sumOf(
+      others.filter((tender) => tender.method === ACCOUNT_CREDIT_METHOD),
+    ),
+    method: methods.length > 1 ? SPLIT_TENDER : methods[0] || null,
+  };
+};
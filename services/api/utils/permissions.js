@@ -0,0 +1,128 @@
+// Every permission the API checks, with what it allows. Role definitions
+// (models/Role.js) are sets of these
+export const PERMISSIONS = {
+  "sales:read": "List and view sales, receipts and payments",
+  "sales:create": "Record sales (including offline sync and CSV import)",
+  "sales:payments:write": "Record payments and settle sales",
+  "sales:void": "Void sales",
+  "sales:refund": "Refund sales",
+  "sales:price:override": "Sell below or above the list price",
+  "sales:credit:override": "Sell on credit beyond a customer's limit",
+  "customers:read": "List and view customers, balances and statements",
+  "customers:write": "Create, update and import customers",
+  "customers:delete": "Delete customers (soft delete)",
+  "customers:credit:write": "Set and change customers' credit limits",
+  "customers:restore": "Restore deleted customers",
+  "customers:read:deleted": "Include deleted customers in listings",
+  "products:read": "List and view products, lots and stock movements",
+  "products:write": "Create products and update their details",
+  "products:price:write": "Change product prices",
+  "products:restock": "Restock products",
+  "products:delete": "Delete products (soft delete)",
+  "products:restore": "Restore deleted products",
+  "products:read:deleted": "Include deleted products in listings",
+  "records:purge": "Permanently delete products and customers",
+  "records:purge:force":
+    "Permanently delete products and customers referenced by sales",
+  "inventory:reconcile": "Run the inventory reconciliation report",
+  "drops:read": "List and view inventory drops and their analytics",
+  "drops:create": "Record inventory drops",
+  "drops:undo:own": "Undo one's own inventory drops",
+  "drops:undo:any": "Undo anyone's inventory drops",
+  "locations:read": "List locations and the stock held at each",
+  "locations:write": "Create, update and deactivate locations",
+  "transfers:read": "List and view stock transfers",
+  "transfers:write": "Send stock between locations and cancel transfers",
+  "transfers:receive":
+    "Receive transfers at one's own locations (any location with transfers:write)",
+  "shifts:write":
+    "Open and close one's own till shift, record its cash in/out and view its Z-report",
+  "shifts:read": "List and view every seller's shifts and Z-reports",
+  "shifts:manage": "Record cash in/out on and close other sellers' shifts",
+  "promotions:read": "List and view promotions",
+  "promotions:write": "Create, update and delete promotions",
+  "reports:read": "View and export reports",
+  "notifications:read": "Read stock notifications",
+  "sellers:read": "List sellers",
+  "sellers:invite": "Create pending seller accounts",
+  "sellers:pending:read": "List pending seller accounts",
+  "sellers:role:write": "Change sellers' roles",
+  "sellers:locations:write": "Assign sellers to locations",
+  "sellers:unlock": "Unlock sellers locked out by failed logins",
+  "sellers:recover": "Start password (and two-factor) recovery for a seller",
+  "sellers:deactivate": "Deactivate sellers",
+  "roles:manage": "View and edit role permissions",
+  "audit:read": "Read and export the audit log",
+  "test_data:read": "View test data status",
+  "test_data:write": "Populate and clean test data",
+  "test_data:reset": "Reset the database to a test scenario",
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles sellers can hold (Seller.role)
+export const ROLES = ["user", "admin", "superadmin"];
+
+// Role whose definition cannot be edited: it always holds every permission,
+// so nobody can lock themselves out of role management
+export const LOCKED_ROLE = "superadmin";
+
+const USER_PERMISSIONS = [
+  "sales:read",
+  "sales:create",
+  "sales:payments:write",
+  "customers:read",
+  "customers:write",
+  "customers:delete",
+  "products:read",
+  "products:write",
+  "products:price:write",
+  "products:restock",
+  "products:delete",
+  "promotions:read",
+  "reports:read",
+  "notifications:read",
+  "locations:read",
+  "transfers:read",
+  "transfers:receive",
+  "shifts:write",
+];
+
+const ADMIN_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  "sales:void",
+  "sales:refund",
+  "sales:price:override",
+  "sales:credit:override",
+  "customers:credit:write",
+  "customers:restore",
+  "customers:read:deleted",
+  "products:restore",
+  "products:read:deleted",
+  "records:purge",
+  "inventory:reconcile",
+  "drops:read",
+  "drops:create",
+  "drops:undo:own",
+  "drops:undo:any",
+  "promotions:write",
+  "locations:write",
+  "transfers:write",
+  "shifts:read",
+  "shifts:manage",
+  "sellers:read",
+  "sellers:invite",
+  "sellers:locations:write",
+  "test_data:read",
+  "test_data:write",
+];
+
+// Built-in definitions, used until a superadmin edits a role
+export const DEFAULT_ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+  superadmin: ALL_PERMISSIONS,
+};
+
+export const isKnownPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
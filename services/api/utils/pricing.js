@@ -0,0 +1,176 @@
+/**
+ * Sale pricing: manual discounts, promotions, sale-level discounts and taxes.
+ * Pure functions so the same rules can price a sale and preview it.
+ */
+
+import { calculateLineTax, summarizeTaxes } from "./tax.js";
+
+// Ways a cashier can discount a line or a whole sale
+export const DISCOUNT_TYPES = ["percentage", "fixed"];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Amount a manual discount takes off a total, never more than the total
+ *
+ * @function calculateDiscount
+ * @param {number} amount - Amount being discounted
+ * @param {Object} discount - Discount to apply
+ * @param {string} discount.type - "percentage" or "fixed"
+ * @param {number} discount.value - Percent off (0-100) or fixed amount off
+ * @returns {number} Discount amount, rounded to cents
+ */
+export const calculateDiscount = (amount, { type, value }) => {
+  const discount = type === "percentage" ? (amount * value) / 100 : value;
+  return roundCurrency(Math.min(Math.max(0, discount), amount));
+};
+
+/**
+ * Price the lines of a sale
+ *
+ * @function priceSale
+ * @param {Array<Object>} lines - Sale lines to price
+ * @param {Object} lines[].product - Product document (promotion matching and tax code)
+ * @param {number} lines[].quantity - Units sold
+ * @param {number} lines[].unitPrice - Unit price charged (override price when overridden)
+ * @param {Object} [lines[].discount] - Manual line discount ({ type, value })
+ * @param {boolean} [lines[].overridden=false] - Price was overridden (promotions are skipped)
+ * @param {Object} [options] - Pricing options
+ * @param {Array<Object>} [options.promotions=[]] - Promotions running right now
+ * @param {Object} [options.saleDiscount] - Sale-level discount ({ type, value })
+ * @returns {Object} Priced lines, subtotal, discounts, taxes, total and applied promotions
+ *
+ * @description
+ * - A manual line discount replaces promotions on that line
+ * - Otherwise the single best promotion for the line applies (they do not stack)
+ * - The sale-level discount applies after line discounts and is spread over
+ *   the lines by value, so each line's `discountAmount` is everything taken
+ *   off it and refunds give back what the customer actually paid
+ * - Tax is worked out per line on the discounted amount; tax on
+ *   tax-exclusive products is added to the total
+ */
+export const priceSale = (lines, { promotions = [], saleDiscount } = {}) => {
+  const priced = lines.map((line) => {
+    const grossAmount = roundCurrency(line.unitPrice * line.quantity);
+    let discount = null;
+
+    if (line.discount) {
+      discount = {
+        source: "manual",
+        type: line.discount.type,
+        value: line.discount.value,
+        amount: calculateDiscount(grossAmount, line.discount),
+      };
+    } else if (!line.overridden) {
+      for (const promotion of promotions) {
+        const amount = promotion.getLineDiscount(
+          line.product,
+          line.quantity,
+          line.unitPrice,
+        );
+        if (amount > (discount?.amount || 0)) {
+          discount = {
+            source: "promotion",
+            type: promotion.type,
+            promotionId: promotion._id,
+            promotionName: promotion.name,
+            amount,
+          };
+        }
+      }
+    }
+
+    return {
+      ...line,
+      grossAmount,
+      discount,
+      discountAmount: discount ? discount.amount : 0,
+    };
+  });
+
+  const subtotalAmount = roundCurrency(
+    priced.reduce((sum, line) => sum + line.grossAmount, 0),
+  );
+  const afterLineDiscounts = roundCurrency(
+    priced.reduce(
+      (sum, line) => sum + line.grossAmount - line.discountAmount,
+      0,
+    ),
+  );
+  const saleDiscountAmount = saleDiscount
+    ? calculateDiscount(afterLineDiscounts, saleDiscount)
+    : 0;
+
+  // Spread the sale discount by line value; the last line takes the rounding
+  let unallocated = saleDiscountAmount;
+  priced.forEach((line, index) => {
+    const lineNet = line.grossAmount - line.discountAmount;
+    const share =
+      index === priced.length - 1
+        ? unallocated
+        : afterLineDiscounts > 0
+          ? roundCurrency((saleDiscountAmount * lineNet) / afterLineDiscounts)
+          : 0;
+    const applied = Math.min(share, lineNet);
+    line.discountAmount = roundCurrency(line.discountAmount + applied);
+    line.netAmount = roundCurrency(line.grossAmount - line.discountAmount);
+    unallocated = roundCurrency(unallocated - applied);
+
+    const priceIncludesTax = line.product.priceIncludesTax !== false;
+    Object.assign(
+      line,
+      calculateLineTax(line.netAmount, {
+        taxCode: line.product.taxCode,
+        priceIncludesTax,
+      }),
+      { priceIncludesTax },
+    );
+  });
+
+  const discountAmount = roundCurrency(
+    subtotalAmount - afterLineDiscounts + saleDiscountAmount,
+  );
+
+  // One entry per promotion with the total it took off this sale
+  const appliedPromotions = [];
+  for (const line of priced) {
+    if (line.discount?.source !== "promotion") {
+      continue;
+    }
+    const entry = appliedPromotions.find(
+      (p) => p.promotionId.toString() === line.discount.promotionId.toString(),
+    );
+    if (entry) {
+      entry.discountAmount = roundCurrency(
+        entry.discountAmount + line.discount.amount,
+      );
+    } else {
+      appliedPromotions.push({
+        promotionId: line.discount.promotionId,
+        name: line.discount.promotionName,
+        discountAmount: line.discount.amount,
+      });
+    }
+  }
+
+  const taxAmount = roundCurrency(
+    priced.reduce((sum, line) => sum + line.taxAmount, 0),
+  );
+  const addedTax = roundCurrency(
+    priced.reduce(
+      (sum, line) => sum + (line.priceIncludesTax ? 0 : line.taxAmount),
+      0,
+    ),
+  );
+
+  return {
+    lines: priced,
+    subtotalAmount,
+    saleDiscountAmount,
+    discountAmount,
+    taxAmount,
+    taxBreakdown: summarizeTaxes(priced),
+    totalAmount: roundCurrency(subtotalAmount - discountAmount + addedTax),
+    appliedPromotions,
+  };
+};
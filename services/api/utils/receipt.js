@@ -0,0 +1,436 @@
+import PDFDocument from "pdfkit";
+import { TAX_RATES } from "./tax.js";
+import { getPaymentMethodLabel } from "./paymentMethods.js";
+
+/**
+ * Sale receipts, rendered locally as PDF, plain text or ESC/POS.
+ * The business header comes from the environment (BUSINESS_NAME, BUSINESS_TAX_ID,
+ * BUSINESS_ADDRESS, BUSINESS_PHONE, RECEIPT_FOOTER).
+ */
+
+export const RECEIPT_FORMATS = ["pdf", "text", "escpos"];
+
+// Characters per line on an 80mm thermal printer (font A)
+export const THERMAL_LINE_WIDTH = 48;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (value) =>
+  new Intl.NumberFormat(process.env.RECEIPT_LOCALE || "es-CO", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(value || 0);
+
+// Intl may use narrow no-break spaces, which thermal printers cannot print
+const formatDate = (date) =>
+  new Date(date)
+    .toLocaleString(process.env.RECEIPT_LOCALE || "es-CO", {
+      dateStyle: "short",
+      timeStyle: "short",
+    })
+    .replace(/[\u00a0\u202f]/g, " ");
+
+const personName = (person) =>
+  person && person.firstName ? `${person.firstName} ${person.lastName}` : null;
+
+/**
+ * Collect everything printed on a receipt from a sale
+ *
+ * @function buildReceiptData
+ * @param {Object} sale - Sale document with customerId, sellerId and
+ *   products.productId populated
+ * @returns {Object} Business header, lines, totals, taxes, payments, change
+ *   and balance
+ */
+export const buildReceiptData = (sale) => {
+  const lines = sale.products.map((line) => {
+    const gross = line.priceAtSale * line.quantity;
+    const addedTax = line.priceIncludesTax === false ? line.taxAmount || 0 : 0;
+    return {
+      name: line.productId?.productName || "Product",
+      quantity: line.quantity,
+      unitPrice: line.priceAtSale,
+      discountAmount: line.discountAmount || 0,
+      taxLabel: TAX_RATES[line.taxCode]?.label || null,
+      amount: roundCurrency(gross - (line.discountAmount || 0) + addedTax),
+      refundedQuantity: line.refundedQuantity || 0,
+    };
+  });
+
+  return {
+    business: {
+      name: process.env.BUSINESS_NAME || "BiteTrack",
+      taxId: process.env.BUSINESS_TAX_ID || null,
+      address: process.env.BUSINESS_ADDRESS || null,
+      phone: process.env.BUSINESS_PHONE || null,
+      footer: process.env.RECEIPT_FOOTER || "Thank you for your purchase!",
+    },
+    receiptNumber: sale._id.toString().slice(-8).toUpperCase(),
+    saleId: sale._id.toString(),
+    date: sale.originalCreatedAt || sale.createdAt,
+    status: sale.status || "completed",
+    seller: personName(sale.sellerId),
+    customer: {
+      name: personName(sale.customerId),
+      email: sale.customerId?.email || null,
+      phoneNumber: sale.customerId?.phoneNumber || null,
+    },
+    lines,
+    subtotalAmount: sale.subtotalAmount ?? sale.totalAmount,
+    discountAmount: sale.discountAmount || 0,
+    taxes: (sale.taxBreakdown || []).map((tax) => ({
+      label: TAX_RATES[tax.taxCode]?.label || tax.taxCode,
+      taxableAmount: tax.taxableAmount,
+      taxAmount: tax.taxAmount,
+    })),
+    taxAmount: sale.taxAmount || 0,
+    totalAmount: sale.totalAmount,
+    refundedAmount: sale.refundedAmount || 0,
+    payments: sale.payments.map((payment) => ({
+      method: getPaymentMethodLabel(payment.method),
+      amount: payment.amount,
+      receivedAt: payment.receivedAt,
+    })),
+    amountPaid: sale.amountPaid,
+    // Cash handed over and the change given back, when cash was over-tendered
+    cashTendered: sale.changeDue > 0 ? sale.cashTendered : null,
+    changeDue: sale.changeDue || 0,
+    balanceDue: sale.getBalanceDue(),
+  };
+};
+
+// Left and right text on one line, padded to the width
+const spread = (left, right, width) => {
+  const space = width - right.length;
+  const text = left.length > space - 1 ? left.slice(0, space - 1) : left;
+  return text.padEnd(space) + right;
+};
+
+/**
+ * Lay out a receipt for a fixed-width printer
+ * Each entry carries the text and how it should be printed
+ *
+ * @function receiptLines
+ * @param {Object} data - Receipt data from buildReceiptData
+ * @param {number} [width=THERMAL_LINE_WIDTH] - Characters per line
+ * @returns {Array<Object>} Lines as { text, align, bold, large }
+ */
+export const receiptLines = (data, width = THERMAL_LINE_WIDTH) => {
+  const out = [];
+  const add = (text, style = {}) => out.push({ text, ...style });
+  const divider = () => add("-".repeat(width));
+
+  add(data.business.name, { align: "center", bold: true, large: true });
+  if (data.business.taxId) {
+    add(`NIT ${data.business.taxId}`, { align: "center" });
+  }
+  if (data.business.address) {
+    add(data.business.address, { align: "center" });
+  }
+  if (data.business.phone) {
+    add(`Tel. ${data.business.phone}`, { align: "center" });
+  }
+  divider();
+  add(spread("Receipt", `#${data.receiptNumber}`, width));
+  add(spread("Date", formatDate(data.date), width));
+  if (data.seller) {
+    add(spread("Seller", data.seller, width));
+  }
+  if (data.customer.name) {
+    add(spread("Customer", data.customer.name, width));
+  }
+  if (data.status === "voided") {
+    add("*** VOIDED ***", { align: "center", bold: true });
+  }
+  divider();
+
+  for (const line of data.lines) {
+    add(line.name.slice(0, width));
+    add(
+      spread(
+        `  ${line.quantity} x ${formatMoney(line.unitPrice)}`,
+        formatMoney(line.amount),
+        width,
+      ),
+    );
+    if (line.discountAmount > 0) {
+      add(spread("  Discount", `-${formatMoney(line.discountAmount)}`, width));
+    }
+    if (line.taxLabel) {
+      add(`  ${line.taxLabel}`);
+    }
+    if (line.refundedQuantity > 0) {
+      add(`  Returned: ${line.refundedQuantity}`);
+    }
+  }
+  divider();
+
+  add(spread("Subtotal", formatMoney(data.subtotalAmount), width));
+  if (data.discountAmount > 0) {
+    add(spread("Discounts", `-${formatMoney(data.discountAmount)}`, width));
+  }
+  for (const tax of data.taxes) {
+    add(
+      spread(
+        `${tax.label} (base ${formatMoney(tax.taxableAmount)})`,
+        formatMoney(tax.taxAmount),
+        width,
+      ),
+    );
+  }
+  add(spread("TOTAL", formatMoney(data.totalAmount), width), { bold: true });
+  if (data.refundedAmount > 0) {
+    add(spread("Refunded", `-${formatMoney(data.refundedAmount)}`, width));
+  }
+  divider();
+
+  for (const payment of data.payments) {
+    add(spread(payment.method, formatMoney(payment.amount), width));
+  }
+  add(spread("Paid", formatMoney(data.amountPaid), width));
+  if (data.changeDue > 0) {
+    add(spread("Cash tendered", formatMoney(data.cashTendered), width));
+    add(spread("Change", formatMoney(data.changeDue), width));
+  }
+  add(spread("Balance due", formatMoney(data.balanceDue), width), {
+    bold: true,
+  });
+  divider();
+  add(data.business.footer, { align: "center" });
+
+  return out;
+};
+
+/**
+ * Render a receipt as plain text for 80mm printers
+ *
+ * @function renderReceiptText
+ * @param {Object} data - Receipt data from buildReceiptData
+ * @param {number} [width=THERMAL_LINE_WIDTH] - Characters per line
+ * @returns {string} Receipt text
+ */
+export const renderReceiptText = (data, width = THERMAL_LINE_WIDTH) =>
+  receiptLines(data, width)
+    .map(({ text, align }) =>
+      align === "center"
+        ? " ".repeat(Math.max(0, Math.floor((width - text.length) / 2))) + text
+        : text,
+    )
+    .join("\n") + "\n";
+
+// ESC/POS commands
+const ESC = "\x1b";
+const GS = "\x1d";
+const ESCPOS = {
+  init: `${ESC}@`,
+  codePage1252: `${ESC}t\x10`,
+  alignLeft: `${ESC}a\x00`,
+  alignCenter: `${ESC}a\x01`,
+  boldOn: `${ESC}E\x01`,
+  boldOff: `${ESC}E\x00`,
+  doubleOn: `${GS}!\x11`,
+  doubleOff: `${GS}!\x00`,
+  feed: `${ESC}d\x04`,
+  cut: `${GS}V\x42\x00`,
+};
+
+/**
+ * Render a receipt as ESC/POS commands for thermal printers
+ * Text is sent in code page 1252 so Spanish characters print correctly
+ *
+ * @function renderReceiptEscPos
+ * @param {Object} data - Receipt data from buildReceiptData
+ * @param {number} [width=THERMAL_LINE_WIDTH] - Characters per line
+ * @returns {Buffer} Raw bytes to send to the printer
+ */
+export const renderReceiptEscPos = (data, width = THERMAL_LINE_WIDTH) => {
+  let out = ESCPOS.init + ESCPOS.codePage1252;
+
+  for (const { text, align, bold, large } of receiptLines(data, width)) {
+    out += align === "center" ? ESCPOS.alignCenter : ESCPOS.alignLeft;
+    if (bold) {
+      out += ESCPOS.boldOn;
+    }
+    if (large) {
+      // Double size halves the characters per line
+      out += ESCPOS.doubleOn + text.slice(0, Math.floor(width / 2));
+      out += ESCPOS.doubleOff;
+    } else {
+      out += text;
+    }
+    if (bold) {
+      out += ESCPOS.boldOff;
+    }
+    out += "\n";
+  }
+
+  out += ESCPOS.feed + ESCPOS.cut;
+  return Buffer.from(out, "latin1");
+};
+
+/**
+ * Render a receipt as a PDF invoice
+ *
+ * @async
+ * @function renderReceiptPdf
+ * @param {Object} data - Receipt data from buildReceiptData
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export const renderReceiptPdf = (data) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const columns = { qty: 300, price: 360, discount: 430, amount: 490 };
+    const money = (value, x, y, width = right - x) =>
+      doc.text(formatMoney(value), x, y, { width, align: "right" });
+    const rule = () => {
+      doc
+        .moveTo(left, doc.y)
+        .lineTo(right, doc.y)
+        .strokeColor("#cccccc")
+        .stroke();
+      doc.moveDown(0.5);
+    };
+
+    // Business header
+    doc.font("Helvetica-Bold").fontSize(18).text(data.business.name, left);
+    doc.font("Helvetica").fontSize(10);
+    for (const detail of [
+      data.business.taxId && `NIT ${data.business.taxId}`,
+      data.business.address,
+      data.business.phone && `Tel. ${data.business.phone}`,
+    ].filter(Boolean)) {
+      doc.text(detail);
+    }
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(14)
+      .text(`Receipt #${data.receiptNumber}`, left, 50, {
+        width: right - left,
+        align: "right",
+      });
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(formatDate(data.date), { width: right - left, align: "right" });
+    if (data.status !== "completed") {
+      doc.text(data.status.replace("_", " ").toUpperCase(), {
+        width: right - left,
+        align: "right",
+      });
+    }
+    doc.moveDown(3);
+    doc.x = left;
+
+    if (data.customer.name) {
+      doc.font("Helvetica-Bold").text("Customer");
+      doc.font("Helvetica").text(data.customer.name);
+      for (const contact of [data.customer.email, data.customer.phoneNumber]) {
+        if (contact) {
+          doc.text(contact);
+        }
+      }
+    }
+    if (data.seller) {
+      doc.text(`Served by ${data.seller}`);
+    }
+    doc.moveDown();
+
+    // Line items
+    let y = doc.y;
+    doc.font("Helvetica-Bold");
+    doc.text("Item", left, y);
+    doc.text("Qty", columns.qty, y, { width: 40, align: "right" });
+    doc.text("Price", columns.price, y, { width: 60, align: "right" });
+    doc.text("Discount", columns.discount, y, { width: 55, align: "right" });
+    doc.text("Amount", columns.amount, y, {
+      width: right - columns.amount,
+      align: "right",
+    });
+    doc.moveDown(0.5);
+    rule();
+
+    doc.font("Helvetica");
+    for (const line of data.lines) {
+      y = doc.y;
+      const label = [
+        line.name,
+        line.taxLabel && `(${line.taxLabel})`,
+        line.refundedQuantity > 0 && `- ${line.refundedQuantity} returned`,
+      ]
+        .filter(Boolean)
+        .join(" ");
+      doc.text(label, left, y, { width: columns.qty - left - 10 });
+      const nextY = doc.y;
+      doc.text(String(line.quantity), columns.qty, y, {
+        width: 40,
+        align: "right",
+      });
+      money(line.unitPrice, columns.price, y, 60);
+      money(line.discountAmount, columns.discount, y, 55);
+      money(line.amount, columns.amount, y);
+      doc.y = Math.max(nextY, doc.y);
+      doc.moveDown(0.3);
+    }
+    rule();
+
+    // Totals
+    const totalRow = (label, value, bold = false) => {
+      y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      doc.text(label, columns.price - 100, y, {
+        width: columns.amount - columns.price + 100,
+        align: "right",
+      });
+      money(value, columns.amount, y);
+      doc.moveDown(0.2);
+    };
+    totalRow("Subtotal", data.subtotalAmount);
+    if (data.discountAmount > 0) {
+      totalRow("Discounts", -data.discountAmount);
+    }
+    for (const tax of data.taxes) {
+      totalRow(
+        `${tax.label} (base ${formatMoney(tax.taxableAmount)})`,
+        tax.taxAmount,
+      );
+    }
+    totalRow("Total", data.totalAmount, true);
+    if (data.refundedAmount > 0) {
+      totalRow("Refunded", -data.refundedAmount);
+    }
+    doc.moveDown();
+
+    // Payments and balance
+    for (const payment of data.payments) {
+      totalRow(
+        `${payment.method} - ${formatDate(payment.receivedAt)}`,
+        payment.amount,
+      );
+    }
+    totalRow("Paid", data.amountPaid);
+    if (data.changeDue > 0) {
+      totalRow("Cash tendered", data.cashTendered);
+      totalRow("Change", data.changeDue);
+    }
+    totalRow("Balance due", data.balanceDue, true);
+
+    doc.moveDown(2);
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor("#666666")
+      .text(data.business.footer, left, doc.y, {
+        width: right - left,
+        align: "center",
+      });
+
+    doc.end();
+  });
@@ -0,0 +1,75 @@
+import { EventEmitter } from "events";
+import Notification from "../models/Notification.js";
+import Seller from "../models/Seller.js";
+import { sendLowStockAlertEmail } from "./emailService.js";
+
+// Emits "low-stock" whenever a product drops to or below its reorder point
+export const stockAlerts = new EventEmitter();
+
+// True when this change took the product from above its reorder point to at or below it
+export const crossedReorderPoint = (product, previousCount) =>
+  product.reorderPoint !== null &&
+  previousCount > product.reorderPoint &&
+  product.count <= product.reorderPoint;
+
+// Record an in-app notification for each product that crossed its reorder
+// point and emit the alert. Runs after the stock change has been committed,
+// so failures are logged instead of failing the request.
+export const raiseLowStockAlerts = async (products, context = {}) => {
+  for (const product of products) {
+    const alert = {
+      productId: product._id,
+      productName: product.productName,
+      count: product.count,
+      reorderPoint: product.reorderPoint,
+      reorderQuantity: product.reorderQuantity,
+      source: context.source,
+      referenceId: context.referenceId,
+      triggeredBy: context.triggeredBy,
+    };
+
+    try {
+      await Notification.create({
+        type: "low_stock",
+        title: `Low stock: ${product.productName}`,
+        message: `${product.productName} is down to ${product.count} units (reorder point: ${product.reorderPoint})`,
+        productId: product._id,
+        data: alert,
+      });
+
+      stockAlerts.emit("low-stock", alert);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error("Error raising low stock alert:", error);
+    }
+  }
+};
+
+// Email listener: goes to STOCK_ALERT_EMAILS when set, otherwise to all admins.
+// Skipped when the email transport is not configured.
+stockAlerts.on("low-stock", async (alert) => {
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+    return;
+  }
+
+  try {
+    let recipients = (process.env.STOCK_ALERT_EMAILS || "")
+      .split(",")
+      .map((email) => email.trim())
+      .filter(Boolean);
+
+    if (recipients.length === 0) {
+      const admins = await Seller.find({
+        role: { $in: ["admin", "superadmin"] },
+      }).select("email");
+      recipients = admins.map((admin) => admin.email);
+    }
+
+    if (recipients.length > 0) {
+      await sendLowStockAlertEmail(recipients, alert);
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error("Error emailing low stock alert:", error);
+  }
+});
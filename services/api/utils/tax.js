@@ -0,0 +1,96 @@
+/**
+ * Colombian sales taxes: IVA and impuesto al consumo (impoconsumo).
+ * Each product carries one tax code; the rate is looked up here so a rate
+ * change is made in one place.
+ */
+
+// Tax codes a product can be assigned
+// - iva_19 / iva_5: IVA general and reduced rates
+// - impoconsumo_8: consumption tax on prepared food and drinks (restaurants)
+// - exempt: IVA at 0% (exento)
+// - excluded: outside IVA (excluido)
+export const TAX_RATES = {
+  iva_19: { type: "iva", rate: 19, label: "IVA 19%" },
+  iva_5: { type: "iva", rate: 5, label: "IVA 5%" },
+  impoconsumo_8: { type: "impoconsumo", rate: 8, label: "Impoconsumo 8%" },
+  exempt: { type: "exempt", rate: 0, label: "Exento" },
+  excluded: { type: "excluded", rate: 0, label: "Excluido" },
+};
+
+export const TAX_CODES = Object.keys(TAX_RATES);
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Tax on the amount charged for a sale line
+ *
+ * @function calculateLineTax
+ * @param {number} amount - Line amount after discounts
+ * @param {Object} options - How the line is taxed
+ * @param {string|null} options.taxCode - One of TAX_CODES (null when not configured)
+ * @param {boolean} [options.priceIncludesTax=true] - Amount already includes the tax
+ * @returns {Object} { taxCode, taxRate, taxableAmount, taxAmount }
+ *
+ * @description
+ * - Tax-inclusive: the base is backed out of the amount (amount / (1 + rate))
+ * - Tax-exclusive: the tax is added on top of the amount
+ * - Products without a tax code are not taxed
+ */
+export const calculateLineTax = (
+  amount,
+  { taxCode, priceIncludesTax = true },
+) => {
+  const rate = TAX_RATES[taxCode]?.rate || 0;
+
+  if (rate === 0) {
+    return {
+      taxCode: taxCode || null,
+      taxRate: 0,
+      taxableAmount: roundCurrency(amount),
+      taxAmount: 0,
+    };
+  }
+
+  const taxableAmount = priceIncludesTax
+    ? roundCurrency(amount / (1 + rate / 100))
+    : roundCurrency(amount);
+  const taxAmount = priceIncludesTax
+    ? roundCurrency(amount - taxableAmount)
+    : roundCurrency((amount * rate) / 100);
+
+  return { taxCode, taxRate: rate, taxableAmount, taxAmount };
+};
+
+/**
+ * Totals per tax code for a set of taxed lines
+ *
+ * @function summarizeTaxes
+ * @param {Array<Object>} lines - Lines with taxCode, taxRate, taxableAmount and taxAmount
+ * @returns {Array<Object>} One entry per tax code with its type, rate, base and tax
+ */
+export const summarizeTaxes = (lines) => {
+  const breakdown = [];
+
+  for (const line of lines) {
+    if (!line.taxCode) {
+      continue;
+    }
+    let entry = breakdown.find((b) => b.taxCode === line.taxCode);
+    if (!entry) {
+      entry = {
+        taxCode: line.taxCode,
+        taxType: TAX_RATES[line.taxCode]?.type,
+        taxRate: line.taxRate,
+        taxableAmount: 0,
+        taxAmount: 0,
+      };
+      breakdown.push(entry);
+    }
+    entry.taxableAmount = roundCurrency(
+      entry.taxableAmount + line.taxableAmount,
+    );
+    entry.taxAmount = roundCurrency(entry.taxAmount + line.taxAmount);
+  }
+
+  return breakdown;
+};
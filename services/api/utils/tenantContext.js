@@ -0,0 +1,53 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Tenant of the request being handled. Requests run inside a store
+// ({ tenantId }) in multi-tenant mode; code outside any store (scripts,
+// startup, tests preparing data) is not scoped
+const tenantStorage = new AsyncLocalStorage();
+
+// Several businesses share this deployment when MULTI_TENANT=true
+export const isMultiTenant = () => process.env.MULTI_TENANT === "true";
+
+// Domain tenants are served under: <slug>.<TENANT_BASE_DOMAIN>
+export const getTenantBaseDomain = () =>
+  (process.env.TENANT_BASE_DOMAIN || "").trim().toLowerCase();
+
+// Tenant slug from a request host, or null when the host is not a tenant
+// subdomain of the base domain
+export const getSubdomainSlug = (host) => {
+  const baseDomain = getTenantBaseDomain();
+  if (!host || !baseDomain) {
+    return null;
+  }
+
+  const hostname = host.split(":")[0].toLowerCase();
+  const suffix = `.${baseDomain}`;
+  if (!hostname.endsWith(suffix)) {
+    return null;
+  }
+  const slug = hostname.slice(0, -suffix.length);
+  return slug && !slug.includes(".") ? slug : null;
+};
+
+// Run fn with every tenant-scoped query limited to tenantId (null until the
+// tenant is known; scoped queries fail until then)
+export const runWithTenant = (tenantId, fn) =>
+  tenantStorage.run({ tenantId }, fn);
+
+// Current store, or undefined outside a tenant context
+export const getTenantContext = () => tenantStorage.getStore();
+
+// Tenant of the current context (null when unknown or not scoped)
+export const getTenantId = () => tenantStorage.getStore()?.tenantId ?? null;
+
+// Set the tenant of the current request once it is known (e.g. from the JWT)
+export const setTenantId = (tenantId) => {
+  const store = tenantStorage.getStore();
+  if (store) {
+    store.tenantId = tenantId;
+  }
+};
+
+// Run fn outside any tenant context, e.g. to write a record whose tenantId is
+// set explicitly after the request context may be gone
+export const runUnscoped = (fn) => tenantStorage.exit(fn);
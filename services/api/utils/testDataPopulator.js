@@ -17,6 +17,10 @@ import { fileURLToPath } from "url";
 
 import Customer from "../models/Customer.js";
 import Product from "../models/Product.js";
+import StockMovement from "../models/StockMovement.js";
+import StockLot from "../models/StockLot.js";
+import Notification from "../models/Notification.js";
+import Promotion from "../models/Promotion.js";
 import Sale from "../models/Sale.js";
 import PendingSeller from "../models/PendingSeller.js";
 import Seller from "../models/Seller.js";
@@ -87,6 +91,10 @@ class TestDataPopulator {
       await Sale.deleteMany({});
       await Customer.deleteMany({});
       await Product.deleteMany({});
+      await StockMovement.deleteMany({});
+      await StockLot.deleteMany({});
+      await Notification.deleteMany({});
+      await Promotion.deleteMany({});
       await PendingSeller.deleteMany({});
       // Don't clean sellers as they might include the superadmin
 
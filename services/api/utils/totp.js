@@ -0,0 +1,143 @@
+import crypto from "crypto";
+
+// RFC 4648 base32 alphabet, as used by authenticator apps
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// RFC 6238 defaults understood by every authenticator app
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+// Codes from this many periods either side of now are accepted (clock drift)
+export const TOTP_WINDOW = 1;
+
+// Issuer shown next to the account in authenticator apps
+export const getTotpIssuer = () => process.env.TOTP_ISSUER || "BiteTrack";
+
+// Roles that must enrol in two-factor authentication, e.g. "admin,superadmin"
+export const getTwoFactorRequiredRoles = () =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+export const isTwoFactorRequired = (role) =>
+  getTwoFactorRequiredRoles().includes(role);
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit shared secret, base32 encoded
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value (RFC 4226) for a counter
+const hotp = (key, counter, digits) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** digits).toString().padStart(digits, "0");
+};
+
+// Period number (RFC 6238 time step) for a timestamp in milliseconds
+export const getTotpStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+export const generateTotp = (
+  secret,
+  { time = Date.now(), digits = TOTP_DIGITS } = {},
+) => hotp(base32Decode(secret), getTotpStep(time), digits);
+
+/**
+ * Check a TOTP code against a secret
+ * Returns the matched time step so callers can refuse a code that was
+ * already used (replay within its validity window).
+ *
+ * @function verifyTotp
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Time to check against (ms)
+ * @param {number} [options.window=TOTP_WINDOW] - Periods of drift accepted
+ * @returns {number|null} Matched time step, or null if the code is wrong
+ */
+export const verifyTotp = (
+  secret,
+  code,
+  { time = Date.now(), window = TOTP_WINDOW } = {},
+) => {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(candidate) || candidate.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const key = base32Decode(secret);
+  const current = getTotpStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = hotp(key, current + offset, TOTP_DIGITS);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+// otpauth:// provisioning URI, rendered as a QR code by the client
+export const buildOtpAuthUrl = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// One-time backup codes such as "3f9a-b27c"; only their hashes are stored
+export const generateBackupCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+// Backup codes are compared case- and dash-insensitively
+export const normalizeBackupCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
@@ -1,9 +1,185 @@
 import { body, query, validationResult } from "express-validator";
+import { PRODUCT_CATEGORIES, isValidBarcode } from "../models/Product.js";
+import { PROMOTION_TYPES } from "../models/Promotion.js";
+import { LOCATION_TYPES } from "../models/Location.js";
+import { TRANSFER_STATUSES } from "../models/StockTransfer.js";
+import { SHIFT_STATUSES, CASH_MOVEMENT_TYPES } from "../models/Shift.js";
+import { DISCOUNT_TYPES } from "./pricing.js";
+import { TAX_CODES } from "./tax.js";
+import { isKnownPermission } from "./permissions.js";
+import {
+  ACCOUNT_CREDIT_METHOD,
+  CASH_METHOD,
+  PAYMENT_METHOD_CODES,
+  getEnabledPaymentMethods,
+  isEnabledPaymentMethod,
+} from "./paymentMethods.js";
 
 // Password validation regex
 const passwordRegex =
   /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
 
+// Rule and schedule fields shared by promotion create and update
+const promotionRuleFields = () => [
+  body("productIds")
+    .optional()
+    .isArray()
+    .withMessage("Product IDs must be an array"),
+  body("productIds.*")
+    .isMongoId()
+    .withMessage("Each product ID must be a valid MongoDB ObjectId"),
+  body("category")
+    .optional({ values: "null" })
+    .isIn(PRODUCT_CATEGORIES)
+    .withMessage(`Category must be one of: ${PRODUCT_CATEGORIES.join(", ")}`),
+  body("bundleQuantity")
+    .optional()
+    .isInt({ min: 2 })
+    .withMessage("Bundle quantity must be at least 2")
+    .toInt(),
+  body("bundlePrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Bundle price must be a non-negative number")
+    .toFloat(),
+  body("percentOff")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Percent off must be between 0 and 100")
+    .toFloat(),
+  body("amountOff")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Amount off must be a non-negative number")
+    .toFloat(),
+  body("minQuantity")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Minimum quantity must be at least 1")
+    .toInt(),
+  body("startsAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Start date must be a valid date"),
+  body("endsAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("End date must be a valid date"),
+  body("daysOfWeek")
+    .optional()
+    .isArray()
+    .withMessage("Days of week must be an array"),
+  body("daysOfWeek.*")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Days of week must be between 0 (Sunday) and 6 (Saturday)")
+    .toInt(),
+  body(["startTime", "endTime"])
+    .optional({ values: "null" })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage("Times must be in HH:MM format"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+];
+
+// Location fields shared by create and update
+const locationFields = () => [
+  body("code")
+    .optional({ values: "falsy" })
+    .trim()
+    .customSanitizer((value) => value.toUpperCase())
+    .matches(/^[A-Z0-9_-]{1,12}$/)
+    .withMessage("Code must be 1-12 letters, digits, - or _"),
+  body("type")
+    .optional()
+    .isIn(LOCATION_TYPES)
+    .withMessage(`Location type must be one of: ${LOCATION_TYPES.join(", ")}`),
+  body("address")
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage("Address cannot exceed 300 characters"),
+];
+
+// Price override and discount rules for one sale line
+const checkSaleLine = (item) => {
+  const overridden =
+    item.priceOverride !== undefined && item.priceOverride !== null;
+  if (overridden && !item.priceOverrideReason) {
+    throw new Error("A reason is required when overriding a price");
+  }
+  if (overridden && item.discount) {
+    throw new Error("A line cannot have both a price override and a discount");
+  }
+  if (item.discount) {
+    if (!DISCOUNT_TYPES.includes(item.discount.type)) {
+      throw new Error(
+        `Discount type must be one of: ${DISCOUNT_TYPES.join(", ")}`,
+      );
+    }
+    if (item.discount.type === "percentage" && item.discount.value > 100) {
+      throw new Error("Percentage discount cannot exceed 100");
+    }
+  }
+  return true;
+};
+
+// Method a payment is recorded with: one this business accepts.
+// Account credit is not a payment, only a tender on a sale
+const paymentMethodField = (field) =>
+  body(field)
+    .optional({ values: "null" })
+    .trim()
+    .toLowerCase()
+    .custom(
+      (method) =>
+        isEnabledPaymentMethod(method) && method !== ACCOUNT_CREDIT_METHOD,
+    )
+    .withMessage(
+      () =>
+        `Payment method must be one of: ${getEnabledPaymentMethods()
+          .filter((method) => method !== ACCOUNT_CREDIT_METHOD)
+          .join(", ")}`,
+    );
+
+// Split tender of a sale: { method, amount } per method used
+const tenderFields = (field) => [
+  body(field)
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage("payments must be an array of 1-10 tenders"),
+  body(`${field}.*.method`)
+    .trim()
+    .toLowerCase()
+    .custom(isEnabledPaymentMethod)
+    .withMessage(
+      () =>
+        `Payment method must be one of: ${getEnabledPaymentMethods().join(", ")}`,
+    ),
+  body(`${field}.*.amount`)
+    .isFloat({ gt: 0 })
+    .withMessage("Tendered amount must be greater than zero")
+    .toFloat(),
+];
+
+// A sale is paid either with split tender or with amountPaid/paymentMethod
+const checkTender = (sale) => {
+  if (
+    sale?.payments !== undefined &&
+    (sale.amountPaid !== undefined || sale.paymentMethod !== undefined)
+  ) {
+    throw new Error(
+      "Send either payments or amountPaid and paymentMethod, not both",
+    );
+  }
+  return true;
+};
+
+// Greatest number of offline sales accepted in one sync request
+const MAX_SYNC_BATCH = 100;
+
 // Validation rules
 const validationRules = {
   // Auth validations
@@ -15,6 +191,67 @@ const validationRules = {
     body("password").notEmpty().withMessage("Password is required"),
   ],
 
+  loginTwoFactor: [
+    body("challengeToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Challenge token is required"),
+    body("code")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Two-factor code is required"),
+  ],
+
+  refreshToken: [
+    body("refreshToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Refresh token is required"),
+  ],
+
+  logout: [
+    body("allDevices")
+      .optional()
+      .isBoolean()
+      .withMessage("allDevices must be a boolean")
+      .toBoolean(),
+  ],
+
+  enableTwoFactor: [
+    body("code")
+      .isString()
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage("Code must be the 6-digit code from the authenticator app"),
+  ],
+
+  disableTwoFactor: [
+    body("password").notEmpty().withMessage("Password is required"),
+    body("code")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Two-factor code is required"),
+  ],
+
+  regenerateBackupCodes: [
+    body("code")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Two-factor code is required"),
+  ],
+
+  recover: [
+    body("sellerId").isMongoId().withMessage("Valid seller ID is required"),
+    body("resetTwoFactor")
+      .optional()
+      .isBoolean()
+      .withMessage("resetTwoFactor must be a boolean")
+      .toBoolean(),
+  ],
+
   activate: [
     body("email")
       .isEmail()
@@ -116,6 +353,24 @@ const validationRules = {
       .withMessage("Role must be user, admin, or superadmin"),
   ],
 
+  assignSellerLocations: [
+    body("locationIds").isArray().withMessage("Location IDs must be an array"),
+    body("locationIds.*")
+      .isMongoId()
+      .withMessage("Each location ID must be a valid MongoDB ObjectId"),
+  ],
+
+  selectLocation: [
+    body("locationId").isMongoId().withMessage("Valid location ID is required"),
+  ],
+
+  updateRolePermissions: [
+    body("permissions").isArray().withMessage("Permissions must be an array"),
+    body("permissions.*")
+      .custom((permission) => isKnownPermission(permission))
+      .withMessage("Unknown permission"),
+  ],
+
   // Customer validations
   createCustomer: [
     body("firstName").trim().notEmpty().withMessage("First name is required"),
@@ -157,6 +412,11 @@ const validationRules = {
       .isEmail()
       .normalizeEmail()
       .withMessage("Valid email is required"),
+    body("creditLimit")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Credit limit must be a non-negative number")
+      .toFloat(),
   ],
 
   updateCustomer: [
@@ -208,6 +468,11 @@ const validationRules = {
       .isEmail()
       .normalizeEmail()
       .withMessage("Valid email is required"),
+    body("creditLimit")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Credit limit must be a non-negative number")
+      .toFloat(),
   ],
 
   // Product validations
@@ -223,6 +488,45 @@ const validationRules = {
     body("price")
       .isFloat({ min: 0 })
       .withMessage("Price must be a non-negative number"),
+    body("category")
+      .optional()
+      .isIn(PRODUCT_CATEGORIES)
+      .withMessage(`Category must be one of: ${PRODUCT_CATEGORIES.join(", ")}`),
+    body("sku")
+      .optional({ values: "falsy" })
+      .trim()
+      .customSanitizer((value) => value.toUpperCase())
+      .matches(/^[A-Z0-9][A-Z0-9._-]{0,31}$/)
+      .withMessage(
+        "SKU must be 1-32 letters, digits, dots, dashes or underscores",
+      ),
+    body("barcode")
+      .optional({ values: "falsy" })
+      .trim()
+      .custom(isValidBarcode)
+      .withMessage("Barcode must be a valid EAN-13 or UPC-A code"),
+    body("reorderPoint")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("Reorder point must be a non-negative integer"),
+    body("reorderQuantity")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Reorder quantity must be a positive integer"),
+    body("unitCost")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be a non-negative number")
+      .toFloat(),
+    body("taxCode")
+      .optional({ values: "null" })
+      .isIn(TAX_CODES)
+      .withMessage(`Tax code must be one of: ${TAX_CODES.join(", ")}`),
+    body("priceIncludesTax")
+      .optional()
+      .isBoolean()
+      .withMessage("priceIncludesTax must be a boolean")
+      .toBoolean(),
   ],
 
   updateProduct: [
@@ -240,6 +544,100 @@ const validationRules = {
       .optional()
       .isFloat({ min: 0 })
       .withMessage("Price must be a non-negative number"),
+    body("category")
+      .optional()
+      .isIn(PRODUCT_CATEGORIES)
+      .withMessage(`Category must be one of: ${PRODUCT_CATEGORIES.join(", ")}`),
+    body("sku")
+      .optional({ values: "falsy" })
+      .trim()
+      .customSanitizer((value) => value.toUpperCase())
+      .matches(/^[A-Z0-9][A-Z0-9._-]{0,31}$/)
+      .withMessage(
+        "SKU must be 1-32 letters, digits, dots, dashes or underscores",
+      ),
+    body("barcode")
+      .optional({ values: "falsy" })
+      .trim()
+      .custom(isValidBarcode)
+      .withMessage("Barcode must be a valid EAN-13 or UPC-A code"),
+    body("reorderPoint")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("Reorder point must be a non-negative integer"),
+    body("reorderQuantity")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Reorder quantity must be a positive integer"),
+    body("unitCost")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be a non-negative number")
+      .toFloat(),
+    body("taxCode")
+      .optional({ values: "null" })
+      .isIn(TAX_CODES)
+      .withMessage(`Tax code must be one of: ${TAX_CODES.join(", ")}`),
+    body("priceIncludesTax")
+      .optional()
+      .isBoolean()
+      .withMessage("priceIncludesTax must be a boolean")
+      .toBoolean(),
+    body("adjustmentNote")
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage("Adjustment note cannot exceed 300 characters"),
+  ],
+
+  restockProduct: [
+    body("quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be a positive integer")
+      .toInt(),
+    body("batchId")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Batch ID cannot be empty")
+      .isLength({ max: 100 })
+      .withMessage("Batch ID cannot exceed 100 characters"),
+    body("productionDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Production date must be a valid date"),
+    body("expirationDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Expiration date must be a valid date")
+      .custom((value, { req }) => {
+        if (
+          req.body.productionDate &&
+          new Date(value) < new Date(req.body.productionDate)
+        ) {
+          throw new Error("Expiration date cannot be before production date");
+        }
+        return true;
+      }),
+    body("unitCost")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be a non-negative number")
+      .toFloat(),
+    body("supplier")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Supplier cannot exceed 200 characters"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    body("locationId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid location ID is required"),
   ],
 
   // Sales validations
@@ -254,10 +652,156 @@ const validationRules = {
     body("products.*.quantity")
       .isInt({ min: 1 })
       .withMessage("Quantity must be at least 1"),
+    body("products.*.priceOverride")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Price override must be a non-negative number")
+      .toFloat(),
+    body("products.*.priceOverrideReason")
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage("Override reason cannot exceed 300 characters"),
+    body("products.*").custom(checkSaleLine),
+    body("products.*.discount.value")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Discount value must be a non-negative number")
+      .toFloat(),
+    body("discount.type")
+      .if(body("discount").exists())
+      .isIn(DISCOUNT_TYPES)
+      .withMessage(
+        `Discount type must be one of: ${DISCOUNT_TYPES.join(", ")}`,
+      ),
+    body("discount.value")
+      .if(body("discount").exists())
+      .isFloat({ min: 0 })
+      .withMessage("Discount value must be a non-negative number")
+      .toFloat()
+      .custom((value, { req }) => {
+        if (req.body.discount.type === "percentage" && value > 100) {
+          throw new Error("Percentage discount cannot exceed 100");
+        }
+        return true;
+      }),
+    body("discount.reason")
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage("Discount reason cannot exceed 300 characters"),
+    body("applyPromotions")
+      .optional()
+      .isBoolean()
+      .withMessage("applyPromotions must be a boolean")
+      .toBoolean(),
     body("amountPaid")
       .optional()
       .isFloat({ min: 0 })
       .withMessage("Amount paid must be non-negative"),
+    paymentMethodField("paymentMethod"),
+    ...tenderFields("payments"),
+    body().custom(checkTender),
+    body("overrideCreditLimit")
+      .optional()
+      .isBoolean()
+      .withMessage("overrideCreditLimit must be a boolean")
+      .toBoolean(),
+    body("overrideReason")
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage("Override reason cannot exceed 300 characters"),
+  ],
+
+  syncSales: [
+    body("sales")
+      .isArray({ min: 1, max: MAX_SYNC_BATCH })
+      .withMessage(`sales must be an array of 1-${MAX_SYNC_BATCH} sales`),
+    body("sales.*.clientId")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Each sale needs a clientId of 1-100 characters"),
+    body("sales").custom((sales) => {
+      const clientIds = sales.map((sale) => sale?.clientId);
+      if (new Set(clientIds).size !== clientIds.length) {
+        throw new Error("clientId must be unique within a batch");
+      }
+      return true;
+    }),
+    body("sales.*.capturedAt")
+      .isISO8601()
+      .withMessage("Each sale needs a valid capturedAt date")
+      .custom((value) => {
+        // Allow a few minutes of device clock drift
+        if (new Date(value) > new Date(Date.now() + 5 * 60 * 1000)) {
+          throw new Error("capturedAt cannot be in the future");
+        }
+        return true;
+      }),
+    body("sales.*.customerId")
+      .isMongoId()
+      .withMessage("Valid customer ID is required"),
+    body("sales.*.products")
+      .isArray({ min: 1 })
+      .withMessage("At least one product is required"),
+    body("sales.*.products.*.productId")
+      .isMongoId()
+      .withMessage("Valid product ID is required"),
+    body("sales.*.products.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("sales.*.products.*.priceOverride")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Price override must be a non-negative number")
+      .toFloat(),
+    body("sales.*.products.*").custom(checkSaleLine),
+    body("sales.*.products.*.discount.value")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Discount value must be a non-negative number")
+      .toFloat(),
+    body("sales.*.discount.type")
+      .optional()
+      .isIn(DISCOUNT_TYPES)
+      .withMessage(
+        `Discount type must be one of: ${DISCOUNT_TYPES.join(", ")}`,
+      ),
+    body("sales.*.discount.value")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Discount value must be a non-negative number")
+      .toFloat(),
+    body("sales.*.discount").custom((discount) => {
+      if (discount?.type === "percentage" && discount.value > 100) {
+        throw new Error("Percentage discount cannot exceed 100");
+      }
+      return true;
+    }),
+    body("sales.*.amountPaid")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Amount paid must be non-negative")
+      .toFloat(),
+    paymentMethodField("sales.*.paymentMethod"),
+    ...tenderFields("sales.*.payments"),
+    body("sales.*").custom(checkTender),
+    body("sales.*.applyPromotions")
+      .optional()
+      .isBoolean()
+      .withMessage("applyPromotions must be a boolean")
+      .toBoolean(),
+    body("sales.*.overrideCreditLimit")
+      .optional()
+      .isBoolean()
+      .withMessage("overrideCreditLimit must be a boolean")
+      .toBoolean(),
+    body("cursor")
+      .optional()
+      .isISO8601()
+      .withMessage("cursor must be a valid date"),
   ],
 
   settleSale: [
@@ -265,6 +809,337 @@ const validationRules = {
       .optional()
       .isFloat({ min: 0 })
       .withMessage("Amount paid must be non-negative"),
+    paymentMethodField("method"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage("Note cannot exceed 300 characters"),
+  ],
+
+  addPayment: [
+    body("amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Payment amount must be greater than zero"),
+    paymentMethodField("method"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage("Note cannot exceed 300 characters"),
+  ],
+
+  voidSale: [
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("Void reason is required")
+      .isLength({ max: 300 })
+      .withMessage("Void reason cannot exceed 300 characters"),
+  ],
+
+  emailSaleReceipt: [
+    body("email")
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Valid email is required"),
+  ],
+
+  refundSale: [
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("Refund reason is required")
+      .isLength({ max: 300 })
+      .withMessage("Refund reason cannot exceed 300 characters"),
+    body("items")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Items must be a non-empty array")
+      .custom(
+        (items) =>
+          new Set(items.map((item) => String(item?.productId))).size ===
+          items.length,
+      )
+      .withMessage("Each product can only be listed once"),
+    body("items.*.productId")
+      .isMongoId()
+      .withMessage("Valid product ID is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("restock")
+      .optional()
+      .isBoolean()
+      .withMessage("Restock must be a boolean"),
+  ],
+
+  createPromotion: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Promotion name is required")
+      .isLength({ max: 100 })
+      .withMessage("Promotion name cannot exceed 100 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+    body("type")
+      .isIn(PROMOTION_TYPES)
+      .withMessage(
+        `Promotion type must be one of: ${PROMOTION_TYPES.join(", ")}`,
+      ),
+    ...promotionRuleFields(),
+  ],
+
+  updatePromotion: [
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Promotion name cannot be empty")
+      .isLength({ max: 100 })
+      .withMessage("Promotion name cannot exceed 100 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+    body("type")
+      .optional()
+      .isIn(PROMOTION_TYPES)
+      .withMessage(
+        `Promotion type must be one of: ${PROMOTION_TYPES.join(", ")}`,
+      ),
+    ...promotionRuleFields(),
+  ],
+
+  // Location validations
+  createLocation: [
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Location name is required")
+      .isLength({ max: 100 })
+      .withMessage("Location name cannot exceed 100 characters"),
+    ...locationFields(),
+  ],
+
+  updateLocation: [
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Location name cannot be empty")
+      .isLength({ max: 100 })
+      .withMessage("Location name cannot exceed 100 characters"),
+    ...locationFields(),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean")
+      .toBoolean(),
+  ],
+
+  // Filter shared by the reporting endpoints
+  locationFilter: [
+    query("locationId")
+      .optional()
+      .isMongoId()
+      .withMessage("Location ID must be a valid MongoDB ObjectId"),
+  ],
+
+  // Stock transfer validations
+  createTransfer: [
+    body("fromLocationId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Valid source location ID is required"),
+    body("toLocationId")
+      .isMongoId()
+      .withMessage("Valid destination location ID is required")
+      .custom((value, { req }) => value !== req.body.fromLocationId)
+      .withMessage("Source and destination must be different locations"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.productId")
+      .isMongoId()
+      .withMessage("Valid product ID is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1")
+      .toInt(),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+  ],
+
+  cancelTransfer: [
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("Cancel reason is required")
+      .isLength({ max: 300 })
+      .withMessage("Cancel reason cannot exceed 300 characters"),
+  ],
+
+  listTransfers: [
+    query("status")
+      .optional()
+      .isIn(TRANSFER_STATUSES)
+      .withMessage(`Status must be one of: ${TRANSFER_STATUSES.join(", ")}`),
+    query(["locationId", "productId"])
+      .optional()
+      .isMongoId()
+      .withMessage("IDs must be valid MongoDB ObjectIds"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+
+  // Till shift validations
+  openShift: [
+    body("openingFloat")
+      .isFloat({ min: 0 })
+      .withMessage("Opening float must be a non-negative number")
+      .toFloat(),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+  ],
+
+  shiftCashMovement: [
+    body("type")
+      .isIn(CASH_MOVEMENT_TYPES)
+      .withMessage(`Type must be one of: ${CASH_MOVEMENT_TYPES.join(", ")}`),
+    body("amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be greater than zero")
+      .toFloat(),
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("Reason is required")
+      .isLength({ max: 300 })
+      .withMessage("Reason cannot exceed 300 characters"),
+  ],
+
+  closeShift: [
+    body("counts")
+      .isArray({ min: 1 })
+      .withMessage("Counts are required")
+      .custom((counts) =>
+        counts.some(
+          (count) => String(count.method).trim().toLowerCase() === CASH_METHOD,
+        ),
+      )
+      .withMessage("Count the cash in the drawer (a counts entry for cash)")
+      .custom((counts) => {
+        const methods = counts.map((count) =>
+          String(count.method).trim().toLowerCase(),
+        );
+        return new Set(methods).size === methods.length;
+      })
+      .withMessage("Each payment method can only be counted once"),
+    body("counts.*.method")
+      .trim()
+      .toLowerCase()
+      .isIn(PAYMENT_METHOD_CODES)
+      .withMessage(
+        `Payment method must be one of: ${PAYMENT_METHOD_CODES.join(", ")}`,
+      ),
+    body("counts.*.amount")
+      .isFloat({ min: 0 })
+      .withMessage("Counted amount must be a non-negative number")
+      .toFloat(),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+  ],
+
+  listShifts: [
+    query("status")
+      .optional()
+      .isIn(SHIFT_STATUSES)
+      .withMessage(`Status must be one of: ${SHIFT_STATUSES.join(", ")}`),
+    query(["sellerId", "locationId"])
+      .optional()
+      .isMongoId()
+      .withMessage("IDs must be valid MongoDB ObjectIds"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+
+  listNotifications: [
+    query("unreadOnly")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("unreadOnly must be true or false"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+
+  listAuditLogs: [
+    query("actorId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid actor ID is required"),
+    query("method")
+      .optional()
+      .isIn([
+        "POST",
+        "PUT",
+        "PATCH",
+        "DELETE",
+        "post",
+        "put",
+        "patch",
+        "delete",
+      ])
+      .withMessage("Method must be one of: POST, PUT, PATCH, DELETE"),
+    query(["startDate", "endDate"])
+      .optional()
+      .isISO8601()
+      .withMessage("Dates must be valid (YYYY-MM-DD)"),
+    query("format")
+      .optional()
+      .isIn(["json", "csv"])
+      .withMessage("Format must be json or csv"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
   ],
 };
 